@@ -1,16 +1,84 @@
-import { useCallback, useEffect, useRef, useState } from 'react'
-import { Brush, Circle, MonitorUp, Radio, Sparkles, Star, Wand2 } from 'lucide-react'
-
-const MAX_POINTS = 48
-const STORAGE_KEY = 'cursor-trail-settings-v1'
-
-const TRAIL_STYLES = [
-  { id: 'gradient', name: 'Gradient', icon: Circle },
-  { id: 'sparkle', name: 'Sparkle', icon: Sparkles },
-  { id: 'brush', name: 'Brush', icon: Brush },
-  { id: 'star', name: 'Star', icon: Star },
-  { id: 'glow', name: 'Glow', icon: Wand2 },
-]
+import { useCallback, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react'
+import { Brush, Circle, Keyboard, MonitorUp, Pause, PenTool, Play, Radio, Shapes, Sparkles, Spline, Star, Wand2 } from 'lucide-react'
+import { accessibleOptions, normalizeAccessibility, resolvePreference } from './trail/accessibility.js'
+import { ANNOTATION_TOOLS, normalizeAnnotations } from './trail/annotations.js'
+import { normalizeEffects } from './trail/effects.js'
+import { normalizeIdle } from './trail/idle.js'
+import { FADE_CURVES, fadeSpeedToLifetime } from './trail/fade.js'
+import { PALETTE_DEFAULTS } from './trail/palette.js'
+import { PARTICLE_DEFAULTS } from './trail/particles.js'
+import { normalizePresentation, PRESENTATION_MODES } from './trail/presentation.js'
+import { getTrailStyle, listTrailStyles, subscribeTrailStyles } from './trail/styles.js'
+import { useCursorTrail } from './trail/useCursorTrail.js'
+import AccessibilitySettings from './components/AccessibilitySettings.jsx'
+import AnnotationSettings from './components/AnnotationSettings.jsx'
+import ColorControls from './components/ColorControls.jsx'
+import EffectSettings from './components/EffectSettings.jsx'
+import FloatingPanel from './components/FloatingPanel.jsx'
+import IdleSettings from './components/IdleSettings.jsx'
+import ObsSettings from './components/ObsSettings.jsx'
+import ShortcutSettings from './components/ShortcutSettings.jsx'
+import PathCapture from './components/PathCapture.jsx'
+import PerformanceSettings from './components/PerformanceSettings.jsx'
+import PresentationSettings from './components/PresentationSettings.jsx'
+import RecordingSettings from './components/RecordingSettings.jsx'
+import TakeList from './components/TakeList.jsx'
+import TimelineEditor from './components/TimelineEditor.jsx'
+import PresetLibrary from './components/PresetLibrary.jsx'
+import { recordingAnnouncement, trailAnnouncement } from './announcements.js'
+import { openPanelWindow, readDisplayMode } from './displayMode.js'
+import {
+  assignShortcut,
+  createPreset,
+  loadPresetLibrary,
+  PRESET_COMBOS,
+  PRESET_STORAGE_KEY,
+  savePresetLibrary,
+} from './presets.js'
+import { formatBytes, formatDuration } from './recordingSession.js'
+import {
+  loadSettings,
+  migrateSettings,
+  readSettingsOverrides,
+  saveSettings,
+  SETTINGS_DEFAULTS,
+  SETTINGS_SCHEMA,
+  SETTINGS_STORAGE_KEY,
+  validatePartialSettings,
+  validateSettings,
+} from './settings.js'
+import {
+  buildShortcutRegistry,
+  DEFAULT_KEYMAP,
+  formatCombo,
+  matchShortcut,
+  PRESET_ACTION_PREFIX,
+} from './shortcuts.js'
+import { normalizeTimeline } from './timeline.js'
+import { useIdle } from './useIdle.js'
+import { useMediaQuery } from './useMediaQuery.js'
+import { useObsConnection } from './useObsConnection.js'
+import { usePanelSync } from './usePanelSync.js'
+import { useRecordingSession } from './useRecordingSession.js'
+import { useRemoteControl } from './useRemoteControl.js'
+import { useTimelinePlayback } from './useTimelinePlayback.js'
+
+const { min: MIN_SIZE, max: MAX_SIZE } = SETTINGS_SCHEMA.size
+const { min: MIN_LIFETIME, max: MAX_LIFETIME } = SETTINGS_SCHEMA.lifetime
+const { min: MIN_POINTS, max: MAX_POINTS } = SETTINGS_SCHEMA.maxPoints
+const { min: MIN_SPACING, max: MAX_SPACING } = SETTINGS_SCHEMA.spacing
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+const TRAIL_STYLE_ICONS = {
+  gradient: Circle,
+  sparkle: Sparkles,
+  brush: Brush,
+  star: Star,
+  glow: Wand2,
+  ribbon: Spline,
+  ink: PenTool,
+}
 
 const COLOR_PRESETS = [
   { name: 'Purple', value: '#8B5CF6' },
@@ -21,565 +89,1068 @@ const COLOR_PRESETS = [
   { name: 'Canva', value: '#00C4CC' },
 ]
 
-const PRESET_COMBOS = [
-  {
-    id: 'tutorial-pop',
-    name: 'Tutorial Pop',
-    shortcut: '1',
-    description: 'Sparkle bursts that highlight quick steps.',
-    config: { style: 'sparkle', color: '#F59E0B', size: 28, fade: 70 },
-  },
-  {
-    id: 'signature-cyan',
-    name: 'Canva Glow',
-    shortcut: '2',
-    description: 'Soft glow in Canva signature cyan.',
-    config: { style: 'glow', color: '#00C4CC', size: 32, fade: 55 },
-  },
-  {
-    id: 'brush-studio',
-    name: 'Brush Studio',
-    shortcut: '3',
-    description: 'Organic brush strokes for live sketching.',
-    config: { style: 'brush', color: '#8B5CF6', size: 36, fade: 85 },
-  },
+const PARTICLE_CONTROLS = [
+  { key: 'spawnCount', label: 'Particles per move', min: 1, max: 10, step: 1 },
+  { key: 'gravity', label: 'Gravity', min: 0, max: 0.5, step: 0.01 },
+  { key: 'drift', label: 'Drift', min: 0, max: 4, step: 0.1 },
+  { key: 'friction', label: 'Friction', min: 0, max: 0.2, step: 0.01 },
+  { key: 'spin', label: 'Spin', min: 0, max: 0.3, step: 0.01 },
 ]
 
-const hexToRgba = (hex, alpha) => {
-  const sanitized = hex.replace('#', '')
-  const bigint = parseInt(sanitized, 16)
-  const r = (bigint >> 16) & 255
-  const g = (bigint >> 8) & 255
-  const b = bigint & 255
-
-  return `rgba(${r}, ${g}, ${b}, ${alpha})`
-}
-
-function drawPoint(ctx, point, options) {
-  const { style, color, size } = options
-  const alpha = Math.max(point.life, 0)
-  const radius = size * alpha
-
-  ctx.save()
-
-  switch (style) {
-    case 'gradient': {
-      const gradient = ctx.createRadialGradient(point.x, point.y, 0, point.x, point.y, radius)
-      gradient.addColorStop(0, hexToRgba(color, alpha))
-      gradient.addColorStop(1, hexToRgba(color, 0))
-      ctx.fillStyle = gradient
-      ctx.beginPath()
-      ctx.arc(point.x, point.y, radius, 0, Math.PI * 2)
-      ctx.fill()
-      break
-    }
-    case 'sparkle': {
-      ctx.strokeStyle = hexToRgba(color, alpha)
-      ctx.lineWidth = Math.max(1, radius / 6)
-      const arms = 4
-      const offset = point.seed
-
-      for (let i = 0; i < arms; i++) {
-        const angle = (Math.PI / 2) * i + offset
-        const length = radius * 0.9
-        ctx.beginPath()
-        ctx.moveTo(point.x, point.y)
-        ctx.lineTo(point.x + Math.cos(angle) * length, point.y + Math.sin(angle) * length)
-        ctx.stroke()
-      }
-      break
-    }
-    case 'brush': {
-      ctx.globalAlpha = alpha * 0.35
-      ctx.fillStyle = color
-      ctx.beginPath()
-      ctx.ellipse(point.x, point.y, radius, radius * 0.6, point.seed, 0, Math.PI * 2)
-      ctx.fill()
-      break
-    }
-    case 'star': {
-      ctx.fillStyle = hexToRgba(color, alpha)
-      ctx.beginPath()
-      const spikes = 5
-      for (let i = 0; i < spikes; i++) {
-        const outerAngle = (Math.PI * 2 * i) / spikes - Math.PI / 2
-        const innerAngle = outerAngle + Math.PI / spikes
-        const outerX = point.x + Math.cos(outerAngle) * radius
-        const outerY = point.y + Math.sin(outerAngle) * radius
-        const innerX = point.x + Math.cos(innerAngle) * (radius * 0.45)
-        const innerY = point.y + Math.sin(innerAngle) * (radius * 0.45)
-
-        if (i === 0) ctx.moveTo(outerX, outerY)
-        else ctx.lineTo(outerX, outerY)
-        ctx.lineTo(innerX, innerY)
-      }
-      ctx.closePath()
-      ctx.fill()
-      break
-    }
-    case 'glow': {
-      const glow = ctx.createRadialGradient(point.x, point.y, 0, point.x, point.y, radius * 1.6)
-      glow.addColorStop(0, hexToRgba(color, alpha * 0.9))
-      glow.addColorStop(0.5, hexToRgba(color, alpha * 0.45))
-      glow.addColorStop(1, hexToRgba(color, 0))
-      ctx.fillStyle = glow
-      ctx.beginPath()
-      ctx.arc(point.x, point.y, radius * 1.6, 0, Math.PI * 2)
-      ctx.fill()
-      break
-    }
-    default:
-      break
-  }
-
-  ctx.restore()
-}
-
 function App() {
   const canvasRef = useRef(null)
-  const animationRef = useRef(null)
-  const pointsRef = useRef([])
-  const mediaRecorderRef = useRef(null)
-  const chunksRef = useRef([])
-  const screenStreamRef = useRef(null)
-
-  const [isActive, setIsActive] = useState(true)
-  const [trailStyle, setTrailStyle] = useState('gradient')
-  const [trailColor, setTrailColor] = useState('#8B5CF6')
-  const [trailSize, setTrailSize] = useState(22)
-  const [fadeSpeed, setFadeSpeed] = useState(55)
-  const [activePresetId, setActivePresetId] = useState(null)
-  const [settingsHydrated, setSettingsHydrated] = useState(false)
-  const [obsReady, setObsReady] = useState(false)
-  const [recordingState, setRecordingState] = useState('idle')
-  const [recordingUrl, setRecordingUrl] = useState(null)
-  const [recordingError, setRecordingError] = useState('')
+  const [displayMode, setDisplayMode] = useState(() => (typeof window === 'undefined' ? 'full' : readDisplayMode()))
+  const detached = displayMode === 'panel'
+
+  const [settingsOverrides] = useState(() => (typeof window === 'undefined' ? {} : readSettingsOverrides()))
+  const linkConfigured = Object.keys(settingsOverrides).length > 0
+  const [stored] = useState(() =>
+    typeof window === 'undefined'
+      ? { settings: SETTINGS_DEFAULTS, errors: [] }
+      : loadSettings(window.localStorage, settingsOverrides),
+  )
+  const [settingsErrors, setSettingsErrors] = useState(stored.errors)
+
+  const [isActive, setIsActive] = useState(stored.settings.enabled)
+  const [trailStyle, setTrailStyle] = useState(stored.settings.style)
+  const [trailColor, setTrailColor] = useState(stored.settings.color)
+  const [trailSize, setTrailSize] = useState(stored.settings.size)
+  const [trailLifetime, setTrailLifetime] = useState(stored.settings.lifetime)
+  const [fadeCurve, setFadeCurve] = useState(stored.settings.fadeCurve)
+  const [maxPoints, setMaxPoints] = useState(stored.settings.maxPoints)
+  const [spacing, setSpacing] = useState(stored.settings.spacing)
+  const [particleSettings, setParticleSettings] = useState(stored.settings.particles)
+  const [colorSettings, setColorSettings] = useState(stored.settings.colors)
+  const [effectSettings, setEffectSettings] = useState(stored.settings.effects)
+  const [performanceSettings, setPerformanceSettings] = useState(stored.settings.performance)
+  const [presentation, setPresentation] = useState(stored.settings.presentation)
+  const lastPresentationMode = useRef('spotlight')
+  const [annotationSettings, setAnnotationSettings] = useState(stored.settings.annotations)
+  const [idleSettings, setIdleSettings] = useState(stored.settings.idle)
+  const [accessibilitySettings, setAccessibilitySettings] = useState(stored.settings.accessibility)
+  const [timeline, setTimeline] = useState(stored.settings.timeline)
+  const systemReducedMotion = useMediaQuery('(prefers-reduced-motion: reduce)')
+  const systemHighContrast = useMediaQuery('(prefers-contrast: more), (forced-colors: active)')
+  const reducedMotion = resolvePreference(accessibilitySettings.reducedMotion, systemReducedMotion)
+  const highContrast = resolvePreference(accessibilitySettings.highContrast, systemHighContrast)
+  const [activePresetId, setActivePresetId] = useState(stored.settings.activePresetId)
+  const [presets, setPresets] = useState(() =>
+    typeof window === 'undefined' ? PRESET_COMBOS : loadPresetLibrary(window.localStorage),
+  )
+  // The library as last read from storage.
+  const loadedPresetsRef = useRef(presets)
+  const [obsSettings, setObsSettings] = useState(stored.settings.obs)
+  const [isBrowserSource] = useState(() => typeof window !== 'undefined' && Boolean(window.obsstudio))
+  const [recordingOptions, setRecordingOptions] = useState(stored.settings.recording)
+  const [paths, setPaths] = useState([])
+  const [remoteOrigins, setRemoteOrigins] = useState(stored.settings.remoteOrigins)
+  const [keymap, setKeymap] = useState(stored.settings.shortcuts)
+  const [shortcutsOpen, setShortcutsOpen] = useState(false)
+  const trailStyles = useSyncExternalStore(subscribeTrailStyles, listTrailStyles)
 
+  useEffect(() => {
+    if (stored.errors.length) console.warn('Some cursor trail settings were adjusted.', stored.errors)
+  }, [stored])
+
+  // A page configured by URL parameters, such as an OBS browser source,
+  // leaves the saved settings alone.
+  useEffect(() => {
+    if (linkConfigured || typeof window === 'undefined') return
+    saveSettings(window.localStorage, {
+      enabled: isActive,
+      style: trailStyle,
+      color: trailColor,
+      size: trailSize,
+      lifetime: trailLifetime,
+      fadeCurve,
+      maxPoints,
+      spacing,
+      particles: particleSettings,
+      colors: colorSettings,
+      effects: effectSettings,
+      presentation,
+      annotations: annotationSettings,
+      idle: idleSettings,
+      accessibility: accessibilitySettings,
+      performance: performanceSettings,
+      timeline,
+      recording: recordingOptions,
+      obs: obsSettings,
+      remoteOrigins,
+      shortcuts: keymap,
+      activePresetId,
+    })
+  }, [
+    isActive,
+    trailStyle,
+    trailColor,
+    trailSize,
+    trailLifetime,
+    fadeCurve,
+    maxPoints,
+    spacing,
+    particleSettings,
+    colorSettings,
+    effectSettings,
+    presentation,
+    annotationSettings,
+    idleSettings,
+    accessibilitySettings,
+    performanceSettings,
+    timeline,
+    recordingOptions,
+    obsSettings,
+    remoteOrigins,
+    keymap,
+    activePresetId,
+    linkConfigured,
+  ])
+
+  // Only changes made here are saved, so a library that failed to load, or
+  // one another window just wrote, is never written back over what is stored.
+  useEffect(() => {
+    if (typeof window === 'undefined' || presets === loadedPresetsRef.current) return
+    savePresetLibrary(window.localStorage, presets)
+  }, [presets])
+
+  // Keeps the overlay and a popped-out panel on the same preset library
+  // and shortcuts.
   useEffect(() => {
     if (typeof window === 'undefined') return
-    try {
-      const stored = window.localStorage.getItem(STORAGE_KEY)
-      if (stored) {
-        const parsed = JSON.parse(stored)
-        if (typeof parsed.isActive === 'boolean') setIsActive(parsed.isActive)
-        if (typeof parsed.trailStyle === 'string') setTrailStyle(parsed.trailStyle)
-        if (typeof parsed.trailColor === 'string') setTrailColor(parsed.trailColor)
-        if (typeof parsed.trailSize === 'number') setTrailSize(parsed.trailSize)
-        if (typeof parsed.fadeSpeed === 'number') setFadeSpeed(parsed.fadeSpeed)
-        if (typeof parsed.activePresetId === 'string') setActivePresetId(parsed.activePresetId)
+    const handleStorage = (event) => {
+      if (event.key === PRESET_STORAGE_KEY) {
+        const next = loadPresetLibrary(window.localStorage)
+        loadedPresetsRef.current = next
+        setPresets(next)
+      }
+      if (event.key === SETTINGS_STORAGE_KEY && event.newValue) {
+        try {
+          const next = validateSettings(migrateSettings(JSON.parse(event.newValue))).settings.shortcuts
+          setKeymap((current) => (JSON.stringify(current) === JSON.stringify(next) ? current : next))
+        } catch {
+          // Ignore payloads another tab is halfway through writing.
+        }
       }
-    } catch (error) {
-      console.warn('Cursor trail settings could not be restored.', error)
-    } finally {
-      setSettingsHydrated(true)
     }
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
   }, [])
 
   useEffect(() => {
-    if (!settingsHydrated || typeof window === 'undefined') return
-    const payload = { isActive, trailStyle, trailColor, trailSize, fadeSpeed, activePresetId }
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(payload))
-  }, [isActive, trailStyle, trailColor, trailSize, fadeSpeed, activePresetId, settingsHydrated])
+    if (typeof document === 'undefined') return
+    document.documentElement.dataset.displayMode = displayMode
+  }, [displayMode])
+
+  useEffect(() => {
+    if (typeof document === 'undefined') return
+    document.documentElement.dataset.motion = reducedMotion ? 'reduce' : 'full'
+    document.documentElement.dataset.contrast = highContrast ? 'more' : 'normal'
+  }, [reducedMotion, highContrast])
 
   const applyPreset = useCallback((preset) => {
     if (!preset) return
     setTrailStyle(preset.config.style)
     setTrailColor(preset.config.color)
     setTrailSize(preset.config.size)
-    setFadeSpeed(preset.config.fade)
+    setTrailLifetime(preset.config.lifetime ?? fadeSpeedToLifetime(preset.config.fade))
+    setFadeCurve(preset.config.fadeCurve ?? 'linear')
+    setMaxPoints(preset.config.maxPoints ?? SETTINGS_DEFAULTS.maxPoints)
+    setSpacing(preset.config.spacing ?? SETTINGS_DEFAULTS.spacing)
+    setParticleSettings({ ...PARTICLE_DEFAULTS, ...preset.config.particles })
+    setColorSettings({ ...PALETTE_DEFAULTS, ...preset.config.colors })
+    // Presets saved before presentation modes existed leave the mode alone.
+    if (preset.config.presentation) setPresentation(normalizePresentation(preset.config.presentation))
     setActivePresetId(preset.id)
   }, [])
 
-  const startRecording = useCallback(async () => {
-    if (recordingState === 'recording') return
-    if (!navigator?.mediaDevices?.getDisplayMedia) {
-      setRecordingError('Screen capture is not supported in this browser yet.')
-      return
-    }
+  const currentConfig = useMemo(
+    () => ({
+      style: trailStyle,
+      color: trailColor,
+      size: trailSize,
+      lifetime: trailLifetime,
+      fadeCurve,
+      maxPoints,
+      spacing,
+      particles: particleSettings,
+      colors: colorSettings,
+      presentation,
+    }),
+    [
+      trailStyle,
+      trailColor,
+      trailSize,
+      trailLifetime,
+      fadeCurve,
+      maxPoints,
+      spacing,
+      particleSettings,
+      colorSettings,
+      presentation,
+    ],
+  )
 
-    setRecordingError('')
-    setRecordingUrl(null)
+  const saveCurrentAsPreset = (name) => {
+    const preset = createPreset(name, currentConfig)
+    setPresets((current) => [...current, preset])
+    setActivePresetId(preset.id)
+  }
 
-    try {
-      const stream = await navigator.mediaDevices.getDisplayMedia({
-        video: { frameRate: 60 },
-        audio: false,
-      })
+  const {
+    recording,
+    takes,
+    error: recordingError,
+    start: startRecording,
+    stop: stopRecording,
+    pause: pauseRecording,
+    resume: resumeRecording,
+    toggle: toggleRecording,
+    renameTake,
+    deleteTake,
+  } = useRecordingSession(canvasRef, recordingOptions)
+  const remoteState = useMemo(
+    () => ({
+      enabled: isActive,
+      style: trailStyle,
+      color: trailColor,
+      size: trailSize,
+      lifetime: trailLifetime,
+      fadeCurve,
+      maxPoints,
+      spacing,
+      particles: particleSettings,
+      colors: colorSettings,
+      effects: effectSettings,
+      presentation,
+      annotations: annotationSettings,
+      idle: idleSettings,
+      accessibility: accessibilitySettings,
+      performance: performanceSettings,
+      timeline,
+      activePresetId,
+      presets: presets.map(({ id, name, shortcut }) => ({ id, name, shortcut })),
+      recording: recording.status,
+    }),
+    [
+      isActive,
+      trailStyle,
+      trailColor,
+      trailSize,
+      trailLifetime,
+      fadeCurve,
+      maxPoints,
+      spacing,
+      particleSettings,
+      colorSettings,
+      effectSettings,
+      presentation,
+      annotationSettings,
+      idleSettings,
+      accessibilitySettings,
+      performanceSettings,
+      timeline,
+      activePresetId,
+      presets,
+      recording.status,
+    ],
+  )
 
-      const recorder = new MediaRecorder(stream, { mimeType: 'video/webm;codecs=vp9' })
-      chunksRef.current = []
+  const applyOverlayState = useCallback((state) => {
+    setIsActive(state.enabled)
+    setTrailStyle(state.style)
+    setTrailColor(state.color)
+    setTrailSize(state.size)
+    setTrailLifetime(state.lifetime)
+    setFadeCurve(state.fadeCurve)
+    setMaxPoints(state.maxPoints)
+    setSpacing(state.spacing)
+    setParticleSettings(state.particles)
+    setColorSettings(state.colors)
+    setEffectSettings(state.effects)
+    setPerformanceSettings(state.performance)
+    setPresentation(state.presentation)
+    setAnnotationSettings(state.annotations)
+    setIdleSettings(state.idle)
+    setAccessibilitySettings(state.accessibility)
+    setTimeline(state.timeline)
+    setActivePresetId(state.activePresetId)
+  }, [])
 
-      recorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          chunksRef.current.push(event.data)
-        }
-      }
+  const { overlayState, send: sendToOverlay } = usePanelSync(detached, remoteState, applyOverlayState)
+  const recordingState = detached ? (overlayState?.recording ?? 'idle') : recording.status
+  const recordingLive = recordingState === 'recording' || recordingState === 'paused'
+  // Whether the current or last take got as far as recording, for the live
+  // region. Reset as each take starts, so a cancelled one is not announced.
+  const [takeRecorded, setTakeRecorded] = useState(false)
+  if (recordingLive && !takeRecorded) setTakeRecorded(true)
+  if ((recordingState === 'starting' || recordingState === 'countdown') && takeRecorded) setTakeRecorded(false)
+
+  // A popped-out panel records on the overlay window, which owns the canvas.
+  const trailRecording = useMemo(
+    () =>
+      detached
+        ? {
+            pause: () => sendToOverlay('pauseRecording'),
+            resume: () => sendToOverlay('resumeRecording'),
+            toggle: () => sendToOverlay(recordingState === 'idle' ? 'startRecording' : 'stopRecording'),
+          }
+        : { pause: pauseRecording, resume: resumeRecording, toggle: toggleRecording },
+    [detached, sendToOverlay, recordingState, pauseRecording, resumeRecording, toggleRecording],
+  )
 
-      recorder.onstop = () => {
-        const blob = new Blob(chunksRef.current, { type: 'video/webm' })
-        const url = URL.createObjectURL(blob)
-        setRecordingUrl(url)
-        chunksRef.current = []
-        stream.getTracks().forEach((track) => track.stop())
-        screenStreamRef.current = null
-        setRecordingState('idle')
-      }
+  const handleSceneChange = useCallback(
+    (sceneName) => {
+      const presetId = obsSettings.sceneBindings[sceneName]
+      applyPreset(presets.find((preset) => preset.id === presetId))
+    },
+    [applyPreset, obsSettings.sceneBindings, presets],
+  )
 
-      mediaRecorderRef.current = recorder
-      screenStreamRef.current = stream
-      recorder.start()
-      setRecordingState('recording')
-    } catch (error) {
-      setRecordingError(error?.message || 'Unable to start screen recording.')
-      if (screenStreamRef.current) {
-        screenStreamRef.current.getTracks().forEach((track) => track.stop())
-        screenStreamRef.current = null
-      }
-      setRecordingState('idle')
-    }
-  }, [recordingState])
+  const obs = useObsConnection(obsSettings, { onSceneChange: handleSceneChange })
+  const { connected: obsConnected, toggleRecording: toggleObsRecording } = obs
+  const obsDrivesRecording = obsConnected && obsSettings.recordWith !== 'app'
+
+  // The R shortcut drives OBS, this app's recorder, or both at once.
+  const toggleShortcutRecording = useCallback(() => {
+    if (obsDrivesRecording) toggleObsRecording()
+    if (!obsDrivesRecording || obsSettings.recordWith === 'both') trailRecording.toggle()
+  }, [obsDrivesRecording, obsSettings.recordWith, toggleObsRecording, trailRecording])
+
+  // Reduced motion and high contrast swap in calmer options without
+  // touching the chosen style, colors or preset.
+  const trailOptions = useMemo(
+    () =>
+      accessibleOptions(
+        {
+          ...particleSettings,
+          ...colorSettings,
+          enabled: isActive,
+          style: trailStyle,
+          color: trailColor,
+          size: trailSize,
+          lifetime: trailLifetime,
+          fadeCurve,
+          maxPoints,
+          spacing,
+          effects: effectSettings,
+          presentation,
+          annotations: annotationSettings,
+          idle: idleSettings,
+          flashLimit: accessibilitySettings.flashLimit,
+          ...performanceSettings,
+        },
+        { reducedMotion, highContrast },
+      ),
+    [
+      isActive,
+      trailStyle,
+      trailColor,
+      trailSize,
+      trailLifetime,
+      fadeCurve,
+      maxPoints,
+      spacing,
+      particleSettings,
+      colorSettings,
+      effectSettings,
+      presentation,
+      annotationSettings,
+      idleSettings,
+      accessibilitySettings.flashLimit,
+      performanceSettings,
+      reducedMotion,
+      highContrast,
+    ],
+  )
 
-  const stopRecording = useCallback(() => {
-    if (recordingState !== 'recording' || !mediaRecorderRef.current) return
-    setRecordingState('processing')
-    mediaRecorderRef.current.stop()
-    mediaRecorderRef.current = null
-  }, [recordingState])
+  const trailRef = useCursorTrail(canvasRef, trailOptions)
+  const panelIdle = useIdle({
+    enabled: !detached && idleSettings.enabled && idleSettings.hidePanel,
+    timeout: idleSettings.timeout,
+  })
+
+  // Strokes live on the overlay's canvas, so a popped-out panel edits them
+  // there.
+  const annotationEdits = useMemo(
+    () =>
+      detached
+        ? {
+            undo: () => sendToOverlay('undoAnnotation'),
+            redo: () => sendToOverlay('redoAnnotation'),
+            clear: () => sendToOverlay('clearAnnotations'),
+          }
+        : {
+            undo: () => trailRef.current?.undoAnnotation(),
+            redo: () => trailRef.current?.redoAnnotation(),
+            clear: () => trailRef.current?.clearAnnotations(),
+          },
+    [detached, sendToOverlay, trailRef],
+  )
 
+  // The on/off shortcut brings back the last mode that was used.
   useEffect(() => {
-    const canvas = canvasRef.current
-    if (!canvas) return
-
-    const updateSize = () => {
-      const dpr = window.devicePixelRatio || 1
-      canvas.width = window.innerWidth * dpr
-      canvas.height = window.innerHeight * dpr
-      canvas.style.width = `${window.innerWidth}px`
-      canvas.style.height = `${window.innerHeight}px`
-      const ctx = canvas.getContext('2d')
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
-    }
-
-    updateSize()
-    window.addEventListener('resize', updateSize)
-    return () => window.removeEventListener('resize', updateSize)
-  }, [])
+    if (presentation.mode !== 'off') lastPresentationMode.current = presentation.mode
+  }, [presentation.mode])
 
-  useEffect(() => {
-    const handleMouseMove = (event) => {
-      if (!isActive) return
-      pointsRef.current.push({
-        x: event.clientX,
-        y: event.clientY,
-        life: 1,
-        seed: Math.random() * Math.PI * 2,
-      })
-
-      if (pointsRef.current.length > MAX_POINTS) {
-        pointsRef.current.shift()
-      }
-    }
+  const updateParticleSetting = (key, value) => {
+    setParticleSettings((current) => ({ ...current, [key]: value }))
+    setActivePresetId(null)
+  }
 
-    window.addEventListener('mousemove', handleMouseMove)
-    return () => window.removeEventListener('mousemove', handleMouseMove)
-  }, [isActive])
+  const shortcutRegistry = useMemo(() => buildShortcutRegistry(keymap, presets), [keymap, presets])
+  // The record key can be rebound or unassigned, so the button labels follow it.
+  const recordKeyHint = keymap.record ? ` (${formatCombo(keymap.record)})` : ''
+  const cancelKeyHint = keymap.record ? ` (${formatCombo(keymap.record)} to cancel)` : ''
 
   useEffect(() => {
-    const canvas = canvasRef.current
-    const ctx = canvas?.getContext('2d')
-    if (!canvas || !ctx) return
-
-    const render = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height)
-      const nextPoints = []
-
-      for (const point of pointsRef.current) {
-        const nextLife = point.life - fadeSpeed / 1000
-        if (nextLife <= 0) continue
-        const updatedPoint = { ...point, life: nextLife }
-        nextPoints.push(updatedPoint)
-        drawPoint(ctx, updatedPoint, { style: trailStyle, color: trailColor, size: trailSize })
-      }
-
-      pointsRef.current = nextPoints
-      animationRef.current = requestAnimationFrame(render)
+    if (typeof window === 'undefined' || shortcutsOpen) return
+
+    const colorValues = COLOR_PRESETS.map((color) => color.value)
+    const styleIds = trailStyles.map((style) => style.id)
+    const presentationIds = PRESENTATION_MODES.map((mode) => mode.id)
+    const toolIds = ANNOTATION_TOOLS.map((tool) => tool.id)
+    const cycle = (list, current) => list[(list.indexOf(current) + 1) % list.length]
+    const customize = (update) => () => {
+      update()
+      setActivePresetId(null)
     }
-
-    render()
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current)
-      }
-    }
-  }, [trailStyle, trailColor, trailSize, fadeSpeed])
-
-  useEffect(() => {
-    if (typeof window === 'undefined') return
-
-    const updateObsState = () => {
-      setObsReady(Boolean(window.obsstudio))
+    const actions = {
+      toggle: () => setIsActive((prev) => !prev),
+      record: toggleShortcutRecording,
+      'size-down': customize(() => setTrailSize((current) => clamp(current - 2, MIN_SIZE, MAX_SIZE))),
+      'size-up': customize(() => setTrailSize((current) => clamp(current + 2, MIN_SIZE, MAX_SIZE))),
+      'fade-down': customize(() => setTrailLifetime((current) => clamp(current - 100, MIN_LIFETIME, MAX_LIFETIME))),
+      'fade-up': customize(() => setTrailLifetime((current) => clamp(current + 100, MIN_LIFETIME, MAX_LIFETIME))),
+      'color-next': customize(() => setTrailColor((current) => cycle(colorValues, current))),
+      'style-next': customize(() => setTrailStyle((current) => cycle(styleIds, current))),
+      presentation: customize(() =>
+        setPresentation((current) => ({
+          ...current,
+          mode: current.mode === 'off' ? lastPresentationMode.current : 'off',
+        })),
+      ),
+      'presentation-next': customize(() =>
+        setPresentation((current) => ({ ...current, mode: cycle(presentationIds, current.mode) })),
+      ),
+      annotate: () => setAnnotationSettings((current) => ({ ...current, enabled: !current.enabled })),
+      'annotation-tool': () => setAnnotationSettings((current) => ({ ...current, tool: cycle(toolIds, current.tool) })),
+      'annotation-undo': annotationEdits.undo,
+      'annotation-redo': annotationEdits.redo,
+      'annotation-clear': annotationEdits.clear,
+      panel: () => {
+        if (!detached) setDisplayMode((mode) => (mode === 'overlay' ? 'full' : 'overlay'))
+      },
     }
 
-    updateObsState()
-    const interval = window.setInterval(updateObsState, 2000)
-    return () => window.clearInterval(interval)
-  }, [])
-
-  useEffect(() => {
-    if (typeof window === 'undefined') return
-
     const handler = (event) => {
-      if (event.metaKey || event.ctrlKey || event.altKey) return
-      if (['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return
-
-      const key = event.key.toLowerCase()
-
-      if (key === 't') {
-        event.preventDefault()
-        setIsActive((prev) => !prev)
-        return
-      }
-
-      if (key === 'r') {
-        event.preventDefault()
-        if (recordingState === 'recording') stopRecording()
-        else startRecording()
-        return
-      }
-
-      if (event.key === '[') {
-        event.preventDefault()
-        setTrailSize((current) => Math.max(12, current - 2))
-        setActivePresetId(null)
-        return
-      }
-
-      if (event.key === ']') {
-        event.preventDefault()
-        setTrailSize((current) => Math.min(60, current + 2))
-        setActivePresetId(null)
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.target.isContentEditable) return
+      const entry = matchShortcut(shortcutRegistry, event)
+      if (!entry) return
+      event.preventDefault()
+      if (entry.group === 'presets') {
+        const preset = presets.find((combo) => `${PRESET_ACTION_PREFIX}${combo.id}` === entry.id)
+        if (preset) applyPreset(preset)
         return
       }
-
-      const preset = PRESET_COMBOS.find((combo) => combo.shortcut === event.key)
-      if (preset) {
-        event.preventDefault()
-        applyPreset(preset)
-      }
+      actions[entry.id]?.()
     }
 
     window.addEventListener('keydown', handler)
     return () => window.removeEventListener('keydown', handler)
-  }, [applyPreset, recordingState, startRecording, stopRecording])
-
-  useEffect(() => {
-    if (typeof window === 'undefined') return
-
-    const controls = {
+  }, [
+    annotationEdits,
+    applyPreset,
+    detached,
+    presets,
+    shortcutRegistry,
+    shortcutsOpen,
+    toggleShortcutRecording,
+    trailStyles,
+  ])
+
+  const remoteHandlers = useMemo(() => {
+    // Partial settings from a remote sender are held to the schema; anything
+    // out of range or malformed rejects the whole command.
+    const checkSection = (section, value) => {
+      const { settings, errors } = validatePartialSettings(value, SETTINGS_SCHEMA[section].fields, `${section}.`)
+      if (errors.length) throw new Error(errors.join(' '))
+      return settings
+    }
+    const customize = (update) => (payload) => {
+      update(payload)
+      setActivePresetId(null)
+    }
+    return {
       toggle: () => setIsActive((prev) => !prev),
-      applyPreset: (presetId) => {
-        const preset = PRESET_COMBOS.find((combo) => combo.id === presetId)
-        if (preset) applyPreset(preset)
+      setEnabled: ({ enabled }) => setIsActive(enabled),
+      setStyle: customize(({ style }) => {
+        if (!getTrailStyle(style)) throw new Error(`Unknown trail style "${style}".`)
+        setTrailStyle(style)
+      }),
+      setColor: customize(({ color }) => setTrailColor(color)),
+      setSize: customize(({ size }) => setTrailSize(clamp(Math.round(size), MIN_SIZE, MAX_SIZE))),
+      setLifetime: customize(({ lifetime }) =>
+        setTrailLifetime(clamp(Math.round(lifetime), MIN_LIFETIME, MAX_LIFETIME)),
+      ),
+      setFadeCurve: customize(({ fadeCurve: curve }) => setFadeCurve(curve)),
+      setMaxPoints: customize(({ maxPoints: points }) => setMaxPoints(clamp(Math.round(points), MIN_POINTS, MAX_POINTS))),
+      setSpacing: customize(({ spacing: pixels }) => setSpacing(clamp(Math.round(pixels), MIN_SPACING, MAX_SPACING))),
+      setColors: customize(({ colors }) => {
+        const checked = checkSection('colors', colors)
+        setColorSettings((current) => ({ ...current, ...checked }))
+      }),
+      setParticles: customize(({ particles }) => {
+        const checked = checkSection('particles', particles)
+        setParticleSettings((current) => ({ ...current, ...checked }))
+      }),
+      setEffects: ({ effects }) => setEffectSettings((current) => normalizeEffects(effects, current)),
+      setPresentation: customize(({ presentation: next }) =>
+        setPresentation((current) => normalizePresentation(next, current)),
+      ),
+      setAnnotations: ({ annotations }) =>
+        setAnnotationSettings((current) => normalizeAnnotations(annotations, current)),
+      undoAnnotation: () => trailRef.current?.undoAnnotation(),
+      redoAnnotation: () => trailRef.current?.redoAnnotation(),
+      clearAnnotations: () => trailRef.current?.clearAnnotations(),
+      setAccessibility: ({ accessibility }) =>
+        setAccessibilitySettings((current) => normalizeAccessibility(accessibility, current)),
+      setIdle: ({ idle }) => setIdleSettings((current) => normalizeIdle(idle, current)),
+      setPerformance: ({ performance }) => {
+        const checked = checkSection('performance', performance)
+        setPerformanceSettings((current) => ({ ...current, ...checked }))
+      },
+      setTimeline: ({ timeline: next }) => setTimeline((current) => normalizeTimeline(next, current)),
+      applyPreset: ({ presetId }) => {
+        const preset = presets.find((combo) => combo.id === presetId)
+        if (!preset) throw new Error(`Unknown preset "${presetId}".`)
+        applyPreset(preset)
       },
       startRecording,
       stopRecording,
+      pauseRecording,
+      resumeRecording,
     }
+  }, [applyPreset, presets, trailRef, startRecording, stopRecording, pauseRecording, resumeRecording])
 
-    window.cursorTrailControls = controls
-    return () => {
-      if (window.cursorTrailControls === controls) {
-        delete window.cursorTrailControls
-      }
-    }
-  }, [applyPreset, startRecording, stopRecording])
-
-  useEffect(() => {
-    return () => {
-      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
-        mediaRecorderRef.current.stop()
-      }
-      if (screenStreamRef.current) {
-        screenStreamRef.current.getTracks().forEach((track) => track.stop())
-      }
-    }
-  }, [])
+  useRemoteControl(remoteState, remoteHandlers, { enabled: !detached, allowedOrigins: remoteOrigins })
+  // The overlay owns the recorder, so a popped-out panel leaves playback to it.
+  useTimelinePlayback(timeline, recording.status, remoteHandlers, { enabled: !detached })
 
   return (
-    <div className="relative flex min-h-screen w-full items-center justify-center overflow-hidden bg-gradient-to-br from-slate-900 via-violet-950 to-slate-900">
-      <canvas ref={canvasRef} className="pointer-events-none absolute inset-0 z-10" />
-
-      <div className="absolute top-6 left-6 z-20 w-80 rounded-2xl bg-white/95 p-6 shadow-2xl shadow-purple-500/20">
-        <div className="mb-4 flex items-center justify-between text-xs font-semibold uppercase tracking-wide text-slate-400">
-          <span className="flex items-center gap-2 text-slate-500">
-            <Radio size={14} className={obsReady ? 'text-emerald-500' : 'text-slate-400'} />
-            {obsReady ? 'OBS Browser Source linked' : 'Standalone mode'}
-          </span>
-          <span className="rounded-full bg-slate-200 px-2 py-0.5 text-[10px] text-slate-700">T to toggle</span>
-        </div>
+    <div
+      className={`relative min-h-screen w-full ${
+        detached ? 'bg-white' : 'flex touch-none items-center justify-center overflow-hidden'
+      } ${displayMode === 'full' ? 'bg-gradient-to-br from-slate-900 via-violet-950 to-slate-900' : ''}`}
+    >
+      <div role="status" aria-live="polite" className="sr-only">
+        <p>{trailAnnouncement(isActive)}</p>
+        <p>{recordingAnnouncement(recordingState, { recorded: takeRecorded })}</p>
+      </div>
+      {!detached && (
+        <canvas
+          aria-hidden="true"
+          key={performanceSettings.offscreen ? 'offscreen' : 'main'}
+          ref={canvasRef}
+          className="pointer-events-none absolute inset-0 z-10"
+        />
+      )}
+
+      {displayMode !== 'overlay' && (
+        <FloatingPanel
+          detached={detached}
+          idle={panelIdle}
+          onPopOut={() => {
+            if (openPanelWindow()) setDisplayMode('overlay')
+          }}
+          onHide={() => setDisplayMode('overlay')}
+        >
+          <div className="mb-4 flex items-center justify-between text-xs font-semibold uppercase tracking-wide text-slate-400">
+            <span className="flex items-center gap-2 text-slate-500">
+              <Radio
+                size={14}
+                className={
+                  obsConnected || (detached && overlayState)
+                    ? 'text-emerald-500'
+                    : obs.status === 'connecting'
+                      ? 'text-amber-500'
+                      : 'text-slate-400'
+                }
+              />
+              {detached
+                ? overlayState
+                  ? 'Linked to overlay'
+                  : 'Waiting for the overlay…'
+                : obsConnected
+                  ? 'OBS connected'
+                  : obs.status === 'connecting'
+                    ? 'Connecting to OBS…'
+                    : isBrowserSource
+                      ? 'OBS Browser Source'
+                      : 'Standalone mode'}
+            </span>
+            {keymap.toggle && (
+              <span className="rounded-full bg-slate-200 px-2 py-0.5 text-[10px] text-slate-700">
+                {formatCombo(keymap.toggle)} to toggle
+              </span>
+            )}
+          </div>
 
-        <div className="mb-6 flex items-center justify-between">
-          <div>
-            <p className="text-xs font-semibold uppercase tracking-widest text-slate-400">Borcelle Studio</p>
-            <h2 className="font-display text-2xl font-semibold text-slate-900">Cursor Trail</h2>
+          {settingsErrors.length > 0 && (
+            <div className="mb-4 rounded-xl border border-amber-200 bg-amber-50 p-3 text-[11px] text-amber-800">
+              <div className="mb-1 flex items-center justify-between font-semibold">
+                Some settings were adjusted
+                <button onClick={() => setSettingsErrors([])} className="text-amber-600 underline">
+                  Dismiss
+                </button>
+              </div>
+              <ul className="list-disc space-y-0.5 pl-4">
+                {settingsErrors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {linkConfigured && (
+            <p className="mb-4 text-[11px] text-slate-500">
+              Configured by this page&apos;s link, so changes here are not saved.
+            </p>
+          )}
+
+          <div className="mb-6 flex items-center justify-between">
+            <div>
+              <p className="text-xs font-semibold uppercase tracking-widest text-slate-400">Borcelle Studio</p>
+              <h2 className="font-display text-2xl font-semibold text-slate-900">Cursor Trail</h2>
+            </div>
+            <button
+              onClick={() => setIsActive((prev) => !prev)}
+              aria-pressed={isActive}
+              aria-label="Cursor trail"
+              className={`rounded-xl px-4 py-2 text-sm font-semibold transition-colors ${
+                isActive ? 'bg-purple-600 text-white shadow-md shadow-purple-400/40' : 'bg-slate-200 text-slate-600'
+              }`}
+            >
+              {isActive ? 'ON' : 'OFF'}
+            </button>
           </div>
-          <button
-            onClick={() => setIsActive((prev) => !prev)}
-            className={`rounded-xl px-4 py-2 text-sm font-semibold transition-colors ${
-              isActive ? 'bg-purple-600 text-white shadow-md shadow-purple-400/40' : 'bg-slate-200 text-slate-600'
-            }`}
-          >
-            {isActive ? 'ON' : 'OFF'}
-          </button>
-        </div>
 
-        <section className="mb-6">
-          <label className="mb-2 block text-sm font-semibold text-slate-600">Trail Style</label>
-          <div className="grid grid-cols-3 gap-2">
-            {TRAIL_STYLES.map((style) => {
-              const Icon = style.icon
-              const active = trailStyle === style.id
-              return (
+          <section className="mb-6">
+            <label id="trail-style-label" className="mb-2 block text-sm font-semibold text-slate-600">
+              Trail Style
+            </label>
+            <div role="group" aria-labelledby="trail-style-label" className="grid grid-cols-3 gap-2">
+              {trailStyles.map((style) => {
+                const Icon = style.icon || TRAIL_STYLE_ICONS[style.id] || Shapes
+                const active = trailStyle === style.id
+                return (
+                  <button
+                    key={style.id}
+                    onClick={() => {
+                      setTrailStyle(style.id)
+                      setActivePresetId(null)
+                    }}
+                    aria-pressed={active}
+                    className={`flex flex-col items-center justify-center gap-1 rounded-xl border-2 p-3 text-xs font-semibold transition-all ${
+                      active ? 'border-purple-500 bg-purple-50 text-purple-600 drop-shadow-glow' : 'border-slate-200 bg-white'
+                    }`}
+                  >
+                    <Icon className="h-5 w-5" />
+                    {style.name}
+                  </button>
+                )
+              })}
+            </div>
+          </section>
+
+          <section className="mb-6">
+            <label id="trail-color-label" className="mb-2 block text-sm font-semibold text-slate-600">
+              Color
+            </label>
+            <div role="group" aria-labelledby="trail-color-label" className="grid grid-cols-6 gap-2">
+              {COLOR_PRESETS.map((color) => (
                 <button
-                  key={style.id}
+                  key={color.value}
+                  className={`h-10 w-10 rounded-xl border-2 transition-transform ${
+                    trailColor === color.value ? 'border-slate-900 scale-110' : 'border-transparent'
+                  }`}
+                  style={{ backgroundColor: color.value }}
                   onClick={() => {
-                    setTrailStyle(style.id)
+                    setTrailColor(color.value)
                     setActivePresetId(null)
                   }}
-                  className={`flex flex-col items-center justify-center gap-1 rounded-xl border-2 p-3 text-xs font-semibold transition-all ${
-                    active ? 'border-purple-500 bg-purple-50 text-purple-600 drop-shadow-glow' : 'border-slate-200 bg-white'
+                  title={color.name}
+                  aria-label={color.name}
+                  aria-pressed={trailColor === color.value}
+                />
+              ))}
+            </div>
+            <ColorControls
+              key={trailColor}
+              color={trailColor}
+              settings={colorSettings}
+              onColorChange={(value) => {
+                setTrailColor(value)
+                setActivePresetId(null)
+              }}
+              onSettingsChange={(changes) => {
+                setColorSettings((current) => ({ ...current, ...changes }))
+                setActivePresetId(null)
+              }}
+            />
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-1 block text-sm font-semibold text-slate-600">Preset Combos</label>
+            <PresetLibrary
+              presets={presets}
+              activePresetId={activePresetId}
+              currentConfig={currentConfig}
+              onApply={applyPreset}
+              onChange={setPresets}
+              onSaveCurrent={saveCurrentAsPreset}
+            />
+          </section>
+
+          <section className="mb-6">
+            <label htmlFor="trail-size" className="mb-1 block text-sm font-semibold text-slate-600">
+              Size: {trailSize}px
+            </label>
+            <input
+              id="trail-size"
+              type="range"
+              min={MIN_SIZE}
+              max={MAX_SIZE}
+              value={trailSize}
+              onChange={(event) => {
+                setTrailSize(Number(event.target.value))
+                setActivePresetId(null)
+              }}
+              className="w-full accent-purple-600"
+            />
+          </section>
+
+          <section className="mb-6">
+            <label htmlFor="trail-lifetime" className="mb-1 block text-sm font-semibold text-slate-600">
+              Trail Lifetime: {trailLifetime}ms
+            </label>
+            <input
+              id="trail-lifetime"
+              type="range"
+              min={MIN_LIFETIME}
+              max={MAX_LIFETIME}
+              step="10"
+              value={trailLifetime}
+              onChange={(event) => {
+                setTrailLifetime(Number(event.target.value))
+                setActivePresetId(null)
+              }}
+              className="w-full accent-purple-600"
+            />
+            <div role="group" aria-label="Fade curve" className="mt-2 grid grid-cols-3 gap-2">
+              {Object.keys(FADE_CURVES).map((curve) => (
+                <button
+                  key={curve}
+                  onClick={() => {
+                    setFadeCurve(curve)
+                    setActivePresetId(null)
+                  }}
+                  aria-pressed={fadeCurve === curve}
+                  className={`rounded-xl border-2 px-2 py-1 text-[11px] font-semibold capitalize transition-all ${
+                    fadeCurve === curve
+                      ? 'border-purple-500 bg-purple-50 text-purple-600'
+                      : 'border-slate-200 bg-white text-slate-600'
                   }`}
                 >
-                  <Icon className="h-5 w-5" />
-                  {style.name}
+                  {curve}
                 </button>
-              )
-            })}
-          </div>
-        </section>
-
-        <section className="mb-6">
-          <label className="mb-2 block text-sm font-semibold text-slate-600">Color</label>
-          <div className="grid grid-cols-6 gap-2">
-            {COLOR_PRESETS.map((color) => (
-              <button
-                key={color.value}
-                className={`h-10 w-10 rounded-xl border-2 transition-transform ${
-                  trailColor === color.value ? 'border-slate-900 scale-110' : 'border-transparent'
-                }`}
-                style={{ backgroundColor: color.value }}
-                onClick={() => {
-                  setTrailColor(color.value)
-                  setActivePresetId(null)
-                }}
-                title={color.name}
-              />
-            ))}
-          </div>
-        </section>
-
-        <section className="mb-6">
-          <label className="mb-1 block text-sm font-semibold text-slate-600">Preset Combos</label>
-          <div className="flex flex-col gap-3">
-            {PRESET_COMBOS.map((preset) => (
+              ))}
+            </div>
+          </section>
+
+          <section className="mb-6">
+            <label htmlFor="trail-length" className="mb-1 block text-sm font-semibold text-slate-600">
+              Trail Length: {maxPoints} points
+            </label>
+            <input
+              id="trail-length"
+              type="range"
+              min={MIN_POINTS}
+              max={MAX_POINTS}
+              value={maxPoints}
+              onChange={(event) => {
+                setMaxPoints(Number(event.target.value))
+                setActivePresetId(null)
+              }}
+              className="w-full accent-purple-600"
+            />
+            <label htmlFor="trail-spacing" className="mb-1 mt-2 block text-sm font-semibold text-slate-600">
+              Point Spacing: {spacing ? `${spacing}px` : 'every sample'}
+            </label>
+            <input
+              id="trail-spacing"
+              type="range"
+              min={MIN_SPACING}
+              max={MAX_SPACING}
+              value={spacing}
+              onChange={(event) => {
+                setSpacing(Number(event.target.value))
+                setActivePresetId(null)
+              }}
+              className="w-full accent-purple-600"
+            />
+          </section>
+
+          <section className="mb-6">
+            <label id="trail-motion-label" className="mb-2 block text-sm font-semibold text-slate-600">
+              Motion
+            </label>
+            <div role="group" aria-labelledby="trail-motion-label" className="mb-3 grid grid-cols-2 gap-2">
+              {['trail', 'particles'].map((mode) => (
+                <button
+                  key={mode}
+                  onClick={() => updateParticleSetting('mode', mode)}
+                  aria-pressed={particleSettings.mode === mode}
+                  className={`rounded-xl border-2 px-3 py-2 text-xs font-semibold capitalize transition-all ${
+                    particleSettings.mode === mode
+                      ? 'border-purple-500 bg-purple-50 text-purple-600'
+                      : 'border-slate-200 bg-white text-slate-600'
+                  }`}
+                >
+                  {mode}
+                </button>
+              ))}
+            </div>
+            {particleSettings.mode === 'particles' &&
+              PARTICLE_CONTROLS.map((control) => (
+                <div key={control.key} className="mb-2">
+                  <label htmlFor={`particle-${control.key}`} className="block text-xs font-semibold text-slate-500">
+                    {control.label}: {particleSettings[control.key]}
+                  </label>
+                  <input
+                    id={`particle-${control.key}`}
+                    type="range"
+                    min={control.min}
+                    max={control.max}
+                    step={control.step}
+                    value={particleSettings[control.key]}
+                    onChange={(event) => updateParticleSetting(control.key, Number(event.target.value))}
+                    className="w-full accent-purple-600"
+                  />
+                </div>
+              ))}
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Presentation</label>
+            <PresentationSettings
+              presentation={presentation}
+              onChange={(next) => {
+                setPresentation(next)
+                setActivePresetId(null)
+              }}
+              trailRef={trailRef}
+              canCaptureLens={!detached && !performanceSettings.offscreen}
+              toggleHint={
+                keymap.presentation ? `Press ${formatCombo(keymap.presentation)} to switch it on and off.` : ''
+              }
+            />
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Annotations</label>
+            <AnnotationSettings
+              annotations={annotationSettings}
+              onChange={setAnnotationSettings}
+              edits={annotationEdits}
+              hint={
+                keymap.annotate ? `Press ${formatCombo(keymap.annotate)} to pick up and put down the pen.` : ''
+              }
+            />
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">When Idle</label>
+            <IdleSettings settings={idleSettings} onChange={setIdleSettings} />
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Accessibility</label>
+            <AccessibilitySettings
+              settings={accessibilitySettings}
+              onChange={setAccessibilitySettings}
+              reducedMotion={reducedMotion}
+              highContrast={highContrast}
+            />
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Click & Key Effects</label>
+            <EffectSettings effects={effectSettings} onChange={setEffectSettings} />
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Performance</label>
+            <PerformanceSettings
+              settings={performanceSettings}
+              onChange={setPerformanceSettings}
+              trailRef={detached ? null : trailRef}
+            />
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Recording & OBS</label>
+            <div className="space-y-3">
               <button
-                key={preset.id}
-                onClick={() => applyPreset(preset)}
-                className={`flex items-start justify-between rounded-xl border-2 p-3 text-left transition-all ${
-                  activePresetId === preset.id ? 'border-purple-500 bg-purple-50 drop-shadow-glow' : 'border-slate-200 bg-white'
+                onClick={trailRecording.toggle}
+                disabled={recordingState === 'processing'}
+                className={`flex w-full items-center justify-center gap-2 rounded-xl px-4 py-2 text-sm font-semibold transition-colors ${
+                  recordingState === 'idle' ? 'bg-slate-900 text-white' : 'bg-rose-600 text-white shadow-md shadow-rose-400/40'
                 }`}
               >
-                <div>
-                  <p className="text-sm font-semibold text-slate-800">{preset.name}</p>
-                  <p className="text-xs text-slate-500">{preset.description}</p>
-                </div>
-                <span className="text-xs font-semibold text-slate-500">{preset.shortcut}</span>
+                <MonitorUp size={16} />
+                {recordingLive
+                  ? `Stop Recording${recordKeyHint}`
+                  : recordingState === 'starting'
+                    ? `Choosing source…${cancelKeyHint}`
+                    : recordingState === 'countdown'
+                      ? `Starting in ${detached ? '…' : `${recording.countdown}…`}${cancelKeyHint}`
+                      : recordingOptions.source === 'canvas'
+                        ? `Record Trail Layer${recordKeyHint}`
+                        : `Record Screen${recordKeyHint}`}
               </button>
-            ))}
-          </div>
-        </section>
-
-        <section className="mb-6">
-          <label className="mb-1 block text-sm font-semibold text-slate-600">Size: {trailSize}px</label>
-          <input
-            type="range"
-            min="12"
-            max="60"
-            value={trailSize}
-            onChange={(event) => {
-              setTrailSize(Number(event.target.value))
-              setActivePresetId(null)
-            }}
-            className="w-full accent-purple-600"
-          />
-        </section>
-
-        <section className="mb-6">
-          <label className="mb-1 block text-sm font-semibold text-slate-600">Fade Speed: {fadeSpeed}</label>
-          <input
-            type="range"
-            min="20"
-            max="120"
-            value={fadeSpeed}
-            onChange={(event) => {
-              setFadeSpeed(Number(event.target.value))
-              setActivePresetId(null)
-            }}
-            className="w-full accent-purple-600"
-          />
-        </section>
-
-        <section className="mb-6">
-          <label className="mb-2 block text-sm font-semibold text-slate-600">Recording & OBS</label>
-          <div className="space-y-3">
+              {recordingLive && (
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-mono text-xs font-semibold text-slate-600">
+                    {recordingState === 'paused' ? '❚❚' : '●'}{' '}
+                    {detached
+                      ? 'Recording on the overlay'
+                      : `${formatDuration(recording.elapsed)} · ${formatBytes(recording.size)}`}
+                  </span>
+                  <button
+                    onClick={recordingState === 'paused' ? trailRecording.resume : trailRecording.pause}
+                    className="flex items-center gap-1 rounded-lg border border-slate-200 px-2 py-1 text-xs font-semibold text-slate-600"
+                  >
+                    {recordingState === 'paused' ? <Play size={12} /> : <Pause size={12} />}
+                    {recordingState === 'paused' ? 'Resume' : 'Pause'}
+                  </button>
+                </div>
+              )}
+              {recordingState === 'processing' && (
+                <p className="text-xs font-semibold text-slate-500">Finalizing video…</p>
+              )}
+              <TakeList takes={takes} onRename={renameTake} onDelete={deleteTake} />
+              {recordingError && <p className="text-xs text-rose-600">{recordingError}</p>}
+              <RecordingSettings
+                options={recordingOptions}
+                disabled={recordingState !== 'idle'}
+                onChange={(changes) => setRecordingOptions((current) => ({ ...current, ...changes }))}
+              />
+              <ObsSettings
+                settings={obsSettings}
+                obs={obs}
+                presets={presets}
+                onChange={(changes) => setObsSettings((current) => ({ ...current, ...changes }))}
+              />
+              <p className="text-[11px] text-slate-500">
+                Screen mode uses the browser Screen Capture API; trail layer mode records only the trail canvas for
+                compositing in an editor. Add this page as a Browser Source in OBS and enable obs-websocket to drive OBS
+                recording with R and switch presets when the scene changes.
+              </p>
+            </div>
+          </section>
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Timeline</label>
+            <TimelineEditor
+              timeline={timeline}
+              onChange={setTimeline}
+              presets={presets}
+              styles={trailStyles}
+              playing={timeline.enabled && recordingLive}
+            />
+          </section>
+
+          {!detached && (
+            <section className="mb-6">
+              <label className="mb-2 block text-sm font-semibold text-slate-600">Cursor Paths</label>
+              <PathCapture trailRef={trailRef} currentOptions={trailOptions} paths={paths} onPathsChange={setPaths} />
+            </section>
+          )}
+
+          <section className="mb-6">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Remote Control</label>
+            <p className="mb-2 text-[11px] text-slate-500">
+              Other windows on this site can drive the trail over the <code>cursor-trail</code> BroadcastChannel. Pages
+              on other origins need to be allowed before their <code>postMessage</code> commands are accepted.
+            </p>
+            <textarea
+              key={remoteOrigins.join('\n')}
+              defaultValue={remoteOrigins.join('\n')}
+              onBlur={(event) =>
+                setRemoteOrigins(
+                  event.target.value
+                    .split(/\s+/)
+                    .map((origin) => origin.replace(/\/+$/, ''))
+                    .filter(Boolean),
+                )
+              }
+              rows={2}
+              aria-label="Allowed remote origins"
+              placeholder="https://dock.example.com (one origin per line)"
+              className="w-full rounded-lg border border-slate-200 bg-white px-2 py-1 font-mono text-[11px] text-slate-800"
+            />
+          </section>
+
+          <section className="mb-4">
+            <label className="mb-2 block text-sm font-semibold text-slate-600">Keyboard Shortcuts</label>
+            <ul className="text-xs text-slate-500">
+              {shortcutRegistry
+                .filter((entry) => entry.combo && !(detached && entry.id === 'panel'))
+                .map((entry) => (
+                  <li key={entry.id} className="flex justify-between">
+                    <span>{formatCombo(entry.combo)}</span>
+                    <span>
+                      {entry.id === 'record' && obsDrivesRecording ? 'Start/stop OBS recording' : entry.label}
+                    </span>
+                  </li>
+                ))}
+            </ul>
             <button
-              onClick={() => (recordingState === 'recording' ? stopRecording() : startRecording())}
-              className={`flex w-full items-center justify-center gap-2 rounded-xl px-4 py-2 text-sm font-semibold transition-colors ${
-                recordingState === 'recording'
-                  ? 'bg-rose-600 text-white shadow-md shadow-rose-400/40'
-                  : 'bg-slate-900 text-white'
-              }`}
+              onClick={() => setShortcutsOpen(true)}
+              className="mt-2 flex items-center gap-1 text-[11px] font-semibold text-purple-600 underline"
             >
-              <MonitorUp size={16} />
-              {recordingState === 'recording' ? 'Stop Recording (R)' : 'Record Screen (R)'}
+              <Keyboard size={12} /> Customize shortcuts
             </button>
-            {recordingState === 'processing' && (
-              <p className="text-xs font-semibold text-slate-500">Finalizing video…</p>
-            )}
-            {recordingUrl && (
-              <a
-                href={recordingUrl}
-                download={`cursor-trail-${Date.now()}.webm`}
-                className="block text-center text-xs font-semibold text-purple-600 underline"
-              >
-                Download last recording
-              </a>
-            )}
-            {recordingError && <p className="text-xs text-rose-600">{recordingError}</p>}
-            <p className="text-[11px] text-slate-500">
-              Recording uses the browser Screen Capture API. Add this page as a Browser Source in OBS to sync the
-              controls live.
-            </p>
-          </div>
-        </section>
-
-        <section className="mb-4">
-          <label className="mb-2 block text-sm font-semibold text-slate-600">Keyboard Shortcuts</label>
-          <ul className="text-xs text-slate-500">
-            <li className="flex justify-between"><span>T</span><span>Toggle trail</span></li>
-            <li className="flex justify-between"><span>R</span><span>Start/stop recording</span></li>
-            <li className="flex justify-between"><span>[ / ]</span><span>Adjust size</span></li>
-            <li className="flex justify-between"><span>1-3</span><span>Apply preset combos</span></li>
-          </ul>
-        </section>
-
-        <p className="text-center text-xs font-medium text-slate-500">Move your cursor to paint the trail ✨</p>
-      </div>
+          </section>
+
+          <p className="text-center text-xs font-medium text-slate-500">Move your cursor to paint the trail ✨</p>
+        </FloatingPanel>
+      )}
+
+      {shortcutsOpen && (
+        <ShortcutSettings
+          registry={shortcutRegistry}
+          onBindAction={(id, combo) => setKeymap((current) => ({ ...current, [id]: combo }))}
+          onBindPreset={(id, combo) => setPresets((current) => assignShortcut(current, id, combo))}
+          onReset={() => setKeymap(DEFAULT_KEYMAP)}
+          onClose={() => setShortcutsOpen(false)}
+        />
+      )}
+
+      {!detached && recordingState === 'countdown' && (
+        <div className="pointer-events-none absolute inset-0 z-30 flex items-center justify-center">
+          <span className="font-display text-[12rem] font-semibold text-white/80 drop-shadow-glow">
+            {recording.countdown}
+          </span>
+        </div>
+      )}
 
-      <div className="pointer-events-none absolute inset-0 z-0 flex flex-col items-center justify-center text-center text-white/30">
-        <h1 className="font-display text-6xl font-semibold tracking-tight">Borcelle Studio</h1>
-        <p className="mt-2 text-xl">Move your cursor to demo the trail</p>
-        <p className="mt-1 text-sm uppercase tracking-[0.5em]">Shortcuts active</p>
-      </div>
+      {displayMode === 'full' && (
+        <div className="pointer-events-none absolute inset-0 z-0 flex flex-col items-center justify-center text-center text-white/30">
+          <h1 className="font-display text-6xl font-semibold tracking-tight">Borcelle Studio</h1>
+          <p className="mt-2 text-xl">Move your cursor to demo the trail</p>
+          <p className="mt-1 text-sm uppercase tracking-[0.5em]">Shortcuts active</p>
+        </div>
+      )}
     </div>
   )
 }
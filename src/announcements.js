@@ -0,0 +1,19 @@
+// What the panel's live region says when the trail or the recorder
+// changes state. Screen readers announce each message as it replaces the
+// last one.
+
+export const trailAnnouncement = (enabled) => (enabled ? 'Cursor trail on' : 'Cursor trail off')
+
+const RECORDING_ANNOUNCEMENTS = {
+  starting: 'Choose what to record',
+  countdown: 'Recording starts in a moment',
+  recording: 'Recording',
+  paused: 'Recording paused',
+  processing: 'Finishing the recording',
+}
+
+// `recorded` says whether the last take got as far as recording, so the
+// panel stays quiet when it first loads or a take is cancelled before it
+// starts.
+export const recordingAnnouncement = (status, { recorded = false } = {}) =>
+  status === 'idle' ? (recorded ? 'Recording stopped' : '') : (RECORDING_ANNOUNCEMENTS[status] ?? '')
@@ -0,0 +1,80 @@
+import { ACCESSIBILITY_PREFERENCES } from '../trail/accessibility.js'
+
+const PREFERENCES = [
+  {
+    key: 'reducedMotion',
+    label: 'Reduced motion',
+    hint: 'Swaps sparkles, stars and particles for a plain trail and stops pulses and bursts.',
+  },
+  {
+    key: 'highContrast',
+    label: 'High contrast',
+    hint: 'Draws a wide yellow ribbon and darkens the panel text.',
+  },
+]
+
+const PREFERENCE_LABELS = { system: 'System', on: 'On', off: 'Off' }
+
+/**
+ * Reduced motion and high contrast, each following the system setting or
+ * forced on or off, plus the flash limit. `reducedMotion` and
+ * `highContrast` say whether each is in effect right now.
+ */
+function AccessibilitySettings({ settings, onChange, reducedMotion, highContrast }) {
+  const active = { reducedMotion, highContrast }
+
+  return (
+    <div className="space-y-3">
+      {PREFERENCES.map(({ key, label, hint }) => (
+        <div
+          key={key}
+          role="group"
+          aria-labelledby={`accessibility-${key}`}
+          aria-describedby={`accessibility-${key}-hint`}
+        >
+          <div className="mb-1 flex items-center justify-between text-xs">
+            <span id={`accessibility-${key}`} className="font-semibold text-slate-700">
+              {label}
+            </span>
+            <span className="text-[11px] text-slate-500">{active[key] ? 'In effect' : 'Not in effect'}</span>
+          </div>
+          <div className="grid grid-cols-3 gap-1">
+            {ACCESSIBILITY_PREFERENCES.map((preference) => (
+              <button
+                key={preference}
+                aria-pressed={settings[key] === preference}
+                onClick={() => onChange({ ...settings, [key]: preference })}
+                className={`rounded-xl border-2 px-1 py-1 text-[11px] font-semibold transition-all ${
+                  settings[key] === preference
+                    ? 'border-purple-500 bg-purple-50 text-purple-600'
+                    : 'border-slate-200 bg-white text-slate-600'
+                }`}
+              >
+                {PREFERENCE_LABELS[preference]}
+              </button>
+            ))}
+          </div>
+          <p id={`accessibility-${key}-hint`} className="mt-1 text-[11px] text-slate-400">
+            {hint}
+          </p>
+        </div>
+      ))}
+      <label className="flex items-start gap-2 text-xs text-slate-600">
+        <input
+          type="checkbox"
+          className="mt-0.5"
+          checked={settings.flashLimit}
+          onChange={(event) => onChange({ ...settings, flashLimit: event.target.checked })}
+        />
+        <span>
+          <span className="font-semibold text-slate-700">Limit flashing</span>
+          <span className="block text-[11px] text-slate-400">
+            Shows at most three click or shake bursts a second, the photosensitivity limit.
+          </span>
+        </span>
+      </label>
+    </div>
+  )
+}
+
+export default AccessibilitySettings
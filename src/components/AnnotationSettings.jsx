@@ -0,0 +1,97 @@
+import { ANNOTATION_TOOLS, ANNOTATION_TRIGGERS } from '../trail/annotations.js'
+
+/**
+ * Switches the annotation pen on and off and picks its tool, trigger, width
+ * and auto-fade. `edits` undoes, redoes and clears strokes on the overlay.
+ */
+function AnnotationSettings({ annotations, onChange, edits, hint }) {
+  const update = (changes) => onChange({ ...annotations, ...changes })
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+        <input
+          type="checkbox"
+          checked={annotations.enabled}
+          onChange={(event) => update({ enabled: event.target.checked })}
+          className="accent-purple-600"
+        />
+        Draw on screen
+      </label>
+      <div className="grid grid-cols-3 gap-1">
+        {ANNOTATION_TOOLS.map((tool) => (
+          <button
+            key={tool.id}
+            onClick={() => update({ tool: tool.id })}
+            aria-pressed={annotations.tool === tool.id}
+            className={`rounded-xl border-2 px-1 py-1 text-[11px] font-semibold transition-all ${
+              annotations.tool === tool.id
+                ? 'border-purple-500 bg-purple-50 text-purple-600'
+                : 'border-slate-200 bg-white text-slate-600'
+            }`}
+          >
+            {tool.label}
+          </button>
+        ))}
+      </div>
+      <div className="space-y-1 rounded-xl border border-slate-200 bg-white p-2 text-[11px] text-slate-500">
+        <label className="flex items-center gap-2">
+          <span className="w-14">Draw with</span>
+          <select
+            value={annotations.trigger}
+            onChange={(event) => update({ trigger: event.target.value })}
+            className="flex-1 rounded border border-slate-200 bg-white px-1 py-0.5 text-slate-700"
+          >
+            {ANNOTATION_TRIGGERS.map((trigger) => (
+              <option key={trigger.id} value={trigger.id}>
+                {trigger.key ? `${trigger.label} + move` : trigger.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="w-14">Width</span>
+          <input
+            type="range"
+            min="1"
+            max="24"
+            value={annotations.width}
+            onChange={(event) => update({ width: Number(event.target.value) })}
+            className="flex-1 accent-purple-600"
+          />
+          <span className="w-10 text-right">{annotations.width}px</span>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="w-14">Fade after</span>
+          <input
+            type="range"
+            min="0"
+            max="60"
+            value={annotations.fadeAfter}
+            onChange={(event) => update({ fadeAfter: Number(event.target.value) })}
+            className="flex-1 accent-purple-600"
+          />
+          <span className="w-10 text-right">{annotations.fadeAfter ? `${annotations.fadeAfter}s` : 'never'}</span>
+        </label>
+      </div>
+      <div className="grid grid-cols-3 gap-1">
+        {[
+          ['Undo', edits.undo],
+          ['Redo', edits.redo],
+          ['Clear', edits.clear],
+        ].map(([label, action]) => (
+          <button
+            key={label}
+            onClick={action}
+            className="rounded-lg border border-slate-200 px-2 py-1 text-[11px] font-semibold text-slate-600"
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {hint && <p className="text-[11px] text-slate-400">{hint}</p>}
+    </div>
+  )
+}
+
+export default AnnotationSettings
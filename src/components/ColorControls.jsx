@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { Plus, X } from 'lucide-react'
+import { isValidColor } from '../trail/color.js'
+import { COLOR_MODES } from '../trail/palette.js'
+
+const HEX6_PATTERN = /^#[0-9a-f]{6}$/i
+
+function ColorControls({ color, settings, onColorChange, onSettingsChange }) {
+  const [draft, setDraft] = useState(color)
+  const [draftError, setDraftError] = useState('')
+  const usesPalette = settings.colorMode === 'gradient' || settings.colorMode === 'random'
+
+  const commitDraft = () => {
+    const value = draft.trim()
+    if (value === color) return
+    if (!isValidColor(value)) {
+      setDraftError('Enter a CSS color such as #8B5CF6CC, rgb(0 196 204), or hsl(270 90% 60%).')
+      return
+    }
+    setDraftError('')
+    onColorChange(value)
+  }
+
+  return (
+    <div className="mt-3 space-y-3">
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          value={HEX6_PATTERN.test(color) ? color : '#000000'}
+          onChange={(event) => onColorChange(event.target.value.toUpperCase())}
+          className="h-8 w-10 cursor-pointer rounded-lg border border-slate-200 bg-white"
+          title="Custom color"
+          aria-label="Custom color"
+        />
+        <input
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          onBlur={commitDraft}
+          onKeyDown={(event) => {
+            if (event.key === 'Enter') commitDraft()
+          }}
+          className="min-w-0 flex-1 rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs text-slate-800"
+          aria-label="CSS color"
+        />
+      </div>
+      {draftError && <p className="text-xs text-rose-600">{draftError}</p>}
+
+      <div className="grid grid-cols-4 gap-2">
+        {COLOR_MODES.map((mode) => (
+          <button
+            key={mode}
+            onClick={() => onSettingsChange({ colorMode: mode })}
+            aria-pressed={settings.colorMode === mode}
+            className={`rounded-xl border-2 px-2 py-1 text-[11px] font-semibold capitalize transition-all ${
+              settings.colorMode === mode
+                ? 'border-purple-500 bg-purple-50 text-purple-600'
+                : 'border-slate-200 bg-white text-slate-600'
+            }`}
+          >
+            {mode}
+          </button>
+        ))}
+      </div>
+
+      {usesPalette && (
+        <div className="flex flex-wrap items-center gap-2">
+          {settings.palette.map((entry, index) => (
+            <span key={`${entry}-${index}`} className="relative">
+              <span className="block h-8 w-8 rounded-lg border border-slate-200" style={{ background: entry }} title={entry} />
+              {settings.palette.length > 1 && (
+                <button
+                  onClick={() => onSettingsChange({ palette: settings.palette.filter((_, at) => at !== index) })}
+                  className="absolute -right-1 -top-1 rounded-full bg-slate-900 p-0.5 text-white"
+                  title={`Remove ${entry}`}
+                  aria-label={`Remove ${entry} from the palette`}
+                >
+                  <X size={8} />
+                </button>
+              )}
+            </span>
+          ))}
+          <button
+            onClick={() => onSettingsChange({ palette: [...settings.palette, color] })}
+            className="flex h-8 items-center gap-1 rounded-lg border border-dashed border-slate-300 px-2 text-[11px] font-semibold text-slate-500"
+            title="Add the current color to the palette"
+          >
+            <Plus size={12} /> Add
+          </button>
+        </div>
+      )}
+
+      {settings.colorMode === 'rainbow' && (
+        <div>
+          <label className="block text-xs font-semibold text-slate-500">
+            Hue speed: {settings.rainbowSpeed}°/s
+          </label>
+          <input
+            type="range"
+            min="10"
+            max="360"
+            step="10"
+            value={settings.rainbowSpeed}
+            onChange={(event) => onSettingsChange({ rainbowSpeed: Number(event.target.value) })}
+            className="w-full accent-purple-600"
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ColorControls
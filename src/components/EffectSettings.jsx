@@ -0,0 +1,76 @@
+import { EFFECT_KINDS, EFFECT_SIZE_RANGES, EFFECT_STYLES } from '../trail/effects.js'
+
+const HEX6_PATTERN = /^#[0-9a-f]{6}$/i
+
+const sizeLabel = (kind, size) => (kind === 'drag' ? `${size.toFixed(1)}× width` : `${size}px`)
+
+/**
+ * Per-effect controls for clicks, drags, scrolling and the keystroke
+ * overlay: on/off, style where the effect has one, color and size.
+ */
+function EffectSettings({ effects, onChange }) {
+  const update = (kind, changes) => onChange({ ...effects, [kind]: { ...effects[kind], ...changes } })
+
+  return (
+    <div className="space-y-2">
+      {EFFECT_KINDS.map(({ id, label, styled }) => {
+        const settings = effects[id]
+        const [min, max] = EFFECT_SIZE_RANGES[id]
+        return (
+          <div key={id} className="rounded-xl border border-slate-200 bg-white p-2">
+            <div className="flex items-center gap-2">
+              <label className="flex flex-1 items-center gap-2 text-xs font-semibold text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={settings.enabled}
+                  onChange={(event) => update(id, { enabled: event.target.checked })}
+                />
+                {label}
+              </label>
+              {styled && (
+                <select
+                  value={settings.style}
+                  onChange={(event) => update(id, { style: event.target.value })}
+                  disabled={!settings.enabled}
+                  className="rounded-lg border border-slate-200 bg-white px-1 py-0.5 text-[11px] text-slate-700"
+                  aria-label={`${label} style`}
+                >
+                  {EFFECT_STYLES.map((style) => (
+                    <option key={style.id} value={style.id}>
+                      {style.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <input
+                type="color"
+                value={HEX6_PATTERN.test(settings.color) ? settings.color : '#000000'}
+                onChange={(event) => update(id, { color: event.target.value.toUpperCase() })}
+                disabled={!settings.enabled}
+                className="h-6 w-8 cursor-pointer rounded border border-slate-200 bg-white"
+                aria-label={`${label} color`}
+              />
+            </div>
+            {settings.enabled && (
+              <label className="mt-1 flex items-center gap-2 text-[11px] text-slate-500">
+                <input
+                  type="range"
+                  min={min}
+                  max={max}
+                  step={id === 'drag' ? 0.1 : 1}
+                  value={settings.size}
+                  onChange={(event) => update(id, { size: Number(event.target.value) })}
+                  className="flex-1 accent-purple-600"
+                  aria-label={`${label} size`}
+                />
+                <span className="w-16 text-right">{sizeLabel(id, settings.size)}</span>
+              </label>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default EffectSettings
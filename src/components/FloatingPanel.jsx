@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from 'react'
+import { ChevronDown, ChevronUp, EyeOff, ExternalLink, GripHorizontal } from 'lucide-react'
+import { clampPanelPosition, loadPanelLayout, PANEL_DEFAULTS, savePanelLayout } from '../displayMode.js'
+
+const toolButton = 'rounded-lg p-1 text-slate-400 transition-colors hover:bg-slate-100 hover:text-slate-700'
+
+const viewport = () => ({ width: window.innerWidth, height: window.innerHeight })
+
+const KEY_STEP = 16
+const ARROWS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }
+
+/**
+ * The control panel card. In the full layout it floats over the stage and
+ * can be dragged by its grip, collapsed, popped out or hidden; its position
+ * and collapsed state are remembered. In panel-only mode it fills the window.
+ * While `idle`, the floating card fades out of the way. The grip also moves
+ * the card with the arrow keys, further with Shift held.
+ */
+function FloatingPanel({ detached, idle, onPopOut, onHide, children }) {
+  const panelRef = useRef(null)
+  const dragRef = useRef(null)
+  const [layout, setLayout] = useState(() =>
+    typeof window === 'undefined' ? PANEL_DEFAULTS : loadPanelLayout(window.localStorage),
+  )
+
+  useEffect(() => {
+    if (typeof window !== 'undefined') savePanelLayout(window.localStorage, layout)
+  }, [layout])
+
+  useEffect(() => {
+    if (detached || typeof window === 'undefined') return
+    const keepOnScreen = () => {
+      const panel = panelRef.current
+      if (!panel) return
+      setLayout((current) => {
+        const next = clampPanelPosition(current, panel.getBoundingClientRect(), viewport())
+        return next.x === current.x && next.y === current.y ? current : { ...current, ...next }
+      })
+    }
+    keepOnScreen()
+    window.addEventListener('resize', keepOnScreen)
+    return () => window.removeEventListener('resize', keepOnScreen)
+  }, [detached])
+
+  const startDrag = (event) => {
+    if (detached || event.button !== 0) return
+    event.preventDefault()
+    event.currentTarget.setPointerCapture(event.pointerId)
+    dragRef.current = { pointerId: event.pointerId, dx: event.clientX - layout.x, dy: event.clientY - layout.y }
+  }
+
+  const drag = (event) => {
+    const active = dragRef.current
+    if (!active || active.pointerId !== event.pointerId) return
+    const position = { x: event.clientX - active.dx, y: event.clientY - active.dy }
+    const next = clampPanelPosition(position, panelRef.current.getBoundingClientRect(), viewport())
+    setLayout((current) => ({ ...current, ...next }))
+  }
+
+  const endDrag = (event) => {
+    if (dragRef.current?.pointerId === event.pointerId) dragRef.current = null
+  }
+
+  const moveWithKeys = (event) => {
+    const arrow = ARROWS[event.key]
+    if (!arrow) return
+    event.preventDefault()
+    event.stopPropagation()
+    const step = event.shiftKey ? KEY_STEP * 4 : KEY_STEP
+    const position = { x: layout.x + arrow[0] * step, y: layout.y + arrow[1] * step }
+    const next = clampPanelPosition(position, panelRef.current.getBoundingClientRect(), viewport())
+    setLayout((current) => ({ ...current, ...next }))
+  }
+
+  const toggleCollapsed = () => setLayout((current) => ({ ...current, collapsed: !current.collapsed }))
+
+  return (
+    <div
+      ref={panelRef}
+      data-trail-ignore
+      role="region"
+      aria-label="Cursor trail controls"
+      style={detached ? undefined : { left: layout.x, top: layout.y }}
+      className={
+        detached
+          ? 'relative z-20 min-h-screen w-full bg-white p-6'
+          : `absolute z-20 max-h-[calc(100vh-1rem)] w-80 overflow-y-auto rounded-2xl bg-white/95 p-6 shadow-2xl shadow-purple-500/20 transition-opacity duration-500 ${
+              idle ? 'pointer-events-none opacity-0' : ''
+            }`
+      }
+    >
+      <div className="-mt-3 mb-3 flex items-center gap-1">
+        {detached ? (
+          <span className="flex-1 text-xs font-semibold uppercase tracking-wide text-slate-400">Control panel</span>
+        ) : (
+          <button
+            onPointerDown={startDrag}
+            onPointerMove={drag}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+            onKeyDown={moveWithKeys}
+            aria-label="Move panel, or use the arrow keys"
+            className="flex flex-1 cursor-grab items-center gap-2 rounded-lg py-1 text-xs font-semibold uppercase tracking-wide text-slate-400 active:cursor-grabbing"
+            title="Drag to move"
+          >
+            <GripHorizontal size={14} />
+            {layout.collapsed && 'Cursor Trail'}
+          </button>
+        )}
+        {!detached && (
+          <>
+            <button
+              onClick={onPopOut}
+              className={toolButton}
+              title="Pop out into its own window"
+              aria-label="Pop out into its own window"
+            >
+              <ExternalLink size={14} />
+            </button>
+            <button onClick={onHide} className={toolButton} title="Hide panel (overlay only)" aria-label="Hide panel">
+              <EyeOff size={14} />
+            </button>
+          </>
+        )}
+        <button
+          onClick={toggleCollapsed}
+          className={toolButton}
+          title={layout.collapsed ? 'Expand' : 'Collapse'}
+          aria-label={layout.collapsed ? 'Expand panel' : 'Collapse panel'}
+          aria-expanded={!layout.collapsed}
+        >
+          {layout.collapsed ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+        </button>
+      </div>
+      {!layout.collapsed && children}
+    </div>
+  )
+}
+
+export default FloatingPanel
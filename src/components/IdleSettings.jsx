@@ -0,0 +1,69 @@
+import { IDLE_TIMEOUT_RANGE } from '../trail/idle.js'
+
+const OPTIONS = [
+  { key: 'fadeTrail', label: 'Fade the trail', hint: 'Also fades a spotlight, magnifier or laser.' },
+  { key: 'hidePanel', label: 'Hide this panel', hint: 'It comes back as soon as the pointer moves.' },
+  { key: 'pulse', label: 'Pulse a halo', hint: 'Marks where the pointer is resting.' },
+]
+
+/**
+ * Idle detection and what happens once the presenter stops moving, plus
+ * the shake-to-find gesture, which works with idle detection off too.
+ */
+function IdleSettings({ settings, onChange }) {
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(event) => update({ enabled: event.target.checked })}
+          className="accent-purple-600"
+        />
+        After {settings.timeout}s without input
+      </label>
+      <input
+        type="range"
+        min={IDLE_TIMEOUT_RANGE[0]}
+        max={IDLE_TIMEOUT_RANGE[1]}
+        value={settings.timeout}
+        disabled={!settings.enabled}
+        onChange={(event) => update({ timeout: Number(event.target.value) })}
+        className="w-full accent-purple-600"
+      />
+      {OPTIONS.map(({ key, label, hint }) => (
+        <label key={key} className="flex items-start gap-2 text-xs text-slate-600">
+          <input
+            type="checkbox"
+            className="mt-0.5"
+            checked={settings[key]}
+            disabled={!settings.enabled}
+            onChange={(event) => update({ [key]: event.target.checked })}
+          />
+          <span>
+            <span className="font-semibold text-slate-700">{label}</span>
+            <span className="block text-[11px] text-slate-400">{hint}</span>
+          </span>
+        </label>
+      ))}
+      <label className="flex items-start gap-2 text-xs text-slate-600">
+        <input
+          type="checkbox"
+          className="mt-0.5"
+          checked={settings.shake}
+          onChange={(event) => update({ shake: event.target.checked })}
+        />
+        <span>
+          <span className="font-semibold text-slate-700">Shake to find the cursor</span>
+          <span className="block text-[11px] text-slate-400">
+            Shaking the pointer from side to side sets off a large burst around it.
+          </span>
+        </span>
+      </label>
+    </div>
+  )
+}
+
+export default IdleSettings
@@ -0,0 +1,129 @@
+import { RefreshCw } from 'lucide-react'
+import { OBS_RECORD_TARGETS } from '../obs.js'
+
+const STATUS_LABELS = {
+  disconnected: 'Not connected',
+  connecting: 'Connecting…',
+  connected: 'Connected',
+  error: 'Connection failed',
+}
+
+const inputClass = 'mt-1 w-full rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-800'
+
+function ObsSettings({ settings, obs, presets, onChange }) {
+  const updateBinding = (sceneName, presetId) => {
+    const sceneBindings = { ...settings.sceneBindings }
+    if (presetId) sceneBindings[sceneName] = presetId
+    else delete sceneBindings[sceneName]
+    onChange({ sceneBindings })
+  }
+
+  return (
+    <div className="space-y-2 rounded-xl bg-slate-50 p-3">
+      <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(event) => onChange({ enabled: event.target.checked })}
+          className="accent-purple-600"
+        />
+        Connect to OBS WebSocket
+      </label>
+
+      <fieldset disabled={settings.enabled} className="space-y-2 disabled:opacity-60">
+        <label className="block text-xs font-semibold text-slate-500">
+          Server URL
+          <input
+            type="text"
+            value={settings.url}
+            onChange={(event) => onChange({ url: event.target.value.trim() })}
+            className={inputClass}
+          />
+        </label>
+        <label className="block text-xs font-semibold text-slate-500">
+          Password
+          <input
+            type="password"
+            value={settings.password}
+            onChange={(event) => onChange({ password: event.target.value })}
+            placeholder="Leave empty if authentication is off"
+            className={inputClass}
+          />
+        </label>
+      </fieldset>
+
+      {settings.enabled && (
+        <p className={`text-xs font-semibold ${obs.status === 'error' ? 'text-rose-600' : 'text-slate-500'}`}>
+          {STATUS_LABELS[obs.status]}
+          {obs.connected && obs.obsVersion && ` · obs-websocket ${obs.obsVersion}`}
+          {obs.error && ` — ${obs.error}`}
+        </p>
+      )}
+
+      {obs.connected && (
+        <button
+          onClick={obs.toggleRecording}
+          className={`w-full rounded-xl px-3 py-1.5 text-xs font-semibold text-white ${
+            obs.recording ? 'bg-rose-600' : 'bg-slate-900'
+          }`}
+        >
+          {obs.recording ? 'Stop OBS recording' : 'Start OBS recording'}
+        </button>
+      )}
+
+      <div className="flex items-center gap-2">
+        <span className="text-xs font-semibold text-slate-500">R records with</span>
+        {OBS_RECORD_TARGETS.map((target) => (
+          <button
+            key={target.id}
+            onClick={() => onChange({ recordWith: target.id })}
+            className={`rounded-lg border-2 px-2 py-0.5 text-[11px] font-semibold ${
+              settings.recordWith === target.id
+                ? 'border-purple-500 bg-purple-50 text-purple-600'
+                : 'border-slate-200 bg-white text-slate-600'
+            }`}
+          >
+            {target.name}
+          </button>
+        ))}
+      </div>
+
+      {obs.connected && (
+        <div className="space-y-1">
+          <div className="flex items-center justify-between">
+            <span className="text-xs font-semibold text-slate-500">Preset per scene</span>
+            <button
+              onClick={obs.refreshScenes}
+              className="rounded-lg p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-700"
+              title="Reload scenes"
+              aria-label="Reload scenes"
+            >
+              <RefreshCw size={12} />
+            </button>
+          </div>
+          {obs.scenes.map((sceneName) => (
+            <label key={sceneName} className="flex items-center gap-2 text-xs text-slate-600">
+              <span className={`min-w-0 flex-1 truncate ${sceneName === obs.currentScene ? 'font-semibold' : ''}`}>
+                {sceneName}
+              </span>
+              <select
+                value={settings.sceneBindings[sceneName] ?? ''}
+                onChange={(event) => updateBinding(sceneName, event.target.value)}
+                className="w-32 rounded-lg border border-slate-200 bg-white px-1 py-0.5 text-xs text-slate-800"
+              >
+                <option value="">Keep current</option>
+                {presets.map((preset) => (
+                  <option key={preset.id} value={preset.id}>
+                    {preset.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ObsSettings
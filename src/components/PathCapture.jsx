@@ -0,0 +1,268 @@
+import { useEffect, useRef, useState } from 'react'
+import { CircleDot, Download, Film, Loader2, Play, Square, Trash2, Upload } from 'lucide-react'
+import { EXPORT_DEFAULTS, EXPORT_FORMATS, EXPORT_FRAME_RATES, exportFormat, exportPath } from '../pathExport.js'
+import { capturePath, parsePath, playPath, serializePath } from '../trail/path.js'
+
+const SPEEDS = [0.5, 1, 2]
+
+const iconButton = 'rounded-lg p-1 text-slate-400 transition-colors hover:bg-slate-100 hover:text-slate-700'
+
+function downloadBlob(blob, take, extension) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${take.name.replace(/[^\w-]+/g, '-').toLowerCase()}.${extension}`
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+const downloadPath = (take) =>
+  downloadBlob(new Blob([serializePath(take)], { type: 'application/json' }), take, 'path.json')
+
+const optionButton = (selected) =>
+  `rounded-lg border-2 px-2 py-0.5 text-[11px] font-semibold ${
+    selected ? 'border-purple-500 bg-purple-50 text-purple-600' : 'border-slate-200 bg-white text-slate-600'
+  }`
+
+function PathCapture({ trailRef, currentOptions, paths, onPathsChange }) {
+  const captureRef = useRef(null)
+  const playbackRef = useRef(null)
+  const fileInputRef = useRef(null)
+  const [capturing, setCapturing] = useState(false)
+  const [playingId, setPlayingId] = useState(null)
+  const [speed, setSpeed] = useState(1)
+  const [useCurrentStyle, setUseCurrentStyle] = useState(false)
+  const [pathError, setPathError] = useState('')
+  const [exportSettings, setExportSettings] = useState(EXPORT_DEFAULTS)
+  const [exporting, setExporting] = useState(null)
+
+  useEffect(
+    () => () => {
+      captureRef.current?.finish()
+      playbackRef.current?.stop()
+    },
+    [],
+  )
+
+  const toggleCapture = () => {
+    const trail = trailRef.current
+    if (!trail) return
+    if (captureRef.current) {
+      const take = captureRef.current.finish()
+      captureRef.current = null
+      setCapturing(false)
+      if (take.samples.length) onPathsChange([{ ...take, id: `path-${take.createdAt}` }, ...paths])
+      return
+    }
+    playbackRef.current?.stop()
+    captureRef.current = capturePath(trail, { name: `Path ${paths.length + 1}` })
+    setCapturing(true)
+  }
+
+  const replay = (take) => {
+    const trail = trailRef.current
+    if (!trail || capturing) return
+    playbackRef.current?.stop()
+    setPlayingId(take.id)
+    playbackRef.current = playPath(trail, take, {
+      speed,
+      overrides: useCurrentStyle ? currentOptions : {},
+      onEnd: () => {
+        playbackRef.current = null
+        setPlayingId(null)
+      },
+    })
+  }
+
+  const { label: exportLabel, maxFrameRate = Infinity } = exportFormat(exportSettings.format)
+
+  const updateExportSettings = (changes) => setExportSettings((current) => ({ ...current, ...changes }))
+
+  const exportAnimation = async (take) => {
+    if (exporting) return
+    const format = exportFormat(exportSettings.format)
+    setExporting({ id: take.id, progress: 0 })
+    setPathError('')
+    try {
+      const blob = await exportPath(take, {
+        ...exportSettings,
+        overrides: useCurrentStyle ? currentOptions : {},
+        onProgress: (progress) => setExporting({ id: take.id, progress }),
+      })
+      downloadBlob(blob, take, format.extension)
+    } catch (error) {
+      setPathError(error?.message || 'The animation could not be exported.')
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files
+    event.target.value = ''
+    if (!file) return
+    try {
+      const take = parsePath(await file.text())
+      onPathsChange([{ ...take, id: `path-${Date.now()}` }, ...paths])
+      setPathError('')
+    } catch (error) {
+      setPathError(error.message)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={toggleCapture}
+          className={`flex items-center justify-center gap-1 rounded-xl px-3 py-2 text-xs font-semibold ${
+            capturing ? 'bg-rose-600 text-white' : 'bg-slate-900 text-white'
+          }`}
+        >
+          {capturing ? <Square size={12} /> : <CircleDot size={12} />}
+          {capturing ? 'Stop capture' : 'Capture path'}
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center justify-center gap-1 rounded-xl border border-slate-200 px-3 py-2 text-xs font-semibold text-slate-600"
+        >
+          <Upload size={12} /> Import
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+      </div>
+
+      {paths.length > 0 && (
+        <>
+          <div className="flex items-center gap-2">
+            <span className="text-xs font-semibold text-slate-500">Speed</span>
+            {SPEEDS.map((value) => (
+              <button
+                key={value}
+                onClick={() => setSpeed(value)}
+                className={optionButton(speed === value)}
+              >
+                {value}×
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+            <input
+              type="checkbox"
+              checked={useCurrentStyle}
+              onChange={(event) => setUseCurrentStyle(event.target.checked)}
+              className="accent-purple-600"
+            />
+            Replay with current style & preset
+          </label>
+          <fieldset disabled={Boolean(exporting)} className="space-y-2 rounded-xl bg-slate-50 p-3 disabled:opacity-50">
+            <label className="block text-xs font-semibold text-slate-500">
+              Animation export
+              <select
+                value={exportSettings.format}
+                onChange={(event) => updateExportSettings({ format: event.target.value })}
+                className="mt-1 w-full rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-800"
+              >
+                {EXPORT_FORMATS.map((format) => (
+                  <option key={format.id} value={format.id}>
+                    {format.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs font-semibold text-slate-500">FPS</span>
+              {EXPORT_FRAME_RATES.filter((rate) => rate <= maxFrameRate).map((rate) => (
+                <button
+                  key={rate}
+                  onClick={() => updateExportSettings({ frameRate: rate })}
+                  className={optionButton(Math.min(exportSettings.frameRate, maxFrameRate) === rate)}
+                >
+                  {rate}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={exportSettings.transparent}
+                  onChange={(event) => updateExportSettings({ transparent: event.target.checked })}
+                  className="accent-purple-600"
+                />
+                Transparent
+              </label>
+              {!exportSettings.transparent && (
+                <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+                  Background
+                  <input
+                    type="color"
+                    value={exportSettings.background}
+                    onChange={(event) => updateExportSettings({ background: event.target.value })}
+                    className="h-6 w-8 cursor-pointer rounded border border-slate-200"
+                  />
+                </label>
+              )}
+            </div>
+            {exportSettings.transparent && exportSettings.format === 'gif' && (
+              <p className="text-[10px] text-slate-400">GIF transparency is on/off, so glows get hard edges.</p>
+            )}
+          </fieldset>
+          <ul className="max-h-40 space-y-1 overflow-y-auto">
+            {paths.map((take) => (
+              <li key={take.id} className="flex items-center gap-2 rounded-lg border border-slate-200 bg-white px-2 py-1">
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-xs font-semibold text-slate-700">{take.name}</p>
+                  <p className="text-[10px] text-slate-400">
+                    {exporting?.id === take.id
+                      ? `Exporting… ${Math.round(exporting.progress * 100)}%`
+                      : `${(take.duration / 1000).toFixed(1)}s · ${take.samples.length} points`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => (playingId === take.id ? playbackRef.current?.stop() : replay(take))}
+                  className={iconButton}
+                  title={playingId === take.id ? 'Stop replay' : 'Replay'}
+                  aria-label={`${playingId === take.id ? 'Stop replaying' : 'Replay'} ${take.name}`}
+                >
+                  {playingId === take.id ? <Square size={12} /> : <Play size={12} />}
+                </button>
+                <button
+                  onClick={() => exportAnimation(take)}
+                  disabled={Boolean(exporting)}
+                  className={iconButton}
+                  title={
+                    exporting?.id === take.id
+                      ? `Exporting ${Math.round(exporting.progress * 100)}%`
+                      : `Export ${exportLabel}`
+                  }
+                  aria-label={`Export ${take.name} as ${exportLabel}`}
+                >
+                  {exporting?.id === take.id ? <Loader2 size={12} className="animate-spin" /> : <Film size={12} />}
+                </button>
+                <button
+                  onClick={() => downloadPath(take)}
+                  className={iconButton}
+                  title="Export JSON"
+                  aria-label={`Export ${take.name} as JSON`}
+                >
+                  <Download size={12} />
+                </button>
+                <button
+                  onClick={() => onPathsChange(paths.filter((entry) => entry.id !== take.id))}
+                  className={iconButton}
+                  title="Delete"
+                  aria-label={`Delete ${take.name}`}
+                >
+                  <Trash2 size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {pathError && <p className="text-xs text-rose-600">{pathError}</p>}
+    </div>
+  )
+}
+
+export default PathCapture
@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react'
+import { supportsOffscreenTrail } from '../trail/offscreen.js'
+
+const STATS_MS = 500
+
+const OPTIONS = [
+  {
+    key: 'adaptiveQuality',
+    label: 'Adaptive quality',
+    hint: 'Shortens trails while frames run over budget.',
+  },
+  {
+    key: 'offscreen',
+    label: 'Render in a worker',
+    hint: 'Draws on a background thread so a busy page does not stutter the trail.',
+  },
+]
+
+const formatCost = (cost) => (cost === null ? '–' : `${cost.toFixed(1)} ms`)
+
+/**
+ * Renderer toggles plus a live readout of the trail's point count, frame
+ * cost and quality level. Pass no `trailRef` to hide the readout, as in a
+ * popped-out panel, which has no trail of its own.
+ */
+function PerformanceSettings({ settings, onChange, trailRef }) {
+  const [stats, setStats] = useState(null)
+  const offscreenSupported = supportsOffscreenTrail()
+
+  useEffect(() => {
+    if (!trailRef) return
+    const timer = setInterval(() => setStats(trailRef.current?.getStats?.() ?? null), STATS_MS)
+    return () => clearInterval(timer)
+  }, [trailRef])
+
+  return (
+    <div className="space-y-2">
+      {OPTIONS.map(({ key, label, hint }) => {
+        const unavailable = key === 'offscreen' && !offscreenSupported
+        return (
+          <label key={key} className="flex items-start gap-2 text-xs text-slate-600">
+            <input
+              type="checkbox"
+              className="mt-0.5"
+              checked={settings[key]}
+              disabled={unavailable}
+              onChange={(event) => onChange({ ...settings, [key]: event.target.checked })}
+            />
+            <span>
+              <span className="font-semibold text-slate-700">{label}</span>
+              <span className="block text-[11px] text-slate-400">
+                {unavailable ? 'Not supported in this browser.' : hint}
+              </span>
+            </span>
+          </label>
+        )
+      })}
+      {trailRef && stats && (
+        <dl className="grid grid-cols-2 gap-x-3 gap-y-0.5 rounded-xl bg-slate-50 p-2 text-[11px] text-slate-500">
+          <dt>Points</dt>
+          <dd className="text-right font-mono">{stats.points}</dd>
+          <dt>Frame cost</dt>
+          <dd className="text-right font-mono">{stats.idle ? 'idle' : formatCost(stats.frameCost)}</dd>
+          <dt>Quality</dt>
+          <dd className="text-right font-mono">{Math.round(stats.quality * 100)}%</dd>
+        </dl>
+      )}
+    </div>
+  )
+}
+
+export default PerformanceSettings
@@ -0,0 +1,133 @@
+import { useEffect, useState } from 'react'
+import { openLensSource } from '../lensSource.js'
+import { PRESENTATION_MODES, PRESENTATION_RANGES } from '../trail/presentation.js'
+
+const HEX6_PATTERN = /^#[0-9a-f]{6}$/i
+
+/**
+ * Picks the presentation mode and tunes the active one: size and opacity
+ * for all three, zoom for the magnifier and color for the laser. With
+ * `canCaptureLens`, the magnifier can enlarge a capture of this tab, fed to
+ * the trail in `trailRef`, instead of just the trail.
+ */
+function PresentationSettings({ presentation, onChange, trailRef, canCaptureLens, toggleHint }) {
+  const [lens, setLens] = useState(null)
+  const [lensError, setLensError] = useState('')
+  const { mode } = presentation
+  const settings = presentation[mode]
+  const update = (changes) => onChange({ ...presentation, [mode]: { ...settings, ...changes } })
+
+  useEffect(() => {
+    if (!lens) return
+    const trail = trailRef?.current
+    trail?.setLensSource(lens.video)
+    return () => {
+      trail?.setLensSource(null)
+      lens.stop()
+    }
+  }, [lens, trailRef])
+
+  const toggleLens = async () => {
+    if (lens) {
+      setLens(null)
+      return
+    }
+    setLensError('')
+    try {
+      const source = await openLensSource({ onEnded: () => setLens(null) })
+      setLens(source)
+    } catch (error) {
+      if (error?.name !== 'NotAllowedError') setLensError(error.message)
+    }
+  }
+
+  const [minSize, maxSize] = settings ? PRESENTATION_RANGES.size[mode] : [0, 0]
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-4 gap-1">
+        {PRESENTATION_MODES.map((option) => (
+          <button
+            key={option.id}
+            onClick={() => onChange({ ...presentation, mode: option.id })}
+            aria-pressed={mode === option.id}
+            className={`rounded-xl border-2 px-1 py-1 text-[11px] font-semibold transition-all ${
+              mode === option.id
+                ? 'border-purple-500 bg-purple-50 text-purple-600'
+                : 'border-slate-200 bg-white text-slate-600'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {settings && (
+        <div className="space-y-1 rounded-xl border border-slate-200 bg-white p-2 text-[11px] text-slate-500">
+          <label className="flex items-center gap-2">
+            <span className="w-14">Size</span>
+            <input
+              type="range"
+              min={minSize}
+              max={maxSize}
+              value={settings.size}
+              onChange={(event) => update({ size: Number(event.target.value) })}
+              className="flex-1 accent-purple-600"
+            />
+            <span className="w-10 text-right">{settings.size}px</span>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="w-14">{mode === 'spotlight' ? 'Dimming' : 'Opacity'}</span>
+            <input
+              type="range"
+              min={PRESENTATION_RANGES.opacity[0]}
+              max={PRESENTATION_RANGES.opacity[1]}
+              step="0.05"
+              value={settings.opacity}
+              onChange={(event) => update({ opacity: Number(event.target.value) })}
+              className="flex-1 accent-purple-600"
+            />
+            <span className="w-10 text-right">{Math.round(settings.opacity * 100)}%</span>
+          </label>
+          {mode === 'magnifier' && (
+            <label className="flex items-center gap-2">
+              <span className="w-14">Zoom</span>
+              <input
+                type="range"
+                min={PRESENTATION_RANGES.zoom[0]}
+                max={PRESENTATION_RANGES.zoom[1]}
+                step="0.25"
+                value={settings.zoom}
+                onChange={(event) => update({ zoom: Number(event.target.value) })}
+                className="flex-1 accent-purple-600"
+              />
+              <span className="w-10 text-right">{settings.zoom}×</span>
+            </label>
+          )}
+          {mode === 'laser' && (
+            <label className="flex items-center gap-2">
+              <span className="w-14">Color</span>
+              <input
+                type="color"
+                value={HEX6_PATTERN.test(settings.color) ? settings.color : '#000000'}
+                onChange={(event) => update({ color: event.target.value.toUpperCase() })}
+                className="h-6 w-8 cursor-pointer rounded border border-slate-200 bg-white"
+              />
+            </label>
+          )}
+          {mode === 'magnifier' && canCaptureLens && (
+            <button
+              onClick={toggleLens}
+              className="mt-1 w-full rounded-lg border border-slate-200 px-2 py-1 font-semibold text-slate-600"
+            >
+              {lens ? 'Stop magnifying the page' : 'Magnify the page (share this tab)'}
+            </button>
+          )}
+          {lensError && <p className="text-rose-600">{lensError}</p>}
+        </div>
+      )}
+      {toggleHint && <p className="text-[11px] text-slate-400">{toggleHint}</p>}
+    </div>
+  )
+}
+
+export default PresentationSettings
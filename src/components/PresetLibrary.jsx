@@ -0,0 +1,199 @@
+import { useRef, useState } from 'react'
+import { ArrowDown, ArrowUp, Check, Download, Pencil, Plus, Trash2, Upload } from 'lucide-react'
+import {
+  exportPresetLibrary,
+  mergePresetLibraries,
+  movePreset,
+  parsePresetLibrary,
+  removePreset,
+  updatePreset,
+} from '../presets.js'
+import { formatCombo } from '../shortcuts.js'
+import ShortcutInput from './ShortcutInput.jsx'
+
+const iconButton = 'rounded-lg p-1 text-slate-400 transition-colors hover:bg-slate-100 hover:text-slate-700'
+
+function PresetEditor({ preset, onSave, onCaptureCurrent }) {
+  const [name, setName] = useState(preset.name)
+  const [description, setDescription] = useState(preset.description)
+  const [shortcut, setShortcut] = useState(preset.shortcut)
+
+  return (
+    <div className="mt-2 space-y-2 rounded-xl bg-slate-50 p-3">
+      <input
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+        placeholder="Preset name"
+        className="w-full rounded-lg border border-slate-200 px-2 py-1 text-xs text-slate-800"
+      />
+      <input
+        value={description}
+        onChange={(event) => setDescription(event.target.value)}
+        placeholder="Description"
+        className="w-full rounded-lg border border-slate-200 px-2 py-1 text-xs text-slate-800"
+      />
+      <div className="flex items-center gap-2">
+        <label className="text-xs font-semibold text-slate-500">Shortcut</label>
+        <ShortcutInput value={shortcut} onChange={setShortcut} />
+        <button onClick={onCaptureCurrent} className="ml-auto text-[11px] font-semibold text-purple-600 underline">
+          Use current settings
+        </button>
+      </div>
+      <button
+        onClick={() => onSave({ name, description, shortcut })}
+        disabled={!name.trim()}
+        className="flex w-full items-center justify-center gap-1 rounded-lg bg-slate-900 px-3 py-1 text-xs font-semibold text-white disabled:opacity-40"
+      >
+        <Check size={12} /> Save preset
+      </button>
+    </div>
+  )
+}
+
+function PresetLibrary({ presets, activePresetId, onApply, onChange, onSaveCurrent, currentConfig }) {
+  const fileInputRef = useRef(null)
+  const [editingId, setEditingId] = useState(null)
+  const [newName, setNewName] = useState('')
+  const [libraryError, setLibraryError] = useState('')
+
+  const handleExport = () => {
+    const blob = new Blob([exportPresetLibrary(presets)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'cursor-trail-presets.json'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const imported = parsePresetLibrary(await file.text())
+      onChange(mergePresetLibraries(presets, imported))
+      setLibraryError('')
+    } catch (error) {
+      setLibraryError(error.message)
+    }
+  }
+
+  const handleSave = (id, changes) => {
+    try {
+      onChange(updatePreset(presets, id, changes))
+      setEditingId(null)
+      setLibraryError('')
+    } catch (error) {
+      setLibraryError(error.message)
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col gap-3">
+        {presets.map((preset, index) => (
+          <div
+            key={preset.id}
+            className={`rounded-xl border-2 p-3 transition-all ${
+              activePresetId === preset.id ? 'border-purple-500 bg-purple-50 drop-shadow-glow' : 'border-slate-200 bg-white'
+            }`}
+          >
+            <div className="flex items-start justify-between gap-2">
+              <button onClick={() => onApply(preset)} className="flex-1 text-left">
+                <p className="text-sm font-semibold text-slate-800">{preset.name}</p>
+                {preset.description && <p className="text-xs text-slate-500">{preset.description}</p>}
+              </button>
+              {preset.shortcut && (
+                <span className="text-xs font-semibold text-slate-500">{formatCombo(preset.shortcut)}</span>
+              )}
+            </div>
+            <div className="mt-1 flex justify-end gap-1">
+              <button
+                onClick={() => onChange(movePreset(presets, preset.id, -1))}
+                disabled={index === 0}
+                className={`${iconButton} disabled:opacity-30`}
+                title="Move up"
+                aria-label={`Move ${preset.name} up`}
+              >
+                <ArrowUp size={12} />
+              </button>
+              <button
+                onClick={() => onChange(movePreset(presets, preset.id, 1))}
+                disabled={index === presets.length - 1}
+                className={`${iconButton} disabled:opacity-30`}
+                title="Move down"
+                aria-label={`Move ${preset.name} down`}
+              >
+                <ArrowDown size={12} />
+              </button>
+              <button
+                onClick={() => setEditingId(editingId === preset.id ? null : preset.id)}
+                className={iconButton}
+                title="Edit"
+                aria-label={`Edit ${preset.name}`}
+                aria-expanded={editingId === preset.id}
+              >
+                <Pencil size={12} />
+              </button>
+              <button
+                onClick={() => onChange(removePreset(presets, preset.id))}
+                className={iconButton}
+                title="Delete"
+                aria-label={`Delete ${preset.name}`}
+              >
+                <Trash2 size={12} />
+              </button>
+            </div>
+            {editingId === preset.id && (
+              <PresetEditor
+                preset={preset}
+                onSave={(changes) => handleSave(preset.id, changes)}
+                onCaptureCurrent={() => handleSave(preset.id, { config: currentConfig })}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 flex gap-2">
+        <input
+          value={newName}
+          onChange={(event) => setNewName(event.target.value)}
+          placeholder="Name current settings"
+          className="min-w-0 flex-1 rounded-lg border border-slate-200 px-2 py-1 text-xs text-slate-800"
+        />
+        <button
+          onClick={() => {
+            onSaveCurrent(newName)
+            setNewName('')
+          }}
+          disabled={!newName.trim()}
+          className="flex items-center gap-1 rounded-lg bg-purple-600 px-3 py-1 text-xs font-semibold text-white disabled:opacity-40"
+        >
+          <Plus size={12} /> Save
+        </button>
+      </div>
+
+      <div className="mt-2 grid grid-cols-2 gap-2">
+        <button
+          onClick={handleExport}
+          className="flex items-center justify-center gap-1 rounded-lg border border-slate-200 px-3 py-1 text-xs font-semibold text-slate-600"
+        >
+          <Download size={12} /> Export
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center justify-center gap-1 rounded-lg border border-slate-200 px-3 py-1 text-xs font-semibold text-slate-600"
+        >
+          <Upload size={12} /> Import
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+      </div>
+      {libraryError && <p className="mt-2 text-xs text-rose-600">{libraryError}</p>}
+    </div>
+  )
+}
+
+export default PresetLibrary
@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import { COUNTDOWN_OPTIONS, FRAME_RATES, listSupportedFormats } from '../recording.js'
+
+const SOURCES = [
+  { id: 'screen', name: 'Screen' },
+  { id: 'canvas', name: 'Trail layer' },
+]
+
+function RecordingSettings({ options, disabled, onChange }) {
+  const [formats] = useState(() => listSupportedFormats())
+  const alphaOnly = options.source === 'canvas' && options.transparent
+  const availableFormats = alphaOnly ? formats.filter((format) => format.alpha) : formats
+
+  return (
+    <fieldset disabled={disabled} className="space-y-2 rounded-xl bg-slate-50 p-3 disabled:opacity-50">
+      <div className="grid grid-cols-2 gap-2">
+        {SOURCES.map((source) => (
+          <button
+            key={source.id}
+            onClick={() => onChange({ source: source.id })}
+            className={`rounded-xl border-2 px-2 py-1 text-[11px] font-semibold transition-all ${
+              options.source === source.id
+                ? 'border-purple-500 bg-purple-50 text-purple-600'
+                : 'border-slate-200 bg-white text-slate-600'
+            }`}
+          >
+            {source.name}
+          </button>
+        ))}
+      </div>
+
+      {options.source === 'canvas' && (
+        <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+          <input
+            type="checkbox"
+            checked={options.transparent}
+            onChange={(event) => onChange({ transparent: event.target.checked })}
+            className="accent-purple-600"
+          />
+          Transparent background (alpha WebM)
+        </label>
+      )}
+
+      <label className="block text-xs font-semibold text-slate-500">
+        Format
+        <select
+          value={availableFormats.some((format) => format.mimeType === options.format) ? options.format : 'auto'}
+          onChange={(event) => onChange({ format: event.target.value })}
+          className="mt-1 w-full rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-800"
+        >
+          <option value="auto">Best available</option>
+          {availableFormats.map((format) => (
+            <option key={format.mimeType} value={format.mimeType}>
+              {format.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div>
+        <label className="block text-xs font-semibold text-slate-500">Bitrate: {options.bitrate} Mbps</label>
+        <input
+          type="range"
+          min="2"
+          max="40"
+          value={options.bitrate}
+          onChange={(event) => onChange({ bitrate: Number(event.target.value) })}
+          className="w-full accent-purple-600"
+        />
+      </div>
+
+      <div className="flex items-center gap-2">
+        <span className="text-xs font-semibold text-slate-500">Frame rate</span>
+        {FRAME_RATES.map((rate) => (
+          <button
+            key={rate}
+            onClick={() => onChange({ frameRate: rate })}
+            className={`rounded-lg border-2 px-2 py-0.5 text-[11px] font-semibold ${
+              options.frameRate === rate
+                ? 'border-purple-500 bg-purple-50 text-purple-600'
+                : 'border-slate-200 bg-white text-slate-600'
+            }`}
+          >
+            {rate}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <span className="text-xs font-semibold text-slate-500">Countdown</span>
+        {COUNTDOWN_OPTIONS.map((seconds) => (
+          <button
+            key={seconds}
+            onClick={() => onChange({ countdown: seconds })}
+            className={`rounded-lg border-2 px-2 py-0.5 text-[11px] font-semibold ${
+              options.countdown === seconds
+                ? 'border-purple-500 bg-purple-50 text-purple-600'
+                : 'border-slate-200 bg-white text-slate-600'
+            }`}
+          >
+            {seconds ? `${seconds}s` : 'Off'}
+          </button>
+        ))}
+      </div>
+    </fieldset>
+  )
+}
+
+export default RecordingSettings
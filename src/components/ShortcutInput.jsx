@@ -0,0 +1,53 @@
+import { useState } from 'react'
+import { comboFromEvent, formatCombo } from '../shortcuts.js'
+
+/**
+ * Click, then press a key combo to bind it. Escape cancels and Backspace or
+ * Delete clears the binding.
+ */
+function ShortcutInput({ value, onChange, conflict = false, className = '' }) {
+  const [capturing, setCapturing] = useState(false)
+
+  const handleKeyDown = (event) => {
+    if (!capturing) return
+    event.preventDefault()
+    event.stopPropagation()
+    const plain = !event.ctrlKey && !event.altKey && !event.metaKey && !event.shiftKey
+    if (event.key === 'Escape' && plain) {
+      setCapturing(false)
+      return
+    }
+    if ((event.key === 'Backspace' || event.key === 'Delete') && plain) {
+      onChange('')
+      setCapturing(false)
+      return
+    }
+    const combo = comboFromEvent(event)
+    if (!combo) return
+    onChange(combo)
+    setCapturing(false)
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => setCapturing(true)}
+      onKeyDown={handleKeyDown}
+      onBlur={() => setCapturing(false)}
+      aria-label={capturing ? 'Press a key combination' : `Shortcut ${formatCombo(value)}, click to change`}
+      className={`min-w-[4.5rem] rounded-lg border px-2 py-0.5 font-mono text-[11px] font-semibold ${
+        capturing
+          ? 'border-purple-500 bg-purple-50 text-purple-600'
+          : conflict
+            ? 'border-rose-400 bg-rose-50 text-rose-600'
+            : value
+              ? 'border-slate-200 bg-white text-slate-700'
+              : 'border-dashed border-slate-300 bg-white text-slate-400'
+      } ${className}`}
+    >
+      {capturing ? 'Press keys…' : formatCombo(value)}
+    </button>
+  )
+}
+
+export default ShortcutInput
@@ -0,0 +1,100 @@
+import { RotateCcw, X } from 'lucide-react'
+import { RESERVED_SHORTCUTS } from '../presets.js'
+import { findShortcutConflicts, formatCombo, PRESET_ACTION_PREFIX } from '../shortcuts.js'
+import ShortcutInput from './ShortcutInput.jsx'
+
+const GROUPS = [
+  { id: 'actions', label: 'Actions' },
+  { id: 'presets', label: 'Presets' },
+]
+
+/**
+ * Dialog for rebinding every shortcut in the registry. Combos used by more
+ * than one action are flagged; the first one listed wins until it is fixed.
+ */
+function ShortcutSettings({ registry, onBindAction, onBindPreset, onReset, onClose }) {
+  const conflicts = findShortcutConflicts(registry)
+
+  const bind = (entry, combo) => {
+    if (entry.group === 'presets') onBindPreset(entry.id.slice(PRESET_ACTION_PREFIX.length), combo)
+    else onBindAction(entry.id, combo)
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      data-trail-ignore
+      aria-labelledby="shortcut-settings-title"
+      className="fixed inset-0 z-40 flex items-center justify-center bg-slate-950/60 p-4"
+      onKeyDown={(event) => {
+        if (event.key === 'Escape') onClose()
+      }}
+    >
+      <div className="max-h-[90vh] w-full max-w-md overflow-y-auto rounded-2xl bg-white p-6 shadow-2xl">
+        <div className="mb-4 flex items-center justify-between">
+          <h2 id="shortcut-settings-title" className="text-lg font-semibold text-slate-900">
+            Keyboard shortcuts
+          </h2>
+          <button
+            onClick={onClose}
+            className="rounded-lg p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-700"
+            aria-label="Close"
+          >
+            <X size={16} />
+          </button>
+        </div>
+        <p className="mb-4 text-xs text-slate-500">
+          Click a shortcut and press the new keys. Modifiers such as Ctrl, Alt and Shift are allowed. Backspace clears a
+          shortcut.
+        </p>
+
+        {GROUPS.map((group) => {
+          const entries = registry.filter((entry) => entry.group === group.id)
+          if (!entries.length) return null
+          return (
+            <section key={group.id} className="mb-4">
+              <h3 className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-400">{group.label}</h3>
+              <ul className="space-y-1">
+                {entries.map((entry) => {
+                  const clashes = conflicts.get(entry.id)
+                  return (
+                    <li key={entry.id} className="flex items-center gap-2 text-sm text-slate-700">
+                      <div className="min-w-0 flex-1">
+                        <p className="truncate">{entry.label}</p>
+                        {clashes && (
+                          <p className="text-[11px] text-rose-600">
+                            Also used by {clashes.map((other) => other.label).join(', ')}
+                          </p>
+                        )}
+                      </div>
+                      <ShortcutInput
+                        value={entry.combo}
+                        conflict={Boolean(clashes)}
+                        onChange={(combo) => bind(entry, combo)}
+                      />
+                    </li>
+                  )
+                })}
+              </ul>
+              {group.id === 'presets' && (
+                <p className="mt-2 text-[11px] text-slate-400">
+                  Presets cannot use the default action keys ({RESERVED_SHORTCUTS.map(formatCombo).join(' ')}).
+                </p>
+              )}
+            </section>
+          )
+        })}
+
+        <button
+          onClick={onReset}
+          className="flex items-center gap-1 rounded-lg border border-slate-200 px-3 py-1 text-xs font-semibold text-slate-600"
+        >
+          <RotateCcw size={12} /> Reset actions to defaults
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ShortcutSettings
@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { Check, Download, Pencil, Trash2 } from 'lucide-react'
+import { fileExtensionFor } from '../recording.js'
+import { formatBytes, formatDuration } from '../recordingSession.js'
+import { downloadTake } from '../takes.js'
+
+const iconButton = 'rounded-lg p-1 text-slate-400 transition-colors hover:bg-slate-100 hover:text-slate-700'
+
+function TakeRow({ take, onRename, onDelete }) {
+  const [editing, setEditing] = useState(false)
+  const [name, setName] = useState(take.name)
+
+  const commit = () => {
+    if (name.trim() && name.trim() !== take.name) onRename(take.id, name.trim())
+    setEditing(false)
+  }
+
+  return (
+    <li className="flex items-center gap-2 rounded-lg border border-slate-200 bg-white px-2 py-1">
+      <div className="min-w-0 flex-1">
+        {editing ? (
+          <input
+            value={name}
+            autoFocus
+            onChange={(event) => setName(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') commit()
+              if (event.key === 'Escape') setEditing(false)
+            }}
+            className="w-full rounded border border-slate-200 px-1 text-xs text-slate-800"
+          />
+        ) : (
+          <p className="truncate text-xs font-semibold text-slate-700">{take.name}</p>
+        )}
+        <p className="text-[10px] text-slate-400">
+          {formatDuration(take.duration)} · {formatBytes(take.size)} · {new Date(take.createdAt).toLocaleTimeString()}
+        </p>
+      </div>
+      {editing ? (
+        <button onClick={commit} className={iconButton} title="Save name" aria-label="Save name">
+          <Check size={12} />
+        </button>
+      ) : (
+        <button
+          onClick={() => setEditing(true)}
+          className={iconButton}
+          title="Rename"
+          aria-label={`Rename ${take.name}`}
+        >
+          <Pencil size={12} />
+        </button>
+      )}
+      <button
+        onClick={() => downloadTake(take, fileExtensionFor(take.mimeType))}
+        className={iconButton}
+        title="Download"
+        aria-label={`Download ${take.name}`}
+      >
+        <Download size={12} />
+      </button>
+      <button
+        onClick={() => onDelete(take.id)}
+        className={iconButton}
+        title="Delete"
+        aria-label={`Delete ${take.name}`}
+      >
+        <Trash2 size={12} />
+      </button>
+    </li>
+  )
+}
+
+function TakeList({ takes, onRename, onDelete }) {
+  if (takes.length === 0) return null
+
+  return (
+    <div>
+      <p className="mb-1 text-xs font-semibold text-slate-500">Takes</p>
+      <ul className="max-h-40 space-y-1 overflow-y-auto">
+        {takes.map((take) => (
+          <TakeRow key={take.id} take={take} onRename={onRename} onDelete={onDelete} />
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default TakeList
@@ -0,0 +1,299 @@
+import { useRef, useState } from 'react'
+import { Download, Plus, Trash2, Upload } from 'lucide-react'
+import { createCueId, cueTime, exportTimeline, parseTimeline, sortCues } from '../timeline.js'
+import { EFFECT_KINDS } from '../trail/effects.js'
+import { PRESENTATION_MODES } from '../trail/presentation.js'
+
+const iconButton = 'rounded-lg p-1 text-slate-400 transition-colors hover:bg-slate-100 hover:text-slate-700'
+const selectClass = 'min-w-0 flex-1 rounded-lg border border-slate-200 bg-white px-1 py-0.5 text-[11px] text-slate-800'
+
+// The cues the editor can build. Files may hold any other timeline command,
+// which is listed by name and kept as it is.
+const CUE_COMMANDS = [
+  { command: 'applyPreset', label: 'Apply preset' },
+  { command: 'setEnabled', label: 'Trail on or off' },
+  { command: 'toggle', label: 'Toggle trail' },
+  { command: 'setStyle', label: 'Switch style' },
+  { command: 'setColor', label: 'Switch color' },
+  { command: 'setEffects', label: 'Switch an effect' },
+  { command: 'setPresentation', label: 'Presentation mode' },
+  { command: 'clearAnnotations', label: 'Clear annotations' },
+  { command: 'stopRecording', label: 'Stop recording' },
+]
+
+const CUE_STEP = 5
+
+function defaultPayload(command, { presets, styles }) {
+  switch (command) {
+    case 'applyPreset':
+      return { presetId: presets[0]?.id ?? '' }
+    case 'setEnabled':
+      return { enabled: false }
+    case 'setStyle':
+      return { style: styles[0]?.id ?? 'gradient' }
+    case 'setColor':
+      return { color: '#8B5CF6' }
+    case 'setEffects':
+      return { effects: { press: { enabled: true } } }
+    case 'setPresentation':
+      return { presentation: { mode: 'spotlight' } }
+    default:
+      return {}
+  }
+}
+
+function CueValue({ cue, presets, styles, onChange }) {
+  const { command, payload } = cue
+
+  if (command === 'applyPreset') {
+    return (
+      <select
+        aria-label="Preset"
+        value={payload.presetId}
+        onChange={(event) => onChange({ presetId: event.target.value })}
+        className={selectClass}
+      >
+        {!presets.some((preset) => preset.id === payload.presetId) && (
+          <option value={payload.presetId}>Missing preset</option>
+        )}
+        {presets.map((preset) => (
+          <option key={preset.id} value={preset.id}>
+            {preset.name}
+          </option>
+        ))}
+      </select>
+    )
+  }
+  if (command === 'setEnabled') {
+    return (
+      <select
+        aria-label="Trail"
+        value={payload.enabled ? 'on' : 'off'}
+        onChange={(event) => onChange({ enabled: event.target.value === 'on' })}
+        className={selectClass}
+      >
+        <option value="on">On</option>
+        <option value="off">Off</option>
+      </select>
+    )
+  }
+  if (command === 'setStyle') {
+    return (
+      <select
+        aria-label="Style"
+        value={payload.style}
+        onChange={(event) => onChange({ style: event.target.value })}
+        className={selectClass}
+      >
+        {styles.map((style) => (
+          <option key={style.id} value={style.id}>
+            {style.name}
+          </option>
+        ))}
+      </select>
+    )
+  }
+  if (command === 'setColor') {
+    return (
+      <input
+        type="color"
+        aria-label="Color"
+        value={payload.color}
+        onChange={(event) => onChange({ color: event.target.value.toUpperCase() })}
+        className="h-6 w-10 rounded border border-slate-200"
+      />
+    )
+  }
+  if (command === 'setEffects') {
+    const [kind = 'press'] = Object.keys(payload.effects)
+    const enabled = payload.effects[kind]?.enabled !== false
+    return (
+      <>
+        <select
+          aria-label="Effect"
+          value={kind}
+          onChange={(event) => onChange({ effects: { [event.target.value]: { enabled } } })}
+          className={selectClass}
+        >
+          {EFFECT_KINDS.map((effect) => (
+            <option key={effect.id} value={effect.id}>
+              {effect.label}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Effect on or off"
+          value={enabled ? 'on' : 'off'}
+          onChange={(event) => onChange({ effects: { [kind]: { enabled: event.target.value === 'on' } } })}
+          className={selectClass}
+        >
+          <option value="on">On</option>
+          <option value="off">Off</option>
+        </select>
+      </>
+    )
+  }
+  if (command === 'setPresentation') {
+    return (
+      <select
+        aria-label="Presentation mode"
+        value={payload.presentation.mode}
+        onChange={(event) => onChange({ presentation: { mode: event.target.value } })}
+        className={selectClass}
+      >
+        {PRESENTATION_MODES.map((mode) => (
+          <option key={mode.id} value={mode.id}>
+            {mode.label}
+          </option>
+        ))}
+      </select>
+    )
+  }
+  if (Object.keys(payload).length) {
+    return <code className="min-w-0 flex-1 truncate text-[10px] text-slate-500">{JSON.stringify(payload)}</code>
+  }
+  return <span className="flex-1" />
+}
+
+/**
+ * Cues that switch presets, styles, colors, effects and modes at set times
+ * during a take, saved and loaded as JSON files. `playing` says whether the
+ * current take is playing them.
+ */
+function TimelineEditor({ timeline, onChange, presets, styles, playing }) {
+  const fileInputRef = useRef(null)
+  const [fileError, setFileError] = useState('')
+  const { cues } = timeline
+  const commands = CUE_COMMANDS.filter(({ command }) => command !== 'applyPreset' || presets.length)
+
+  const setCues = (next) => onChange({ ...timeline, cues: next })
+  const updateCue = (id, changes) => setCues(cues.map((cue) => (cue.id === id ? { ...cue, ...changes } : cue)))
+
+  const addCue = () => {
+    const at = cues.length ? cueTime(Math.max(...cues.map((cue) => cue.at)) + CUE_STEP) : 0
+    const { command } = commands[0]
+    setCues([...cues, { id: createCueId(), at, command, payload: defaultPayload(command, { presets, styles }) }])
+  }
+
+  const handleExport = () => {
+    const blob = new Blob([exportTimeline(cues)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'cursor-trail-timeline.json'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      setCues(parseTimeline(await file.text()))
+      setFileError('')
+    } catch (error) {
+      setFileError(error.message)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+        <input
+          type="checkbox"
+          checked={timeline.enabled}
+          onChange={(event) => onChange({ ...timeline, enabled: event.target.checked })}
+          className="accent-purple-600"
+        />
+        Play with each recording
+        {playing && <span className="ml-auto text-[11px] font-semibold text-rose-600">● Playing</span>}
+      </label>
+
+      {cues.length > 0 && (
+        <ol className="space-y-1" aria-label="Timeline cues">
+          {cues.map((cue) => (
+            <li key={cue.id} className="flex items-center gap-1 rounded-lg bg-slate-50 p-1">
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={cue.at}
+                aria-label="Seconds into the take"
+                onChange={(event) => updateCue(cue.id, { at: cueTime(event.target.value) })}
+                onBlur={() => setCues(sortCues(cues))}
+                className="w-14 rounded-lg border border-slate-200 bg-white px-1 py-0.5 text-[11px] text-slate-800"
+              />
+              <span className="text-[11px] text-slate-400">s</span>
+              <select
+                aria-label="Action"
+                value={cue.command}
+                onChange={(event) =>
+                  updateCue(cue.id, {
+                    command: event.target.value,
+                    payload: defaultPayload(event.target.value, { presets, styles }),
+                  })
+                }
+                className={selectClass}
+              >
+                {!commands.some(({ command }) => command === cue.command) && (
+                  <option value={cue.command}>{cue.command}</option>
+                )}
+                {commands.map(({ command, label }) => (
+                  <option key={command} value={command}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <CueValue
+                cue={cue}
+                presets={presets}
+                styles={styles}
+                onChange={(payload) => updateCue(cue.id, { payload })}
+              />
+              <button
+                onClick={() => setCues(cues.filter((entry) => entry.id !== cue.id))}
+                className={iconButton}
+                title="Delete"
+                aria-label={`Delete the cue at ${cue.at}s`}
+              >
+                <Trash2 size={12} />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="grid grid-cols-3 gap-2">
+        <button
+          onClick={addCue}
+          className="flex items-center justify-center gap-1 rounded-lg bg-purple-600 px-3 py-1 text-xs font-semibold text-white"
+        >
+          <Plus size={12} /> Cue
+        </button>
+        <button
+          onClick={handleExport}
+          disabled={!cues.length}
+          className="flex items-center justify-center gap-1 rounded-lg border border-slate-200 px-3 py-1 text-xs font-semibold text-slate-600 disabled:opacity-40"
+        >
+          <Download size={12} /> Save
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center justify-center gap-1 rounded-lg border border-slate-200 px-3 py-1 text-xs font-semibold text-slate-600"
+        >
+          <Upload size={12} /> Load
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+      </div>
+      {fileError && <p className="text-xs text-rose-600">{fileError}</p>}
+      <p className="text-[11px] text-slate-500">
+        Times count from when recording starts, not counting pauses; a cue at 0s runs as the take begins. Changes
+        apply from the next take.
+      </p>
+    </div>
+  )
+}
+
+export default TimelineEditor
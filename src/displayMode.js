@@ -0,0 +1,53 @@
+export const DISPLAY_MODES = ['full', 'overlay', 'panel']
+
+export const PANEL_STORAGE_KEY = 'cursor-trail-panel-v1'
+
+export const PANEL_DEFAULTS = { x: 24, y: 24, collapsed: false }
+
+const PANEL_WINDOW_NAME = 'cursor-trail-panel'
+const PANEL_WINDOW_FEATURES = 'popup,width=380,height=860'
+
+// Keeps at least this much of a dragged panel on screen.
+const VISIBLE_EDGE = 48
+
+/**
+ * Reads `?mode=` from the page URL: `overlay` shows only the trail on a
+ * transparent page, `panel` shows only the controls, and anything else
+ * shows both.
+ */
+export function readDisplayMode(search = globalThis.location?.search ?? '') {
+  const mode = new URLSearchParams(search).get('mode')
+  return DISPLAY_MODES.includes(mode) ? mode : 'full'
+}
+
+export function displayModeUrl(mode, href = globalThis.location?.href) {
+  const url = new URL(href)
+  if (mode === 'full') url.searchParams.delete('mode')
+  else url.searchParams.set('mode', mode)
+  return url.toString()
+}
+
+export const openPanelWindow = () => window.open(displayModeUrl('panel'), PANEL_WINDOW_NAME, PANEL_WINDOW_FEATURES)
+
+export function clampPanelPosition({ x, y }, { width }, viewport) {
+  return {
+    x: Math.round(Math.min(Math.max(x, VISIBLE_EDGE - width), viewport.width - VISIBLE_EDGE)),
+    y: Math.round(Math.min(Math.max(y, 0), viewport.height - VISIBLE_EDGE)),
+  }
+}
+
+export function loadPanelLayout(storage) {
+  try {
+    const stored = JSON.parse(storage.getItem(PANEL_STORAGE_KEY))
+    if (!stored || typeof stored !== 'object') return PANEL_DEFAULTS
+    return {
+      x: Number.isFinite(stored.x) ? stored.x : PANEL_DEFAULTS.x,
+      y: Number.isFinite(stored.y) ? stored.y : PANEL_DEFAULTS.y,
+      collapsed: typeof stored.collapsed === 'boolean' ? stored.collapsed : PANEL_DEFAULTS.collapsed,
+    }
+  } catch {
+    return PANEL_DEFAULTS
+  }
+}
+
+export const savePanelLayout = (storage, layout) => storage.setItem(PANEL_STORAGE_KEY, JSON.stringify(layout))
@@ -0,0 +1,78 @@
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export function crc32(bytes, crc = 0) {
+  let c = ~crc >>> 0
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  return ~c >>> 0
+}
+
+export function concatBytes(parts) {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    output.set(part, offset)
+    offset += part.length
+  }
+  return output
+}
+
+/**
+ * Growable little/big-endian byte writer shared by the image and archive
+ * encoders.
+ */
+export function createByteWriter(initialSize = 1024) {
+  let buffer = new Uint8Array(initialSize)
+  let length = 0
+
+  const ensure = (extra) => {
+    if (length + extra <= buffer.length) return
+    let size = buffer.length * 2
+    while (size < length + extra) size *= 2
+    const next = new Uint8Array(size)
+    next.set(buffer.subarray(0, length))
+    buffer = next
+  }
+
+  const writer = {
+    get length() {
+      return length
+    },
+    u8(value) {
+      ensure(1)
+      buffer[length++] = value & 0xff
+      return writer
+    },
+    u16le(value) {
+      return writer.u8(value).u8(value >>> 8)
+    },
+    u32le(value) {
+      return writer.u16le(value).u16le(value >>> 16)
+    },
+    u16be(value) {
+      return writer.u8(value >>> 8).u8(value)
+    },
+    u32be(value) {
+      return writer.u16be(value >>> 16).u16be(value)
+    },
+    bytes(values) {
+      ensure(values.length)
+      buffer.set(values, length)
+      length += values.length
+      return writer
+    },
+    ascii(text) {
+      for (let i = 0; i < text.length; i++) writer.u8(text.charCodeAt(i))
+      return writer
+    },
+    toBytes: () => buffer.slice(0, length),
+  }
+  return writer
+}
@@ -0,0 +1,197 @@
+import { createByteWriter } from './bytes.js'
+
+const MIN_CODE_SIZE = 8
+const MAX_CODE = 4096
+const ALPHA_THRESHOLD = 128
+const DISPOSE_BACKGROUND = 2
+// Browsers slow anything shorter than 2cs down to 10cs.
+export const MIN_DELAY_CS = 2
+const BIN_COUNT = 4096
+
+// Colors are binned at 4 bits per channel; the palette keeps the most
+// common bins, averaged, which suits the handful of hues in a trail.
+const binOf = (pixels, offset) =>
+  ((pixels[offset] >> 4) << 8) | ((pixels[offset + 1] >> 4) << 4) | (pixels[offset + 2] >> 4)
+
+/**
+ * Accumulates colors across frames and builds one global palette. With
+ * `transparent`, index 0 is reserved for pixels below half alpha.
+ */
+export function createPaletteBuilder({ transparent = false } = {}) {
+  const counts = new Float64Array(BIN_COUNT)
+  const sums = new Float64Array(BIN_COUNT * 3)
+
+  return {
+    add(pixels) {
+      for (let offset = 0; offset < pixels.length; offset += 4) {
+        if (transparent && pixels[offset + 3] < ALPHA_THRESHOLD) continue
+        const bin = binOf(pixels, offset)
+        counts[bin]++
+        sums[bin * 3] += pixels[offset]
+        sums[bin * 3 + 1] += pixels[offset + 1]
+        sums[bin * 3 + 2] += pixels[offset + 2]
+      }
+    },
+    build() {
+      const capacity = transparent ? 255 : 256
+      const bins = [...counts.keys()]
+        .filter((bin) => counts[bin] > 0)
+        .sort((a, b) => counts[b] - counts[a])
+        .slice(0, capacity)
+      const colors = bins.map((bin) =>
+        [0, 1, 2].map((channel) => Math.round(sums[bin * 3 + channel] / counts[bin])),
+      )
+      if (transparent) colors.unshift([0, 0, 0])
+      if (!colors.length) colors.push([0, 0, 0])
+      return { colors, transparent }
+    },
+  }
+}
+
+const createIndexer = ({ colors, transparent }) => {
+  const first = transparent ? 1 : 0
+  const cache = new Int16Array(BIN_COUNT).fill(-1)
+
+  const nearest = (bin) => {
+    const r = ((bin >> 8) << 4) + 8
+    const g = (((bin >> 4) & 15) << 4) + 8
+    const b = ((bin & 15) << 4) + 8
+    let best = first
+    let bestDistance = Infinity
+    for (let index = first; index < colors.length; index++) {
+      const [pr, pg, pb] = colors[index]
+      const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2
+      if (distance < bestDistance) {
+        best = index
+        bestDistance = distance
+      }
+    }
+    return best
+  }
+
+  return (pixels) => {
+    const indices = new Uint8Array(pixels.length / 4)
+    for (let offset = 0, i = 0; offset < pixels.length; offset += 4, i++) {
+      if (transparent && pixels[offset + 3] < ALPHA_THRESHOLD) continue
+      const bin = binOf(pixels, offset)
+      if (cache[bin] < 0) cache[bin] = nearest(bin)
+      indices[i] = cache[bin]
+    }
+    return indices
+  }
+}
+
+/** Variable-width LZW as used by GIF image data, packed least-significant bit first. */
+export function lzwEncode(indices, minCodeSize = MIN_CODE_SIZE) {
+  const output = createByteWriter(indices.length)
+  const clearCode = 1 << minCodeSize
+  const endCode = clearCode + 1
+  let codeSize = minCodeSize + 1
+  let nextCode = endCode + 1
+  let table = new Map()
+  let bitBuffer = 0
+  let bitCount = 0
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount
+    bitCount += codeSize
+    while (bitCount >= 8) {
+      output.u8(bitBuffer & 0xff)
+      bitBuffer >>>= 8
+      bitCount -= 8
+    }
+  }
+
+  emit(clearCode)
+  let prefix = indices[0]
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i]
+    const code = table.get(key)
+    if (code !== undefined) {
+      prefix = code
+      continue
+    }
+    emit(prefix)
+    if (nextCode === MAX_CODE) {
+      emit(clearCode)
+      table = new Map()
+      codeSize = minCodeSize + 1
+      nextCode = endCode + 1
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++
+      table.set(key, nextCode++)
+    }
+    prefix = indices[i]
+  }
+  emit(prefix)
+  emit(endCode)
+  if (bitCount > 0) output.u8(bitBuffer & 0xff)
+  return output.toBytes()
+}
+
+const writeSubBlocks = (writer, data) => {
+  for (let offset = 0; offset < data.length; offset += 255) {
+    const block = data.subarray(offset, offset + 255)
+    writer.u8(block.length).bytes(block)
+  }
+  writer.u8(0)
+}
+
+const checkFrame = (pixels, width, height) => {
+  if (pixels.length !== width * height * 4) {
+    throw new RangeError(`Expected ${width * height * 4} RGBA bytes per frame, got ${pixels.length}.`)
+  }
+}
+
+/**
+ * Streams frames into an animated GIF that uses one global palette from
+ * `createPaletteBuilder`. GIF only has on/off transparency, so a transparent
+ * palette cuts soft edges at half alpha; composite onto a background for
+ * smooth glows.
+ */
+export function createGifEncoder({ width, height, palette, delayMs, loop = 0 }) {
+  const toIndices = createIndexer(palette)
+  const writer = createByteWriter(width * height)
+  // Delays are in centiseconds; rounding the running total keeps the
+  // animation length right when the frame time is not a whole number.
+  const delayAt = (index) => Math.round((index * delayMs) / 10)
+  let frameCount = 0
+
+  writer.ascii('GIF89a').u16le(width).u16le(height).u8(0xf7).u8(0).u8(0)
+  for (let index = 0; index < 256; index++) {
+    const [r, g, b] = palette.colors[index] ?? [0, 0, 0]
+    writer.u8(r).u8(g).u8(b)
+  }
+  writer.u8(0x21).u8(0xff).u8(11).ascii('NETSCAPE2.0').u8(3).u8(1).u16le(loop).u8(0)
+
+  return {
+    addFrame(pixels) {
+      checkFrame(pixels, width, height)
+      const delay = Math.max(MIN_DELAY_CS, delayAt(frameCount + 1) - delayAt(frameCount))
+      frameCount++
+      writer
+        .u8(0x21)
+        .u8(0xf9)
+        .u8(4)
+        .u8((DISPOSE_BACKGROUND << 2) | (palette.transparent ? 1 : 0))
+        .u16le(delay)
+        .u8(0)
+        .u8(0)
+      writer.u8(0x2c).u16le(0).u16le(0).u16le(width).u16le(height).u8(0)
+      writer.u8(MIN_CODE_SIZE)
+      writeSubBlocks(writer, lzwEncode(toIndices(pixels)))
+    },
+    finish() {
+      if (!frameCount) throw new RangeError('An animation needs at least one frame.')
+      return writer.u8(0x3b).toBytes()
+    },
+  }
+}
+
+export function encodeGif(frames, { transparent = false, ...options }) {
+  const builder = createPaletteBuilder({ transparent })
+  frames.forEach(builder.add)
+  const encoder = createGifEncoder({ ...options, palette: builder.build() })
+  frames.forEach(encoder.addFrame)
+  return encoder.finish()
+}
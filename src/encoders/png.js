@@ -0,0 +1,105 @@
+import { concatBytes, crc32, createByteWriter } from './bytes.js'
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+const COLOR_TYPE_RGBA = 6
+const FILTER_SUB = 1
+const DISPOSE_BACKGROUND = 1
+const BLEND_SOURCE = 0
+
+// zlib-wrapped deflate, which is exactly what IDAT and fdAT chunks carry.
+export async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+const chunk = (type, data) => {
+  const body = createByteWriter(data.length + 4).ascii(type).bytes(data).toBytes()
+  return createByteWriter(body.length + 8).u32be(data.length).bytes(body).u32be(crc32(body)).toBytes()
+}
+
+const header = (width, height) =>
+  createByteWriter(13).u32be(width).u32be(height).u8(8).u8(COLOR_TYPE_RGBA).u8(0).u8(0).u8(0).toBytes()
+
+// Each scanline is prefixed with the Sub filter, which keeps the mostly
+// empty rows of a trail frame very compressible.
+const filterScanlines = (pixels, width, height) => {
+  const stride = width * 4
+  const output = new Uint8Array((stride + 1) * height)
+  for (let y = 0; y < height; y++) {
+    const row = y * stride
+    const out = y * (stride + 1)
+    output[out] = FILTER_SUB
+    for (let x = 0; x < stride; x++) {
+      output[out + 1 + x] = pixels[row + x] - (x >= 4 ? pixels[row + x - 4] : 0)
+    }
+  }
+  return output
+}
+
+const checkFrame = (pixels, width, height) => {
+  if (pixels.length !== width * height * 4) {
+    throw new RangeError(`Expected ${width * height * 4} RGBA bytes per frame, got ${pixels.length}.`)
+  }
+}
+
+/** Encodes one RGBA frame as a PNG image. */
+export async function encodePng(pixels, { width, height, compress = deflate }) {
+  checkFrame(pixels, width, height)
+  return concatBytes([
+    Uint8Array.from(SIGNATURE),
+    chunk('IHDR', header(width, height)),
+    chunk('IDAT', await compress(filterScanlines(pixels, width, height))),
+    chunk('IEND', new Uint8Array(0)),
+  ])
+}
+
+/**
+ * Streams RGBA frames into an animated PNG with full alpha. `loop` is the
+ * play count, where 0 repeats forever. Viewers without APNG support show
+ * the first frame.
+ */
+export function createApngEncoder({ width, height, delayMs, loop = 0, compress = deflate }) {
+  const delay = Math.max(1, Math.round(delayMs))
+  const chunks = []
+  let sequence = 0
+
+  return {
+    async addFrame(pixels) {
+      checkFrame(pixels, width, height)
+      const first = chunks.length === 0
+      const control = createByteWriter(26)
+        .u32be(sequence++)
+        .u32be(width)
+        .u32be(height)
+        .u32be(0)
+        .u32be(0)
+        .u16be(delay)
+        .u16be(1000)
+        .u8(DISPOSE_BACKGROUND)
+        .u8(BLEND_SOURCE)
+      const data = await compress(filterScanlines(pixels, width, height))
+      chunks.push(
+        chunk('fcTL', control.toBytes()),
+        first
+          ? chunk('IDAT', data)
+          : chunk('fdAT', createByteWriter(data.length + 4).u32be(sequence++).bytes(data).toBytes()),
+      )
+    },
+    finish() {
+      if (!chunks.length) throw new RangeError('An animation needs at least one frame.')
+      return concatBytes([
+        Uint8Array.from(SIGNATURE),
+        chunk('IHDR', header(width, height)),
+        chunk('acTL', createByteWriter(8).u32be(chunks.length / 2).u32be(loop).toBytes()),
+        ...chunks,
+        chunk('IEND', new Uint8Array(0)),
+      ])
+    },
+  }
+}
+
+export async function encodeApng(frames, options) {
+  const encoder = createApngEncoder(options)
+  for (const pixels of frames) await encoder.addFrame(pixels)
+  return encoder.finish()
+}
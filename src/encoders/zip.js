@@ -0,0 +1,38 @@
+import { crc32, createByteWriter } from './bytes.js'
+
+const VERSION = 20
+const UTF8_FLAG = 0x0800
+
+// 1980-01-01, the earliest DOS timestamp; entries do not carry a real date.
+const DOS_DATE = (0 << 9) | (1 << 5) | 1
+
+/**
+ * Packs `{ name, data }` entries into an uncompressed ZIP archive. Entries
+ * such as PNG frames are already compressed, so storing them is enough.
+ */
+export function createZip(entries) {
+  const encoder = new TextEncoder()
+  const writer = createByteWriter()
+  const directory = createByteWriter()
+
+  for (const { name, data } of entries) {
+    const fileName = encoder.encode(name)
+    const checksum = crc32(data)
+    const offset = writer.length
+
+    writer.u32le(0x04034b50).u16le(VERSION).u16le(UTF8_FLAG).u16le(0).u16le(0).u16le(DOS_DATE)
+    writer.u32le(checksum).u32le(data.length).u32le(data.length).u16le(fileName.length).u16le(0)
+    writer.bytes(fileName).bytes(data)
+
+    directory.u32le(0x02014b50).u16le(VERSION).u16le(VERSION).u16le(UTF8_FLAG).u16le(0).u16le(0)
+    directory.u16le(DOS_DATE).u32le(checksum).u32le(data.length).u32le(data.length)
+    directory.u16le(fileName.length).u16le(0).u16le(0).u16le(0).u16le(0).u32le(0).u32le(offset)
+    directory.bytes(fileName)
+  }
+
+  const directoryOffset = writer.length
+  writer.bytes(directory.toBytes())
+  writer.u32le(0x06054b50).u16le(0).u16le(0).u16le(entries.length).u16le(entries.length)
+  writer.u32le(directory.length).u32le(directoryOffset).u16le(0)
+  return writer.toBytes()
+}
@@ -0,0 +1,26 @@
+/**
+ * Captures the current tab into a playing, muted `<video>` that the
+ * magnifier can enlarge. Browsers ask the user to pick what to share;
+ * `preferCurrentTab` makes this tab the suggested choice. `onEnded` runs
+ * when sharing stops from the browser's own controls.
+ */
+export async function openLensSource({ onEnded = () => {} } = {}) {
+  if (!navigator?.mediaDevices?.getDisplayMedia) {
+    throw new Error('Screen capture is not supported in this browser yet.')
+  }
+  const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false, preferCurrentTab: true })
+  const video = document.createElement('video')
+  video.muted = true
+  video.playsInline = true
+  video.srcObject = stream
+  await video.play()
+  stream.getVideoTracks()[0]?.addEventListener('ended', onEnded)
+
+  return {
+    video,
+    stop: () => {
+      stream.getTracks().forEach((track) => track.stop())
+      video.srcObject = null
+    },
+  }
+}
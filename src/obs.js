@@ -0,0 +1,215 @@
+export const OBS_RPC_VERSION = 1
+
+export const OBS_DEFAULTS = {
+  enabled: false,
+  url: 'ws://127.0.0.1:4455',
+  password: '',
+  recordWith: 'obs',
+  sceneBindings: {},
+}
+
+// How the R shortcut drives recording while OBS is connected.
+export const OBS_RECORD_TARGETS = [
+  { id: 'obs', name: 'OBS' },
+  { id: 'both', name: 'Both' },
+  { id: 'app', name: 'This app' },
+]
+
+export const OBS_OP = {
+  HELLO: 0,
+  IDENTIFY: 1,
+  IDENTIFIED: 2,
+  EVENT: 5,
+  REQUEST: 6,
+  REQUEST_RESPONSE: 7,
+}
+
+export const OBS_EVENT_SUBSCRIPTIONS = {
+  scenes: 1 << 2,
+  outputs: 1 << 6,
+}
+
+const CLOSE_AUTHENTICATION_FAILED = 4009
+const CLOSE_UNSUPPORTED_RPC_VERSION = 4010
+const REQUEST_TIMEOUT_MS = 5000
+const RECONNECT_MS = 2000
+const MAX_RECONNECT_MS = 30000
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+
+const sha256Base64 = async (text) =>
+  toBase64(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)))
+
+/** obs-websocket v5 auth string: base64(sha256(base64(sha256(password + salt)) + challenge)). */
+export async function obsAuthentication(password, { salt, challenge }) {
+  return sha256Base64((await sha256Base64(password + salt)) + challenge)
+}
+
+const initialState = () => ({ status: 'disconnected', error: '', obsVersion: null })
+
+/**
+ * Connects to OBS over the obs-websocket v5 protocol, identifies with the
+ * optional password, and reconnects with backoff until `disconnect` is
+ * called. Status moves through disconnected → connecting → connected, or
+ * to error when OBS refuses the connection.
+ */
+export function createObsClient({
+  url = OBS_DEFAULTS.url,
+  password = '',
+  WebSocket = globalThis.WebSocket,
+  onUpdate = () => {},
+  onEvent = () => {},
+  reconnectDelay = RECONNECT_MS,
+}) {
+  let state = initialState()
+  let socket = null
+  let shouldReconnect = false
+  let retryTimer = null
+  let attempts = 0
+  let nextRequestId = 1
+  const pending = new Map()
+
+  const update = (changes) => {
+    state = { ...state, ...changes }
+    onUpdate(state)
+  }
+
+  const rejectPending = (message) => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer)
+      reject(new Error(message))
+    }
+    pending.clear()
+  }
+
+  const send = (op, d) => socket.send(JSON.stringify({ op, d }))
+
+  const handleMessage = async ({ op, d }) => {
+    if (op === OBS_OP.HELLO) {
+      if (d.authentication && !password) {
+        shouldReconnect = false
+        socket.close()
+        update({ status: 'error', error: 'OBS requires a password.' })
+        return
+      }
+      send(OBS_OP.IDENTIFY, {
+        rpcVersion: OBS_RPC_VERSION,
+        eventSubscriptions: OBS_EVENT_SUBSCRIPTIONS.scenes | OBS_EVENT_SUBSCRIPTIONS.outputs,
+        ...(d.authentication && { authentication: await obsAuthentication(password, d.authentication) }),
+      })
+      update({ obsVersion: d.obsWebSocketVersion ?? null })
+      return
+    }
+
+    if (op === OBS_OP.IDENTIFIED) {
+      attempts = 0
+      update({ status: 'connected', error: '' })
+      return
+    }
+
+    if (op === OBS_OP.EVENT) {
+      onEvent(d.eventType, d.eventData ?? {})
+      return
+    }
+
+    if (op === OBS_OP.REQUEST_RESPONSE) {
+      const request = pending.get(d.requestId)
+      if (!request) return
+      pending.delete(d.requestId)
+      clearTimeout(request.timer)
+      if (d.requestStatus?.result) request.resolve(d.responseData ?? {})
+      else request.reject(new Error(d.requestStatus?.comment || `OBS could not run ${d.requestType}.`))
+    }
+  }
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(MAX_RECONNECT_MS, reconnectDelay * 2 ** attempts++)
+    retryTimer = setTimeout(open, delay)
+  }
+
+  function open() {
+    retryTimer = null
+    if (typeof WebSocket !== 'function') {
+      update({ status: 'error', error: 'WebSockets are not available in this browser.' })
+      return
+    }
+    update({ status: 'connecting' })
+    let current
+    try {
+      current = new WebSocket(url)
+    } catch (error) {
+      // Browsers throw straight away for a malformed or non-ws address.
+      shouldReconnect = false
+      update({ status: 'error', error: error?.message || `OBS cannot be reached at ${url}.` })
+      return
+    }
+    socket = current
+
+    current.onmessage = (event) => {
+      let message
+      try {
+        message = JSON.parse(event.data)
+      } catch {
+        return
+      }
+      handleMessage(message).catch((error) => update({ error: error?.message || 'OBS handshake failed.' }))
+    }
+
+    current.onclose = (event) => {
+      if (socket !== current) return
+      socket = null
+      rejectPending('OBS disconnected.')
+      if (event.code === CLOSE_AUTHENTICATION_FAILED || event.code === CLOSE_UNSUPPORTED_RPC_VERSION) {
+        shouldReconnect = false
+        update({
+          status: 'error',
+          error:
+            event.code === CLOSE_AUTHENTICATION_FAILED
+              ? 'OBS rejected the password.'
+              : 'This OBS WebSocket version is not supported.',
+        })
+        return
+      }
+      if (state.status === 'error') return
+      if (shouldReconnect) {
+        update({ status: 'connecting', error: state.status === 'connected' ? 'Connection lost, retrying…' : '' })
+        scheduleReconnect()
+      } else {
+        update({ status: 'disconnected' })
+      }
+    }
+  }
+
+  return {
+    getState: () => state,
+    connect() {
+      if (socket || retryTimer) return
+      shouldReconnect = true
+      attempts = 0
+      state = initialState()
+      open()
+    },
+    disconnect() {
+      shouldReconnect = false
+      clearTimeout(retryTimer)
+      retryTimer = null
+      const current = socket
+      socket = null
+      rejectPending('OBS disconnected.')
+      current?.close()
+      update(initialState())
+    },
+    request(requestType, requestData) {
+      if (state.status !== 'connected') return Promise.reject(new Error('OBS is not connected.'))
+      const requestId = String(nextRequestId++)
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(requestId)
+          reject(new Error(`OBS did not answer ${requestType}.`))
+        }, REQUEST_TIMEOUT_MS)
+        pending.set(requestId, { resolve, reject, timer })
+        send(OBS_OP.REQUEST, { requestType, requestId, ...(requestData && { requestData }) })
+      })
+    },
+  }
+}
@@ -0,0 +1,84 @@
+// Settings a popped-out panel mirrors from the overlay, and the remote
+// command that changes each one.
+const FIELD_COMMANDS = {
+  enabled: 'setEnabled',
+  style: 'setStyle',
+  color: 'setColor',
+  size: 'setSize',
+  lifetime: 'setLifetime',
+  fadeCurve: 'setFadeCurve',
+  maxPoints: 'setMaxPoints',
+  spacing: 'setSpacing',
+  colors: 'setColors',
+  particles: 'setParticles',
+  effects: 'setEffects',
+  presentation: 'setPresentation',
+  annotations: 'setAnnotations',
+  idle: 'setIdle',
+  accessibility: 'setAccessibility',
+  performance: 'setPerformance',
+  timeline: 'setTimeline',
+}
+
+// Fields that are not part of a preset, so changing them keeps it active.
+const PRESET_NEUTRAL_FIELDS = ['enabled', 'effects', 'annotations', 'idle', 'accessibility', 'performance', 'timeline']
+
+export const SYNC_FIELDS = [...Object.keys(FIELD_COMMANDS), 'activePresetId']
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * Keeps a panel window's settings in step with the overlay it drives.
+ * `push` sends remote commands for whatever the panel changed; `receive`
+ * applies the overlay's published state, except for fields the panel has
+ * sent and the overlay has not confirmed yet, so in-flight edits such as a
+ * dragged slider do not jump back.
+ */
+export function createPanelSync({ send, apply }) {
+  let remote = null
+  const pending = new Map()
+
+  const expected = (field) => (pending.has(field) ? pending.get(field) : remote[field])
+
+  const mergedState = () => {
+    const merged = { ...remote }
+    for (const [field, value] of pending) merged[field] = value
+    return merged
+  }
+
+  // A rejected command will never be confirmed, so fall back to the
+  // overlay's value for that field.
+  const dispatch = (command, payload, fields) =>
+    Promise.resolve(send(command, payload)).catch(() => {
+      fields.forEach((field) => pending.delete(field))
+      apply(mergedState())
+    })
+
+  return {
+    receive(state) {
+      for (const [field, value] of pending) {
+        if (same(state[field], value)) pending.delete(field)
+      }
+      remote = state
+      apply(mergedState())
+    },
+    push(local) {
+      if (!remote) return
+
+      if (local.activePresetId && local.activePresetId !== expected('activePresetId')) {
+        for (const field of SYNC_FIELDS) pending.set(field, local[field])
+        dispatch('applyPreset', { presetId: local.activePresetId }, SYNC_FIELDS)
+        return
+      }
+
+      let customized = false
+      for (const [field, command] of Object.entries(FIELD_COMMANDS)) {
+        if (same(local[field], expected(field))) continue
+        pending.set(field, local[field])
+        dispatch(command, { [field]: local[field] }, [field])
+        customized = !PRESET_NEUTRAL_FIELDS.includes(field) || customized
+      }
+      if (customized) pending.set('activePresetId', null)
+    },
+  }
+}
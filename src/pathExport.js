@@ -0,0 +1,158 @@
+import { createGifEncoder, createPaletteBuilder } from './encoders/gif.js'
+import { createApngEncoder, encodePng } from './encoders/png.js'
+import { createZip } from './encoders/zip.js'
+import { parseColor } from './trail/color.js'
+import { createCursorTrail, DEFAULT_OPTIONS } from './trail/engine.js'
+import { pathFrames } from './trail/path.js'
+
+export const EXPORT_FORMATS = [
+  { id: 'gif', label: 'Animated GIF', extension: 'gif', mimeType: 'image/gif', maxFrameRate: 50 },
+  { id: 'apng', label: 'Animated PNG', extension: 'png', mimeType: 'image/png' },
+  { id: 'frames', label: 'PNG frames (.zip)', extension: 'zip', mimeType: 'application/zip' },
+]
+
+export const EXPORT_FRAME_RATES = [15, 24, 30, 50, 60]
+
+export const EXPORT_DEFAULTS = {
+  format: 'gif',
+  frameRate: 30,
+  transparent: false,
+  background: '#020617',
+}
+
+const YIELD_EVERY = 8
+
+export const exportFormat = (id) => EXPORT_FORMATS.find((format) => format.id === id) ?? EXPORT_FORMATS[0]
+
+/**
+ * Crops a take to the area its samples cover plus `margin` on every side,
+ * shifting the samples so the crop starts at the origin.
+ */
+export function cropTake(take, margin) {
+  if (!take.samples.length) return { take, width: 1, height: 1 }
+  const xs = take.samples.map((sample) => sample.x)
+  const ys = take.samples.map((sample) => sample.y)
+  const left = Math.floor(Math.min(...xs) - margin)
+  const top = Math.floor(Math.min(...ys) - margin)
+
+  return {
+    take: {
+      ...take,
+      samples: take.samples.map((sample) => ({ ...sample, x: sample.x - left, y: sample.y - top })),
+    },
+    width: Math.max(1, Math.ceil(Math.max(...xs) + margin) - left),
+    height: Math.max(1, Math.ceil(Math.max(...ys) + margin) - top),
+  }
+}
+
+// Large enough for glows and the spread of a particle burst.
+const marginFor = (options) => Math.ceil(options.size * (options.mode === 'particles' ? 4 : 2))
+
+const defaultCreateCanvas = (width, height) => {
+  if (typeof OffscreenCanvas === 'function') return new OffscreenCanvas(width, height)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/** Flattens RGBA pixels onto an opaque background color, in place. */
+export function compositeOnto(pixels, background) {
+  const { r, g, b } = parseColor(background) ?? { r: 0, g: 0, b: 0 }
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    const alpha = pixels[offset + 3] / 255
+    pixels[offset] = pixels[offset] * alpha + r * (1 - alpha)
+    pixels[offset + 1] = pixels[offset + 1] * alpha + g * (1 - alpha)
+    pixels[offset + 2] = pixels[offset + 2] * alpha + b * (1 - alpha)
+    pixels[offset + 3] = 255
+  }
+  return pixels
+}
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+/**
+ * Renders every frame of a take offline, on a headless trail sized to the
+ * path, and yields the RGBA pixels of each frame. Frames come from
+ * `pathFrames`, so the output does not depend on how fast the machine is.
+ */
+export async function* renderPathFrames(
+  take,
+  { frameRate, overrides = {}, transparent, background, createCanvas = defaultCreateCanvas },
+) {
+  const options = { ...DEFAULT_OPTIONS, ...take.options, ...overrides }
+  const cropped = cropTake(take, marginFor(options))
+  const canvas = createCanvas(cropped.width, cropped.height)
+  const trail = createCursorTrail(canvas, { ...options, headless: true, autoStart: false })
+  const ctx = canvas.getContext('2d')
+
+  try {
+    for (const { index } of pathFrames(trail, cropped.take, { frameRate, overrides })) {
+      const { data } = ctx.getImageData(0, 0, cropped.width, cropped.height)
+      const pixels = transparent ? data : compositeOnto(data, background)
+      yield { index, width: cropped.width, height: cropped.height, pixels }
+      if (index % YIELD_EVERY === YIELD_EVERY - 1) await nextTask()
+    }
+  } finally {
+    trail.destroy()
+  }
+}
+
+export const frameCountFor = (take, frameRate, overrides = {}) => {
+  const { lifetime } = { ...DEFAULT_OPTIONS, ...take.options, ...overrides }
+  return Math.floor((take.duration + lifetime) / (1000 / frameRate)) + 1
+}
+
+/**
+ * Exports a captured path as an animated GIF, an animated PNG or a ZIP of
+ * numbered PNG frames, reporting progress as a 0–1 fraction. GIFs render
+ * the path twice, once to build the palette and once to encode, which
+ * works because replays are deterministic.
+ */
+export async function exportPath(
+  take,
+  { format = EXPORT_DEFAULTS.format, overrides = {}, onProgress = () => {}, createCanvas, ...settings } = {},
+) {
+  const { id, mimeType, maxFrameRate = Infinity } = exportFormat(format)
+  const { frameRate: requestedRate, transparent, background } = { ...EXPORT_DEFAULTS, ...settings }
+  const frameRate = Math.min(requestedRate, maxFrameRate)
+  const delayMs = 1000 / frameRate
+  const total = frameCountFor(take, frameRate, overrides) * (id === 'gif' ? 2 : 1)
+  const frames = () => renderPathFrames(take, { frameRate, overrides, transparent, background, createCanvas })
+  let done = 0
+  const progress = () => onProgress(Math.min(1, ++done / total))
+
+  if (id === 'gif') {
+    const palette = createPaletteBuilder({ transparent })
+    let size = null
+    for await (const frame of frames()) {
+      palette.add(frame.pixels)
+      size = frame
+      progress()
+    }
+    const encoder = createGifEncoder({ width: size.width, height: size.height, palette: palette.build(), delayMs })
+    for await (const frame of frames()) {
+      encoder.addFrame(frame.pixels)
+      progress()
+    }
+    return new Blob([encoder.finish()], { type: mimeType })
+  }
+
+  if (id === 'apng') {
+    let encoder = null
+    for await (const frame of frames()) {
+      encoder ??= createApngEncoder({ width: frame.width, height: frame.height, delayMs })
+      await encoder.addFrame(frame.pixels)
+      progress()
+    }
+    return new Blob([encoder.finish()], { type: mimeType })
+  }
+
+  const entries = []
+  for await (const frame of frames()) {
+    const name = `frame-${String(frame.index).padStart(5, '0')}.png`
+    entries.push({ name, data: await encodePng(frame.pixels, frame) })
+    progress()
+  }
+  return new Blob([createZip(entries)], { type: mimeType })
+}
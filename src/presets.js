@@ -0,0 +1,196 @@
+import { fadeSpeedToLifetime } from './trail/fade.js'
+import { normalizePresentation } from './trail/presentation.js'
+import { validatePartialSettings } from './settings.js'
+import { DEFAULT_KEYMAP, normalizeCombo } from './shortcuts.js'
+
+export const PRESET_STORAGE_KEY = 'cursor-trail-presets-v1'
+export const PRESET_FILE_FORMAT = 'cursor-trail-presets'
+export const PRESET_FILE_VERSION = 1
+// Presets cannot take the default keys of the built-in actions.
+export const RESERVED_SHORTCUTS = Object.values(DEFAULT_KEYMAP)
+
+export const PRESET_COMBOS = [
+  {
+    id: 'tutorial-pop',
+    name: 'Tutorial Pop',
+    shortcut: '1',
+    description: 'Sparkle bursts that highlight quick steps.',
+    config: {
+      style: 'sparkle',
+      color: '#F59E0B',
+      size: 28,
+      lifetime: 240,
+      fadeCurve: 'ease-out',
+      particles: { mode: 'particles', spawnCount: 3, gravity: 0.08, spin: 0.12 },
+    },
+  },
+  {
+    id: 'signature-cyan',
+    name: 'Canva Glow',
+    shortcut: '2',
+    description: 'Soft glow in Canva signature cyan.',
+    config: { style: 'glow', color: '#00C4CC', size: 32, lifetime: 300, fadeCurve: 'exponential' },
+  },
+  {
+    id: 'brush-studio',
+    name: 'Brush Studio',
+    shortcut: '3',
+    description: 'Organic brush strokes for live sketching.',
+    config: { style: 'brush', color: '#8B5CF6', size: 36, lifetime: 200, fadeCurve: 'linear' },
+  },
+]
+
+export const createPresetId = () => `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+export const isReservedShortcut = (shortcut) => RESERVED_SHORTCUTS.includes(normalizeCombo(shortcut))
+
+function normalizeShortcut(shortcut) {
+  const combo = normalizeCombo(shortcut)
+  return isReservedShortcut(combo) ? '' : combo
+}
+
+function normalizeConfig(config) {
+  if (!config || typeof config !== 'object') throw new Error('Preset is missing its config.')
+  if (typeof config.style !== 'string') throw new Error('Preset config needs a style id.')
+  if (typeof config.color !== 'string') throw new Error('Preset config needs a color.')
+  if (typeof config.size !== 'number') throw new Error('Preset config needs a numeric size.')
+
+  const lifetime =
+    typeof config.lifetime === 'number'
+      ? config.lifetime
+      : typeof config.fade === 'number'
+        ? fadeSpeedToLifetime(config.fade)
+        : null
+  if (lifetime === null) throw new Error('Preset config needs a lifetime.')
+
+  // Imported and stored configs go through the settings schema, so values
+  // out of range are clamped and malformed ones replaced, as on load.
+  const { settings: normalized } = validatePartialSettings({
+    style: config.style,
+    color: config.color,
+    size: config.size,
+    lifetime,
+    fadeCurve: config.fadeCurve ?? 'linear',
+    maxPoints: config.maxPoints,
+    spacing: config.spacing,
+    particles: config.particles,
+    colors: config.colors,
+  })
+  if (config.presentation && typeof config.presentation === 'object') {
+    normalized.presentation = normalizePresentation(config.presentation)
+  }
+  return normalized
+}
+
+export function normalizePreset(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Preset entries must be objects.')
+  if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error('Every preset needs a name.')
+
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : createPresetId(),
+    name: raw.name.trim(),
+    shortcut: normalizeShortcut(raw.shortcut),
+    description: typeof raw.description === 'string' ? raw.description : '',
+    config: normalizeConfig(raw.config),
+  }
+}
+
+export function createPreset(name, config, shortcut = '') {
+  return normalizePreset({ id: createPresetId(), name, shortcut, description: '', config })
+}
+
+// A shortcut belongs to one preset at a time; giving it to another preset
+// takes it away from the previous owner.
+export function assignShortcut(presets, id, shortcut) {
+  const next = normalizeShortcut(shortcut)
+  return presets.map((preset) => {
+    if (preset.id === id) return { ...preset, shortcut: next }
+    if (next && preset.shortcut === next) return { ...preset, shortcut: '' }
+    return preset
+  })
+}
+
+export function updatePreset(presets, id, changes) {
+  const updated = presets.map((preset) =>
+    preset.id === id ? normalizePreset({ ...preset, ...changes, id, shortcut: preset.shortcut }) : preset,
+  )
+  return 'shortcut' in changes ? assignShortcut(updated, id, changes.shortcut) : updated
+}
+
+export function movePreset(presets, id, offset) {
+  const from = presets.findIndex((preset) => preset.id === id)
+  const to = from + offset
+  if (from < 0 || to < 0 || to >= presets.length) return presets
+  const next = [...presets]
+  const [moved] = next.splice(from, 1)
+  next.splice(to, 0, moved)
+  return next
+}
+
+export const removePreset = (presets, id) => presets.filter((preset) => preset.id !== id)
+
+export function exportPresetLibrary(presets) {
+  const payload = {
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    presets,
+  }
+  return JSON.stringify(payload, null, 2)
+}
+
+export function parsePresetLibrary(text) {
+  let payload
+  try {
+    payload = JSON.parse(text)
+  } catch {
+    throw new Error('Preset file is not valid JSON.')
+  }
+
+  if (payload?.format !== PRESET_FILE_FORMAT || !Array.isArray(payload.presets)) {
+    throw new Error('File is not a cursor trail preset library.')
+  }
+  if (payload.version > PRESET_FILE_VERSION) {
+    throw new Error(`Preset library version ${payload.version} is newer than this app supports.`)
+  }
+
+  return payload.presets.map(normalizePreset)
+}
+
+// Imported presets replace existing ones with the same id; new ones are
+// appended. Imported shortcuts win over local ones.
+export function mergePresetLibraries(current, imported) {
+  let merged = [...current]
+  for (const preset of imported) {
+    const index = merged.findIndex((existing) => existing.id === preset.id)
+    if (index >= 0) merged[index] = { ...preset, shortcut: merged[index].shortcut }
+    else merged.push({ ...preset, shortcut: '' })
+    if (preset.shortcut) merged = assignShortcut(merged, preset.id, preset.shortcut)
+  }
+  return merged
+}
+
+export function loadPresetLibrary(storage) {
+  try {
+    const stored = storage.getItem(PRESET_STORAGE_KEY)
+    if (!stored) return PRESET_COMBOS
+    const parsed = JSON.parse(stored)
+    if (!Array.isArray(parsed)) return PRESET_COMBOS
+    // One broken entry must not cost the user the rest of their library.
+    return parsed.flatMap((entry) => {
+      try {
+        return [normalizePreset(entry)]
+      } catch (error) {
+        console.warn('A stored cursor trail preset was dropped.', error)
+        return []
+      }
+    })
+  } catch (error) {
+    console.warn('Cursor trail presets could not be restored.', error)
+    return PRESET_COMBOS
+  }
+}
+
+export function savePresetLibrary(storage, presets) {
+  storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets))
+}
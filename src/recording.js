@@ -0,0 +1,103 @@
+export const RECORDING_FORMATS = [
+  { mimeType: 'video/webm;codecs=vp9', label: 'WebM (VP9)', alpha: true },
+  { mimeType: 'video/webm;codecs=vp8', label: 'WebM (VP8)', alpha: true },
+  { mimeType: 'video/webm', label: 'WebM', alpha: false },
+  { mimeType: 'video/mp4;codecs=avc1', label: 'MP4 (H.264)', alpha: false },
+  { mimeType: 'video/mp4', label: 'MP4', alpha: false },
+]
+
+export const RECORDING_DEFAULTS = {
+  source: 'screen',
+  transparent: true,
+  format: 'auto',
+  bitrate: 8,
+  frameRate: 60,
+  countdown: 3,
+}
+
+export const FRAME_RATES = [24, 30, 60]
+
+export const COUNTDOWN_OPTIONS = [0, 3, 5]
+
+const BACKDROP_COLOR = '#020617'
+
+const defaultIsTypeSupported = (mimeType) =>
+  typeof MediaRecorder !== 'undefined' && typeof MediaRecorder.isTypeSupported === 'function'
+    ? MediaRecorder.isTypeSupported(mimeType)
+    : false
+
+export const listSupportedFormats = (isTypeSupported = defaultIsTypeSupported) =>
+  RECORDING_FORMATS.filter((format) => isTypeSupported(format.mimeType))
+
+// Only VP8/VP9 WebM keeps the alpha channel, so a transparent trail layer
+// never falls back to MP4.
+export function pickMimeType({ format, transparent, source }, isTypeSupported = defaultIsTypeSupported) {
+  const needsAlpha = source === 'canvas' && transparent
+  const candidates = RECORDING_FORMATS.filter((entry) => !needsAlpha || entry.alpha).map((entry) => entry.mimeType)
+  if (format !== 'auto' && candidates.includes(format)) {
+    candidates.splice(candidates.indexOf(format), 1)
+    candidates.unshift(format)
+  }
+  return candidates.find((mimeType) => isTypeSupported(mimeType)) ?? ''
+}
+
+export const fileExtensionFor = (mimeType) => (mimeType.startsWith('video/mp4') ? 'mp4' : 'webm')
+
+// Opaque trail recordings are composited onto the app backdrop in a mirror
+// canvas so the visible overlay canvas itself stays transparent.
+function captureCanvas(canvas, { transparent, frameRate }) {
+  if (typeof canvas?.captureStream !== 'function') {
+    throw new Error('Canvas capture is not supported in this browser yet.')
+  }
+  if (transparent) {
+    const stream = canvas.captureStream(frameRate)
+    return { stream, stop: () => stream.getTracks().forEach((track) => track.stop()) }
+  }
+
+  const mirror = document.createElement('canvas')
+  mirror.width = canvas.width
+  mirror.height = canvas.height
+  const ctx = mirror.getContext('2d')
+  let frame = null
+
+  const paint = () => {
+    if (mirror.width !== canvas.width || mirror.height !== canvas.height) {
+      mirror.width = canvas.width
+      mirror.height = canvas.height
+    }
+    ctx.fillStyle = BACKDROP_COLOR
+    ctx.fillRect(0, 0, mirror.width, mirror.height)
+    ctx.drawImage(canvas, 0, 0)
+    frame = requestAnimationFrame(paint)
+  }
+
+  paint()
+  const stream = mirror.captureStream(frameRate)
+  return {
+    stream,
+    stop: () => {
+      cancelAnimationFrame(frame)
+      stream.getTracks().forEach((track) => track.stop())
+    },
+  }
+}
+
+export async function openRecordingSource(options, canvas) {
+  if (options.source === 'canvas') return captureCanvas(canvas, options)
+
+  if (!navigator?.mediaDevices?.getDisplayMedia) {
+    throw new Error('Screen capture is not supported in this browser yet.')
+  }
+  const stream = await navigator.mediaDevices.getDisplayMedia({
+    video: { frameRate: options.frameRate },
+    audio: false,
+  })
+  return { stream, stop: () => stream.getTracks().forEach((track) => track.stop()) }
+}
+
+export function createRecorder(stream, options) {
+  const mimeType = pickMimeType(options)
+  const recorderOptions = { videoBitsPerSecond: options.bitrate * 1e6 }
+  if (mimeType) recorderOptions.mimeType = mimeType
+  return new MediaRecorder(stream, recorderOptions)
+}
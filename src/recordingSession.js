@@ -0,0 +1,167 @@
+export const DEFAULT_COUNTDOWN = 3
+
+const TICK_MS = 250
+
+const initialState = () => ({ status: 'idle', countdown: 0, elapsed: 0, size: 0 })
+
+/**
+ * Drives one recording at a time: opens the capture source, counts down,
+ * then records with pause/resume while tracking elapsed time and size.
+ * Status moves through idle → starting → countdown → recording ⇄ paused →
+ * processing → idle.
+ */
+export function createRecordingSession({
+  openSource,
+  createRecorder,
+  onUpdate = () => {},
+  onComplete = () => {},
+  onError = () => {},
+  countdown = DEFAULT_COUNTDOWN,
+  clock = Date.now,
+}) {
+  let state = initialState()
+  let source = null
+  let recorder = null
+  let chunks = []
+  let countdownTimer = null
+  let ticker = null
+  let accumulated = 0
+  let resumedAt = null
+
+  const elapsed = () => accumulated + (resumedAt === null ? 0 : clock() - resumedAt)
+
+  const update = (changes) => {
+    state = { ...state, ...changes }
+    onUpdate(state)
+  }
+
+  const clearTimers = () => {
+    clearTimeout(countdownTimer)
+    clearInterval(ticker)
+    countdownTimer = null
+    ticker = null
+  }
+
+  const releaseSource = () => {
+    source?.stop()
+    source = null
+  }
+
+  const reset = () => {
+    clearTimers()
+    releaseSource()
+    recorder = null
+    chunks = []
+    accumulated = 0
+    resumedAt = null
+    update(initialState())
+  }
+
+  // After a countdown this runs from a timer, outside start()'s try, so it
+  // cleans up and reports a recorder that cannot start on its own.
+  const beginRecording = () => {
+    try {
+      recorder = createRecorder(source.stream)
+      chunks = []
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data)
+          update({ size: state.size + event.data.size })
+        }
+      }
+
+      recorder.onstop = () => {
+        const mimeType = recorder?.mimeType || 'video/webm'
+        const blob = new Blob(chunks, { type: mimeType })
+        const duration = elapsed()
+        reset()
+        onComplete({ blob, mimeType, duration, size: blob.size })
+      }
+
+      recorder.start(1000)
+      resumedAt = clock()
+      ticker = setInterval(() => update({ elapsed: elapsed() }), TICK_MS)
+      update({ status: 'recording', countdown: 0, elapsed: 0, size: 0 })
+    } catch (error) {
+      reset()
+      onError(error)
+    }
+  }
+
+  const runCountdown = (remaining) => {
+    if (remaining <= 0) {
+      beginRecording()
+      return
+    }
+    update({ status: 'countdown', countdown: remaining })
+    countdownTimer = setTimeout(() => runCountdown(remaining - 1), 1000)
+  }
+
+  return {
+    getState: () => state,
+    async start() {
+      if (state.status !== 'idle') return
+      update({ status: 'starting' })
+      try {
+        source = await openSource()
+        if (state.status !== 'starting') {
+          releaseSource()
+          return
+        }
+        runCountdown(typeof countdown === 'function' ? countdown() : countdown)
+      } catch (error) {
+        reset()
+        onError(error)
+      }
+    },
+    pause() {
+      if (state.status !== 'recording') return
+      recorder.pause()
+      accumulated = elapsed()
+      resumedAt = null
+      update({ status: 'paused', elapsed: accumulated })
+    },
+    resume() {
+      if (state.status !== 'paused') return
+      recorder.resume()
+      resumedAt = clock()
+      update({ status: 'recording' })
+    },
+    stop() {
+      if (state.status === 'starting' || state.status === 'countdown') {
+        reset()
+        return
+      }
+      if (state.status !== 'recording' && state.status !== 'paused') return
+      clearTimers()
+      accumulated = elapsed()
+      resumedAt = null
+      update({ status: 'processing', elapsed: accumulated })
+      recorder.stop()
+    },
+    destroy() {
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.onstop = null
+        recorder.stop()
+      }
+      clearTimers()
+      releaseSource()
+      recorder = null
+      chunks = []
+    },
+  }
+}
+
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${String(seconds).padStart(2, '0')}`
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
@@ -0,0 +1,296 @@
+import { isValidColor } from './trail/color.js'
+import { FADE_CURVES } from './trail/fade.js'
+import { COLOR_MODES } from './trail/palette.js'
+
+export const REMOTE_PROTOCOL = 'cursor-trail-remote'
+export const REMOTE_VERSION = 1
+export const REMOTE_CHANNEL = 'cursor-trail'
+
+const REQUEST_TIMEOUT_MS = 3000
+
+/**
+ * @typedef {'command' | 'query' | 'subscribe' | 'unsubscribe' | 'response' | 'event'} RemoteMessageType
+ *
+ * @typedef {object} RemoteMessage
+ * @property {typeof REMOTE_PROTOCOL} protocol
+ * @property {number} version
+ * @property {RemoteMessageType} type
+ * @property {string} [id] Correlates a response with its command or query.
+ * @property {string} [name] Command, query or event name.
+ * @property {object} [payload]
+ * @property {boolean} [ok] Set on responses.
+ * @property {string} [error] Set on failed responses.
+ *
+ * @typedef {object} RemoteState
+ * @property {boolean} enabled
+ * @property {string} style
+ * @property {string} color
+ * @property {number} size
+ * @property {number} lifetime
+ * @property {string} fadeCurve
+ * @property {number} maxPoints Trail length, in points per pointer.
+ * @property {number} spacing Minimum distance between points, in pixels.
+ * @property {object} particles
+ * @property {object} colors
+ * @property {object} effects Click, drag, scroll and keystroke effects.
+ * @property {object} presentation Spotlight, magnifier or laser mode and their settings.
+ * @property {object} annotations Annotation pen settings.
+ * @property {object} idle Idle fade, halo and shake-to-find settings.
+ * @property {object} accessibility Reduced motion, high contrast and flash limit settings.
+ * @property {{ offscreen: boolean, adaptiveQuality: boolean }} performance
+ * @property {{ enabled: boolean, cues: object[] }} timeline Cues that play back during a recording.
+ * @property {string | null} activePresetId
+ * @property {{ id: string, name: string, shortcut: string | null }[]} presets
+ * @property {string} recording Recording session status.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Payload field checks per command. Each returns an error message or ''.
+const FIELD_TYPES = {
+  boolean: (value) => (typeof value === 'boolean' ? '' : 'must be true or false'),
+  string: (value) => (typeof value === 'string' && value ? '' : 'must be a non-empty string'),
+  number: (value) => (Number.isFinite(value) ? '' : 'must be a finite number'),
+  color: (value) => (typeof value === 'string' && isValidColor(value) ? '' : 'must be a CSS color'),
+  fadeCurve: (value) =>
+    Object.hasOwn(FADE_CURVES, value) ? '' : `must be one of ${Object.keys(FADE_CURVES).join(', ')}`,
+  object: (value) => (isObject(value) ? '' : 'must be an object'),
+}
+
+/** Commands the trail page accepts, with the payload fields each needs. */
+export const REMOTE_COMMANDS = {
+  toggle: {},
+  setEnabled: { enabled: 'boolean' },
+  setStyle: { style: 'string' },
+  setColor: { color: 'color' },
+  setSize: { size: 'number' },
+  setLifetime: { lifetime: 'number' },
+  setFadeCurve: { fadeCurve: 'fadeCurve' },
+  setMaxPoints: { maxPoints: 'number' },
+  setSpacing: { spacing: 'number' },
+  setColors: { colors: 'object' },
+  setParticles: { particles: 'object' },
+  setEffects: { effects: 'object' },
+  setPresentation: { presentation: 'object' },
+  setAnnotations: { annotations: 'object' },
+  undoAnnotation: {},
+  redoAnnotation: {},
+  clearAnnotations: {},
+  setIdle: { idle: 'object' },
+  setAccessibility: { accessibility: 'object' },
+  setPerformance: { performance: 'object' },
+  setTimeline: { timeline: 'object' },
+  applyPreset: { presetId: 'string' },
+  startRecording: {},
+  stopRecording: {},
+  pauseRecording: {},
+  resumeRecording: {},
+}
+
+export const REMOTE_EVENTS = ['state']
+
+export function validateCommand(name, payload = {}) {
+  const fields = REMOTE_COMMANDS[name]
+  if (!fields) return `Unknown command "${name}".`
+  if (!isObject(payload)) return `Command "${name}" needs an object payload.`
+  for (const [field, type] of Object.entries(fields)) {
+    const error = FIELD_TYPES[type](payload[field])
+    if (error) return `${name}: ${field} ${error}.`
+  }
+  const { colorMode } = payload.colors ?? {}
+  if (name === 'setColors' && colorMode !== undefined && !COLOR_MODES.includes(colorMode)) {
+    return `setColors: colorMode must be one of ${COLOR_MODES.join(', ')}.`
+  }
+  return ''
+}
+
+export const createMessage = (type, fields = {}) => ({
+  protocol: REMOTE_PROTOCOL,
+  version: REMOTE_VERSION,
+  type,
+  ...fields,
+})
+
+export const isRemoteMessage = (data) =>
+  isObject(data) && data.protocol === REMOTE_PROTOCOL && typeof data.type === 'string'
+
+const createMessageId = () => `msg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+/**
+ * Origins allowed to drive the page through `postMessage`. The page's own
+ * origin is always allowed; `*` allows any origin.
+ */
+export function isOriginAllowed(origin, allowedOrigins = [], ownOrigin = globalThis.location?.origin) {
+  if (origin === ownOrigin) return true
+  return allowedOrigins.some((allowed) => allowed === '*' || allowed === origin)
+}
+
+/** Same-origin transport over a named `BroadcastChannel`. */
+export function createBroadcastTransport(name = REMOTE_CHANNEL, BroadcastChannelImpl = globalThis.BroadcastChannel) {
+  if (typeof BroadcastChannelImpl !== 'function') return null
+  const channel = new BroadcastChannelImpl(name)
+  return {
+    post: (message) => channel.postMessage(message),
+    listen(handler) {
+      const listener = (event) => handler(event.data, (reply) => channel.postMessage(reply))
+      channel.addEventListener('message', listener)
+      return () => channel.removeEventListener('message', listener)
+    },
+    close: () => channel.close(),
+  }
+}
+
+/**
+ * Cross-window transport over `postMessage`. Incoming messages are dropped
+ * unless their origin is allowed; replies go back to the sending window
+ * only. `target` is the window to post to, such as `window.opener` or an
+ * iframe's `contentWindow`.
+ */
+export function createWindowTransport({
+  self = globalThis.window,
+  target = null,
+  targetOrigin = globalThis.location?.origin,
+  allowedOrigins = [],
+} = {}) {
+  const subscribers = new Map()
+  // A client also accepts replies from the page it talks to.
+  const accepted = target ? [...allowedOrigins, targetOrigin] : allowedOrigins
+  return {
+    post(message) {
+      target?.postMessage(message, targetOrigin)
+      for (const [source, origin] of subscribers) source.postMessage(message, origin)
+    },
+    listen(handler) {
+      const listener = (event) => {
+        if (!isRemoteMessage(event.data) || !isOriginAllowed(event.origin, accepted)) return
+        if (event.source && event.data.type === 'subscribe') subscribers.set(event.source, event.origin)
+        if (event.source && event.data.type === 'unsubscribe') subscribers.delete(event.source)
+        handler(event.data, (reply) => event.source?.postMessage(reply, event.origin))
+      }
+      self.addEventListener('message', listener)
+      return () => self.removeEventListener('message', listener)
+    },
+    close: () => subscribers.clear(),
+  }
+}
+
+const HOST_MESSAGE_TYPES = ['command', 'query', 'subscribe', 'unsubscribe']
+
+/**
+ * Serves the remote protocol for the trail page: runs validated commands
+ * through `handlers`, answers `getState` queries and broadcasts a `state`
+ * event whenever `publish` is called.
+ */
+export function createRemoteHost({ transports, handlers, getState }) {
+  const active = transports.filter(Boolean)
+
+  const respond = (reply, id, result) => reply(createMessage('response', { id, ...result }))
+
+  const handleMessage = async (message, reply) => {
+    if (!isRemoteMessage(message) || !HOST_MESSAGE_TYPES.includes(message.type)) return
+    if (message.version > REMOTE_VERSION) {
+      respond(reply, message.id, { ok: false, error: `Protocol version ${message.version} is not supported.` })
+      return
+    }
+
+    if (message.type === 'query') {
+      if (message.name === 'getState') respond(reply, message.id, { ok: true, payload: getState() })
+      else respond(reply, message.id, { ok: false, error: `Unknown query "${message.name}".` })
+      return
+    }
+
+    if (message.type === 'subscribe') {
+      reply(createMessage('event', { name: 'state', payload: getState() }))
+      return
+    }
+
+    if (message.type === 'unsubscribe') return
+    const payload = message.payload ?? {}
+    const error = validateCommand(message.name, payload)
+    if (error) {
+      respond(reply, message.id, { ok: false, error })
+      return
+    }
+    try {
+      await handlers[message.name]?.(payload)
+      respond(reply, message.id, { ok: true })
+    } catch (handlerError) {
+      respond(reply, message.id, { ok: false, error: handlerError?.message || 'Command failed.' })
+    }
+  }
+
+  const unlisten = active.map((transport) => transport.listen(handleMessage))
+
+  return {
+    publish(state = getState()) {
+      const message = createMessage('event', { name: 'state', payload: state })
+      active.forEach((transport) => transport.post(message))
+    },
+    destroy() {
+      unlisten.forEach((stop) => stop())
+      active.forEach((transport) => transport.close())
+    },
+  }
+}
+
+/**
+ * Drives a trail page from another window or an OBS dock. `send` and
+ * `getState` resolve with the page's response and reject on errors or
+ * when nothing answers in time.
+ */
+export function createRemoteClient({ transport, timeout = REQUEST_TIMEOUT_MS }) {
+  const pending = new Map()
+  const listeners = new Set()
+
+  const stopListening = transport.listen((message) => {
+    if (!isRemoteMessage(message)) return
+    if (message.type === 'event') {
+      listeners.forEach((listener) => listener(message.name, message.payload))
+      return
+    }
+    if (message.type !== 'response') return
+    const request = pending.get(message.id)
+    if (!request) return
+    pending.delete(message.id)
+    clearTimeout(request.timer)
+    if (message.ok) request.resolve(message.payload)
+    else request.reject(new Error(message.error))
+  })
+
+  const request = (type, name, payload) =>
+    new Promise((resolve, reject) => {
+      const id = createMessageId()
+      const timer = setTimeout(() => {
+        pending.delete(id)
+        reject(new Error(`The trail page did not answer "${name}".`))
+      }, timeout)
+      pending.set(id, { resolve, reject, timer })
+      transport.post(createMessage(type, { id, name, payload }))
+    })
+
+  return {
+    send: (name, payload = {}) => {
+      const error = validateCommand(name, payload)
+      return error ? Promise.reject(new Error(error)) : request('command', name, payload)
+    },
+    getState: () => request('query', 'getState'),
+    subscribe(listener) {
+      if (!listeners.size) transport.post(createMessage('subscribe'))
+      listeners.add(listener)
+      return () => {
+        listeners.delete(listener)
+        if (!listeners.size) transport.post(createMessage('unsubscribe'))
+      }
+    },
+    destroy() {
+      stopListening()
+      for (const { reject, timer } of pending.values()) {
+        clearTimeout(timer)
+        reject(new Error('Remote client closed.'))
+      }
+      pending.clear()
+      listeners.clear()
+      transport.close()
+    },
+  }
+}
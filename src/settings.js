@@ -0,0 +1,383 @@
+import { OBS_DEFAULTS, OBS_RECORD_TARGETS } from './obs.js'
+import { COUNTDOWN_OPTIONS, FRAME_RATES, RECORDING_DEFAULTS } from './recording.js'
+import { normalizeKeymap } from './shortcuts.js'
+import { normalizeTimeline } from './timeline.js'
+import { ACCESSIBILITY_DEFAULTS, ACCESSIBILITY_PREFERENCES } from './trail/accessibility.js'
+import { ANNOTATION_DEFAULTS, ANNOTATION_TOOLS, ANNOTATION_TRIGGERS } from './trail/annotations.js'
+import { isValidColor } from './trail/color.js'
+import { normalizeEffects } from './trail/effects.js'
+import { DEFAULT_LIFETIME, FADE_CURVES, fadeSpeedToLifetime } from './trail/fade.js'
+import { MAX_POINTS } from './trail/engine.js'
+import { IDLE_DEFAULTS, IDLE_TIMEOUT_RANGE } from './trail/idle.js'
+import { DEFAULT_SPACING } from './trail/input.js'
+import { COLOR_MODES, PALETTE_DEFAULTS } from './trail/palette.js'
+import { PARTICLE_DEFAULTS } from './trail/particles.js'
+import { normalizePresentation } from './trail/presentation.js'
+import { listTrailStyles } from './trail/styles.js'
+
+export const SETTINGS_STORAGE_KEY = 'cursor-trail-settings'
+export const LEGACY_SETTINGS_KEY = 'cursor-trail-settings-v1'
+export const SETTINGS_VERSION = 2
+
+/**
+ * Every persisted setting. Fields are `boolean`, `number` (with `min`,
+ * `max` and `integer`), `enum` (`values` is a list or a function returning
+ * one), `color`, `string`, `list` (of `item`), `map` (string keys to
+ * `value`), `object` (with nested `fields`) or `custom` (with a `normalize`
+ * function). Numbers outside their range are clamped; any other bad value
+ * falls back to the default. Fields marked `urlOverride: false` cannot be
+ * set from the page URL, since anyone can hand out a link.
+ */
+export const SETTINGS_SCHEMA = {
+  enabled: { type: 'boolean', default: true },
+  style: { type: 'enum', values: () => listTrailStyles().map((style) => style.id), default: 'gradient' },
+  color: { type: 'color', default: '#8B5CF6' },
+  size: { type: 'number', min: 12, max: 60, integer: true, default: 22 },
+  lifetime: { type: 'number', min: 100, max: 1500, integer: true, default: DEFAULT_LIFETIME },
+  fadeCurve: { type: 'enum', values: Object.keys(FADE_CURVES), default: 'linear' },
+  maxPoints: { type: 'number', min: 8, max: 200, integer: true, default: MAX_POINTS },
+  spacing: { type: 'number', min: 0, max: 40, integer: true, default: DEFAULT_SPACING },
+  particles: {
+    type: 'object',
+    fields: {
+      mode: { type: 'enum', values: ['trail', 'particles'], default: PARTICLE_DEFAULTS.mode },
+      spawnCount: { type: 'number', min: 1, max: 10, integer: true, default: PARTICLE_DEFAULTS.spawnCount },
+      inheritVelocity: { type: 'number', min: 0, max: 1, default: PARTICLE_DEFAULTS.inheritVelocity },
+      drift: { type: 'number', min: 0, max: 4, default: PARTICLE_DEFAULTS.drift },
+      gravity: { type: 'number', min: 0, max: 0.5, default: PARTICLE_DEFAULTS.gravity },
+      friction: { type: 'number', min: 0, max: 0.2, default: PARTICLE_DEFAULTS.friction },
+      spin: { type: 'number', min: 0, max: 0.3, default: PARTICLE_DEFAULTS.spin },
+      lifeVariance: { type: 'number', min: 0, max: 1, default: PARTICLE_DEFAULTS.lifeVariance },
+    },
+  },
+  colors: {
+    type: 'object',
+    fields: {
+      colorMode: { type: 'enum', values: COLOR_MODES, default: PALETTE_DEFAULTS.colorMode },
+      palette: { type: 'list', item: { type: 'color' }, minLength: 1, default: PALETTE_DEFAULTS.palette },
+      rainbowSpeed: { type: 'number', min: 10, max: 360, default: PALETTE_DEFAULTS.rainbowSpeed },
+    },
+  },
+  effects: { type: 'custom', normalize: (value) => normalizeEffects(value), default: normalizeEffects() },
+  presentation: {
+    type: 'custom',
+    normalize: (value) => normalizePresentation(value),
+    default: normalizePresentation(),
+  },
+  annotations: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean', default: ANNOTATION_DEFAULTS.enabled },
+      trigger: {
+        type: 'enum',
+        values: ANNOTATION_TRIGGERS.map((trigger) => trigger.id),
+        default: ANNOTATION_DEFAULTS.trigger,
+      },
+      tool: { type: 'enum', values: ANNOTATION_TOOLS.map((tool) => tool.id), default: ANNOTATION_DEFAULTS.tool },
+      width: { type: 'number', min: 1, max: 24, integer: true, default: ANNOTATION_DEFAULTS.width },
+      fadeAfter: { type: 'number', min: 0, max: 60, integer: true, default: ANNOTATION_DEFAULTS.fadeAfter },
+    },
+  },
+  idle: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean', default: IDLE_DEFAULTS.enabled },
+      timeout: {
+        type: 'number',
+        min: IDLE_TIMEOUT_RANGE[0],
+        max: IDLE_TIMEOUT_RANGE[1],
+        integer: true,
+        default: IDLE_DEFAULTS.timeout,
+      },
+      fadeTrail: { type: 'boolean', default: IDLE_DEFAULTS.fadeTrail },
+      hidePanel: { type: 'boolean', default: IDLE_DEFAULTS.hidePanel },
+      pulse: { type: 'boolean', default: IDLE_DEFAULTS.pulse },
+      shake: { type: 'boolean', default: IDLE_DEFAULTS.shake },
+    },
+  },
+  accessibility: {
+    type: 'object',
+    fields: {
+      reducedMotion: {
+        type: 'enum',
+        values: ACCESSIBILITY_PREFERENCES,
+        default: ACCESSIBILITY_DEFAULTS.reducedMotion,
+      },
+      highContrast: {
+        type: 'enum',
+        values: ACCESSIBILITY_PREFERENCES,
+        default: ACCESSIBILITY_DEFAULTS.highContrast,
+      },
+      flashLimit: { type: 'boolean', default: ACCESSIBILITY_DEFAULTS.flashLimit },
+    },
+  },
+  performance: {
+    type: 'object',
+    fields: {
+      offscreen: { type: 'boolean', default: false },
+      adaptiveQuality: { type: 'boolean', default: true },
+    },
+  },
+  timeline: { type: 'custom', normalize: (value) => normalizeTimeline(value), default: normalizeTimeline() },
+  recording: {
+    type: 'object',
+    fields: {
+      source: { type: 'enum', values: ['screen', 'canvas'], default: RECORDING_DEFAULTS.source },
+      transparent: { type: 'boolean', default: RECORDING_DEFAULTS.transparent },
+      format: { type: 'string', default: RECORDING_DEFAULTS.format },
+      bitrate: { type: 'number', min: 2, max: 40, default: RECORDING_DEFAULTS.bitrate },
+      frameRate: { type: 'enum', values: FRAME_RATES, default: RECORDING_DEFAULTS.frameRate },
+      countdown: { type: 'enum', values: COUNTDOWN_OPTIONS, default: RECORDING_DEFAULTS.countdown },
+    },
+  },
+  obs: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean', default: OBS_DEFAULTS.enabled },
+      url: { type: 'string', pattern: /^wss?:\/\//, urlOverride: false, default: OBS_DEFAULTS.url },
+      password: { type: 'string', allowEmpty: true, urlOverride: false, default: OBS_DEFAULTS.password },
+      recordWith: {
+        type: 'enum',
+        values: OBS_RECORD_TARGETS.map((target) => target.id),
+        default: OBS_DEFAULTS.recordWith,
+      },
+      sceneBindings: { type: 'map', value: { type: 'string' }, default: OBS_DEFAULTS.sceneBindings },
+    },
+  },
+  remoteOrigins: { type: 'list', item: { type: 'string' }, urlOverride: false, default: [] },
+  shortcuts: { type: 'custom', normalize: normalizeKeymap, default: normalizeKeymap() },
+  activePresetId: { type: 'string', nullable: true, default: null },
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value))
+
+// Objects take their defaults from their fields; other defaults are copied
+// so callers can never change the schema's values.
+const defaultOf = (field) => {
+  if (field.type === 'object') return defaultsOf(field.fields)
+  const value = field.default
+  return isObject(value) || Array.isArray(value) ? structuredClone(value) : value
+}
+
+const defaultsOf = (fields) => Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, defaultOf(field)]))
+
+export const SETTINGS_DEFAULTS = defaultsOf(SETTINGS_SCHEMA)
+
+// Checks one value against its field. Returns the value to keep and, when
+// the input had to be changed, the reason.
+function checkField(field, value, path) {
+  const reject = (reason) => ({
+    value: defaultOf(field),
+    error: `${path}: ${describe(value)} ${reason}; using the default.`,
+  })
+
+  if (value === null && field.nullable) return { value: null }
+
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : reject('is not true or false')
+    case 'number': {
+      if (!Number.isFinite(value)) return reject('is not a number')
+      const rounded = field.integer ? Math.round(value) : value
+      const clamped = Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, rounded))
+      if (clamped === value) return { value }
+      return clamped === rounded
+        ? { value: clamped }
+        : { value: clamped, error: `${path}: ${value} is outside ${field.min}–${field.max}; using ${clamped}.` }
+    }
+    case 'enum': {
+      const values = typeof field.values === 'function' ? field.values() : field.values
+      return values.includes(value) ? { value } : reject(`is not one of ${values.join(', ')}`)
+    }
+    case 'color':
+      return typeof value === 'string' && isValidColor(value) ? { value } : reject('is not a CSS color')
+    case 'string':
+      if (typeof value !== 'string' || (!value && !field.allowEmpty)) return reject('is not a non-empty string')
+      return !field.pattern || field.pattern.test(value) ? { value } : reject(`does not match ${field.pattern}`)
+    case 'list': {
+      if (!Array.isArray(value)) return reject('is not a list')
+      const errors = []
+      const items = value.filter((item, index) => {
+        const result = checkField(field.item, item, `${path}[${index}]`)
+        if (result.error) errors.push(`${path}[${index}]: ${describe(item)} was dropped.`)
+        return !result.error
+      })
+      if (items.length < (field.minLength ?? 0)) return reject(`needs at least ${field.minLength} valid entries`)
+      return { value: items, error: errors.join(' ') || undefined }
+    }
+    case 'map': {
+      if (!isObject(value)) return reject('is not an object')
+      const errors = []
+      const entries = Object.entries(value).filter(([key, item]) => {
+        const result = checkField(field.value, item, `${path}.${key}`)
+        if (result.error) errors.push(`${path}.${key}: ${describe(item)} was dropped.`)
+        return !result.error
+      })
+      return { value: Object.fromEntries(entries), error: errors.join(' ') || undefined }
+    }
+    case 'object': {
+      if (!isObject(value)) return reject('is not an object')
+      const { settings, errors } = validateFields(field.fields, value, `${path}.`)
+      return { value: settings, error: errors.join(' ') || undefined }
+    }
+    case 'custom':
+      return { value: field.normalize(value) }
+    default:
+      throw new Error(`Unknown settings field type "${field.type}".`)
+  }
+}
+
+function validateFields(fields, raw, prefix = '') {
+  const settings = {}
+  const errors = []
+  for (const [key, field] of Object.entries(fields)) {
+    if (raw[key] === undefined) {
+      settings[key] = defaultOf(field)
+      continue
+    }
+    const result = checkField(field, raw[key], `${prefix}${key}`)
+    settings[key] = result.value
+    if (result.error) errors.push(result.error)
+  }
+  return { settings, errors }
+}
+
+/**
+ * Checks current-version settings against `SETTINGS_SCHEMA`. Missing fields
+ * take their defaults and unknown fields are dropped; `errors` lists every
+ * value that was clamped or replaced.
+ */
+export function validateSettings(raw) {
+  if (!isObject(raw)) return { settings: defaultsOf(SETTINGS_SCHEMA), errors: ['Settings are not an object.'] }
+  return validateFields(SETTINGS_SCHEMA, raw)
+}
+
+/**
+ * Checks only the fields present in `raw` against `SETTINGS_SCHEMA`, for
+ * partial settings such as a preset's config. Nested objects are checked the
+ * same way, so they stay partial too; unknown fields are dropped.
+ */
+export function validatePartialSettings(raw, fields = SETTINGS_SCHEMA, prefix = '') {
+  const settings = {}
+  const errors = []
+  if (!isObject(raw)) return { settings, errors }
+  for (const [key, value] of Object.entries(raw)) {
+    const field = fields[key]
+    if (!field || value === undefined) continue
+    if (field.type === 'object' && isObject(value)) {
+      const nested = validatePartialSettings(value, field.fields, `${prefix}${key}.`)
+      settings[key] = nested.settings
+      errors.push(...nested.errors)
+      continue
+    }
+    const result = checkField(field, value, `${prefix}${key}`)
+    settings[key] = result.value
+    if (result.error) errors.push(result.error)
+  }
+  return { settings, errors }
+}
+
+/**
+ * Upgrades stored settings one version at a time. Each step takes the
+ * previous version's payload and returns the next one.
+ */
+export const SETTINGS_MIGRATIONS = {
+  // v1 used `isActive` and `trail*` names, and very old payloads still
+  // carry the per-frame `fadeSpeed` instead of `trailLifetime`.
+  1: ({ isActive, trailStyle, trailColor, trailSize, trailLifetime, fadeSpeed, ...rest }) => ({
+    ...rest,
+    enabled: isActive,
+    style: trailStyle,
+    color: trailColor,
+    size: trailSize,
+    lifetime: trailLifetime ?? (fadeSpeed > 0 ? fadeSpeedToLifetime(fadeSpeed) : undefined),
+  }),
+}
+
+export function migrateSettings(raw) {
+  if (!isObject(raw)) return raw
+  const { version = 1, ...payload } = raw
+  if (!Number.isInteger(version) || version > SETTINGS_VERSION) {
+    throw new Error(`Settings version ${version} is newer than this app supports.`)
+  }
+  let current = payload
+  for (let from = version; from < SETTINGS_VERSION; from++) current = SETTINGS_MIGRATIONS[from](current)
+  return current
+}
+
+const parseParam = (field, text) => {
+  switch (field.type) {
+    case 'boolean':
+      return { true: true, 1: true, false: false, 0: false }[text.toLowerCase()] ?? text
+    case 'number':
+      return text.trim() === '' ? text : Number(text)
+    case 'enum':
+      return Array.isArray(field.values) && typeof field.values[0] === 'number' ? Number(text) : text
+    case 'list':
+      return text.split(',').map((item) => item.trim())
+    default:
+      return text
+  }
+}
+
+/**
+ * Reads setting overrides from a query string, such as
+ * `?style=glow&size=30&colors.colorMode=rainbow&colors.palette=%23f00,%2300f`,
+ * so an OBS browser source can be configured by its URL. Nested fields use
+ * dots; unknown parameters, and fields marked `urlOverride: false` such as
+ * the OBS password and the trusted remote origins, are ignored.
+ */
+export function readSettingsOverrides(search = globalThis.location?.search ?? '') {
+  const overrides = {}
+  for (const [name, text] of new URLSearchParams(search)) {
+    const [key, nested] = name.split('.')
+    const field = SETTINGS_SCHEMA[key]
+    if (!field || field.type === 'custom' || field.urlOverride === false) continue
+    if (field.type === 'object') {
+      const inner = nested && field.fields[nested]
+      if (inner && inner.urlOverride !== false) overrides[key] = { ...overrides[key], [nested]: parseParam(inner, text) }
+    } else if (!nested) {
+      overrides[key] = parseParam(field, text)
+    }
+  }
+  return overrides
+}
+
+const mergeOverrides = (settings, overrides) =>
+  Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => {
+      if (!(key in overrides)) return [key, value]
+      return [key, isObject(value) && isObject(overrides[key]) ? { ...value, ...overrides[key] } : overrides[key]]
+    }),
+  )
+
+/**
+ * Loads, migrates and validates the stored settings, then applies `overrides`
+ * (see `readSettingsOverrides`). Falls back to the v1 key when nothing has
+ * been saved in the current format yet. `errors` describes every value that
+ * was clamped or dropped, including bad overrides.
+ */
+export function loadSettings(storage, overrides = {}) {
+  const errors = []
+  let stored = {}
+  try {
+    const text = storage.getItem(SETTINGS_STORAGE_KEY) ?? storage.getItem(LEGACY_SETTINGS_KEY)
+    if (text) stored = migrateSettings(JSON.parse(text))
+  } catch (error) {
+    errors.push(`Stored settings could not be read: ${error.message}`)
+  }
+
+  const validated = validateSettings(stored)
+  errors.push(...validated.errors)
+  if (!Object.keys(overrides).length) return { settings: validated.settings, errors }
+
+  const overridden = validateSettings(mergeOverrides(validated.settings, overrides))
+  errors.push(...overridden.errors.map((error) => `URL ${error}`))
+  return { settings: overridden.settings, errors }
+}
+
+export function saveSettings(storage, settings) {
+  storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, ...settings }))
+}
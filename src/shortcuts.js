@@ -0,0 +1,132 @@
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta']
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock', 'Dead']
+const KEY_ALIASES = { ' ': 'Space', Spacebar: 'Space', Esc: 'Escape' }
+
+/** Built-in actions in help-list order, with their default combos. */
+export const SHORTCUT_ACTIONS = [
+  { id: 'toggle', label: 'Toggle trail', defaultCombo: 't' },
+  { id: 'record', label: 'Start/stop recording', defaultCombo: 'r' },
+  { id: 'size-down', label: 'Smaller trail', defaultCombo: '[' },
+  { id: 'size-up', label: 'Bigger trail', defaultCombo: ']' },
+  { id: 'fade-down', label: 'Shorter fade', defaultCombo: ',' },
+  { id: 'fade-up', label: 'Longer fade', defaultCombo: '.' },
+  { id: 'color-next', label: 'Next color', defaultCombo: 'c' },
+  { id: 'style-next', label: 'Next style', defaultCombo: 's' },
+  { id: 'presentation', label: 'Presentation mode on/off', defaultCombo: 'p' },
+  { id: 'presentation-next', label: 'Next presentation mode', defaultCombo: 'Shift+p' },
+  { id: 'annotate', label: 'Annotation pen on/off', defaultCombo: 'a' },
+  { id: 'annotation-tool', label: 'Next pen tool', defaultCombo: 'Shift+a' },
+  { id: 'annotation-undo', label: 'Undo annotation', defaultCombo: 'Ctrl+z' },
+  { id: 'annotation-redo', label: 'Redo annotation', defaultCombo: 'Ctrl+Shift+z' },
+  { id: 'annotation-clear', label: 'Clear annotations', defaultCombo: 'Shift+x' },
+  { id: 'panel', label: 'Hide/show panel', defaultCombo: 'h' },
+]
+
+export const DEFAULT_KEYMAP = Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [action.id, action.defaultCombo]))
+
+export const PRESET_ACTION_PREFIX = 'preset:'
+
+const normalizeKey = (key) => {
+  const aliased = KEY_ALIASES[key] ?? key
+  return aliased.length === 1 ? aliased.toLowerCase() : aliased
+}
+
+/**
+ * Canonical form of a combo: modifiers in Ctrl, Alt, Shift, Meta order, then
+ * the key, joined with `+`. Single characters are lowercase, so `T`,
+ * `t` and `shift+T` read as `t`, `t` and `Shift+t`. Returns '' for anything
+ * that is not a usable combo.
+ */
+export function normalizeCombo(combo) {
+  if (typeof combo !== 'string' || !combo) return ''
+  const key = combo.endsWith('+') ? '+' : combo.slice(combo.lastIndexOf('+') + 1)
+  const prefix = combo.slice(0, combo.length - key.length)
+  const parts = prefix ? prefix.slice(0, -1).split('+') : []
+  const modifiers = new Set()
+  for (const part of parts) {
+    const modifier = MODIFIERS.find((name) => name.toLowerCase() === part.toLowerCase())
+    if (!modifier) return ''
+    modifiers.add(modifier)
+  }
+  const normalizedKey = normalizeKey(key)
+  if (!normalizedKey || MODIFIER_KEYS.includes(normalizedKey)) return ''
+  return [...MODIFIERS.filter((name) => modifiers.has(name)), normalizedKey].join('+')
+}
+
+/**
+ * Reads the combo a keydown event produces. Letters and digits come from
+ * `event.code`, so Alt+C still reads as Alt+c on layouts where Alt changes
+ * the character. Shift is dropped for other printable keys because it is
+ * already part of the character, such as `{` for Shift+[.
+ */
+export function comboFromEvent(event) {
+  if (MODIFIER_KEYS.includes(event.key)) return ''
+  const physical = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code ?? '')
+  const key = physical ? (physical[1] ?? physical[2]).toLowerCase() : normalizeKey(event.key)
+  const printable = key.length === 1 && !physical
+  const modifiers = [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && !printable && 'Shift',
+    event.metaKey && 'Meta',
+  ].filter(Boolean)
+  return [...modifiers, key].join('+')
+}
+
+export const formatCombo = (combo) =>
+  combo
+    ? combo.replace(/(^|\+)([a-z])$/, (_, separator, letter) => separator + letter.toUpperCase())
+    : 'Unassigned'
+
+/**
+ * One entry per bindable action: the built-in actions with the user's
+ * keymap applied, then every preset with its own shortcut.
+ */
+export function buildShortcutRegistry(keymap, presets = []) {
+  return [
+    ...SHORTCUT_ACTIONS.map((action) => ({
+      id: action.id,
+      label: action.label,
+      group: 'actions',
+      combo: normalizeCombo(keymap?.[action.id] ?? action.defaultCombo),
+    })),
+    ...presets.map((preset) => ({
+      id: `${PRESET_ACTION_PREFIX}${preset.id}`,
+      label: preset.name,
+      group: 'presets',
+      combo: normalizeCombo(preset.shortcut),
+    })),
+  ]
+}
+
+/** Maps each action id to the other actions that share its combo. */
+export function findShortcutConflicts(registry) {
+  const byCombo = new Map()
+  for (const entry of registry) {
+    if (!entry.combo) continue
+    byCombo.set(entry.combo, [...(byCombo.get(entry.combo) ?? []), entry])
+  }
+  const conflicts = new Map()
+  for (const entries of byCombo.values()) {
+    if (entries.length < 2) continue
+    for (const entry of entries) conflicts.set(entry.id, entries.filter((other) => other !== entry))
+  }
+  return conflicts
+}
+
+/** The first registry entry bound to the event's combo, or null. */
+export function matchShortcut(registry, event) {
+  const combo = comboFromEvent(event)
+  return (combo && registry.find((entry) => entry.combo === combo)) || null
+}
+
+/** Keeps only known actions with valid combos; '' unbinds an action. */
+export function normalizeKeymap(raw) {
+  if (!raw || typeof raw !== 'object') return { ...DEFAULT_KEYMAP }
+  return Object.fromEntries(
+    SHORTCUT_ACTIONS.map(({ id, defaultCombo }) => {
+      if (raw[id] === '') return [id, '']
+      return [id, normalizeCombo(raw[id]) || defaultCombo]
+    }),
+  )
+}
@@ -0,0 +1,90 @@
+const DB_NAME = 'cursor-trail'
+const DB_VERSION = 1
+const STORE = 'takes'
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+export const createTakeId = () => `take-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+export function createTake({ blob, mimeType, duration, size }, existingCount = 0) {
+  return {
+    id: createTakeId(),
+    name: `Take ${existingCount + 1}`,
+    createdAt: Date.now(),
+    mimeType,
+    duration,
+    size,
+    blob,
+  }
+}
+
+const byNewest = (a, b) => b.createdAt - a.createdAt
+
+// Takes survive reloads in IndexedDB. Browsers without it (or private
+// windows that block it) fall back to an in-memory list for the session.
+export function createMemoryTakeStore() {
+  const takes = new Map()
+  return {
+    persistent: false,
+    list: async () => [...takes.values()].sort(byNewest),
+    save: async (take) => {
+      takes.set(take.id, take)
+      return take
+    },
+    rename: async (id, name) => {
+      const take = takes.get(id)
+      if (take) takes.set(id, { ...take, name })
+    },
+    remove: async (id) => {
+      takes.delete(id)
+    },
+  }
+}
+
+export async function openTakeStore(indexedDBFactory = globalThis.indexedDB) {
+  if (!indexedDBFactory) return createMemoryTakeStore()
+
+  let db
+  try {
+    const request = indexedDBFactory.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' })
+    }
+    db = await promisify(request)
+  } catch (error) {
+    console.warn('Recording history is unavailable; takes will not survive a reload.', error)
+    return createMemoryTakeStore()
+  }
+
+  const run = (mode, action) => {
+    const transaction = db.transaction(STORE, mode)
+    return promisify(action(transaction.objectStore(STORE)))
+  }
+
+  return {
+    persistent: true,
+    list: async () => (await run('readonly', (store) => store.getAll())).sort(byNewest),
+    save: async (take) => {
+      await run('readwrite', (store) => store.put(take))
+      return take
+    },
+    rename: async (id, name) => {
+      const take = await run('readonly', (store) => store.get(id))
+      if (take) await run('readwrite', (store) => store.put({ ...take, name }))
+    },
+    remove: (id) => run('readwrite', (store) => store.delete(id)),
+  }
+}
+
+export function downloadTake(take, extension) {
+  const url = URL.createObjectURL(take.blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${take.name.replace(/[^\w-]+/g, '-').toLowerCase()}.${extension}`
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
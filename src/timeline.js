@@ -0,0 +1,163 @@
+import { REMOTE_COMMANDS, validateCommand } from './remote.js'
+
+export const TIMELINE_FILE_FORMAT = 'cursor-trail-timeline'
+export const TIMELINE_FILE_VERSION = 1
+// Cue times are seconds into the take, to a tenth of a second.
+export const MAX_CUE_TIME = 3600
+
+// The take drives the timeline, so a cue may end it but not start, pause or
+// resume it.
+const RECORDING_CONTROLS = ['startRecording', 'pauseRecording', 'resumeRecording']
+export const TIMELINE_COMMANDS = Object.keys(REMOTE_COMMANDS).filter((name) => !RECORDING_CONTROLS.includes(name))
+
+/**
+ * @typedef {object} TimelineCue
+ * @property {string} id
+ * @property {number} at Seconds after recording starts; 0 runs as the take begins.
+ * @property {string} command A remote command from TIMELINE_COMMANDS.
+ * @property {object} payload The command's payload.
+ */
+
+export const TIMELINE_DEFAULTS = { enabled: true, cues: [] }
+
+export const createCueId = () => `cue-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+export const cueTime = (value) => Math.min(MAX_CUE_TIME, Math.max(0, Math.round(Number(value) * 10) / 10 || 0))
+
+export function normalizeCue(cue) {
+  if (!cue || typeof cue !== 'object') throw new Error('Cue must be an object.')
+  if (!TIMELINE_COMMANDS.includes(cue.command)) throw new Error(`Cue command "${cue.command}" cannot be scheduled.`)
+  const payload = cue.payload ?? {}
+  const error = validateCommand(cue.command, payload)
+  if (error) throw new Error(error)
+  if (!Number.isFinite(cue.at)) throw new Error('Cue needs a time in seconds.')
+  return {
+    id: typeof cue.id === 'string' && cue.id ? cue.id : createCueId(),
+    at: cueTime(cue.at),
+    command: cue.command,
+    payload,
+  }
+}
+
+/** Applies `raw` over `base`, dropping cues that are not valid commands. */
+export function normalizeTimeline(raw, base = TIMELINE_DEFAULTS) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const next = { ...TIMELINE_DEFAULTS, ...base }
+  if (typeof source.enabled === 'boolean') next.enabled = source.enabled
+  if (Array.isArray(source.cues)) {
+    next.cues = source.cues.flatMap((cue) => {
+      try {
+        return [normalizeCue(cue)]
+      } catch {
+        return []
+      }
+    })
+  }
+  return next
+}
+
+// Cues sharing a time run in list order.
+export const sortCues = (cues) => [...cues].sort((a, b) => a.at - b.at)
+
+export function exportTimeline(cues) {
+  const payload = {
+    format: TIMELINE_FILE_FORMAT,
+    version: TIMELINE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    cues,
+  }
+  return JSON.stringify(payload, null, 2)
+}
+
+export function parseTimeline(text) {
+  let payload
+  try {
+    payload = JSON.parse(text)
+  } catch {
+    throw new Error('Timeline file is not valid JSON.')
+  }
+
+  if (payload?.format !== TIMELINE_FILE_FORMAT || !Array.isArray(payload.cues)) {
+    throw new Error('File is not a cursor trail timeline.')
+  }
+  if (payload.version > TIMELINE_FILE_VERSION) {
+    throw new Error(`Timeline version ${payload.version} is newer than this app supports.`)
+  }
+
+  return payload.cues.map((cue, index) => {
+    try {
+      return normalizeCue(cue)
+    } catch (error) {
+      throw new Error(`Cue ${index + 1}: ${error.message}`)
+    }
+  })
+}
+
+/**
+ * Plays cues against the take's clock. `start` runs the cues at 0 straight
+ * away and schedules the rest; `pause` and `resume` hold the clock, so cues
+ * keep their place in the take; `stop` drops whatever has not run. Each cue
+ * goes through `run(command, payload)`, and one that fails is reported to
+ * `onError(error, cue)` without holding up the others.
+ */
+export function createTimelinePlayer({ run, onError = () => {}, clock = Date.now }) {
+  let status = 'idle'
+  let queue = []
+  let timer = null
+  let accumulated = 0
+  let resumedAt = null
+
+  const elapsed = () => accumulated + (resumedAt === null ? 0 : clock() - resumedAt)
+
+  const fire = (cue) => {
+    try {
+      Promise.resolve(run(cue.command, cue.payload)).catch((error) => onError(error, cue))
+    } catch (error) {
+      onError(error, cue)
+    }
+  }
+
+  const advance = () => {
+    clearTimeout(timer)
+    timer = null
+    while (queue.length && queue[0].at * 1000 <= elapsed()) fire(queue.shift())
+    if (queue.length) timer = setTimeout(advance, queue[0].at * 1000 - elapsed())
+  }
+
+  const stop = () => {
+    clearTimeout(timer)
+    timer = null
+    queue = []
+    accumulated = 0
+    resumedAt = null
+    status = 'idle'
+  }
+
+  return {
+    getStatus: () => status,
+    elapsed,
+    pending: () => queue.length,
+    start(cues) {
+      stop()
+      queue = sortCues(cues)
+      resumedAt = clock()
+      status = 'playing'
+      advance()
+    },
+    pause() {
+      if (status !== 'playing') return
+      clearTimeout(timer)
+      timer = null
+      accumulated = elapsed()
+      resumedAt = null
+      status = 'paused'
+    },
+    resume() {
+      if (status !== 'paused') return
+      resumedAt = clock()
+      status = 'playing'
+      advance()
+    },
+    stop,
+  }
+}
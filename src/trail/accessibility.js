@@ -0,0 +1,87 @@
+// WCAG 2.3.1 allows no more than three flashes in any one second.
+export const MAX_FLASHES_PER_SECOND = 3
+
+const FLASH_WINDOW_MS = 1000
+
+/** Styles that neither spin nor sparkle, kept as they are under reduced motion. */
+export const CALM_STYLES = ['gradient', 'glow', 'ribbon', 'ink']
+
+export const HIGH_CONTRAST_COLOR = '#FFFF00'
+const HIGH_CONTRAST_MIN_SIZE = 24
+
+// `system` follows the operating system's preference; `on` and `off`
+// override it.
+export const ACCESSIBILITY_PREFERENCES = ['system', 'on', 'off']
+
+export const ACCESSIBILITY_DEFAULTS = {
+  reducedMotion: 'system',
+  highContrast: 'system',
+  flashLimit: true,
+}
+
+/** Applies `raw` over `base`, dropping unknown preferences and non-boolean flags. */
+export function normalizeAccessibility(raw, base = ACCESSIBILITY_DEFAULTS) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const next = { ...ACCESSIBILITY_DEFAULTS, ...base }
+  for (const key of ['reducedMotion', 'highContrast']) {
+    if (ACCESSIBILITY_PREFERENCES.includes(source[key])) next[key] = source[key]
+  }
+  if (typeof source.flashLimit === 'boolean') next.flashLimit = source.flashLimit
+  return next
+}
+
+/** Whether a `system` / `on` / `off` setting is in effect, given the system's preference. */
+export const resolvePreference = (setting, system) => setting === 'on' || (setting === 'system' && Boolean(system))
+
+/**
+ * Trail options with reduced motion and high contrast applied. Reduced
+ * motion swaps spinning styles and particles for a plain trail, holds
+ * rainbow colors still and drops the idle pulse, the shake burst, scroll
+ * arrows and the double-click burst. High contrast draws a solid yellow
+ * ribbon at least HIGH_CONTRAST_MIN_SIZE pixels wide. The options passed in
+ * are left alone.
+ */
+export function accessibleOptions(options, { reducedMotion = false, highContrast = false } = {}) {
+  if (!reducedMotion && !highContrast) return options
+  const next = { ...options }
+  if (reducedMotion) {
+    if (!CALM_STYLES.includes(next.style)) next.style = 'gradient'
+    next.mode = 'trail'
+    if (next.colorMode === 'rainbow') next.colorMode = 'solid'
+    if (next.idle) next.idle = { ...next.idle, pulse: false, shake: false }
+    if (next.effects) {
+      next.effects = {
+        ...next.effects,
+        doubleClick: { ...next.effects.doubleClick, style: 'ring' },
+        wheel: { ...next.effects.wheel, enabled: false },
+      }
+    }
+  }
+  if (highContrast) {
+    next.style = 'ribbon'
+    next.colorMode = 'solid'
+    next.color = HIGH_CONTRAST_COLOR
+    next.size = Math.max(next.size ?? 0, HIGH_CONTRAST_MIN_SIZE)
+  }
+  return next
+}
+
+/**
+ * Counts flashes, such as click bursts, and refuses any that would make
+ * more than `limit` start within one second. `allow(time)` records and
+ * returns true for a flash that may go ahead.
+ */
+export function createFlashLimiter(limit = MAX_FLASHES_PER_SECOND) {
+  let starts = []
+  return {
+    allow(time) {
+      starts = starts.filter((start) => time - start < FLASH_WINDOW_MS)
+      if (starts.length >= limit) return false
+      starts.push(time)
+      return true
+    },
+    reset() {
+      starts = []
+    },
+  }
+}
@@ -0,0 +1,220 @@
+import { toRgba } from './color.js'
+
+const FADE_OUT_MS = 600
+const HIGHLIGHTER_ALPHA = 0.35
+const HIGHLIGHTER_SCALE = 4
+const ERASER_SCALE = 3
+const MIN_ERASER_RADIUS = 10
+
+export const ANNOTATION_TOOLS = [
+  { id: 'pen', label: 'Pen' },
+  { id: 'highlighter', label: 'Highlighter' },
+  { id: 'eraser', label: 'Eraser' },
+]
+
+// What has to be held to draw: the primary mouse button, or a modifier
+// while the pointer moves.
+export const ANNOTATION_TRIGGERS = [
+  { id: 'button', label: 'Mouse button', key: null },
+  { id: 'alt', label: 'Alt', key: 'altKey' },
+  { id: 'shift', label: 'Shift', key: 'shiftKey' },
+  { id: 'ctrl', label: 'Ctrl', key: 'ctrlKey' },
+]
+
+// `fadeAfter` is in seconds; 0 keeps strokes until they are cleared.
+export const ANNOTATION_DEFAULTS = {
+  enabled: false,
+  trigger: 'button',
+  tool: 'pen',
+  width: 4,
+  fadeAfter: 0,
+}
+
+/** Whether `event` holds the annotation trigger down. */
+export function annotationTriggered(event, settings) {
+  if (!settings?.enabled) return false
+  const trigger = ANNOTATION_TRIGGERS.find((entry) => entry.id === settings.trigger)
+  if (!trigger) return false
+  return trigger.key ? Boolean(event[trigger.key]) : (event.buttons & 1) === 1
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+/** Applies `raw` over `base`, dropping unknown tools and triggers and clamping numbers. */
+export function normalizeAnnotations(raw, base = ANNOTATION_DEFAULTS) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const next = { ...ANNOTATION_DEFAULTS, ...base }
+  if (typeof source.enabled === 'boolean') next.enabled = source.enabled
+  if (ANNOTATION_TRIGGERS.some((trigger) => trigger.id === source.trigger)) next.trigger = source.trigger
+  if (ANNOTATION_TOOLS.some((tool) => tool.id === source.tool)) next.tool = source.tool
+  if (Number.isFinite(source.width)) next.width = clamp(Math.round(source.width), 1, 24)
+  if (Number.isFinite(source.fadeAfter)) next.fadeAfter = clamp(Math.round(source.fadeAfter), 0, 60)
+  return next
+}
+
+const distanceToSegment = (point, a, b) => {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const length = dx * dx + dy * dy
+  const t = length ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / length)) : 0
+  return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t))
+}
+
+const touches = (stroke, point, radius) => {
+  const reach = radius + stroke.width / 2
+  if (stroke.points.length === 1) return Math.hypot(point.x - stroke.points[0].x, point.y - stroke.points[0].y) <= reach
+  for (let i = 1; i < stroke.points.length; i++) {
+    if (distanceToSegment(point, stroke.points[i - 1], stroke.points[i]) <= reach) return true
+  }
+  return false
+}
+
+/**
+ * Strokes drawn on top of the trail that stay until they are erased,
+ * undone or cleared, or fade out `fadeAfter` seconds after they were drawn.
+ * Every finished stroke, eraser gesture and clear is one undo step.
+ */
+export function createAnnotationLayer() {
+  let strokes = []
+  let active = null
+  let nextId = 1
+  const undoStack = []
+  const redoStack = []
+
+  const commit = (step) => {
+    undoStack.push(step)
+    redoStack.length = 0
+  }
+
+  const restore = (restored) => {
+    strokes = [...strokes, ...restored].sort((a, b) => a.id - b.id)
+  }
+
+  const removeAll = (removed) => {
+    strokes = strokes.filter((stroke) => !removed.includes(stroke))
+  }
+
+  const erase = (point) => {
+    const hit = strokes.filter((stroke) => touches(stroke, point, active.radius))
+    if (!hit.length) return
+    removeAll(hit)
+    active.erased.push(...hit)
+  }
+
+  const apply = (step, forward) => {
+    const adds = step.type === 'add'
+    if (adds === forward) restore(step.strokes)
+    else removeAll(step.strokes)
+  }
+
+  return {
+    get strokes() {
+      return strokes
+    },
+    get drawing() {
+      return active !== null
+    },
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    /** Starts a stroke, or an eraser gesture, at `x`, `y` in `color`. */
+    begin(x, y, { tool, width }, color) {
+      if (active) this.end()
+      if (tool === 'eraser') {
+        active = { tool, erased: [], radius: Math.max(MIN_ERASER_RADIUS, width * ERASER_SCALE) }
+        erase({ x, y })
+        return
+      }
+      const highlighter = tool === 'highlighter'
+      active = {
+        id: nextId++,
+        tool,
+        color,
+        width: highlighter ? width * HIGHLIGHTER_SCALE : width,
+        points: [{ x, y }],
+        age: 0,
+      }
+      strokes = [...strokes, active]
+    },
+    extend(x, y) {
+      if (!active) return
+      if (active.tool === 'eraser') erase({ x, y })
+      else active.points.push({ x, y })
+    },
+    end() {
+      if (!active) return
+      if (active.tool !== 'eraser') commit({ type: 'add', strokes: [active] })
+      else if (active.erased.length) commit({ type: 'erase', strokes: active.erased })
+      active = null
+    },
+    undo() {
+      if (active) this.end()
+      const step = undoStack.pop()
+      if (!step) return false
+      apply(step, false)
+      redoStack.push(step)
+      return true
+    },
+    redo() {
+      const step = redoStack.pop()
+      if (!step) return false
+      apply(step, true)
+      undoStack.push(step)
+      return true
+    },
+    clear() {
+      if (active) this.end()
+      if (!strokes.length) return false
+      commit({ type: 'clear', strokes })
+      strokes = []
+      return true
+    },
+    /**
+     * Ages finished strokes by `elapsed` milliseconds and drops the ones
+     * older than `fadeAfter` seconds, along with the undo steps that added
+     * them. Returns whether anything was dropped.
+     */
+    age(elapsed, fadeAfter) {
+      if (!(fadeAfter > 0)) return false
+      const limit = fadeAfter * 1000
+      const expired = []
+      for (const stroke of strokes) {
+        if (stroke === active) continue
+        stroke.age += elapsed
+        if (stroke.age >= limit) expired.push(stroke)
+      }
+      if (!expired.length) return false
+      removeAll(expired)
+      for (const stack of [undoStack, redoStack]) {
+        const kept = stack.filter((step) => step.type !== 'add' || !expired.includes(step.strokes[0]))
+        stack.splice(0, stack.length, ...kept)
+      }
+      return true
+    },
+    /** Draws every stroke, fading the ones within FADE_OUT_MS of `fadeAfter`. */
+    draw(ctx, fadeAfter) {
+      const limit = fadeAfter > 0 ? fadeAfter * 1000 : Infinity
+      for (const stroke of strokes) {
+        const fade = Math.min(1, (limit - stroke.age) / FADE_OUT_MS)
+        const alpha = (stroke.tool === 'highlighter' ? HIGHLIGHTER_ALPHA : 1) * fade
+        const [first, ...rest] = stroke.points
+        ctx.save()
+        ctx.lineCap = 'round'
+        ctx.lineJoin = 'round'
+        ctx.lineWidth = stroke.width
+        ctx.strokeStyle = toRgba(stroke.color, alpha)
+        ctx.beginPath()
+        ctx.moveTo(first.x, first.y)
+        if (!rest.length) ctx.lineTo(first.x + 0.01, first.y)
+        for (const point of rest) ctx.lineTo(point.x, point.y)
+        ctx.stroke()
+        ctx.restore()
+      }
+    },
+    reset() {
+      strokes = []
+      active = null
+      undoStack.length = 0
+      redoStack.length = 0
+    },
+  }
+}
@@ -0,0 +1,112 @@
+const HEX_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i
+const FUNCTION_PATTERN = /^(rgba?|hsla?)\(\s*([^)]*)\)$/i
+
+const cache = new Map()
+let resolverContext = null
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+function parseHex(hex) {
+  let digits = hex.slice(1)
+  if (digits.length <= 4) digits = [...digits].map((digit) => digit + digit).join('')
+  const channel = (index) => parseInt(digits.slice(index, index + 2), 16)
+
+  return {
+    r: channel(0),
+    g: channel(2),
+    b: channel(4),
+    a: digits.length === 8 ? channel(6) / 255 : 1,
+  }
+}
+
+const parseAlpha = (value = '1') => clamp(value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value), 0, 1)
+
+const parseChannel = (value) =>
+  clamp(value.endsWith('%') ? (parseFloat(value) / 100) * 255 : parseFloat(value), 0, 255)
+
+function hslToRgb(hue, saturation, lightness) {
+  const s = saturation / 100
+  const l = lightness / 100
+  const k = (n) => (n + hue / 30) % 12
+  const a = s * Math.min(l, 1 - l)
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)))
+
+  return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 }
+}
+
+function parseFunction(name, body) {
+  const parts = body.split(/[\s,/]+/).filter(Boolean)
+  if (parts.length < 3 || parts.length > 4) return null
+
+  if (name.startsWith('rgb')) {
+    return { r: parseChannel(parts[0]), g: parseChannel(parts[1]), b: parseChannel(parts[2]), a: parseAlpha(parts[3]) }
+  }
+
+  const hue = ((parseFloat(parts[0]) % 360) + 360) % 360
+  const { r, g, b } = hslToRgb(hue, clamp(parseFloat(parts[1]), 0, 100), clamp(parseFloat(parts[2]), 0, 100))
+  return { r, g, b, a: parseAlpha(parts[3]) }
+}
+
+// Workers, such as the offscreen renderer's, have no document but can make
+// an OffscreenCanvas.
+const createResolverContext = () => {
+  if (typeof document !== 'undefined') return document.createElement('canvas').getContext('2d')
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(1, 1).getContext('2d')
+  return null
+}
+
+// Named colors and newer syntaxes are left to the browser: assigning them to
+// a 2D context's fillStyle normalizes them to hex or rgba().
+function resolveWithCanvas(color) {
+  resolverContext ??= createResolverContext()
+  if (!resolverContext) return null
+  resolverContext.fillStyle = '#010203'
+  resolverContext.fillStyle = color
+  const resolved = resolverContext.fillStyle
+  if (resolved === '#010203' || resolved === color) return null
+  return parseColor(resolved)
+}
+
+export function parseColor(color) {
+  if (typeof color !== 'string') return null
+  const value = color.trim()
+  if (cache.has(value)) return cache.get(value)
+
+  let parsed = null
+  if (HEX_PATTERN.test(value)) {
+    parsed = parseHex(value)
+  } else {
+    const match = value.match(FUNCTION_PATTERN)
+    parsed = match ? parseFunction(match[1].toLowerCase(), match[2]) : resolveWithCanvas(value)
+  }
+
+  if (parsed && Object.values(parsed).some(Number.isNaN)) parsed = null
+  cache.set(value, parsed)
+  return parsed
+}
+
+export const isValidColor = (color) => parseColor(color) !== null
+
+const formatRgba = ({ r, g, b }, alpha) =>
+  `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`
+
+export function toRgba(color, alpha = 1) {
+  const parsed = parseColor(color) ?? { r: 0, g: 0, b: 0, a: 1 }
+  return formatRgba(parsed, parsed.a * alpha)
+}
+
+export function mixColors(from, to, amount) {
+  const a = parseColor(from) ?? { r: 0, g: 0, b: 0, a: 1 }
+  const b = parseColor(to) ?? a
+  const lerp = (start, end) => start + (end - start) * amount
+
+  return formatRgba({ r: lerp(a.r, b.r), g: lerp(a.g, b.g), b: lerp(a.b, b.b) }, lerp(a.a, b.a))
+}
+
+export function samplePalette(palette, position) {
+  if (palette.length === 0) return null
+  if (palette.length === 1) return palette[0]
+  const scaled = clamp(position, 0, 1) * (palette.length - 1)
+  const index = Math.min(Math.floor(scaled), palette.length - 2)
+  return mixColors(palette[index], palette[index + 1], scaled - index)
+}
@@ -0,0 +1,12 @@
+import { getTrailStyle } from './styles.js'
+
+export function drawPoint(ctx, point, options) {
+  const style = getTrailStyle(options.style)
+  if (!style?.draw) return
+  const alpha = Math.max(point.life, 0) * (point.opacity ?? 1)
+  const radius = options.size * Math.max(point.life, 0) * (point.scale ?? 1)
+
+  ctx.save()
+  style.draw(ctx, point, { ...options, color: point.color ?? options.color, alpha, radius })
+  ctx.restore()
+}
@@ -0,0 +1,254 @@
+import { isValidColor, toRgba } from './color.js'
+
+const MAX_KEY_EFFECTS = 5
+const WHEEL_REPEAT_MS = 90
+
+/** Pointer and keyboard reactions the trail can show besides the move trail. */
+export const EFFECT_KINDS = [
+  { id: 'press', label: 'Click', styled: true },
+  { id: 'drag', label: 'Drag', styled: false },
+  { id: 'rightClick', label: 'Right-click', styled: true },
+  { id: 'doubleClick', label: 'Double-click', styled: true },
+  { id: 'wheel', label: 'Scroll', styled: true },
+  { id: 'keys', label: 'Keystrokes', styled: false },
+]
+
+// `drag` recolors and thickens the trail while a button is held, so its
+// `size` is a multiplier; `keys` uses `size` as the font size.
+export const EFFECT_DEFAULTS = {
+  press: { enabled: true, style: 'ripple', color: '#F472B6', size: 36, duration: 450 },
+  drag: { enabled: false, color: '#F59E0B', size: 1.6 },
+  rightClick: { enabled: true, style: 'ring', color: '#38BDF8', size: 36, duration: 500 },
+  doubleClick: { enabled: true, style: 'burst', color: '#FACC15', size: 48, duration: 550 },
+  wheel: { enabled: false, style: 'arrow', color: '#A3E635', size: 28, duration: 400 },
+  keys: { enabled: false, color: '#F8FAFC', size: 18, duration: 1400 },
+}
+
+export const EFFECT_SIZE_RANGES = {
+  press: [12, 120],
+  drag: [1, 3],
+  rightClick: [12, 120],
+  doubleClick: [12, 120],
+  wheel: [12, 80],
+  keys: [12, 36],
+}
+
+// Milliseconds an effect stays on screen, for every kind that fades out.
+export const EFFECT_DURATION_RANGE = [100, 5000]
+
+const ring = (ctx, x, y, radius) => {
+  ctx.beginPath()
+  ctx.arc(x, y, Math.max(0, radius), 0, Math.PI * 2)
+}
+
+/** Click effect styles. Each draws one effect at `progress` from 0 to 1. */
+export const EFFECT_STYLES = [
+  {
+    id: 'ripple',
+    name: 'Ripple',
+    draw(ctx, effect, { color, size, progress }) {
+      const fade = 1 - progress
+      ring(ctx, effect.x, effect.y, size * progress)
+      ctx.fillStyle = toRgba(color, fade * 0.3)
+      ctx.fill()
+      ctx.strokeStyle = toRgba(color, fade)
+      ctx.lineWidth = 2
+      ctx.stroke()
+    },
+  },
+  {
+    id: 'ring',
+    name: 'Rings',
+    draw(ctx, effect, { color, size, progress }) {
+      ctx.strokeStyle = toRgba(color, 1 - progress)
+      ctx.lineWidth = 3
+      ring(ctx, effect.x, effect.y, size * progress)
+      ctx.stroke()
+      ring(ctx, effect.x, effect.y, size * progress * 0.6)
+      ctx.stroke()
+    },
+  },
+  {
+    id: 'burst',
+    name: 'Burst',
+    draw(ctx, effect, { color, size, progress }) {
+      ctx.strokeStyle = toRgba(color, 1 - progress)
+      ctx.lineWidth = 3
+      ctx.lineCap = 'round'
+      const rays = 8
+      for (let i = 0; i < rays; i++) {
+        const angle = (Math.PI * 2 * i) / rays
+        const cos = Math.cos(angle)
+        const sin = Math.sin(angle)
+        ctx.beginPath()
+        ctx.moveTo(effect.x + cos * size * (0.2 + progress * 0.5), effect.y + sin * size * (0.2 + progress * 0.5))
+        ctx.lineTo(effect.x + cos * size * (0.4 + progress * 0.6), effect.y + sin * size * (0.4 + progress * 0.6))
+        ctx.stroke()
+      }
+    },
+  },
+  {
+    id: 'arrow',
+    name: 'Arrow',
+    draw(ctx, effect, { color, size, progress }) {
+      const direction = effect.direction ?? 1
+      const y = effect.y + direction * size * progress * 0.6
+      const half = size * 0.4
+      ctx.strokeStyle = toRgba(color, 1 - progress)
+      ctx.lineWidth = 3
+      ctx.lineCap = 'round'
+      ctx.lineJoin = 'round'
+      ctx.beginPath()
+      ctx.moveTo(effect.x - half, y - direction * half * 0.5)
+      ctx.lineTo(effect.x, y + direction * half * 0.5)
+      ctx.lineTo(effect.x + half, y - direction * half * 0.5)
+      ctx.stroke()
+    },
+  },
+]
+
+const effectStyle = (id) => EFFECT_STYLES.find((style) => style.id === id) ?? EFFECT_STYLES[0]
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+/**
+ * Applies `raw` over `base`, field by field, dropping unknown styles and
+ * invalid values, including colors that are not CSS colors, and clamping
+ * sizes and durations. Missing kinds and fields keep `base`.
+ */
+export function normalizeEffects(raw, base = EFFECT_DEFAULTS) {
+  return Object.fromEntries(
+    Object.entries(EFFECT_DEFAULTS).map(([kind, defaults]) => {
+      const entry = raw && typeof raw[kind] === 'object' && raw[kind] ? raw[kind] : {}
+      const [min, max] = EFFECT_SIZE_RANGES[kind]
+      const next = { ...defaults, ...base[kind] }
+      if (typeof entry.enabled === 'boolean') next.enabled = entry.enabled
+      if (typeof entry.color === 'string' && isValidColor(entry.color)) next.color = entry.color
+      if (Number.isFinite(entry.size)) next.size = clamp(entry.size, min, max)
+      if (defaults.duration && Number.isFinite(entry.duration)) {
+        next.duration = clamp(entry.duration, ...EFFECT_DURATION_RANGE)
+      }
+      if (defaults.style && EFFECT_STYLES.some((style) => style.id === entry.style)) next.style = entry.style
+      return [kind, next]
+    }),
+  )
+}
+
+const KEY_NAMES = {
+  ' ': 'Space',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Enter: '⏎',
+  Backspace: '⌫',
+  Escape: 'Esc',
+  Tab: '⇥',
+}
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock', 'Dead']
+
+/**
+ * The label the keystroke overlay shows for a keydown event, such as
+ * `Ctrl + C` or `?`. Lone modifier presses return ''. Shift is left out of
+ * printable characters because the character already shows it.
+ */
+export function keyLabel(event) {
+  if (!event.key || MODIFIER_KEYS.includes(event.key)) return ''
+  const key = KEY_NAMES[event.key] ?? (event.key.length === 1 ? event.key.toUpperCase() : event.key)
+  const printable = event.key.length === 1 && event.key !== ' '
+  const modifiers = [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && (!printable || event.ctrlKey || event.altKey || event.metaKey) && 'Shift',
+    event.metaKey && '⌘',
+  ].filter(Boolean)
+  return [...modifiers, key].join(' + ')
+}
+
+/**
+ * Adds an effect to the active list and returns the new list. Repeated
+ * keystrokes bump a counter on the newest label instead of stacking, and
+ * wheel effects are throttled so a fast scroll does not flood the canvas.
+ */
+export function pushEffect(effects, kind, settings, effect) {
+  if (kind === 'keys') {
+    const last = effects.findLast((entry) => entry.kind === 'keys')
+    if (last && last.label === effect.label && last.age < settings.duration) {
+      return effects.map((entry) => (entry === last ? { ...entry, age: 0, count: entry.count + 1 } : entry))
+    }
+    const keys = effects.filter((entry) => entry.kind === 'keys')
+    const dropped = keys.length >= MAX_KEY_EFFECTS ? keys[0] : null
+    return [...effects.filter((entry) => entry !== dropped), { kind, age: 0, count: 1, ...effect }]
+  }
+  if (kind === 'wheel') {
+    const recent = effects.findLast((entry) => entry.kind === 'wheel')
+    if (recent && recent.age < WHEEL_REPEAT_MS && recent.direction === effect.direction) return effects
+  }
+  return [...effects, { kind, age: 0, ...effect }]
+}
+
+// Rounded pill behind a keystroke label.
+const pill = (ctx, x, y, width, height) => {
+  const radius = height / 2
+  ctx.beginPath()
+  ctx.moveTo(x + radius, y)
+  ctx.lineTo(x + width - radius, y)
+  ctx.arc(x + width - radius, y + radius, radius, -Math.PI / 2, Math.PI / 2)
+  ctx.lineTo(x + radius, y + height)
+  ctx.arc(x + radius, y + radius, radius, Math.PI / 2, (Math.PI * 3) / 2)
+  ctx.closePath()
+}
+
+function drawKeys(ctx, keys, settings, { width, height }) {
+  const { color, size, duration } = settings
+  const padding = size * 0.7
+  ctx.font = `600 ${size}px ui-sans-serif, system-ui, sans-serif`
+  ctx.textBaseline = 'middle'
+  const labels = keys.map((effect) => (effect.count > 1 ? `${effect.label} ×${effect.count}` : effect.label))
+  const widths = labels.map((label) => (ctx.measureText?.(label).width ?? label.length * size * 0.6) + padding * 2)
+  const gap = size * 0.5
+  const pillHeight = size * 2
+  let x = (width - widths.reduce((total, next) => total + next, 0) - gap * (keys.length - 1)) / 2
+  const y = height - pillHeight - size * 2
+
+  keys.forEach((effect, index) => {
+    const alpha = Math.min(1, ((duration - effect.age) / duration) * 3)
+    pill(ctx, x, y, widths[index], pillHeight)
+    ctx.fillStyle = `rgba(15, 23, 42, ${0.75 * alpha})`
+    ctx.fill()
+    ctx.fillStyle = toRgba(color, alpha)
+    ctx.fillText?.(labels[index], x + padding, y + pillHeight / 2)
+    x += widths[index] + gap
+  })
+}
+
+/**
+ * Ages the active effects by `elapsed` milliseconds, draws the ones still
+ * alive and returns them. Click effects draw where they happened; keystrokes
+ * sit in a row near the bottom of the `viewport`.
+ */
+export function renderEffects(ctx, effects, settings, elapsed, viewport) {
+  const alive = []
+  for (const effect of effects) {
+    const kindSettings = settings[effect.kind]
+    const age = effect.age + elapsed
+    if (!kindSettings || age >= kindSettings.duration) continue
+    alive.push({ ...effect, age })
+  }
+
+  for (const effect of alive) {
+    if (effect.kind === 'keys') continue
+    const { style, color, size, duration } = settings[effect.kind]
+    ctx.save()
+    effectStyle(style).draw(ctx, effect, { color, size, progress: effect.age / duration })
+    ctx.restore()
+  }
+
+  const keys = alive.filter((effect) => effect.kind === 'keys')
+  if (keys.length) {
+    ctx.save()
+    drawKeys(ctx, keys, settings.keys, viewport)
+    ctx.restore()
+  }
+  return alive
+}
@@ -0,0 +1,537 @@
+import { createFlashLimiter } from './accessibility.js'
+import { ANNOTATION_DEFAULTS, createAnnotationLayer } from './annotations.js'
+import { EFFECT_DEFAULTS, pushEffect, renderEffects } from './effects.js'
+import { DEFAULT_LIFETIME, lifeAt } from './fade.js'
+import { createShakeDetector, FIND_BURST_MS, IDLE_DEFAULTS, IDLE_FADE_MS, idleFade, renderIdle } from './idle.js'
+import { bindPointerInput, DEFAULT_SPACING, pointerModulation } from './input.js'
+import { gradientColorAt, PALETTE_DEFAULTS, spawnColor } from './palette.js'
+import { PARTICLE_DEFAULTS, spawnParticles, stepPooledParticle } from './particles.js'
+import { createPointPool } from './pointPool.js'
+import { ageTail, extendTail, PRESENTATION_DEFAULTS, renderPresentation } from './presentation.js'
+import { createRandom, randomSeed } from './random.js'
+import { createSpriteCache } from './sprites.js'
+import { getTrailStyle } from './styles.js'
+import { cancelFrame, clock, FRAME_MS, requestFrame } from './timing.js'
+
+/** Default trail length, in points per pointer. */
+export const MAX_POINTS = 48
+
+export const DEFAULT_OPTIONS = {
+  enabled: true,
+  style: 'gradient',
+  color: '#8B5CF6',
+  size: 22,
+  lifetime: DEFAULT_LIFETIME,
+  fadeCurve: 'linear',
+  maxPoints: MAX_POINTS,
+  spacing: DEFAULT_SPACING,
+  trackPointer: true,
+  pressureSensitivity: true,
+  autoStart: true,
+  headless: false,
+  seed: null,
+  sprites: true,
+  adaptiveQuality: true,
+  frameBudget: 8,
+  effects: EFFECT_DEFAULTS,
+  presentation: PRESENTATION_DEFAULTS,
+  annotations: ANNOTATION_DEFAULTS,
+  idle: IDLE_DEFAULTS,
+  flashLimit: true,
+  ...PARTICLE_DEFAULTS,
+  ...PALETTE_DEFAULTS,
+}
+
+const MAX_STEP_MS = 100
+// Scroll arrows and keystrokes do not flash, so only clicks count.
+const FLASHING_KINDS = ['press', 'rightClick', 'doubleClick']
+const MIN_QUALITY = 0.25
+const QUALITY_STEP = 0.25
+const ADJUST_EVERY = 30
+const COST_SMOOTHING = 0.1
+
+const resolveCanvas = (target) => {
+  if (!target) throw new TypeError('createCursorTrail needs a canvas or a container element.')
+  if (typeof target.getContext === 'function') return { canvas: target, owned: false }
+
+  const canvas = target.ownerDocument.createElement('canvas')
+  Object.assign(canvas.style, {
+    position: 'absolute',
+    inset: '0',
+    pointerEvents: 'none',
+  })
+  target.appendChild(canvas)
+  return { canvas, owned: true }
+}
+
+/**
+ * Creates a cursor trail renderer bound to a canvas, or to a fresh canvas
+ * appended to the given container. Framework-free; the React app wraps it
+ * with `useCursorTrail`.
+ *
+ * Points live in a typed-array pool and point styles with a `sprite` are
+ * stamped from cached images, so a frame allocates almost nothing. The loop
+ * stops while there is nothing to draw and wakes on the next point or
+ * effect. With `adaptiveQuality`, the live loop shortens trails when frames
+ * take longer than `frameBudget` milliseconds; `renderFrame` called directly,
+ * as replays and exports do, always draws at full quality.
+ *
+ * With `idle.enabled`, the trail and presentation mode fade out once there
+ * has been no input for `idle.timeout` seconds and a halo pulses around the
+ * resting pointer; `idle.shake` sets off an enlarged burst when the pointer
+ * is shaken from side to side.
+ *
+ * With `flashLimit`, click effects and shake bursts are dropped once three
+ * have started within a second, to stay under the photosensitivity
+ * threshold however fast the presenter clicks.
+ */
+export function createCursorTrail(target, initialOptions = {}) {
+  const { canvas, owned } = resolveCanvas(target)
+  const ctx = canvas.getContext('2d')
+  let options = { ...DEFAULT_OPTIONS, ...initialOptions }
+  const pool = createPointPool()
+  const spriteCache = createSpriteCache()
+  const annotations = createAnnotationLayer()
+  let effects = []
+  let pointer = null
+  let laserTail = []
+  let lensSource = null
+  let lastActive = null
+  let burst = null
+  let idleTimer = null
+  const shake = createShakeDetector()
+  const flashes = createFlashLimiter()
+  let viewport = { width: canvas.width, height: canvas.height }
+  let pixelRatio = 1
+  let frame = null
+  let idle = false
+  let paused = false
+  let destroyed = false
+  let quality = 1
+  let frameCost = null
+  let framesSinceAdjust = 0
+  const pointListeners = new Set()
+  const trails = new Map()
+  const scratch = {}
+  let lastFrameTime = null
+  let seed = options.seed ?? randomSeed()
+  let random = createRandom(seed)
+  // Headless trails keep the canvas size they were given and ignore the
+  // page, so exports can draw into a detached or offscreen canvas.
+  const attached = typeof window !== 'undefined' && !options.headless
+
+  const toLocal = (clientX, clientY) => {
+    if (typeof canvas.getBoundingClientRect !== 'function') return { x: clientX, y: clientY }
+    const rect = canvas.getBoundingClientRect()
+    return { x: clientX - rect.left, y: clientY - rect.top }
+  }
+
+  const wake = () => {
+    if (!idle || paused || destroyed) return
+    clearTimeout(idleTimer)
+    idleTimer = null
+    idle = false
+    lastFrameTime = null
+    frame = requestFrame(loop)
+  }
+
+  const markActive = (time = clock()) => {
+    lastActive = time
+  }
+
+  const addPoint = (x, y, input = {}) => {
+    if (destroyed) return
+    markActive()
+    const { vx = 0, vy = 0, pointerId = 0, time = clock() } = input
+    const speed = input.vx !== undefined || input.vy !== undefined ? Math.hypot(vx, vy) : undefined
+    const modulation = pointerModulation(input, options)
+    const drag = input.held ? options.effects?.drag : null
+    const held = Boolean(drag?.enabled)
+    const scale = held ? modulation.scale * drag.size : modulation.scale
+    const { opacity } = modulation
+    const particleMode = options.mode === 'particles'
+    const spawned = particleMode
+      ? spawnParticles(x, y, { vx, vy }, options, random)
+      : [{ x, y, life: 1, age: 0, seed: random() * Math.PI * 2, speed }]
+    const style = getTrailStyle(options.style)
+    const color = held ? drag.color : spawnColor(options, time, random)
+    pointListeners.forEach((listener) => listener(x, y, { ...input, vx, vy, pointerId, time }))
+
+    for (const point of spawned) {
+      Object.assign(point, { pointerId, scale, opacity, color })
+      if (held) point.held = true
+      style?.init?.(point, options)
+      pool.add(point)
+    }
+
+    const base = particleMode ? options.maxPoints * options.spawnCount : options.maxPoints
+    const limit = Math.max(1, Math.round(base * quality))
+    const { pointerIds } = pool
+    let count = 0
+    for (let i = 0; i < pool.size; i++) if (pointerIds[i] === pointerId) count++
+    for (let i = 0; count > limit && i < pool.size; ) {
+      if (pointerIds[i] !== pointerId) {
+        i++
+        continue
+      }
+      pool.remove(i)
+      count--
+    }
+    wake()
+  }
+
+  // Ages every point, drops the expired ones and compacts the rest in place.
+  const agePoints = (elapsed, frames, style) => {
+    const { age, life, decay } = pool.arrays
+    const count = pool.size
+    let kept = 0
+    for (let i = 0; i < count; i++) {
+      const nextAge = age[i] + elapsed * decay[i]
+      if (nextAge >= options.lifetime) continue
+      if (kept !== i) pool.move(i, kept)
+      age[kept] = nextAge
+      life[kept] = lifeAt(nextAge, options.lifetime, options.fadeCurve)
+      if (pool.isParticle(kept)) stepPooledParticle(pool.arrays, kept, options, frames)
+      if (style?.update) {
+        const point = pool.read(kept)
+        style.update(point, options)
+        pool.write(kept, point)
+      }
+      kept++
+    }
+    pool.truncate(kept)
+  }
+
+  // Point indices by pointer, oldest first, reusing the lists between frames.
+  const groupTrails = () => {
+    for (const indices of trails.values()) indices.length = 0
+    const { pointerIds } = pool
+    for (let i = 0; i < pool.size; i++) {
+      const indices = trails.get(pointerIds[i])
+      if (indices) indices.push(i)
+      else trails.set(pointerIds[i], [i])
+    }
+    for (const [pointerId, indices] of trails) if (indices.length === 0) trails.delete(pointerId)
+  }
+
+  const drawPoints = (style, fade) => {
+    const { x, y, life, scale, opacity } = pool.arrays
+    const paint = { ...options }
+    // Gradient colors are recomputed from each point's place in the trail
+    // every frame, so they would miss the sprite cache on nearly every point.
+    const useSprites = options.sprites && options.colorMode !== 'gradient'
+    let stamped = false
+    for (let i = 0; i < pool.size; i++) {
+      const remaining = Math.max(life[i], 0)
+      const color = pool.colorAt(i) ?? options.color
+      const alpha = remaining * opacity[i] * fade
+      const radius = options.size * remaining * scale[i]
+      if (useSprites && spriteCache.draw(ctx, style, x[i], y[i], color, alpha, radius, pixelRatio)) {
+        stamped = true
+        continue
+      }
+      paint.color = color
+      paint.alpha = alpha
+      paint.radius = radius
+      ctx.save()
+      style.draw(ctx, pool.read(i, pool.hasExtras(i) ? {} : scratch), paint)
+      ctx.restore()
+    }
+    if (stamped) ctx.globalAlpha = 1
+  }
+
+  const renderFrame = (now = clock()) => {
+    if (!ctx) return
+    const elapsed = lastFrameTime === null ? 0 : Math.max(0, now - lastFrameTime)
+    const frames = Math.min(elapsed, MAX_STEP_MS) / FRAME_MS
+    lastFrameTime = now
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    const style = getTrailStyle(options.style)
+    if (laserTail.length) laserTail = ageTail(laserTail, elapsed)
+    if (burst && now - burst.time >= FIND_BURST_MS) burst = null
+    const idleFor = lastActive === null ? 0 : Math.max(0, now - lastActive)
+    const fade = idleFade(idleFor, options.idle)
+    const scene = { pointer, tail: laserTail, viewport, canvas, pixelRatio, source: lensSource, fade }
+    renderPresentation(ctx, 'under', options.presentation, scene)
+    if (annotations.strokes.length) {
+      annotations.age(elapsed, options.annotations?.fadeAfter)
+      annotations.draw(ctx, options.annotations?.fadeAfter)
+    }
+
+    agePoints(elapsed, frames, style)
+    groupTrails()
+    if (options.colorMode === 'gradient') {
+      for (const indices of trails.values()) {
+        const last = indices.length - 1
+        indices.forEach((index, position) => {
+          if (!pool.isHeld(index)) pool.setColor(index, gradientColorAt(options, position, last))
+        })
+      }
+    }
+
+    if (fade <= 0) {
+      // Faded out while idle: the points keep aging but are not drawn.
+    } else if (style?.drawTrail) {
+      for (const indices of trails.values()) {
+        if (indices.length < 2) continue
+        ctx.save()
+        ctx.globalAlpha = fade
+        style.drawTrail(ctx, indices.map((index) => pool.read(index)), options)
+        ctx.restore()
+      }
+    } else if (style?.draw) {
+      drawPoints(style, fade)
+    }
+
+    if (effects.length) effects = renderEffects(ctx, effects, options.effects, elapsed, viewport)
+    renderPresentation(ctx, 'over', options.presentation, scene)
+    if (options.idle) {
+      const shown = burst && { x: burst.x, y: burst.y, age: Math.max(0, now - burst.time) }
+      renderIdle(ctx, options.idle, { pointer, idleFor, burst: shown, color: options.color, size: options.size })
+    }
+  }
+
+  const mayFlash = () => !options.flashLimit || flashes.allow(clock())
+
+  /**
+   * Follows the pointer for presentation modes and idle detection, whether
+   * or not the trail is enabled. Only the laser keeps a tail. `time` is the
+   * move's timestamp on the same clock as `renderFrame`.
+   */
+  const movePointer = (x, y, time = clock()) => {
+    if (destroyed) return
+    pointer = { x, y }
+    markActive(time)
+    const mode = options.presentation?.mode
+    if (mode === 'laser') laserTail = extendTail(laserTail, x, y)
+    if (options.idle?.shake && shake.feed(x, time) && mayFlash()) burst = { x, y, time }
+    if ((mode && mode !== 'off') || burst || options.idle?.enabled) wake()
+  }
+
+  /**
+   * Shows a click, scroll or keystroke effect. `detail` carries the
+   * keystroke `label` or the wheel `direction` (1 down, -1 up).
+   */
+  const addEffect = (kind, x, y, detail = {}) => {
+    if (destroyed) return
+    markActive()
+    if (!options.effects?.[kind]?.enabled) return
+    if (FLASHING_KINDS.includes(kind) && !mayFlash()) return
+    effects = pushEffect(effects, kind, options.effects[kind], { x, y, ...detail })
+    wake()
+  }
+
+  // Steps quality down a notch while the smoothed frame cost is over budget,
+  // and back up once it is comfortably under, at most once per ADJUST_EVERY
+  // frames so a single slow frame does not flap the setting.
+  const adapt = (cost) => {
+    frameCost = frameCost === null ? cost : frameCost + (cost - frameCost) * COST_SMOOTHING
+    if (!options.adaptiveQuality || ++framesSinceAdjust < ADJUST_EVERY) return
+    framesSinceAdjust = 0
+    if (frameCost > options.frameBudget) quality = Math.max(MIN_QUALITY, quality - QUALITY_STEP)
+    else if (frameCost < options.frameBudget / 2) quality = Math.min(1, quality + QUALITY_STEP)
+  }
+
+  /** Draws annotation strokes: `phase` is 'start', 'move' or 'end'. */
+  const annotate = (phase, x, y) => {
+    if (destroyed) return
+    markActive()
+    if (phase === 'start') annotations.begin(x, y, { ...ANNOTATION_DEFAULTS, ...options.annotations }, options.color)
+    else if (phase === 'move') annotations.extend(x, y)
+    else annotations.end()
+    wake()
+  }
+
+  // Undo, redo and clear report whether anything changed.
+  const editAnnotations = (edit) => () => {
+    const changed = edit()
+    if (changed) wake()
+    return changed
+  }
+
+  // Milliseconds until idle detection next changes the picture, 0 while
+  // it animates, or null when it has nothing more to show.
+  const idleWait = (now) => {
+    if (burst) return 0
+    const settings = options.idle
+    if (!settings?.enabled || !pointer || lastActive === null) return null
+    const idleFor = now - lastActive
+    const timeout = settings.timeout * 1000
+    if (idleFor < timeout) return timeout - idleFor
+    return settings.pulse || idleFor < timeout + IDLE_FADE_MS ? 0 : null
+  }
+
+  const loop = (now) => {
+    const started = clock()
+    renderFrame(now)
+    adapt(clock() - started)
+    const lensLive = options.presentation?.mode === 'magnifier' && lensSource
+    const fading = annotations.strokes.length > 0 && options.annotations?.fadeAfter > 0
+    const wait = idleWait(now)
+    if (pool.size === 0 && effects.length === 0 && laserTail.length === 0 && !lensLive && !fading && wait !== 0) {
+      frame = null
+      idle = true
+      // Sleeps until the idle timeout, when the fade and halo start.
+      if (wait !== null) idleTimer = setTimeout(wake, wait)
+      return
+    }
+    frame = requestFrame(loop)
+  }
+
+  const start = () => {
+    if (frame !== null || paused || destroyed) return
+    idle = false
+    lastFrameTime = null
+    loop(clock())
+  }
+
+  const stop = () => {
+    idle = false
+    clearTimeout(idleTimer)
+    idleTimer = null
+    if (frame === null) return
+    cancelFrame(frame)
+    frame = null
+  }
+
+  const measure = () => {
+    const parent = canvas.parentElement
+    if (parent) {
+      const { width, height } = parent.getBoundingClientRect()
+      return { width, height }
+    }
+    return { width: window.innerWidth, height: window.innerHeight }
+  }
+
+  /** Sizes the canvas to `width` × `height` CSS pixels at `ratio` device pixels each. */
+  const setSize = (width, height, ratio = 1) => {
+    pixelRatio = ratio
+    canvas.width = width * ratio
+    canvas.height = height * ratio
+    viewport = { width, height }
+    if (canvas.style) {
+      canvas.style.width = `${width}px`
+      canvas.style.height = `${height}px`
+    }
+    ctx?.setTransform(ratio, 0, 0, ratio, 0, 0)
+  }
+
+  const resize = () => {
+    if (!attached) return
+    const { width, height } = measure()
+    setSize(width, height, window.devicePixelRatio || 1)
+  }
+
+  let input = null
+  let resizeObserver = null
+  if (attached) {
+    resize()
+    window.addEventListener('resize', resize)
+    input = bindPointerInput(window, { toLocal, getOptions: () => options, addPoint, addEffect, movePointer, annotate })
+    if (typeof ResizeObserver === 'function' && canvas.parentElement) {
+      resizeObserver = new ResizeObserver(resize)
+      resizeObserver.observe(canvas.parentElement)
+    }
+  }
+
+  if (options.autoStart) start()
+
+  return {
+    canvas,
+    addPoint,
+    addEffect,
+    movePointer,
+    annotate,
+    undoAnnotation: editAnnotations(() => annotations.undo()),
+    redoAnnotation: editAnnotations(() => annotations.redo()),
+    clearAnnotations: editAnnotations(() => annotations.clear()),
+    getAnnotations: () =>
+      annotations.strokes.map((stroke) => ({ ...stroke, points: stroke.points.map((point) => ({ ...point })) })),
+    renderFrame,
+    resize,
+    setSize,
+    getOptions: () => ({ ...options }),
+    getSeed: () => seed,
+    onPoint(listener) {
+      pointListeners.add(listener)
+      return () => pointListeners.delete(listener)
+    },
+    reseed(nextSeed = randomSeed()) {
+      seed = nextSeed
+      random = createRandom(seed)
+      return seed
+    },
+    reset(nextSeed = randomSeed()) {
+      seed = nextSeed
+      random = createRandom(seed)
+      pool.clear()
+      effects = []
+      laserTail = []
+      burst = null
+      lastActive = null
+      shake.reset()
+      flashes.reset()
+      lastFrameTime = null
+      input?.reset()
+      ctx?.clearRect(0, 0, canvas.width, canvas.height)
+    },
+    getPoints: () => pool.toArray(),
+    getEffects: () => effects.map((effect) => ({ ...effect })),
+    /** Live numbers for a performance readout. */
+    getStats: () => ({
+      points: pool.size,
+      effects: effects.length,
+      quality,
+      frameCost,
+      idle,
+      sprites: spriteCache.size,
+    }),
+    setOptions(nextOptions) {
+      options = { ...options, ...nextOptions }
+      if (!options.adaptiveQuality) quality = 1
+      // An idle canvas keeps its last frame, which may show a presentation
+      // mode that was just switched off.
+      wake()
+    },
+    /**
+     * Sets what the magnifier enlarges: a video of the captured page, or
+     * any other image source the size of the viewport. `null` goes back to
+     * magnifying the trail canvas.
+     */
+    setLensSource(source) {
+      lensSource = source ?? null
+      wake()
+    },
+    clear() {
+      pool.clear()
+      effects = []
+      laserTail = []
+      burst = null
+      ctx?.clearRect(0, 0, canvas.width, canvas.height)
+    },
+    pause() {
+      paused = true
+      stop()
+    },
+    resume() {
+      paused = false
+      start()
+    },
+    isPaused: () => paused,
+    destroy() {
+      if (destroyed) return
+      destroyed = true
+      stop()
+      pool.clear()
+      spriteCache.clear()
+      annotations.reset()
+      effects = []
+      lensSource = null
+      pointListeners.clear()
+      if (attached) window.removeEventListener('resize', resize)
+      input?.unbind()
+      resizeObserver?.disconnect()
+      if (owned) canvas.remove()
+    },
+  }
+}
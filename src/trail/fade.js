@@ -0,0 +1,22 @@
+import { FRAME_MS } from './timing.js'
+
+const EXPONENTIAL_RATE = 5
+const EXPONENTIAL_FLOOR = Math.exp(-EXPONENTIAL_RATE)
+
+export const DEFAULT_LIFETIME = 300
+
+export const FADE_CURVES = {
+  linear: (remaining) => remaining,
+  'ease-out': (remaining) => remaining * remaining,
+  exponential: (remaining) =>
+    (Math.exp(-EXPONENTIAL_RATE * (1 - remaining)) - EXPONENTIAL_FLOOR) / (1 - EXPONENTIAL_FLOOR),
+}
+
+export function lifeAt(age, lifetime, curve = 'linear') {
+  const remaining = Math.min(1, Math.max(0, 1 - age / lifetime))
+  return (FADE_CURVES[curve] ?? FADE_CURVES.linear)(remaining)
+}
+
+// The old renderer subtracted `fadeSpeed / 1000` from `life` once per frame,
+// so a point lasted `1000 / fadeSpeed` frames on a 60 Hz display.
+export const fadeSpeedToLifetime = (fadeSpeed) => Math.round((1000 / fadeSpeed) * FRAME_MS)
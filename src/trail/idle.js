@@ -0,0 +1,168 @@
+import { toRgba } from './color.js'
+import { EFFECT_STYLES } from './effects.js'
+
+export const IDLE_FADE_MS = 600
+export const FIND_BURST_MS = 900
+
+const PULSE_MS = 1400
+const FIND_SCALE = 5
+const MIN_FIND_SIZE = 90
+const SHAKE_WINDOW_MS = 700
+const SHAKE_REVERSALS = 4
+const SHAKE_MIN_TRAVEL = 24
+const SHAKE_COOLDOWN_MS = 1000
+
+// `timeout` is in seconds without pointer or keyboard input. `shake` works
+// whether or not idle detection is on.
+export const IDLE_DEFAULTS = {
+  enabled: false,
+  timeout: 4,
+  fadeTrail: true,
+  hidePanel: true,
+  pulse: true,
+  shake: true,
+}
+
+export const IDLE_TIMEOUT_RANGE = [1, 60]
+
+const IDLE_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel']
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+/** Applies `raw` over `base`, dropping invalid values and clamping the timeout. */
+export function normalizeIdle(raw, base = IDLE_DEFAULTS) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const next = { ...IDLE_DEFAULTS, ...base }
+  for (const key of ['enabled', 'fadeTrail', 'hidePanel', 'pulse', 'shake']) {
+    if (typeof source[key] === 'boolean') next[key] = source[key]
+  }
+  if (Number.isFinite(source.timeout)) next.timeout = clamp(Math.round(source.timeout), ...IDLE_TIMEOUT_RANGE)
+  return next
+}
+
+/**
+ * How visible the trail and presentation mode are after `idleFor`
+ * milliseconds without input: fully until the timeout, then fading to
+ * nothing over IDLE_FADE_MS.
+ */
+export function idleFade(idleFor, settings) {
+  if (!settings?.enabled || !settings.fadeTrail) return 1
+  return clamp(1 - (idleFor - settings.timeout * 1000) / IDLE_FADE_MS, 0, 1)
+}
+
+/**
+ * Spots a "where is my cursor" shake: SHAKE_REVERSALS changes of horizontal
+ * direction within SHAKE_WINDOW_MS, each after at least SHAKE_MIN_TRAVEL
+ * pixels. `feed` returns true for the move that completes a shake; after
+ * one, shakes are ignored for SHAKE_COOLDOWN_MS.
+ */
+export function createShakeDetector() {
+  let lastX = null
+  let direction = 0
+  let travel = 0
+  let reversals = []
+  let quietUntil = -Infinity
+
+  return {
+    feed(x, time) {
+      const dx = lastX === null ? 0 : x - lastX
+      lastX = x
+      if (dx === 0) return false
+      const sign = Math.sign(dx)
+      if (sign === direction) {
+        travel += Math.abs(dx)
+      } else {
+        if (direction !== 0 && travel >= SHAKE_MIN_TRAVEL) reversals.push(time)
+        direction = sign
+        travel = Math.abs(dx)
+      }
+      reversals = reversals.filter((reversal) => time - reversal <= SHAKE_WINDOW_MS)
+      if (reversals.length < SHAKE_REVERSALS || time < quietUntil) return false
+      reversals = []
+      quietUntil = time + SHAKE_COOLDOWN_MS
+      return true
+    },
+    reset() {
+      lastX = null
+      direction = 0
+      travel = 0
+      reversals = []
+      quietUntil = -Infinity
+    },
+  }
+}
+
+const circle = (ctx, x, y, radius) => {
+  ctx.beginPath()
+  ctx.arc(x, y, Math.max(0, radius), 0, Math.PI * 2)
+}
+
+/**
+ * Draws the idle halo that pulses around the resting pointer and the
+ * enlarged burst a shake sets off. `size` is the trail size the halo and
+ * burst scale with.
+ */
+export function renderIdle(ctx, settings, { pointer, idleFor, burst, color, size }) {
+  const radius = Math.max(14, size * 0.8)
+  const resting = idleFor - settings.timeout * 1000
+  if (settings.enabled && settings.pulse && pointer && resting >= 0) {
+    const fadeIn = Math.min(1, resting / IDLE_FADE_MS)
+    const phase = (resting % PULSE_MS) / PULSE_MS
+    ctx.save()
+    circle(ctx, pointer.x, pointer.y, radius * 1.2)
+    ctx.fillStyle = toRgba(color, 0.18 * fadeIn)
+    ctx.fill()
+    circle(ctx, pointer.x, pointer.y, radius * (1 + phase * 1.5))
+    ctx.strokeStyle = toRgba(color, 0.8 * (1 - phase) * fadeIn)
+    ctx.lineWidth = 2
+    ctx.stroke()
+    ctx.restore()
+  }
+  if (burst) {
+    const progress = burst.age / FIND_BURST_MS
+    const findSize = Math.max(MIN_FIND_SIZE, size * FIND_SCALE)
+    ctx.save()
+    circle(ctx, burst.x, burst.y, findSize * progress)
+    ctx.strokeStyle = toRgba(color, 1 - progress)
+    ctx.lineWidth = 4
+    ctx.stroke()
+    EFFECT_STYLES.find((style) => style.id === 'burst').draw(ctx, burst, { color, size: findSize, progress })
+    ctx.restore()
+  }
+}
+
+/**
+ * Reports when `target` has had no pointer or keyboard input for `timeout`
+ * milliseconds, and when input comes back, through `onChange(idle)`.
+ */
+export function createIdleWatcher(target, { timeout, onChange }) {
+  let idle = false
+  let timer = null
+
+  const arm = () => {
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      idle = true
+      onChange(true)
+    }, timeout)
+  }
+
+  const handleActivity = () => {
+    if (idle) {
+      idle = false
+      onChange(false)
+    }
+    arm()
+  }
+
+  IDLE_EVENTS.forEach((type) => target.addEventListener(type, handleActivity, { passive: true }))
+  arm()
+
+  return {
+    isIdle: () => idle,
+    unbind() {
+      clearTimeout(timer)
+      IDLE_EVENTS.forEach((type) => target.removeEventListener(type, handleActivity))
+    },
+  }
+}
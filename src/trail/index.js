@@ -0,0 +1,62 @@
+export { createCursorTrail, DEFAULT_OPTIONS, MAX_POINTS } from './engine.js'
+export {
+  ACCESSIBILITY_DEFAULTS,
+  ACCESSIBILITY_PREFERENCES,
+  accessibleOptions,
+  CALM_STYLES,
+  createFlashLimiter,
+  HIGH_CONTRAST_COLOR,
+  MAX_FLASHES_PER_SECOND,
+  normalizeAccessibility,
+  resolvePreference,
+} from './accessibility.js'
+export {
+  ANNOTATION_DEFAULTS,
+  ANNOTATION_TOOLS,
+  ANNOTATION_TRIGGERS,
+  annotationTriggered,
+  createAnnotationLayer,
+  normalizeAnnotations,
+} from './annotations.js'
+export { PARTICLE_DEFAULTS, spawnParticles, stepParticle } from './particles.js'
+export { drawPoint } from './drawPoint.js'
+export {
+  EFFECT_DEFAULTS,
+  EFFECT_DURATION_RANGE,
+  EFFECT_KINDS,
+  EFFECT_SIZE_RANGES,
+  EFFECT_STYLES,
+  keyLabel,
+  normalizeEffects,
+} from './effects.js'
+export { DEFAULT_LIFETIME, FADE_CURVES, fadeSpeedToLifetime, lifeAt } from './fade.js'
+export { DEFAULT_SPACING, pointerModulation, readPointerSamples, spacedPoints, velocityBetween } from './input.js'
+export { isValidColor, mixColors, parseColor, samplePalette, toRgba } from './color.js'
+export { applyTrailGradient, COLOR_MODES, PALETTE_DEFAULTS, spawnColor } from './palette.js'
+export { catmullRomSegments } from './strokes.js'
+export {
+  getTrailStyle,
+  listTrailStyles,
+  registerTrailStyle,
+  subscribeTrailStyles,
+  unregisterTrailStyle,
+} from './styles.js'
+export { capturePath, parsePath, playPath, serializePath, serializableOptions, stepPath } from './path.js'
+export {
+  normalizePresentation,
+  PRESENTATION_DEFAULTS,
+  PRESENTATION_MODES,
+  PRESENTATION_RANGES,
+} from './presentation.js'
+export {
+  createIdleWatcher,
+  createShakeDetector,
+  IDLE_DEFAULTS,
+  IDLE_TIMEOUT_RANGE,
+  idleFade,
+  normalizeIdle,
+} from './idle.js'
+export { createRandom, randomSeed } from './random.js'
+export { createOffscreenTrail, supportsOffscreenTrail } from './offscreen.js'
+export { createPointPool } from './pointPool.js'
+export { createSpriteCache } from './sprites.js'
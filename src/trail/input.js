@@ -0,0 +1,225 @@
+import { annotationTriggered } from './annotations.js'
+import { keyLabel } from './effects.js'
+import { FRAME_MS } from './timing.js'
+
+const MIN_SAMPLE_MS = 4
+const MAX_FILL_POINTS = 64
+const MAX_FILL_GAP_MS = 250
+
+export const DEFAULT_SPACING = 4
+
+// Presses that start inside elements with this attribute, such as the
+// control panel, never start an annotation stroke.
+export const IGNORE_ANNOTATION_SELECTOR = '[data-trail-ignore]'
+
+export const readPointerSamples = (event) => {
+  const coalesced = typeof event.getCoalescedEvents === 'function' ? event.getCoalescedEvents() : []
+  return coalesced.length > 0 ? coalesced : [event]
+}
+
+// Pens report real pressure and tilt. Mice report 0.5 pressure while a button
+// is held, and most touch screens report 0 or 1, so only pens modulate.
+export function pointerModulation({ pointerType, pressure = 0.5, tiltX = 0, tiltY = 0 }, options) {
+  if (pointerType !== 'pen' || !options.pressureSensitivity) return { scale: 1, opacity: 1 }
+  const tilt = Math.min(1, Math.hypot(tiltX, tiltY) / 90)
+
+  return {
+    scale: (0.4 + pressure * 1.2) * (1 + tilt * 0.5),
+    opacity: (0.5 + pressure * 0.5) * (1 - tilt * 0.3),
+  }
+}
+
+export function velocityBetween(previous, sample) {
+  if (!previous) return { vx: 0, vy: 0 }
+  const frames = Math.max(sample.time - previous.time, MIN_SAMPLE_MS) / FRAME_MS
+  return { vx: (sample.x - previous.x) / frames, vy: (sample.y - previous.y) / frames }
+}
+
+const INTERPOLATED_FIELDS = ['x', 'y', 'time', 'pressure', 'tiltX', 'tiltY']
+
+const lerpSample = (from, to, amount) =>
+  Object.fromEntries(
+    INTERPOLATED_FIELDS.map((field) => [
+      field,
+      Number.isFinite(from[field]) && Number.isFinite(to[field])
+        ? from[field] + (to[field] - from[field]) * amount
+        : to[field],
+    ]),
+  )
+
+/**
+ * Where to spawn points for a move from `previous`, the pointer's last
+ * spawned point, to `sample`, so the trail is evenly spaced whatever the
+ * mouse polling rate: none while the pointer is closer than `spacing`
+ * pixels, otherwise one every `spacing` pixels along the way. Long jumps are
+ * filled with at most MAX_FILL_POINTS points, and moves after a pause of more
+ * than MAX_FILL_GAP_MS, such as the pointer coming back into the window, are
+ * not filled at all. A `spacing` of 0 spawns at every sample.
+ */
+export function spacedPoints(previous, sample, spacing) {
+  if (!previous || !(spacing > 0)) return [sample]
+  const distance = Math.hypot(sample.x - previous.x, sample.y - previous.y)
+  if (distance < spacing) return []
+  if (sample.time - previous.time > MAX_FILL_GAP_MS) return [sample]
+  const stride = Math.max(spacing, distance / MAX_FILL_POINTS)
+  return Array.from({ length: Math.floor(distance / stride) }, (_, index) =>
+    lerpSample(previous, sample, ((index + 1) * stride) / distance),
+  )
+}
+
+/**
+ * Listens for pointer, wheel and key events on `target` (the window) and
+ * turns them into trail points and effects. Used by the engine, and by the
+ * offscreen proxy to forward input to its worker. `movePointer`, when
+ * given, hears every move with its timestamp, even while the trail is off.
+ * `annotate`, when given, receives `('start' | 'move' | 'end', x, y)` for
+ * annotation strokes; moves that draw a stroke spawn no trail points.
+ * Returns `{ reset, unbind }`.
+ */
+export function bindPointerInput(target, { toLocal, getOptions, addPoint, addEffect, movePointer, annotate }) {
+  const lastPointers = new Map()
+  let annotatingPointer = null
+  const tracking = () => {
+    const options = getOptions()
+    return options.enabled && options.trackPointer
+  }
+  const annotationSettings = () => {
+    const options = getOptions()
+    return annotate && options.trackPointer ? options.annotations : null
+  }
+
+  const endAnnotation = (event) => {
+    const { x, y } = toLocal(event.clientX, event.clientY)
+    annotatingPointer = null
+    annotate('end', x, y)
+  }
+
+  // A button stroke starts on pointerdown; a modifier stroke starts on the
+  // first move with the modifier held. Either ends once the trigger is let go.
+  const handleAnnotationMove = (event) => {
+    const settings = annotationSettings()
+    const drawing = annotationTriggered(event, settings)
+    if (annotatingPointer === null && drawing && settings.trigger !== 'button') {
+      annotatingPointer = event.pointerId
+      const { x, y } = toLocal(event.clientX, event.clientY)
+      annotate('start', x, y)
+      return true
+    }
+    if (annotatingPointer !== event.pointerId) return false
+    if (!drawing) {
+      endAnnotation(event)
+      return false
+    }
+    for (const sample of readPointerSamples(event)) {
+      const { x, y } = toLocal(sample.clientX, sample.clientY)
+      annotate('move', x, y)
+    }
+    return true
+  }
+
+  const handlePointerMove = (event) => {
+    if (movePointer && getOptions().trackPointer) {
+      const { x, y } = toLocal(event.clientX, event.clientY)
+      movePointer(x, y, event.timeStamp)
+    }
+    if (annotate && handleAnnotationMove(event)) return
+    if (!tracking()) return
+    const { mode, spacing } = getOptions()
+    const samples = mode === 'particles' ? [event] : readPointerSamples(event)
+
+    for (const sample of samples) {
+      const { x, y } = toLocal(sample.clientX, sample.clientY)
+      const current = {
+        x,
+        y,
+        time: sample.timeStamp ?? event.timeStamp,
+        pressure: sample.pressure,
+        tiltX: sample.tiltX,
+        tiltY: sample.tiltY,
+      }
+      const previous = lastPointers.get(event.pointerId)
+      const points = spacedPoints(previous, current, spacing)
+      if (!points.length) continue
+      const velocity = velocityBetween(previous, current)
+      for (const point of points) {
+        addPoint(point.x, point.y, {
+          ...velocity,
+          time: point.time,
+          pointerId: event.pointerId,
+          pointerType: event.pointerType,
+          pressure: point.pressure,
+          tiltX: point.tiltX,
+          tiltY: point.tiltY,
+          held: event.buttons > 0 || undefined,
+        })
+      }
+      lastPointers.set(event.pointerId, points[points.length - 1])
+    }
+  }
+
+  const handlePointerEnd = (event) => {
+    lastPointers.delete(event.pointerId)
+    if (annotatingPointer === event.pointerId) endAnnotation(event)
+  }
+
+  const handlePointerDown = (event) => {
+    const settings = annotationSettings()
+    if (
+      settings?.enabled &&
+      settings.trigger === 'button' &&
+      event.button === 0 &&
+      annotatingPointer === null &&
+      !event.target?.closest?.(IGNORE_ANNOTATION_SELECTOR)
+    ) {
+      annotatingPointer = event.pointerId
+      const { x, y } = toLocal(event.clientX, event.clientY)
+      annotate('start', x, y)
+      return
+    }
+    if (!tracking() || event.button !== 0) return
+    const { x, y } = toLocal(event.clientX, event.clientY)
+    addEffect('press', x, y)
+  }
+
+  const handleMouseEffect = (kind) => (event) => {
+    if (!tracking()) return
+    const { x, y } = toLocal(event.clientX, event.clientY)
+    addEffect(kind, x, y, kind === 'wheel' ? { direction: Math.sign(event.deltaY) || 1 } : {})
+  }
+
+  // Keystrokes typed into password fields are never shown.
+  const handleKeyDown = (event) => {
+    if (!getOptions().enabled || event.target?.type === 'password') return
+    const label = keyLabel(event)
+    if (label) addEffect('keys', 0, 0, { label })
+  }
+
+  // Letting go of a modifier trigger ends the stroke even if the pointer
+  // does not move again.
+  const handleKeyUp = (event) => {
+    if (annotatingPointer === null) return
+    const settings = annotationSettings()
+    if (settings?.trigger !== 'button' && !annotationTriggered(event, settings)) {
+      annotatingPointer = null
+      annotate('end')
+    }
+  }
+
+  const listeners = [
+    ['pointermove', handlePointerMove],
+    ['pointerup', handlePointerEnd],
+    ['pointercancel', handlePointerEnd],
+    ['pointerdown', handlePointerDown],
+    ['contextmenu', handleMouseEffect('rightClick')],
+    ['dblclick', handleMouseEffect('doubleClick')],
+    ['wheel', handleMouseEffect('wheel'), { passive: true }],
+    ['keydown', handleKeyDown],
+    ['keyup', handleKeyUp],
+  ]
+  listeners.forEach(([type, listener, options]) => target.addEventListener(type, listener, options))
+
+  return {
+    reset: () => lastPointers.clear(),
+    unbind: () => listeners.forEach(([type, listener]) => target.removeEventListener(type, listener)),
+  }
+}
@@ -0,0 +1,158 @@
+import { DEFAULT_OPTIONS } from './engine.js'
+import { bindPointerInput } from './input.js'
+import { randomSeed } from './random.js'
+import { clock } from './timing.js'
+
+const cloneable = (options) => Object.fromEntries(Object.entries(options).filter(([, value]) => typeof value !== 'function'))
+
+export const supportsOffscreenTrail = () =>
+  typeof Worker === 'function' &&
+  typeof HTMLCanvasElement === 'function' &&
+  typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+
+const defaultCreateWorker = () => new Worker(new URL('./trailWorker.js', import.meta.url), { type: 'module' })
+
+/**
+ * Runs the trail renderer in a worker that owns the canvas through
+ * `transferControlToOffscreen`, so drawing never waits on the page's main
+ * thread. Pointer input is still read on the page and forwarded. Returns
+ * the same interface as `createCursorTrail`, with these differences:
+ * `getPoints`, `getEffects` and `getAnnotations` are always empty; the
+ * annotation edits do not report whether anything changed; `getStats`
+ * reports the worker's latest numbers; and there is no `setLensSource`, so
+ * the magnifier only enlarges the trail. A canvas can only be transferred
+ * once, so going back to the main-thread renderer needs a fresh canvas
+ * element.
+ */
+export function createOffscreenTrail(canvas, initialOptions = {}, { createWorker = defaultCreateWorker } = {}) {
+  let options = { ...DEFAULT_OPTIONS, ...initialOptions }
+  let seed = options.seed ?? randomSeed()
+  let paused = false
+  let destroyed = false
+  let stats = { points: 0, effects: 0, quality: 1, frameCost: null, idle: true, sprites: 0 }
+  const pointListeners = new Set()
+  const attached = typeof window !== 'undefined'
+
+  const worker = createWorker()
+  const offscreen = canvas.transferControlToOffscreen()
+  worker.postMessage({ type: 'init', canvas: offscreen, options: cloneable({ ...options, seed }) }, [offscreen])
+  worker.onmessage = ({ data }) => {
+    if (data?.type === 'stats') stats = data.stats
+  }
+
+  const call = (method, ...args) => {
+    if (!destroyed) worker.postMessage({ type: 'call', method, args })
+  }
+
+  const toLocal = (clientX, clientY) => {
+    if (typeof canvas.getBoundingClientRect !== 'function') return { x: clientX, y: clientY }
+    const rect = canvas.getBoundingClientRect()
+    return { x: clientX - rect.left, y: clientY - rect.top }
+  }
+
+  // Listeners run here, with the same input the engine would pass them, so
+  // path capture works unchanged.
+  const addPoint = (x, y, input = {}) => {
+    if (destroyed) return
+    const { vx = 0, vy = 0, pointerId = 0, time = clock() } = input
+    const full = { ...input, vx, vy, pointerId, time }
+    pointListeners.forEach((listener) => listener(x, y, full))
+    call('addPoint', x, y, full)
+  }
+
+  const addEffect = (kind, x, y, detail = {}) => call('addEffect', kind, x, y, detail)
+
+  // Pointer moves are only worth a message while a presentation mode or
+  // idle detection needs them. The page's timestamps are on a different
+  // clock from the worker's, so the worker times moves itself.
+  const movePointer = (x, y) => {
+    const mode = options.presentation?.mode
+    if ((mode && mode !== 'off') || options.idle?.enabled || options.idle?.shake) call('movePointer', x, y)
+  }
+
+  const annotate = (phase, x, y) => call('annotate', phase, x, y)
+
+  const setSize = (width, height, ratio = 1) => {
+    canvas.style.width = `${width}px`
+    canvas.style.height = `${height}px`
+    call('setSize', width, height, ratio)
+  }
+
+  const resize = () => {
+    if (!attached) return
+    const parent = canvas.parentElement
+    const { width, height } = parent
+      ? parent.getBoundingClientRect()
+      : { width: window.innerWidth, height: window.innerHeight }
+    setSize(width, height, window.devicePixelRatio || 1)
+  }
+
+  let input = null
+  let resizeObserver = null
+  if (attached) {
+    resize()
+    window.addEventListener('resize', resize)
+    input = bindPointerInput(window, { toLocal, getOptions: () => options, addPoint, addEffect, movePointer, annotate })
+    if (typeof ResizeObserver === 'function' && canvas.parentElement) {
+      resizeObserver = new ResizeObserver(resize)
+      resizeObserver.observe(canvas.parentElement)
+    }
+  }
+
+  return {
+    canvas,
+    addPoint,
+    addEffect,
+    movePointer,
+    annotate,
+    undoAnnotation: () => call('undoAnnotation'),
+    redoAnnotation: () => call('redoAnnotation'),
+    clearAnnotations: () => call('clearAnnotations'),
+    getAnnotations: () => [],
+    renderFrame: (now) => call('renderFrame', now),
+    resize,
+    setSize,
+    getOptions: () => ({ ...options }),
+    getSeed: () => seed,
+    onPoint(listener) {
+      pointListeners.add(listener)
+      return () => pointListeners.delete(listener)
+    },
+    reseed(nextSeed = randomSeed()) {
+      seed = nextSeed
+      call('reseed', seed)
+      return seed
+    },
+    reset(nextSeed = randomSeed()) {
+      seed = nextSeed
+      input?.reset()
+      call('reset', seed)
+    },
+    getPoints: () => [],
+    getEffects: () => [],
+    getStats: () => ({ ...stats }),
+    setOptions(nextOptions) {
+      options = { ...options, ...nextOptions }
+      call('setOptions', cloneable(nextOptions))
+    },
+    clear: () => call('clear'),
+    pause() {
+      paused = true
+      call('pause')
+    },
+    resume() {
+      paused = false
+      call('resume')
+    },
+    isPaused: () => paused,
+    destroy() {
+      if (destroyed) return
+      destroyed = true
+      pointListeners.clear()
+      worker.terminate()
+      if (attached) window.removeEventListener('resize', resize)
+      input?.unbind()
+      resizeObserver?.disconnect()
+    },
+  }
+}
@@ -0,0 +1,42 @@
+import { samplePalette } from './color.js'
+
+export const COLOR_MODES = ['solid', 'gradient', 'rainbow', 'random']
+
+export const PALETTE_DEFAULTS = {
+  colorMode: 'solid',
+  palette: ['#8B5CF6', '#00C4CC'],
+  rainbowSpeed: 90,
+}
+
+const paletteOf = (options) => (options.palette?.length ? options.palette : [options.color])
+
+// Rainbow and random colors are fixed when a point spawns, so the trail
+// shows the sequence of hues it was drawn with.
+export function spawnColor(options, now, random = Math.random) {
+  switch (options.colorMode) {
+    case 'rainbow': {
+      const hue = Math.round(((now / 1000) * options.rainbowSpeed) % 360)
+      return `hsl(${hue}, 90%, 60%)`
+    }
+    case 'random': {
+      const palette = paletteOf(options)
+      return palette[Math.floor(random() * palette.length)]
+    }
+    default:
+      return undefined
+  }
+}
+
+// Gradient colors depend on a point's position along its trail: the newest
+// point takes the first palette color and the oldest the last.
+export const gradientColorAt = (options, index, last) =>
+  samplePalette(paletteOf(options), last > 0 ? 1 - index / last : 0)
+
+// Points drawn while a button is held keep their drag color.
+export function applyTrailGradient(trailPoints, options) {
+  const last = trailPoints.length - 1
+
+  trailPoints.forEach((point, index) => {
+    if (!point.held) point.color = gradientColorAt(options, index, last)
+  })
+}
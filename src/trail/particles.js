@@ -0,0 +1,55 @@
+export const PARTICLE_DEFAULTS = {
+  mode: 'trail',
+  spawnCount: 4,
+  inheritVelocity: 0.35,
+  drift: 1.2,
+  gravity: 0.12,
+  friction: 0.04,
+  spin: 0.08,
+  lifeVariance: 0.4,
+}
+
+const spread = (random, amount) => (random() * 2 - 1) * amount
+
+export function spawnParticles(x, y, velocity, options, random = Math.random) {
+  const { spawnCount, inheritVelocity, drift, spin, lifeVariance } = options
+  const particles = []
+
+  for (let i = 0; i < spawnCount; i++) {
+    particles.push({
+      x,
+      y,
+      life: 1,
+      age: 0,
+      seed: random() * Math.PI * 2,
+      vx: velocity.vx * inheritVelocity + spread(random, drift),
+      vy: velocity.vy * inheritVelocity + spread(random, drift),
+      rotation: 0,
+      spinRate: spread(random, spin),
+      decay: Math.max(0.2, 1 + spread(random, lifeVariance)),
+    })
+  }
+
+  return particles
+}
+
+// Velocities are in pixels per 60 Hz frame; `frames` scales a step to the
+// real time elapsed since the previous render.
+export function stepParticle(point, options, frames = 1) {
+  const damping = Math.pow(1 - options.friction, frames)
+  point.vx *= damping
+  point.vy = point.vy * damping + options.gravity * frames
+  point.x += point.vx * frames
+  point.y += point.vy * frames
+  point.rotation += point.spinRate * frames
+}
+
+/** `stepParticle` for a point stored in a point pool's typed arrays. */
+export function stepPooledParticle({ x, y, vx, vy, rotation, spinRate }, index, options, frames = 1) {
+  const damping = Math.pow(1 - options.friction, frames)
+  vx[index] *= damping
+  vy[index] = vy[index] * damping + options.gravity * frames
+  x[index] += vx[index] * frames
+  y[index] += vy[index] * frames
+  rotation[index] += spinRate[index] * frames
+}
@@ -0,0 +1,175 @@
+import { cancelFrame, clock, requestFrame } from './timing.js'
+
+export const PATH_FORMAT = 'cursor-trail-path'
+export const PATH_VERSION = 1
+
+const SAMPLE_FIELDS = ['pointerId', 'pointerType', 'pressure', 'tiltX', 'tiltY', 'vx', 'vy', 'held']
+const RUNTIME_OPTIONS = [
+  'enabled',
+  'trackPointer',
+  'autoStart',
+  'headless',
+  'seed',
+  'sprites',
+  'adaptiveQuality',
+  'frameBudget',
+  'offscreen',
+  'presentation',
+  'annotations',
+  'idle',
+]
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Options that only make sense for the live page, or cannot be serialized,
+// are left out of a take so a replay always starts from the drawing settings.
+export function serializableOptions(options) {
+  return Object.fromEntries(
+    Object.entries(options).filter(
+      ([key, value]) => !RUNTIME_OPTIONS.includes(key) && typeof value !== 'function',
+    ),
+  )
+}
+
+/**
+ * Records the points a trail spawns, with timestamps relative to the start
+ * of the capture, into a JSON-friendly take that `playPath` and `stepPath`
+ * can feed back through the renderer.
+ */
+export function capturePath(trail, { name = 'Path', now = clock } = {}) {
+  const startedAt = now()
+  const seed = trail.reseed()
+  const options = serializableOptions(trail.getOptions())
+  const samples = []
+
+  const unsubscribe = trail.onPoint((x, y, input) => {
+    const sample = { t: round(input.time - startedAt), x: round(x), y: round(y) }
+    for (const field of SAMPLE_FIELDS) {
+      if (input[field] !== undefined) sample[field] = input[field]
+    }
+    samples.push(sample)
+  })
+
+  return {
+    get sampleCount() {
+      return samples.length
+    },
+    finish() {
+      unsubscribe()
+      return {
+        format: PATH_FORMAT,
+        version: PATH_VERSION,
+        name,
+        createdAt: Date.now(),
+        seed,
+        duration: samples.length ? samples[samples.length - 1].t : 0,
+        options,
+        samples,
+      }
+    },
+  }
+}
+
+export function parsePath(text) {
+  let take
+  try {
+    take = JSON.parse(text)
+  } catch {
+    throw new Error('Path file is not valid JSON.')
+  }
+
+  if (take?.format !== PATH_FORMAT || !Array.isArray(take.samples)) {
+    throw new Error('File is not a cursor trail path.')
+  }
+  if (take.version > PATH_VERSION) {
+    throw new Error(`Path version ${take.version} is newer than this app supports.`)
+  }
+  if (take.samples.some((sample) => ![sample.t, sample.x, sample.y].every(Number.isFinite))) {
+    throw new Error('Path samples need numeric t, x and y values.')
+  }
+
+  return { ...take, seed: take.seed >>> 0, options: take.options ?? {} }
+}
+
+export const serializePath = (take) => JSON.stringify(take)
+
+const prepare = (trail, take, overrides) => {
+  trail.reset(take.seed)
+  trail.setOptions({ ...take.options, ...overrides, trackPointer: false })
+}
+
+const emit = (trail, sample, time) => {
+  const { x, y, ...input } = sample
+  trail.addPoint(x, y, { ...input, time })
+}
+
+/**
+ * Replays a take in real time at `speed`. Live pointer input is muted while
+ * playing. `overrides` re-renders the path with different options, such as
+ * another style or preset.
+ */
+export function playPath(trail, take, { speed = 1, overrides = {}, onEnd = () => {} } = {}) {
+  const previous = trail.getOptions()
+  prepare(trail, take, overrides)
+  const startedAt = clock()
+  const tail = trail.getOptions().lifetime
+  let index = 0
+  let frame = null
+  let stopped = false
+
+  const finish = () => {
+    if (stopped) return
+    stopped = true
+    cancelFrame(frame)
+    trail.setOptions({ ...previous })
+    onEnd()
+  }
+
+  const tick = () => {
+    const elapsed = (clock() - startedAt) * speed
+    while (index < take.samples.length && take.samples[index].t <= elapsed) {
+      const sample = take.samples[index++]
+      emit(trail, sample, startedAt + sample.t / speed)
+    }
+    if (index >= take.samples.length && elapsed >= take.duration + tail * speed) {
+      finish()
+      return
+    }
+    frame = requestFrame(tick)
+  }
+
+  tick()
+  return { stop: finish }
+}
+
+/**
+ * Steps a take through the renderer at a fixed frame rate, independent of
+ * wall-clock time, yielding `{ index, time }` after each frame is drawn so
+ * callers can read the canvas between frames. Two runs with the same take
+ * and options draw identical frames.
+ */
+export function* pathFrames(trail, take, { frameRate = 60, overrides = {} } = {}) {
+  prepare(trail, take, overrides)
+  const frameMs = 1000 / frameRate
+  const end = take.duration + trail.getOptions().lifetime
+  let index = 0
+
+  for (let frameIndex = 0, time = 0; time <= end; time = ++frameIndex * frameMs) {
+    while (index < take.samples.length && take.samples[index].t <= time) {
+      emit(trail, take.samples[index], take.samples[index].t)
+      index++
+    }
+    trail.renderFrame(time)
+    yield { index: frameIndex, time }
+  }
+}
+
+/** Runs `pathFrames` to the end, calling `onFrame(index, time)` per frame. */
+export function stepPath(trail, take, { onFrame = () => {}, ...options } = {}) {
+  let count = 0
+  for (const { index, time } of pathFrames(trail, take, options)) {
+    onFrame(index, time)
+    count++
+  }
+  return count
+}
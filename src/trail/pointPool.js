@@ -0,0 +1,184 @@
+// Numeric point fields, one typed array each. Float64 keeps the same
+// precision as plain numbers, so replays and exports match frame for frame.
+// `speed` is the pointer's speed when a trail point spawned, NaN if unknown.
+const FIELDS = [
+  'x',
+  'y',
+  'age',
+  'life',
+  'seed',
+  'scale',
+  'opacity',
+  'speed',
+  'vx',
+  'vy',
+  'rotation',
+  'spinRate',
+  'decay',
+]
+const PARTICLE_FIELDS = ['vx', 'vy', 'rotation', 'spinRate', 'decay']
+const KNOWN_KEYS = new Set([...FIELDS, 'pointerId', 'color', 'held'])
+
+const PARTICLE = 1
+const HELD = 2
+const MAX_COLORS = 4096
+
+/**
+ * Structure-of-arrays storage for trail points, so the render loop can age,
+ * move and draw points without allocating objects every frame. Points keep
+ * their insertion order. Colors are interned into a small string table.
+ * Fields that style hooks add beyond the built-in ones are kept per point
+ * as `extras`.
+ */
+export function createPointPool(initialCapacity = 64) {
+  let capacity = Math.max(1, initialCapacity)
+  let size = 0
+  const arrays = {}
+  let pointerIds
+  let flags
+  let colorIndex
+  let extras = []
+  let colorTable = []
+  let colorLookup = new Map()
+
+  const allocate = (nextCapacity) => {
+    for (const field of FIELDS) {
+      const next = new Float64Array(nextCapacity)
+      if (arrays[field]) next.set(arrays[field].subarray(0, size))
+      arrays[field] = next
+    }
+    const grow = (Type, current) => {
+      const next = new Type(nextCapacity)
+      if (current) next.set(current.subarray(0, size))
+      return next
+    }
+    pointerIds = grow(Int32Array, pointerIds)
+    flags = grow(Uint8Array, flags)
+    colorIndex = grow(Int32Array, colorIndex)
+    capacity = nextCapacity
+  }
+  allocate(capacity)
+
+  // Gradient and rainbow trails keep producing new colors, so the table is
+  // rebuilt from the live points once it grows large.
+  const compactColors = () => {
+    const table = []
+    const lookup = new Map()
+    for (let i = 0; i < size; i++) {
+      if (colorIndex[i] < 0) continue
+      const color = colorTable[colorIndex[i]]
+      let index = lookup.get(color)
+      if (index === undefined) {
+        index = table.push(color) - 1
+        lookup.set(color, index)
+      }
+      colorIndex[i] = index
+    }
+    colorTable = table
+    colorLookup = lookup
+  }
+
+  const internColor = (color) => {
+    if (color === undefined || color === null) return -1
+    if (colorTable.length >= MAX_COLORS && !colorLookup.has(color)) compactColors()
+    let index = colorLookup.get(color)
+    if (index === undefined) {
+      index = colorTable.length
+      colorTable.push(color)
+      colorLookup.set(color, index)
+    }
+    return index
+  }
+
+  const write = (index, point) => {
+    for (const field of FIELDS) arrays[field][index] = point[field] ?? 0
+    if (point.decay === undefined) arrays.decay[index] = 1
+    if (point.scale === undefined) arrays.scale[index] = 1
+    if (point.opacity === undefined) arrays.opacity[index] = 1
+    if (point.speed === undefined) arrays.speed[index] = NaN
+    pointerIds[index] = point.pointerId ?? 0
+    flags[index] = (point.vx !== undefined ? PARTICLE : 0) | (point.held ? HELD : 0)
+    colorIndex[index] = internColor(point.color)
+    let extra = null
+    for (const key of Object.keys(point)) {
+      if (KNOWN_KEYS.has(key)) continue
+      extra ??= {}
+      extra[key] = point[key]
+    }
+    extras[index] = extra ?? undefined
+  }
+
+  // Reads a point into `out`. A reused `out` gets every built-in field
+  // overwritten; fields a point does not have, such as a trail point's `vx`
+  // or an unknown `speed`, are left out or set to undefined.
+  const read = (index, out = {}) => {
+    const particle = flags[index] & PARTICLE
+    for (const field of FIELDS) {
+      const value = arrays[field][index]
+      if ((particle || !PARTICLE_FIELDS.includes(field)) && !Number.isNaN(value)) out[field] = value
+      else if (field in out) out[field] = undefined
+    }
+    out.pointerId = pointerIds[index]
+    out.color = colorIndex[index] < 0 ? undefined : colorTable[colorIndex[index]]
+    if (flags[index] & HELD) out.held = true
+    else if ('held' in out) out.held = undefined
+    if (extras[index]) Object.assign(out, extras[index])
+    return out
+  }
+
+  const move = (from, to) => {
+    for (const field of FIELDS) arrays[field][to] = arrays[field][from]
+    pointerIds[to] = pointerIds[from]
+    flags[to] = flags[from]
+    colorIndex[to] = colorIndex[from]
+    extras[to] = extras[from]
+  }
+
+  const clear = () => {
+    size = 0
+    extras = []
+    colorTable = []
+    colorLookup = new Map()
+  }
+
+  return {
+    arrays,
+    get size() {
+      return size
+    },
+    get capacity() {
+      return capacity
+    },
+    get pointerIds() {
+      return pointerIds
+    },
+    isParticle: (index) => (flags[index] & PARTICLE) !== 0,
+    isHeld: (index) => (flags[index] & HELD) !== 0,
+    hasExtras: (index) => extras[index] !== undefined,
+    colorAt: (index) => (colorIndex[index] < 0 ? undefined : colorTable[colorIndex[index]]),
+    setColor(index, color) {
+      colorIndex[index] = internColor(color)
+    },
+    add(point) {
+      if (size === capacity) allocate(capacity * 2)
+      write(size, point)
+      return size++
+    },
+    read,
+    write,
+    move,
+    /** Removes one point, keeping the order of the rest. */
+    remove(index) {
+      for (let i = index + 1; i < size; i++) move(i, i - 1)
+      extras[--size] = undefined
+    },
+    /** Drops every point from `length` on. */
+    truncate(length) {
+      for (let i = length; i < size; i++) extras[i] = undefined
+      size = Math.min(size, length)
+      if (size === 0) clear()
+    },
+    clear,
+    toArray: () => Array.from({ length: size }, (_, index) => read(index)),
+  }
+}
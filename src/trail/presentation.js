@@ -0,0 +1,160 @@
+import { isValidColor, toRgba } from './color.js'
+
+export const LASER_TAIL_MS = 160
+
+// `size` is the spotlight and lens radius, and the laser dot's radius.
+// `opacity` is how dark the spotlight dims the page, and how opaque the lens
+// and the laser are.
+export const PRESENTATION_DEFAULTS = {
+  mode: 'off',
+  spotlight: { size: 140, opacity: 0.65 },
+  magnifier: { size: 90, opacity: 1, zoom: 2 },
+  laser: { size: 7, opacity: 0.95, color: '#EF4444' },
+}
+
+export const PRESENTATION_RANGES = {
+  size: { spotlight: [40, 400], magnifier: [40, 240], laser: [3, 20] },
+  opacity: [0.1, 1],
+  zoom: [1.25, 4],
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+const circle = (ctx, x, y, radius) => {
+  ctx.beginPath()
+  ctx.arc(x, y, Math.max(0, radius), 0, Math.PI * 2)
+}
+
+/**
+ * Presentation modes draw around the pointer on the trail canvas. `under`
+ * runs before the trail and `over` after it and its effects, so the trail
+ * stays visible inside a dimmed page and under a lens or laser.
+ */
+export const PRESENTATION_MODES = [
+  { id: 'off', label: 'Off' },
+  {
+    id: 'spotlight',
+    label: 'Spotlight',
+    // One radial gradient: clear in the middle, a soft edge, and the dim
+    // color everywhere past the radius.
+    under(ctx, { size, opacity }, { pointer, viewport }) {
+      const gradient = ctx.createRadialGradient(pointer.x, pointer.y, size * 0.8, pointer.x, pointer.y, size)
+      gradient.addColorStop(0, 'rgba(2, 6, 23, 0)')
+      gradient.addColorStop(1, `rgba(2, 6, 23, ${opacity})`)
+      ctx.fillStyle = gradient
+      ctx.fillRect(0, 0, viewport.width, viewport.height)
+    },
+  },
+  {
+    id: 'magnifier',
+    label: 'Magnifier',
+    // Enlarges the lens source, such as a captured tab, when there is one,
+    // and otherwise the trail canvas itself.
+    over(ctx, { size, opacity, zoom }, { pointer, viewport, source, canvas, pixelRatio }) {
+      const image = source ?? canvas
+      const scaleX = source ? (source.videoWidth || source.width) / viewport.width : pixelRatio
+      const scaleY = source ? (source.videoHeight || source.height) / viewport.height : pixelRatio
+      const half = size / zoom
+      ctx.globalAlpha = opacity
+      circle(ctx, pointer.x, pointer.y, size)
+      ctx.save()
+      ctx.clip()
+      ctx.fillStyle = '#FFFFFF'
+      if (source) ctx.fill()
+      ctx.drawImage?.(
+        image,
+        (pointer.x - half) * scaleX,
+        (pointer.y - half) * scaleY,
+        half * 2 * scaleX,
+        half * 2 * scaleY,
+        pointer.x - size,
+        pointer.y - size,
+        size * 2,
+        size * 2,
+      )
+      ctx.restore()
+      ctx.lineWidth = 3
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)'
+      ctx.stroke()
+      circle(ctx, pointer.x, pointer.y, size + 2)
+      ctx.lineWidth = 1
+      ctx.strokeStyle = 'rgba(15, 23, 42, 0.6)'
+      ctx.stroke()
+    },
+  },
+  {
+    id: 'laser',
+    label: 'Laser',
+    // A glowing dot with a short tail that tapers over LASER_TAIL_MS.
+    over(ctx, { size, opacity, color }, { pointer, tail }) {
+      ctx.lineCap = 'round'
+      ctx.shadowColor = color
+      ctx.shadowBlur = size * 2
+      for (let i = 1; i < tail.length; i++) {
+        const fade = 1 - tail[i].age / LASER_TAIL_MS
+        ctx.strokeStyle = toRgba(color, opacity * fade * 0.8)
+        ctx.lineWidth = size * 1.4 * fade
+        ctx.beginPath()
+        ctx.moveTo(tail[i - 1].x, tail[i - 1].y)
+        ctx.lineTo(tail[i].x, tail[i].y)
+        ctx.stroke()
+      }
+      circle(ctx, pointer.x, pointer.y, size)
+      ctx.fillStyle = toRgba(color, opacity)
+      ctx.fill()
+      circle(ctx, pointer.x, pointer.y, size * 0.45)
+      ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`
+      ctx.fill()
+    },
+  },
+]
+
+export const presentationMode = (id) => PRESENTATION_MODES.find((mode) => mode.id === id) ?? PRESENTATION_MODES[0]
+
+/**
+ * Applies `raw` over `base`, field by field, dropping unknown modes and
+ * invalid values, including laser colors that are not CSS colors, and
+ * clamping sizes, opacity and zoom.
+ */
+export function normalizePresentation(raw, base = PRESENTATION_DEFAULTS) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const next = { mode: PRESENTATION_MODES.some((mode) => mode.id === source.mode) ? source.mode : base.mode }
+  for (const id of ['spotlight', 'magnifier', 'laser']) {
+    const entry = source[id] && typeof source[id] === 'object' ? source[id] : {}
+    const settings = { ...PRESENTATION_DEFAULTS[id], ...base[id] }
+    if (Number.isFinite(entry.size)) settings.size = clamp(entry.size, ...PRESENTATION_RANGES.size[id])
+    if (Number.isFinite(entry.opacity)) settings.opacity = clamp(entry.opacity, ...PRESENTATION_RANGES.opacity)
+    if (id === 'magnifier' && Number.isFinite(entry.zoom)) settings.zoom = clamp(entry.zoom, ...PRESENTATION_RANGES.zoom)
+    if (id === 'laser' && typeof entry.color === 'string' && isValidColor(entry.color)) settings.color = entry.color
+    next[id] = settings
+  }
+  return next
+}
+
+/** Adds the pointer's new position to the laser tail and returns the tail. */
+export const extendTail = (tail, x, y) => [...tail, { x, y, age: 0 }]
+
+/** Ages the laser tail by `elapsed` milliseconds, dropping expired points. */
+export function ageTail(tail, elapsed) {
+  const next = []
+  for (const point of tail) {
+    const age = point.age + elapsed
+    if (age < LASER_TAIL_MS) next.push({ ...point, age })
+  }
+  return next
+}
+
+/**
+ * Draws one layer, `under` or `over`, of the active presentation mode.
+ * Nothing is drawn until the pointer has been seen. A `scene.fade` below 1,
+ * as idle detection sets, scales the mode's opacity.
+ */
+export function renderPresentation(ctx, layer, presentation, scene) {
+  const mode = presentationMode(presentation?.mode)
+  const fade = scene.fade ?? 1
+  if (!mode[layer] || !scene.pointer || fade <= 0) return
+  const settings = presentation[mode.id]
+  ctx.save()
+  mode[layer](ctx, fade < 1 ? { ...settings, opacity: settings.opacity * fade } : settings, scene)
+  ctx.restore()
+}
@@ -0,0 +1,14 @@
+// mulberry32: tiny, fast and good enough for visual jitter. Seeded trails
+// replay the same sparkle angles, particle spread and palette picks.
+export function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296)
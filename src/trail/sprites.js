@@ -0,0 +1,76 @@
+const DEFAULT_LIMIT = 256
+const MIN_SPRITE_RADIUS = 16
+
+export function defaultCreateCanvas(width, height) {
+  if (typeof OffscreenCanvas === 'function') return new OffscreenCanvas(width, height)
+  const canvas = globalThis.document?.createElement('canvas')
+  if (!canvas) return null
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/**
+ * Pre-rendered point images for styles that declare `sprite: { extent }`:
+ * styles whose look depends only on color and radius, such as `gradient`
+ * and `glow`. Each sprite is drawn once at full opacity and then stamped
+ * with `drawImage` and `globalAlpha`, instead of building a gradient per
+ * point per frame. There is one sprite per style and color, drawn at the
+ * next power of two at or above the largest radius asked for and scaled
+ * down to each point, so points shrinking as they fade reuse it. The least
+ * recently used sprites are dropped past `limit`.
+ */
+export function createSpriteCache({ createCanvas = defaultCreateCanvas, limit = DEFAULT_LIMIT } = {}) {
+  const sprites = new Map()
+  let supported = true
+
+  const build = (style, color, radius, pixelRatio) => {
+    const half = Math.ceil(radius * (style.sprite.extent ?? 1) * pixelRatio) + 1
+    const canvas = createCanvas(half * 2, half * 2)
+    const ctx = canvas?.getContext('2d')
+    if (!ctx) {
+      supported = false
+      return null
+    }
+    ctx.scale(pixelRatio, pixelRatio)
+    const center = half / pixelRatio
+    style.draw(ctx, { x: center, y: center, life: 1, age: 0, seed: 0 }, { color, alpha: 1, radius })
+    return { canvas, radius, offset: center, extent: (half * 2) / pixelRatio }
+  }
+
+  return {
+    get size() {
+      return sprites.size
+    },
+    /**
+     * Draws one point with a cached sprite. Returns false when the style has
+     * no sprite or sprites cannot be created here, so the caller draws it
+     * directly instead.
+     */
+    draw(ctx, style, x, y, color, alpha, radius, pixelRatio = 1) {
+      if (!supported || !style.sprite) return false
+      if (radius < 0.5) return true
+      const key = `${style.id}|${color}|${pixelRatio}`
+      let sprite = sprites.get(key)
+      sprites.delete(key)
+      if (!sprite || sprite.radius < radius) {
+        const size = Math.max(MIN_SPRITE_RADIUS, 2 ** Math.ceil(Math.log2(radius)))
+        sprite = build(style, color, size, pixelRatio)
+        if (!sprite) return false
+        if (sprites.size >= limit) sprites.delete(sprites.keys().next().value)
+      }
+      sprites.set(key, sprite)
+      const scale = radius / sprite.radius
+      ctx.globalAlpha = alpha
+      ctx.drawImage(
+        sprite.canvas,
+        x - sprite.offset * scale,
+        y - sprite.offset * scale,
+        sprite.extent * scale,
+        sprite.extent * scale,
+      )
+      return true
+    },
+    clear: () => sprites.clear(),
+  }
+}
@@ -0,0 +1,68 @@
+import { toRgba } from './color.js'
+
+const TENSION = 1 / 6
+
+export function catmullRomSegments(points) {
+  const segments = []
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[i - 1] ?? points[i]
+    const p1 = points[i]
+    const p2 = points[i + 1]
+    const p3 = points[i + 2] ?? p2
+
+    segments.push({
+      from: p1,
+      to: p2,
+      cp1x: p1.x + (p2.x - p0.x) * TENSION,
+      cp1y: p1.y + (p2.y - p0.y) * TENSION,
+      cp2x: p2.x - (p3.x - p1.x) * TENSION,
+      cp2y: p2.y - (p3.y - p1.y) * TENSION,
+    })
+  }
+
+  return segments
+}
+
+const strokeSegments = (ctx, points, color, widthFor) => {
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+
+  for (const segment of catmullRomSegments(points)) {
+    const life = (segment.from.life + segment.to.life) / 2
+    const opacity = segment.to.opacity ?? 1
+    const scale = segment.to.scale ?? 1
+    ctx.strokeStyle = toRgba(segment.to.color ?? color, life * opacity)
+    ctx.lineWidth = Math.max(0.5, widthFor(segment, life) * scale)
+    ctx.beginPath()
+    ctx.moveTo(segment.from.x, segment.from.y)
+    ctx.bezierCurveTo(segment.cp1x, segment.cp1y, segment.cp2x, segment.cp2y, segment.to.x, segment.to.y)
+    ctx.stroke()
+  }
+}
+
+export const STROKE_STYLES = [
+  {
+    id: 'ribbon',
+    name: 'Ribbon',
+    icon: null,
+    drawTrail(ctx, points, { color, size }) {
+      strokeSegments(ctx, points, color, (segment, life) => size * 0.5 * life)
+    },
+  },
+  {
+    id: 'ink',
+    name: 'Ink',
+    icon: null,
+    drawTrail(ctx, points, { color, size }) {
+      // Spaced points sit the same distance apart however fast the pointer
+      // moves, so the width follows the speed recorded at spawn. Points added
+      // without a velocity fall back to the segment's length.
+      strokeSegments(ctx, points, color, (segment, life) => {
+        const speed = segment.to.speed ?? Math.hypot(segment.to.x - segment.from.x, segment.to.y - segment.from.y)
+        const pressure = Math.min(1, Math.max(0.2, 1 - speed / (size * 3)))
+        return size * 0.6 * pressure * life
+      })
+    },
+  },
+]
@@ -0,0 +1,143 @@
+import { toRgba } from './color.js'
+import { STROKE_STYLES } from './strokes.js'
+
+const BUILT_IN_STYLES = [
+  {
+    id: 'gradient',
+    name: 'Gradient',
+    icon: null,
+    sprite: { extent: 1 },
+    draw(ctx, point, { color, alpha, radius }) {
+      const gradient = ctx.createRadialGradient(point.x, point.y, 0, point.x, point.y, radius)
+      gradient.addColorStop(0, toRgba(color, alpha))
+      gradient.addColorStop(1, toRgba(color, 0))
+      ctx.fillStyle = gradient
+      ctx.beginPath()
+      ctx.arc(point.x, point.y, radius, 0, Math.PI * 2)
+      ctx.fill()
+    },
+  },
+  {
+    id: 'sparkle',
+    name: 'Sparkle',
+    icon: null,
+    draw(ctx, point, { color, alpha, radius }) {
+      ctx.strokeStyle = toRgba(color, alpha)
+      ctx.lineWidth = Math.max(1, radius / 6)
+      const arms = 4
+      const offset = point.seed + (point.rotation ?? 0)
+
+      for (let i = 0; i < arms; i++) {
+        const angle = (Math.PI / 2) * i + offset
+        const length = radius * 0.9
+        ctx.beginPath()
+        ctx.moveTo(point.x, point.y)
+        ctx.lineTo(point.x + Math.cos(angle) * length, point.y + Math.sin(angle) * length)
+        ctx.stroke()
+      }
+    },
+  },
+  {
+    id: 'brush',
+    name: 'Brush',
+    icon: null,
+    draw(ctx, point, { color, alpha, radius }) {
+      ctx.globalAlpha = alpha * 0.35
+      ctx.fillStyle = color
+      ctx.beginPath()
+      ctx.ellipse(point.x, point.y, radius, radius * 0.6, point.seed + (point.rotation ?? 0), 0, Math.PI * 2)
+      ctx.fill()
+    },
+  },
+  {
+    id: 'star',
+    name: 'Star',
+    icon: null,
+    draw(ctx, point, { color, alpha, radius }) {
+      ctx.fillStyle = toRgba(color, alpha)
+      ctx.beginPath()
+      const spikes = 5
+      for (let i = 0; i < spikes; i++) {
+        const outerAngle = (Math.PI * 2 * i) / spikes - Math.PI / 2 + (point.rotation ?? 0)
+        const innerAngle = outerAngle + Math.PI / spikes
+        const outerX = point.x + Math.cos(outerAngle) * radius
+        const outerY = point.y + Math.sin(outerAngle) * radius
+        const innerX = point.x + Math.cos(innerAngle) * (radius * 0.45)
+        const innerY = point.y + Math.sin(innerAngle) * (radius * 0.45)
+
+        if (i === 0) ctx.moveTo(outerX, outerY)
+        else ctx.lineTo(outerX, outerY)
+        ctx.lineTo(innerX, innerY)
+      }
+      ctx.closePath()
+      ctx.fill()
+    },
+  },
+  {
+    id: 'glow',
+    name: 'Glow',
+    icon: null,
+    sprite: { extent: 1.6 },
+    draw(ctx, point, { color, alpha, radius }) {
+      const glow = ctx.createRadialGradient(point.x, point.y, 0, point.x, point.y, radius * 1.6)
+      glow.addColorStop(0, toRgba(color, alpha * 0.9))
+      glow.addColorStop(0.5, toRgba(color, alpha * 0.45))
+      glow.addColorStop(1, toRgba(color, 0))
+      ctx.fillStyle = glow
+      ctx.beginPath()
+      ctx.arc(point.x, point.y, radius * 1.6, 0, Math.PI * 2)
+      ctx.fill()
+    },
+  },
+]
+
+const registry = new Map()
+const listeners = new Set()
+let snapshot = []
+
+const notify = () => {
+  snapshot = Array.from(registry.values())
+  listeners.forEach((listener) => listener(snapshot))
+}
+
+/**
+ * Registers a trail style: `{ id, name, icon, draw(ctx, point, paint) }` with
+ * optional `init(point, options)` and `update(point, options)` hooks. Styles
+ * that connect points provide `drawTrail(ctx, points, options)` instead of
+ * `draw`. Styles that only depend on color and radius can set
+ * `sprite: { extent }`, where `extent` is how far past the radius they
+ * paint, to be drawn from cached sprites. Returns a function that removes
+ * the style again.
+ */
+export function registerTrailStyle(style) {
+  if (!style || typeof style.id !== 'string' || !style.id) {
+    throw new TypeError('Trail styles need a string id.')
+  }
+  if (typeof style.draw !== 'function' && typeof style.drawTrail !== 'function') {
+    throw new TypeError(`Trail style "${style.id}" needs a draw or drawTrail function.`)
+  }
+
+  const entry = { name: style.id, icon: null, ...style }
+  registry.set(entry.id, entry)
+  notify()
+  return () => {
+    if (registry.get(entry.id) === entry) unregisterTrailStyle(entry.id)
+  }
+}
+
+export function unregisterTrailStyle(id) {
+  if (!registry.delete(id)) return false
+  notify()
+  return true
+}
+
+export const getTrailStyle = (id) => registry.get(id) ?? null
+
+export const listTrailStyles = () => snapshot
+
+export function subscribeTrailStyles(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+[...BUILT_IN_STYLES, ...STROKE_STYLES].forEach(registerTrailStyle)
@@ -0,0 +1,9 @@
+export const FRAME_MS = 1000 / 60
+
+export const clock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now())
+
+export const requestFrame = (callback) =>
+  typeof requestAnimationFrame === 'function' ? requestAnimationFrame(callback) : setTimeout(callback, 16)
+
+export const cancelFrame = (handle) =>
+  typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame(handle) : clearTimeout(handle)
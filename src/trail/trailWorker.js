@@ -0,0 +1,33 @@
+import { createCursorTrail } from './engine.js'
+
+const STATS_MS = 500
+const CALLS = [
+  'setOptions',
+  'addPoint',
+  'addEffect',
+  'movePointer',
+  'annotate',
+  'undoAnnotation',
+  'redoAnnotation',
+  'clearAnnotations',
+  'setSize',
+  'renderFrame',
+  'reseed',
+  'reset',
+  'clear',
+  'pause',
+  'resume',
+]
+
+// Worker side of `createOffscreenTrail`: owns the transferred canvas, runs
+// the engine headless and applies the calls the page forwards.
+let trail = null
+
+self.onmessage = ({ data }) => {
+  if (data?.type === 'init') {
+    trail = createCursorTrail(data.canvas, { ...data.options, headless: true })
+    setInterval(() => self.postMessage({ type: 'stats', stats: trail.getStats() }), STATS_MS)
+    return
+  }
+  if (data?.type === 'call' && trail && CALLS.includes(data.method)) trail[data.method](...data.args)
+}
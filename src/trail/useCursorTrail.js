@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react'
+import { createCursorTrail } from './engine.js'
+import { createOffscreenTrail, supportsOffscreenTrail } from './offscreen.js'
+
+// With `options.offscreen`, a canvas target is rendered from a worker where
+// the browser supports it. Toggling the flag recreates the trail, and the
+// caller must also swap in a fresh canvas element (for example with `key`),
+// because a transferred canvas cannot draw on the main thread again.
+export function useCursorTrail(targetRef, options) {
+  const trailRef = useRef(null)
+  const optionsRef = useRef(options)
+  const offscreen = Boolean(options.offscreen)
+
+  useEffect(() => {
+    optionsRef.current = options
+    trailRef.current?.setOptions(options)
+  }, [options])
+
+  useEffect(() => {
+    const target = targetRef.current
+    if (!target) return
+    const trail =
+      offscreen && supportsOffscreenTrail() && typeof target.getContext === 'function'
+        ? createOffscreenTrail(target, optionsRef.current)
+        : createCursorTrail(target, optionsRef.current)
+    trailRef.current = trail
+    return () => {
+      trail.destroy()
+      if (trailRef.current === trail) trailRef.current = null
+    }
+  }, [targetRef, offscreen])
+
+  return trailRef
+}
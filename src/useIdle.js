@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react'
+import { createIdleWatcher } from './trail/idle.js'
+
+/**
+ * Whether this window has had no pointer or keyboard input for `timeout`
+ * seconds. Always false while `enabled` is off.
+ */
+export function useIdle({ enabled, timeout }) {
+  const [idle, setIdle] = useState(false)
+
+  useEffect(() => {
+    if (!enabled || typeof window === 'undefined') return
+    const watcher = createIdleWatcher(window, { timeout: timeout * 1000, onChange: setIdle })
+    return () => {
+      watcher.unbind()
+      setIdle(false)
+    }
+  }, [enabled, timeout])
+
+  return enabled && idle
+}
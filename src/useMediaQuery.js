@@ -0,0 +1,17 @@
+import { useCallback, useSyncExternalStore } from 'react'
+
+/** Whether the CSS media `query` matches, updated as it changes. False without `matchMedia`. */
+export function useMediaQuery(query) {
+  const subscribe = useCallback(
+    (onChange) => {
+      if (typeof window === 'undefined' || !window.matchMedia) return () => {}
+      const list = window.matchMedia(query)
+      list.addEventListener('change', onChange)
+      return () => list.removeEventListener('change', onChange)
+    },
+    [query],
+  )
+  const getSnapshot = () =>
+    typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(query).matches : false
+  return useSyncExternalStore(subscribe, getSnapshot, () => false)
+}
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { createObsClient } from './obs.js'
+
+export function useObsConnection({ enabled, url, password }, { onSceneChange } = {}) {
+  const clientRef = useRef(null)
+  const onSceneChangeRef = useRef(onSceneChange)
+  const [connection, setConnection] = useState({ status: 'disconnected', error: '', obsVersion: null })
+  const [recording, setRecording] = useState(false)
+  const [scenes, setScenes] = useState([])
+  const [currentScene, setCurrentScene] = useState('')
+
+  useEffect(() => {
+    onSceneChangeRef.current = onSceneChange
+  }, [onSceneChange])
+
+  const refreshScenes = useCallback(async () => {
+    const client = clientRef.current
+    if (!client) return
+    try {
+      const { scenes: sceneList = [], currentProgramSceneName = '' } = await client.request('GetSceneList')
+      setScenes(sceneList.map((scene) => scene.sceneName).reverse())
+      setCurrentScene(currentProgramSceneName)
+    } catch (error) {
+      console.warn('OBS scenes could not be listed.', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!enabled) return
+    let previousStatus = null
+    const client = createObsClient({
+      url,
+      password,
+      onUpdate: (state) => {
+        setConnection(state)
+        const justConnected = state.status === 'connected' && previousStatus !== 'connected'
+        previousStatus = state.status
+        if (!justConnected) return
+        client
+          .request('GetRecordStatus')
+          .then((status) => setRecording(Boolean(status.outputActive)))
+          .catch(() => {})
+        refreshScenes()
+      },
+      onEvent: (type, data) => {
+        if (type === 'RecordStateChanged') setRecording(Boolean(data.outputActive))
+        if (type === 'SceneListChanged') refreshScenes()
+        if (type === 'CurrentProgramSceneChanged') {
+          setCurrentScene(data.sceneName)
+          onSceneChangeRef.current?.(data.sceneName)
+        }
+      },
+    })
+    clientRef.current = client
+    client.connect()
+    return () => {
+      client.disconnect()
+      if (clientRef.current === client) clientRef.current = null
+      setConnection({ status: 'disconnected', error: '', obsVersion: null })
+      setRecording(false)
+    }
+  }, [enabled, url, password, refreshScenes])
+
+  const request = useCallback(async (requestType) => {
+    try {
+      await clientRef.current?.request(requestType)
+    } catch (error) {
+      setConnection((current) => ({ ...current, error: error.message }))
+    }
+  }, [])
+
+  const startRecording = useCallback(() => request('StartRecord'), [request])
+  const stopRecording = useCallback(() => request('StopRecord'), [request])
+  const toggleRecording = useCallback(() => request('ToggleRecord'), [request])
+
+  return {
+    ...connection,
+    connected: connection.status === 'connected',
+    recording,
+    scenes,
+    currentScene,
+    startRecording,
+    stopRecording,
+    toggleRecording,
+    refreshScenes,
+  }
+}
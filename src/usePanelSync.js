@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { createPanelSync } from './panelSync.js'
+import { createBroadcastTransport, createRemoteClient } from './remote.js'
+
+/**
+ * Links a panel-only window to the overlay page over the remote-control
+ * BroadcastChannel. Local settings are pushed as commands and the overlay's
+ * published state is applied back through `applyState`.
+ */
+export function usePanelSync(enabled, localState, applyState) {
+  const clientRef = useRef(null)
+  const syncRef = useRef(null)
+  const applyRef = useRef(applyState)
+  const [overlayState, setOverlayState] = useState(null)
+
+  useEffect(() => {
+    applyRef.current = applyState
+  }, [applyState])
+
+  useEffect(() => {
+    if (!enabled) return
+    const transport = createBroadcastTransport()
+    if (!transport) return
+    const client = createRemoteClient({ transport })
+    const sync = createPanelSync({
+      send: (name, payload) => client.send(name, payload),
+      apply: (state) => applyRef.current(state),
+    })
+    clientRef.current = client
+    syncRef.current = sync
+    const unsubscribe = client.subscribe((name, state) => {
+      if (name !== 'state') return
+      setOverlayState(state)
+      sync.receive(state)
+    })
+    return () => {
+      unsubscribe()
+      client.destroy()
+      if (clientRef.current === client) clientRef.current = null
+      if (syncRef.current === sync) syncRef.current = null
+    }
+  }, [enabled])
+
+  useEffect(() => {
+    syncRef.current?.push(localState)
+  }, [localState])
+
+  const send = useCallback((name, payload) => {
+    const client = clientRef.current
+    if (!client) return Promise.resolve()
+    return client.send(name, payload).catch((error) => console.warn('The overlay did not run the command.', error))
+  }, [])
+
+  return { overlayState, send }
+}
@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { createRecorder, openRecordingSource } from './recording.js'
+import { createRecordingSession } from './recordingSession.js'
+import { createMemoryTakeStore, createTake, openTakeStore } from './takes.js'
+
+export function useRecordingSession(canvasRef, recordingOptions) {
+  const sessionRef = useRef(null)
+  const storeRef = useRef(null)
+  const optionsRef = useRef(recordingOptions)
+  const [recording, setRecording] = useState({ status: 'idle', countdown: 0, elapsed: 0, size: 0 })
+  const [takes, setTakes] = useState([])
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    optionsRef.current = recordingOptions
+  }, [recordingOptions])
+
+  // Store calls can fail at any time (quota, a blocked upgrade, private
+  // browsing), so each one reports through `error` instead of rejecting.
+  const refreshTakes = useCallback(async () => {
+    try {
+      if (storeRef.current) setTakes(await storeRef.current.list())
+    } catch (listError) {
+      setError(listError?.message || 'Saved takes could not be listed.')
+    }
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+    openTakeStore().then(async (store) => {
+      if (cancelled) return
+      const early = storeRef.current
+      storeRef.current = store
+      // Takes that finished while the store was opening move into it.
+      try {
+        if (early) for (const take of await early.list()) await store.save(take)
+      } catch (saveError) {
+        setError(saveError?.message || 'A take could not be saved.')
+      }
+      refreshTakes()
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [refreshTakes])
+
+  useEffect(() => {
+    const session = createRecordingSession({
+      countdown: () => optionsRef.current.countdown,
+      openSource: () => openRecordingSource(optionsRef.current, canvasRef.current),
+      createRecorder: (stream) => createRecorder(stream, optionsRef.current),
+      onUpdate: setRecording,
+      onError: (sessionError) => setError(sessionError?.message || 'Unable to start recording.'),
+      onComplete: async (result) => {
+        // A take that finishes before the store has opened is kept in memory
+        // rather than lost.
+        storeRef.current ??= createMemoryTakeStore()
+        const store = storeRef.current
+        try {
+          const existing = await store.list()
+          await store.save(createTake(result, existing.length))
+        } catch (saveError) {
+          setError(saveError?.message || 'The take could not be saved.')
+        }
+        refreshTakes()
+      },
+    })
+    sessionRef.current = session
+    return () => {
+      session.destroy()
+      if (sessionRef.current === session) sessionRef.current = null
+    }
+  }, [canvasRef, refreshTakes])
+
+  const start = useCallback(() => {
+    setError('')
+    sessionRef.current?.start()
+  }, [])
+  const stop = useCallback(() => sessionRef.current?.stop(), [])
+  const pause = useCallback(() => sessionRef.current?.pause(), [])
+  const resume = useCallback(() => sessionRef.current?.resume(), [])
+
+  const toggle = useCallback(() => {
+    if (sessionRef.current?.getState().status === 'idle') start()
+    else stop()
+  }, [start, stop])
+
+  const renameTake = useCallback(
+    async (id, name) => {
+      try {
+        await storeRef.current?.rename(id, name)
+      } catch (renameError) {
+        setError(renameError?.message || 'The take could not be renamed.')
+      }
+      refreshTakes()
+    },
+    [refreshTakes],
+  )
+
+  const deleteTake = useCallback(
+    async (id) => {
+      try {
+        await storeRef.current?.remove(id)
+      } catch (removeError) {
+        setError(removeError?.message || 'The take could not be deleted.')
+      }
+      refreshTakes()
+    },
+    [refreshTakes],
+  )
+
+  return { recording, takes, error, start, stop, pause, resume, toggle, renameTake, deleteTake }
+}
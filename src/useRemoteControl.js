@@ -0,0 +1,79 @@
+import { useEffect, useRef } from 'react'
+import {
+  createBroadcastTransport,
+  createRemoteHost,
+  createWindowTransport,
+  REMOTE_COMMANDS,
+  validateCommand,
+} from './remote.js'
+
+/**
+ * Serves the remote-control protocol for this page over BroadcastChannel
+ * and postMessage, publishes `state` whenever it changes, and mirrors the
+ * same commands on `window.cursorTrailControls` for same-window scripts.
+ */
+export function useRemoteControl(state, handlers, { enabled = true, allowedOrigins = [] } = {}) {
+  const latestRef = useRef({ state, handlers })
+  const hostRef = useRef(null)
+  const listenersRef = useRef(new Set())
+  const originsKey = allowedOrigins.join('\n')
+
+  useEffect(() => {
+    latestRef.current = { state, handlers }
+  }, [state, handlers])
+
+  useEffect(() => {
+    if (!enabled || typeof window === 'undefined') return
+    const host = createRemoteHost({
+      transports: [
+        createBroadcastTransport(),
+        createWindowTransport({ allowedOrigins: originsKey ? originsKey.split('\n') : [] }),
+      ],
+      handlers: Object.fromEntries(
+        Object.keys(REMOTE_COMMANDS).map((name) => [name, (payload) => latestRef.current.handlers[name](payload)]),
+      ),
+      getState: () => latestRef.current.state,
+    })
+    hostRef.current = host
+    return () => {
+      host.destroy()
+      if (hostRef.current === host) hostRef.current = null
+    }
+  }, [enabled, originsKey])
+
+  useEffect(() => {
+    hostRef.current?.publish(state)
+    listenersRef.current.forEach((listener) => listener(state))
+  }, [state])
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+    const run = (name, payload = {}) => {
+      const error = validateCommand(name, payload)
+      if (error) throw new Error(error)
+      return latestRef.current.handlers[name](payload)
+    }
+
+    const controls = {
+      toggle: () => run('toggle'),
+      applyPreset: (presetId) => run('applyPreset', { presetId }),
+      startRecording: () => run('startRecording'),
+      stopRecording: () => run('stopRecording'),
+      pauseRecording: () => run('pauseRecording'),
+      resumeRecording: () => run('resumeRecording'),
+      send: run,
+      getState: () => latestRef.current.state,
+      subscribe: (listener) => {
+        listenersRef.current.add(listener)
+        return () => listenersRef.current.delete(listener)
+      },
+    }
+
+    window.cursorTrailControls = controls
+    return () => {
+      if (window.cursorTrailControls === controls) {
+        delete window.cursorTrailControls
+      }
+    }
+  }, [])
+}
@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react'
+import { createTimelinePlayer } from './timeline.js'
+
+/**
+ * Plays `timeline` in step with the recording `status`: from the start when
+ * a take begins recording, held while it is paused, and dropped when it
+ * stops or is cancelled. Cues run through the remote command `handlers`.
+ * Edits made during a take apply from the next one.
+ */
+export function useTimelinePlayback(timeline, status, handlers, { enabled = true } = {}) {
+  const playerRef = useRef(null)
+  const latestRef = useRef({ timeline, handlers })
+
+  useEffect(() => {
+    latestRef.current = { timeline, handlers }
+  }, [timeline, handlers])
+
+  useEffect(() => {
+    const player = createTimelinePlayer({
+      run: (command, payload) => latestRef.current.handlers[command](payload),
+      onError: (error, cue) => console.warn(`The timeline cue at ${cue.at}s did not run.`, error),
+    })
+    playerRef.current = player
+    return () => {
+      player.stop()
+      if (playerRef.current === player) playerRef.current = null
+    }
+  }, [])
+
+  useEffect(() => {
+    const player = playerRef.current
+    if (!player) return
+    if (!enabled) {
+      player.stop()
+      return
+    }
+    if (status === 'paused') {
+      player.pause()
+    } else if (status !== 'recording') {
+      player.stop()
+    } else if (player.getStatus() === 'paused') {
+      player.resume()
+    } else if (player.getStatus() === 'idle' && latestRef.current.timeline.enabled) {
+      player.start(latestRef.current.timeline.cues)
+    }
+  }, [enabled, status])
+}
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import {
+  clampPanelPosition,
+  displayModeUrl,
+  loadPanelLayout,
+  PANEL_DEFAULTS,
+  PANEL_STORAGE_KEY,
+  readDisplayMode,
+  savePanelLayout,
+} from "../src/displayMode.js";
+
+assert.equal(readDisplayMode("?mode=overlay"), "overlay");
+assert.equal(readDisplayMode("?mode=panel&x=1"), "panel");
+assert.equal(readDisplayMode("?mode=cinema"), "full");
+assert.equal(readDisplayMode(""), "full");
+
+assert.equal(displayModeUrl("panel", "https://app.test/?theme=dark#top"), "https://app.test/?theme=dark&mode=panel#top");
+assert.equal(displayModeUrl("full", "https://app.test/?mode=overlay"), "https://app.test/");
+
+const viewport = { width: 1280, height: 720 };
+const panel = { width: 320, height: 900 };
+assert.deepEqual(clampPanelPosition({ x: 100.4, y: 50 }, panel, viewport), { x: 100, y: 50 });
+assert.deepEqual(clampPanelPosition({ x: -1000, y: -40 }, panel, viewport), { x: -272, y: 0 });
+assert.deepEqual(clampPanelPosition({ x: 5000, y: 5000 }, panel, viewport), { x: 1232, y: 672 });
+
+const storage = new Map();
+const fakeStorage = { getItem: (key) => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) };
+assert.deepEqual(loadPanelLayout(fakeStorage), PANEL_DEFAULTS);
+savePanelLayout(fakeStorage, { x: 300, y: 40, collapsed: true });
+assert.deepEqual(loadPanelLayout(fakeStorage), { x: 300, y: 40, collapsed: true });
+storage.set(PANEL_STORAGE_KEY, JSON.stringify({ x: "left", collapsed: 1 }));
+assert.deepEqual(loadPanelLayout(fakeStorage), PANEL_DEFAULTS);
+storage.set(PANEL_STORAGE_KEY, "{broken");
+assert.deepEqual(loadPanelLayout(fakeStorage), PANEL_DEFAULTS);
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { inflateSync } from "node:zlib";
+import { crc32 } from "../src/encoders/bytes.js";
+import { createPaletteBuilder, encodeGif, lzwEncode } from "../src/encoders/gif.js";
+import { encodeApng, encodePng } from "../src/encoders/png.js";
+import { createZip } from "../src/encoders/zip.js";
+
+assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+
+// Reference GIF LZW decoder, used to check the encoder round-trips.
+function lzwDecode(bytes, minCodeSize, length) {
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  const reset = () => {
+    table = Array.from({ length: clear + 2 }, (_, index) => [index]);
+    codeSize = minCodeSize + 1;
+  };
+  const output = [];
+  let bit = 0;
+  let previous = null;
+  reset();
+  while (output.length < length) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) code |= ((bytes[bit >> 3] >> (bit & 7)) & 1) << i;
+    if (code === clear) {
+      reset();
+      previous = null;
+      continue;
+    }
+    if (code === end) break;
+    const entry = code < table.length ? table[code] : [...table[previous], table[previous][0]];
+    output.push(...entry);
+    if (previous !== null) table.push([...table[previous], entry[0]]);
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    previous = code;
+  }
+  return output;
+}
+
+const noisy = Uint8Array.from({ length: 20000 }, (_, i) => (i * 7919) % 251 ^ (i >> 6));
+assert.deepEqual(lzwDecode(lzwEncode(noisy), 8, noisy.length), [...noisy]);
+const flat = new Uint8Array(5000).fill(3);
+assert.deepEqual(lzwDecode(lzwEncode(flat), 8, flat.length), [...flat]);
+
+const frame = (r, g, b, a = 255) => Uint8ClampedArray.from({ length: 4 * 4 * 4 }, (_, i) => [r, g, b, a][i % 4]);
+const red = frame(255, 0, 0);
+const clear = frame(0, 0, 0, 0);
+
+const builder = createPaletteBuilder({ transparent: true });
+builder.add(red);
+builder.add(clear);
+const palette = builder.build();
+assert.deepEqual(palette.colors, [[0, 0, 0], [255, 0, 0]]);
+
+const gif = encodeGif([red, clear, red], { width: 4, height: 4, delayMs: 1000 / 60, transparent: true });
+assert.equal(new TextDecoder().decode(gif.subarray(0, 6)), "GIF89a");
+assert.equal(gif[6] | (gif[7] << 8), 4);
+assert.equal(gif.at(-1), 0x3b);
+const controls = [...gif.keys()].filter((i) => gif[i] === 0x21 && gif[i + 1] === 0xf9 && gif[i + 2] === 4);
+assert.equal(controls.length, 3);
+assert.ok(controls.every((i) => (gif[i + 3] & 1) === 1));
+assert.ok(controls.every((i) => (gif[i + 4] | (gif[i + 5] << 8)) >= 2));
+assert.throws(() => encodeGif([], { width: 1, height: 1, delayMs: 10 }), /at least one frame/);
+assert.throws(() => encodeGif([red], { width: 5, height: 4, delayMs: 10 }), /RGBA bytes/);
+
+const readChunks = (png) => {
+  const view = new DataView(png.buffer, png.byteOffset);
+  const chunks = [];
+  for (let offset = 8; offset < png.length; ) {
+    const length = view.getUint32(offset);
+    const type = new TextDecoder().decode(png.subarray(offset + 4, offset + 8));
+    const body = png.subarray(offset + 4, offset + 8 + length);
+    assert.equal(view.getUint32(offset + 8 + length), crc32(body), `${type} CRC`);
+    chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) });
+    offset += length + 12;
+  }
+  return chunks;
+};
+
+const unfilter = (raw, width) => {
+  const stride = width * 4;
+  const pixels = [];
+  for (let row = 0; row * (stride + 1) < raw.length; row++) {
+    const line = raw.subarray(row * (stride + 1), (row + 1) * (stride + 1));
+    assert.equal(line[0], 1);
+    for (let x = 0; x < stride; x++) line[x + 1] = (line[x + 1] + (x >= 4 ? line[x - 3] : 0)) & 0xff;
+    pixels.push(...line.subarray(1));
+  }
+  return pixels;
+};
+
+const png = readChunks(await encodePng(red, { width: 4, height: 4 }));
+assert.deepEqual(png.map((chunk) => chunk.type), ["IHDR", "IDAT", "IEND"]);
+assert.deepEqual(unfilter(inflateSync(png[1].data), 4), [...red]);
+
+const apng = readChunks(await encodeApng([red, clear], { width: 4, height: 4, delayMs: 40 }));
+assert.deepEqual(
+  apng.map((chunk) => chunk.type),
+  ["IHDR", "acTL", "fcTL", "IDAT", "fcTL", "fdAT", "IEND"],
+);
+const acTL = new DataView(apng[1].data.buffer, apng[1].data.byteOffset);
+assert.equal(acTL.getUint32(0), 2);
+const sequences = [apng[2], apng[4], apng[5]].map((chunk) => new DataView(chunk.data.buffer, chunk.data.byteOffset).getUint32(0));
+assert.deepEqual(sequences, [0, 1, 2]);
+assert.deepEqual(unfilter(inflateSync(apng[5].data.subarray(4)), 4), [...clear]);
+
+const zip = createZip([
+  { name: "a.txt", data: new TextEncoder().encode("hello") },
+  { name: "b.txt", data: new Uint8Array(0) },
+]);
+const zipView = new DataView(zip.buffer);
+assert.equal(zipView.getUint32(0, true), 0x04034b50);
+assert.equal(zipView.getUint32(14, true), crc32(new TextEncoder().encode("hello")));
+const endRecord = zip.length - 22;
+assert.equal(zipView.getUint32(endRecord, true), 0x06054b50);
+assert.equal(zipView.getUint16(endRecord + 10, true), 2);
+assert.equal(zipView.getUint32(zipView.getUint32(endRecord + 16, true), true), 0x02014b50);
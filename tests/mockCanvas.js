@@ -0,0 +1,51 @@
+export function createMockContext() {
+  const calls = []
+  const record = (name) => (...args) => {
+    calls.push({ name, args })
+  }
+  const gradient = { addColorStop: record('addColorStop') }
+
+  return {
+    calls,
+    callsNamed: (name) => calls.filter((call) => call.name === name),
+    reset: () => {
+      calls.length = 0
+    },
+    save: record('save'),
+    restore: record('restore'),
+    clearRect: record('clearRect'),
+    setTransform: record('setTransform'),
+    beginPath: record('beginPath'),
+    closePath: record('closePath'),
+    moveTo: record('moveTo'),
+    lineTo: record('lineTo'),
+    bezierCurveTo: record('bezierCurveTo'),
+    quadraticCurveTo: record('quadraticCurveTo'),
+    arc: record('arc'),
+    ellipse: record('ellipse'),
+    fill: record('fill'),
+    fillRect: record('fillRect'),
+    stroke: record('stroke'),
+    clip: record('clip'),
+    drawImage: record('drawImage'),
+    createRadialGradient: (...args) => {
+      calls.push({ name: 'createRadialGradient', args })
+      return gradient
+    },
+    fillStyle: '',
+    strokeStyle: '',
+    lineWidth: 1,
+    globalAlpha: 1,
+  }
+}
+
+export function createMockCanvas(width = 300, height = 150) {
+  const ctx = createMockContext()
+  return {
+    ctx,
+    width,
+    height,
+    style: {},
+    getContext: () => ctx,
+  }
+}
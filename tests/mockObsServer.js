@@ -0,0 +1,117 @@
+import { OBS_OP, obsAuthentication } from "../src/obs.js";
+
+// In-process stand-in for obs-websocket v5. `server.WebSocket` is passed to
+// `createObsClient` in place of the browser WebSocket.
+export function createMockObsServer({ password = "", scenes = ["Intro", "Main"] } = {}) {
+  const auth = { salt: "mock-salt", challenge: "mock-challenge" };
+  const server = {
+    sockets: [],
+    requests: [],
+    recording: false,
+    currentScene: scenes[0],
+    refuseConnections: false,
+  };
+
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  class MockSocket {
+    constructor(url) {
+      this.url = url;
+      this.identified = false;
+      server.sockets.push(this);
+      tick().then(() => {
+        if (server.refuseConnections) {
+          this.close(1006);
+          return;
+        }
+        this.deliver(OBS_OP.HELLO, {
+          obsWebSocketVersion: "5.5.0",
+          rpcVersion: 1,
+          ...(password && { authentication: auth }),
+        });
+      });
+    }
+
+    deliver(op, d) {
+      this.onmessage?.({ data: JSON.stringify({ op, d }) });
+    }
+
+    async send(text) {
+      const { op, d } = JSON.parse(text);
+      await tick();
+      if (op === OBS_OP.IDENTIFY) {
+        if (password && d.authentication !== (await obsAuthentication(password, auth))) {
+          this.close(4009);
+          return;
+        }
+        this.identified = true;
+        this.eventSubscriptions = d.eventSubscriptions;
+        this.deliver(OBS_OP.IDENTIFIED, { negotiatedRpcVersion: 1 });
+        return;
+      }
+      if (op === OBS_OP.REQUEST) {
+        server.requests.push(d.requestType);
+        this.deliver(OBS_OP.REQUEST_RESPONSE, { ...handle(d), requestType: d.requestType, requestId: d.requestId });
+      }
+    }
+
+    close(code = 1000) {
+      if (this.closed) return;
+      this.closed = true;
+      tick().then(() => this.onclose?.({ code }));
+    }
+  }
+
+  const ok = (responseData) => ({ requestStatus: { result: true, code: 100 }, responseData });
+
+  const setRecording = (active) => {
+    server.recording = active;
+    server.emit("RecordStateChanged", {
+      outputActive: active,
+      outputState: active ? "OBS_WEBSOCKET_OUTPUT_STARTED" : "OBS_WEBSOCKET_OUTPUT_STOPPED",
+    });
+  };
+
+  const handle = ({ requestType }) => {
+    switch (requestType) {
+      case "GetRecordStatus":
+        return ok({ outputActive: server.recording });
+      case "StartRecord":
+        if (server.recording) {
+          return { requestStatus: { result: false, code: 500, comment: "Output already running." } };
+        }
+        setRecording(true);
+        return ok();
+      case "StopRecord":
+        setRecording(false);
+        return ok({ outputPath: "/tmp/take.mkv" });
+      case "ToggleRecord":
+        setRecording(!server.recording);
+        return ok({ outputActive: server.recording });
+      case "GetSceneList":
+        return ok({
+          currentProgramSceneName: server.currentScene,
+          scenes: scenes.map((sceneName, index) => ({ sceneName, sceneIndex: index })).reverse(),
+        });
+      default:
+        return { requestStatus: { result: false, code: 204, comment: `Unknown request ${requestType}.` } };
+    }
+  };
+
+  server.emit = (eventType, eventData) => {
+    for (const socket of server.sockets) {
+      if (!socket.identified || socket.closed) continue;
+      setTimeout(() => socket.deliver(OBS_OP.EVENT, { eventType, eventIntent: 0, eventData }));
+    }
+  };
+  server.switchScene = (sceneName) => {
+    server.currentScene = sceneName;
+    server.emit("CurrentProgramSceneChanged", { sceneName });
+  };
+  server.dropConnections = () => {
+    for (const socket of server.sockets) socket.close(1006);
+  };
+  server.WebSocket = MockSocket;
+  server.tick = tick;
+  return server;
+}
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { createObsClient, OBS_EVENT_SUBSCRIPTIONS, obsAuthentication } from "../src/obs.js";
+import { createMockObsServer } from "./mockObsServer.js";
+
+const settle = async (server, rounds = 10) => {
+  for (let i = 0; i < rounds; i++) await server.tick();
+};
+
+// Known-good value for the obs-websocket v5 auth algorithm.
+assert.equal(
+  await obsAuthentication("supersecretpassword", {
+    salt: "lM1GncleQOaCu9lT1yeUZhFYnqhsLLP1G5lAGo3ixaI=",
+    challenge: "+IxH4CnCiqpX1rM9scsNynZzbOe4KhDeYcTNS3PDaeY=",
+  }),
+  "1Ct943GAT+6YQUUX47Ia/ncufilbe6+oD6lY+5kaCu4=",
+);
+
+const server = createMockObsServer({ password: "hunter2" });
+const statuses = [];
+const events = [];
+const client = createObsClient({
+  password: "hunter2",
+  WebSocket: server.WebSocket,
+  reconnectDelay: 1,
+  onUpdate: (state) => statuses.push(state.status),
+  onEvent: (type, data) => events.push([type, data]),
+});
+
+await assert.rejects(client.request("GetRecordStatus"), /not connected/);
+client.connect();
+assert.equal(client.getState().status, "connecting");
+await settle(server);
+assert.equal(client.getState().status, "connected");
+assert.equal(client.getState().obsVersion, "5.5.0");
+assert.equal(server.sockets[0].eventSubscriptions, OBS_EVENT_SUBSCRIPTIONS.scenes | OBS_EVENT_SUBSCRIPTIONS.outputs);
+
+assert.deepEqual(await client.request("GetRecordStatus"), { outputActive: false });
+await client.request("ToggleRecord");
+await settle(server);
+assert.equal(server.recording, true);
+assert.deepEqual(events.at(-1)[0], "RecordStateChanged");
+assert.equal(events.at(-1)[1].outputActive, true);
+await assert.rejects(client.request("StartRecord"), /already running/);
+
+const { scenes } = await client.request("GetSceneList");
+assert.deepEqual(scenes.map((scene) => scene.sceneName), ["Main", "Intro"]);
+server.switchScene("Main");
+await settle(server);
+assert.deepEqual(events.at(-1), ["CurrentProgramSceneChanged", { sceneName: "Main" }]);
+
+server.dropConnections();
+await settle(server, 20);
+assert.equal(server.sockets.length, 2);
+assert.equal(client.getState().status, "connected");
+
+client.disconnect();
+await settle(server);
+assert.equal(client.getState().status, "disconnected");
+assert.equal(server.sockets.length, 2);
+assert.ok(statuses.includes("connecting") && statuses.includes("connected"));
+
+const wrongPassword = createObsClient({ password: "nope", WebSocket: server.WebSocket, reconnectDelay: 1 });
+wrongPassword.connect();
+await settle(server);
+assert.equal(wrongPassword.getState().status, "error");
+assert.match(wrongPassword.getState().error, /password/);
+await settle(server);
+assert.equal(server.sockets.length, 3);
+
+const noPassword = createObsClient({ WebSocket: server.WebSocket });
+noPassword.connect();
+await settle(server);
+assert.equal(noPassword.getState().status, "error");
+assert.match(noPassword.getState().error, /requires a password/);
+
+const offline = createMockObsServer();
+offline.refuseConnections = true;
+const retrying = createObsClient({ WebSocket: offline.WebSocket, reconnectDelay: 1 });
+retrying.connect();
+await settle(offline, 20);
+assert.equal(retrying.getState().status, "connecting");
+assert.ok(offline.sockets.length >= 2);
+offline.refuseConnections = false;
+await new Promise((resolve) => setTimeout(resolve, 40));
+await settle(offline);
+assert.equal(retrying.getState().status, "connected");
+retrying.disconnect();
+
+// A malformed address fails at once instead of retrying forever.
+const malformed = createObsClient({
+  url: "localhost:4455",
+  WebSocket: function () {
+    throw new SyntaxError("The URL 'localhost:4455' is invalid.");
+  },
+  reconnectDelay: 1,
+});
+malformed.connect();
+assert.equal(malformed.getState().status, "error");
+assert.match(malformed.getState().error, /invalid/);
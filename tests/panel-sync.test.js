@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { createPanelSync } from "../src/panelSync.js";
+
+const overlay = {
+  enabled: true,
+  style: "gradient",
+  color: "#8B5CF6",
+  size: 22,
+  lifetime: 300,
+  fadeCurve: "linear",
+  colors: { colorMode: "solid" },
+  particles: { mode: "trail" },
+  activePresetId: "tutorial-pop",
+};
+
+const sent = [];
+let applied = null;
+let reject = false;
+const sync = createPanelSync({
+  send: (name, payload) => {
+    sent.push([name, payload]);
+    return reject ? Promise.reject(new Error("nope")) : Promise.resolve();
+  },
+  apply: (state) => {
+    applied = state;
+  },
+});
+
+sync.push({ ...overlay, size: 40 });
+assert.equal(sent.length, 0, "nothing is sent before the overlay is heard from");
+
+sync.receive(overlay);
+assert.deepEqual(applied, overlay);
+sync.push(applied);
+assert.equal(sent.length, 0);
+
+// Dragging the size slider: stale overlay states must not undo the edit.
+sync.push({ ...overlay, size: 30, activePresetId: null });
+sync.push({ ...overlay, size: 40, activePresetId: null });
+assert.deepEqual(sent, [
+  ["setSize", { size: 30 }],
+  ["setSize", { size: 40 }],
+]);
+sync.receive({ ...overlay, size: 30, activePresetId: null });
+assert.equal(applied.size, 40);
+sync.receive({ ...overlay, size: 40, activePresetId: null });
+assert.equal(applied.size, 40);
+
+// Changes made on the overlay, such as a keyboard shortcut, come through.
+sync.receive({ ...overlay, size: 42, enabled: false, activePresetId: null });
+assert.equal(applied.size, 42);
+assert.equal(applied.enabled, false);
+
+// Click effects are not part of a preset, so changing them keeps it active.
+sync.receive({ ...overlay, effects: { press: { enabled: true } } });
+sent.length = 0;
+sync.push({ ...applied, effects: { press: { enabled: false } } });
+assert.deepEqual(sent, [["setEffects", { effects: { press: { enabled: false } } }]]);
+sync.receive({ ...overlay, effects: { press: { enabled: false } } });
+assert.equal(applied.activePresetId, "tutorial-pop");
+
+sent.length = 0;
+sync.push({ ...overlay, style: "glow", size: 36, activePresetId: "signature-cyan" });
+assert.deepEqual(sent, [["applyPreset", { presetId: "signature-cyan" }]]);
+
+sent.length = 0;
+sync.receive({ ...overlay, style: "glow", size: 36, activePresetId: "signature-cyan" });
+sync.push({ ...applied, colors: { colorMode: "rainbow" }, activePresetId: null });
+assert.deepEqual(sent, [["setColors", { colors: { colorMode: "rainbow" } }]]);
+
+sent.length = 0;
+reject = true;
+sync.push({ ...applied, style: "missing" });
+await new Promise((resolve) => setTimeout(resolve, 0));
+assert.equal(applied.style, "glow", "a rejected command falls back to the overlay value");
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { compositeOnto, cropTake, exportPath, frameCountFor, renderPathFrames } from "../src/pathExport.js";
+import { createMockContext } from "./mockCanvas.js";
+
+const take = {
+  name: "Loop",
+  seed: 9,
+  duration: 100,
+  options: { style: "gradient", size: 10, lifetime: 100 },
+  samples: [
+    { t: 0, x: 200, y: 300 },
+    { t: 50, x: 240, y: 310 },
+    { t: 100, x: 260, y: 340 },
+  ],
+};
+
+const cropped = cropTake(take, 20);
+assert.equal(cropped.width, 100);
+assert.equal(cropped.height, 80);
+assert.deepEqual(cropped.take.samples[0], { t: 0, x: 20, y: 20 });
+assert.equal(take.samples[0].x, 200);
+
+const pixels = Uint8ClampedArray.from([255, 255, 255, 128, 10, 20, 30, 0]);
+assert.deepEqual([...compositeOnto(pixels, "#000")], [128, 128, 128, 255, 0, 0, 0, 255]);
+
+// Canvas whose pixels encode how many arcs the trail has drawn so far, so
+// frames differ the way real ones would without a 2D backend.
+const createCanvas = (width, height) => {
+  const ctx = createMockContext();
+  ctx.getImageData = () => {
+    const shade = ctx.callsNamed("arc").length % 256;
+    return { data: new Uint8ClampedArray(width * height * 4).fill(shade) };
+  };
+  return { width, height, style: {}, getContext: () => ctx };
+};
+
+const frames = [];
+for await (const frame of renderPathFrames(take, { frameRate: 50, transparent: true, createCanvas })) {
+  frames.push(frame);
+}
+assert.equal(frames.length, frameCountFor(take, 50));
+assert.equal(frames.length, 11);
+assert.deepEqual([frames[0].width, frames[0].height], [100, 80]);
+assert.ok(frames.some((frame) => frame.pixels[0] !== frames[0].pixels[0]));
+
+const progress = [];
+const gif = await exportPath(take, { format: "gif", frameRate: 60, createCanvas, onProgress: (value) => progress.push(value) });
+assert.equal(gif.type, "image/gif");
+assert.equal(progress.length, 2 * frameCountFor(take, 50));
+assert.equal(progress.at(-1), 1);
+const bytes = new Uint8Array(await gif.arrayBuffer());
+assert.equal(new TextDecoder().decode(bytes.subarray(0, 6)), "GIF89a");
+
+const again = new Uint8Array(await (await exportPath(take, { format: "gif", frameRate: 60, createCanvas })).arrayBuffer());
+assert.deepEqual(again, bytes);
+
+const apng = await exportPath(take, { format: "apng", frameRate: 24, createCanvas });
+assert.equal(apng.type, "image/png");
+
+const zip = await exportPath(take, { format: "frames", frameRate: 24, createCanvas });
+assert.equal(zip.type, "application/zip");
+assert.match(new TextDecoder().decode(new Uint8Array(await zip.arrayBuffer())), /frame-00000\.png/);
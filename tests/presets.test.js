@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import {
+  assignShortcut,
+  createPreset,
+  exportPresetLibrary,
+  loadPresetLibrary,
+  mergePresetLibraries,
+  movePreset,
+  normalizePreset,
+  parsePresetLibrary,
+  PRESET_COMBOS,
+  removePreset,
+  savePresetLibrary,
+  updatePreset,
+} from "../src/presets.js";
+import { SETTINGS_DEFAULTS } from "../src/settings.js";
+
+const config = { style: "glow", color: "#00C4CC", size: 30, lifetime: 250 };
+const custom = createPreset("House Style", config, "4");
+assert.equal(custom.shortcut, "4");
+assert.equal(custom.config.fadeCurve, "linear");
+assert.equal(createPreset("Reserved", config, "t").shortcut, "");
+assert.equal(normalizePreset({ name: "Legacy", config: { ...config, lifetime: undefined, fade: 55 } }).config.lifetime, 303);
+assert.throws(() => normalizePreset({ name: "", config }), /name/);
+const spaced = createPreset("Spaced", { ...config, maxPoints: 90, spacing: 6 });
+assert.equal(spaced.config.maxPoints, 90);
+assert.equal(spaced.config.spacing, 6);
+assert.equal("spacing" in custom.config, false, "older presets leave trail length and spacing to the defaults");
+const focused = createPreset("Focus", { ...config, presentation: { mode: "spotlight", spotlight: { size: 1000 } } });
+assert.equal(focused.config.presentation.mode, "spotlight");
+assert.equal(focused.config.presentation.spotlight.size, 400);
+
+let library = [...PRESET_COMBOS, custom];
+library = assignShortcut(library, custom.id, "1");
+assert.equal(library.find((preset) => preset.id === "tutorial-pop").shortcut, "");
+assert.equal(library.at(-1).shortcut, "1");
+
+library = updatePreset(library, custom.id, { name: "Renamed" });
+assert.equal(library.at(-1).name, "Renamed");
+assert.equal(library.at(-1).shortcut, "1");
+
+library = movePreset(library, custom.id, -1);
+assert.equal(library[2].id, custom.id);
+assert.equal(movePreset(library, "brush-studio", 5), library);
+library = removePreset(library, "brush-studio");
+assert.equal(library.length, 3);
+
+const exported = exportPresetLibrary(library);
+assert.deepEqual(parsePresetLibrary(exported), library);
+assert.throws(() => parsePresetLibrary("{"), /valid JSON/);
+assert.throws(() => parsePresetLibrary(JSON.stringify({ presets: [] })), /preset library/);
+assert.throws(
+  () => parsePresetLibrary(JSON.stringify({ format: "cursor-trail-presets", version: 99, presets: [] })),
+  /newer/,
+);
+
+const merged = mergePresetLibraries(PRESET_COMBOS, [{ ...custom, shortcut: "2" }]);
+assert.equal(merged.length, 4);
+assert.equal(merged.find((preset) => preset.id === "signature-cyan").shortcut, "");
+assert.equal(merged.at(-1).shortcut, "2");
+
+const store = new Map();
+const storage = { getItem: (key) => store.get(key) ?? null, setItem: (key, value) => store.set(key, value) };
+assert.equal(loadPresetLibrary(storage), PRESET_COMBOS);
+savePresetLibrary(storage, library);
+assert.deepEqual(loadPresetLibrary(storage), library);
+
+// Imported configs are checked against the settings schema.
+const unruly = parsePresetLibrary(
+  JSON.stringify({
+    format: "cursor-trail-presets",
+    version: 1,
+    presets: [
+      {
+        name: "Unruly",
+        config: {
+          style: "glow",
+          color: "not-a-color",
+          size: 500,
+          lifetime: 5,
+          fadeCurve: "wobbly",
+          maxPoints: "lots",
+          particles: { spawnCount: 100000, gravity: "down", mode: "particles" },
+          colors: { palette: ["#F00", 7], rainbowSpeed: -1 },
+        },
+      },
+    ],
+  }),
+)[0].config;
+assert.equal(unruly.color, "#8B5CF6");
+assert.equal(unruly.size, 60);
+assert.equal(unruly.lifetime, 100);
+assert.equal(unruly.fadeCurve, "linear");
+assert.equal(unruly.maxPoints, SETTINGS_DEFAULTS.maxPoints);
+assert.deepEqual(unruly.particles, {
+  spawnCount: 10,
+  gravity: SETTINGS_DEFAULTS.particles.gravity,
+  mode: "particles",
+});
+assert.deepEqual(unruly.colors, { palette: ["#F00"], rainbowSpeed: 10 });
+
+// A broken stored entry is dropped on its own.
+storage.setItem("cursor-trail-presets-v1", JSON.stringify([custom, { name: "", config }, null]));
+const warnings = [];
+const warn = console.warn;
+console.warn = (message) => warnings.push(message);
+assert.deepEqual(loadPresetLibrary(storage), [custom]);
+console.warn = warn;
+assert.equal(warnings.length, 2);
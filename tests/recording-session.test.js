@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { createRecordingSession, formatBytes, formatDuration } from "../src/recordingSession.js";
+import { createMemoryTakeStore, createTake } from "../src/takes.js";
+
+assert.equal(formatDuration(65_000), "1:05");
+assert.equal(formatBytes(512), "512 B");
+assert.equal(formatBytes(1536), "1.5 KB");
+assert.equal(formatBytes(5 * 1024 * 1024), "5.0 MB");
+
+let now = 0;
+let stopped = 0;
+const recorder = {
+  state: "inactive",
+  mimeType: "video/webm",
+  start() {
+    this.state = "recording";
+  },
+  pause() {
+    this.state = "paused";
+  },
+  resume() {
+    this.state = "recording";
+  },
+  stop() {
+    this.state = "inactive";
+    this.ondataavailable({ data: new Blob(["frame-data"]) });
+    this.onstop();
+  },
+};
+
+const statuses = [];
+let completed = null;
+const session = createRecordingSession({
+  countdown: 0,
+  clock: () => now,
+  openSource: async () => ({ stream: {}, stop: () => stopped++ }),
+  createRecorder: () => recorder,
+  onUpdate: (state) => statuses.push(state.status),
+  onComplete: (result) => {
+    completed = result;
+  },
+});
+
+await session.start();
+assert.equal(session.getState().status, "recording");
+now = 1000;
+session.pause();
+assert.equal(session.getState().elapsed, 1000);
+now = 5000;
+session.resume();
+now = 5500;
+session.stop();
+assert.equal(session.getState().status, "idle");
+assert.equal(completed.duration, 1500);
+assert.equal(completed.size, 10);
+assert.equal(stopped, 1);
+assert.deepEqual([...new Set(statuses)], ["starting", "recording", "paused", "processing", "idle"]);
+
+const cancelled = createRecordingSession({
+  countdown: 3,
+  openSource: async () => ({ stream: {}, stop: () => stopped++ }),
+  createRecorder: () => assert.fail("recorder should not be created"),
+});
+await cancelled.start();
+assert.equal(cancelled.getState().status, "countdown");
+assert.equal(cancelled.getState().countdown, 3);
+cancelled.stop();
+assert.equal(cancelled.getState().status, "idle");
+assert.equal(stopped, 2);
+
+const failing = createRecordingSession({
+  openSource: async () => {
+    throw new Error("Permission denied");
+  },
+  createRecorder: () => recorder,
+  onError: (error) => {
+    completed = error.message;
+  },
+});
+await failing.start();
+assert.equal(completed, "Permission denied");
+assert.equal(failing.getState().status, "idle");
+
+const store = createMemoryTakeStore();
+const first = await store.save({ ...createTake({ blob: null, mimeType: "video/webm", duration: 1, size: 1 }), createdAt: 1 });
+const second = await store.save({ ...createTake({ blob: null, mimeType: "video/webm", duration: 1, size: 1 }, 1), createdAt: 2 });
+assert.deepEqual((await store.list()).map((take) => take.name), ["Take 2", "Take 1"]);
+await store.rename(first.id, "Intro");
+await store.remove(second.id);
+assert.deepEqual((await store.list()).map((take) => take.name), ["Intro"]);
+
+// A recorder that fails after the countdown still releases the source.
+let lateError = null;
+const late = createRecordingSession({
+  countdown: 1,
+  openSource: async () => ({ stream: {}, stop: () => stopped++ }),
+  createRecorder: () => {
+    throw new Error("Unsupported MIME type");
+  },
+  onError: (error) => {
+    lateError = error.message;
+  },
+});
+await late.start();
+assert.equal(late.getState().status, "countdown");
+await new Promise((resolve) => setTimeout(resolve, 1100));
+assert.equal(lateError, "Unsupported MIME type");
+assert.equal(late.getState().status, "idle");
+assert.equal(stopped, 3);
@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { fileExtensionFor, listSupportedFormats, pickMimeType, RECORDING_DEFAULTS } from "../src/recording.js";
+
+const safari = (mimeType) => mimeType.startsWith("video/mp4");
+const firefox = (mimeType) => mimeType === "video/webm;codecs=vp8" || mimeType === "video/webm";
+const chrome = () => true;
+
+assert.equal(pickMimeType(RECORDING_DEFAULTS, chrome), "video/webm;codecs=vp9");
+assert.equal(pickMimeType(RECORDING_DEFAULTS, firefox), "video/webm;codecs=vp8");
+assert.equal(pickMimeType(RECORDING_DEFAULTS, safari), "video/mp4;codecs=avc1");
+assert.equal(pickMimeType({ ...RECORDING_DEFAULTS, format: "video/mp4" }, chrome), "video/mp4");
+assert.equal(pickMimeType({ ...RECORDING_DEFAULTS, source: "canvas", transparent: true }, safari), "");
+assert.equal(
+  pickMimeType({ ...RECORDING_DEFAULTS, source: "canvas", transparent: true, format: "video/mp4" }, chrome),
+  "video/webm;codecs=vp9",
+);
+assert.equal(pickMimeType({ ...RECORDING_DEFAULTS, source: "canvas", transparent: false }, safari), "video/mp4;codecs=avc1");
+
+assert.deepEqual(listSupportedFormats(firefox).map((format) => format.mimeType), ["video/webm;codecs=vp8", "video/webm"]);
+assert.deepEqual(listSupportedFormats(), []);
+assert.equal(fileExtensionFor("video/mp4;codecs=avc1"), "mp4");
+assert.equal(fileExtensionFor("video/webm;codecs=vp9"), "webm");
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import {
+  createBroadcastTransport,
+  createMessage,
+  createRemoteClient,
+  createRemoteHost,
+  createWindowTransport,
+  isOriginAllowed,
+  validateCommand,
+} from "../src/remote.js";
+
+assert.equal(validateCommand("setSize", { size: 30 }), "");
+assert.match(validateCommand("setSize", { size: "30" }), /size must be a finite number/);
+assert.match(validateCommand("setColor", { color: "not-a-color(" }), /CSS color/);
+assert.match(validateCommand("setFadeCurve", { fadeCurve: "bounce" }), /linear/);
+assert.match(validateCommand("setFadeCurve", { fadeCurve: "constructor" }), /linear/);
+assert.match(validateCommand("setFadeCurve", { fadeCurve: "__proto__" }), /linear/);
+assert.match(validateCommand("setColors", { colors: { colorMode: "plaid" } }), /colorMode/);
+assert.match(validateCommand("launch", {}), /Unknown command/);
+assert.match(validateCommand("toggle", []), /object payload/);
+
+assert.ok(isOriginAllowed("https://app.test", [], "https://app.test"));
+assert.ok(!isOriginAllowed("https://evil.test", ["https://dock.test"], "https://app.test"));
+assert.ok(isOriginAllowed("https://dock.test", ["https://dock.test"], "https://app.test"));
+assert.ok(isOriginAllowed("https://any.test", ["*"], "https://app.test"));
+
+let state = { enabled: true, size: 22, style: "gradient" };
+const calls = [];
+const handlers = {
+  toggle: () => {
+    state = { ...state, enabled: !state.enabled };
+    calls.push("toggle");
+  },
+  setSize: ({ size }) => {
+    state = { ...state, size };
+    calls.push(["setSize", size]);
+  },
+  setStyle: ({ style }) => {
+    throw new Error(`Unknown trail style "${style}".`);
+  },
+};
+
+const host = createRemoteHost({
+  transports: [createBroadcastTransport("trail-test"), null],
+  handlers,
+  getState: () => state,
+});
+const client = createRemoteClient({ transport: createBroadcastTransport("trail-test"), timeout: 500 });
+
+assert.deepEqual(await client.getState(), state);
+await client.send("setSize", { size: 40 });
+assert.deepEqual(calls, [["setSize", 40]]);
+await assert.rejects(client.send("setStyle", { style: "plaid" }), /Unknown trail style/);
+await assert.rejects(client.send("setSize", { size: null }), /finite number/);
+
+const events = [];
+const unsubscribe = client.subscribe((name, payload) => events.push([name, payload]));
+await new Promise((resolve) => setTimeout(resolve, 20));
+assert.deepEqual(events.at(-1), ["state", { enabled: true, size: 40, style: "gradient" }]);
+await client.send("toggle");
+host.publish();
+await new Promise((resolve) => setTimeout(resolve, 20));
+assert.equal(events.at(-1)[1].enabled, false);
+unsubscribe();
+
+const silent = createRemoteClient({ transport: createBroadcastTransport("nobody-home"), timeout: 20 });
+await assert.rejects(silent.getState(), /did not answer/);
+silent.destroy();
+
+client.destroy();
+host.destroy();
+
+// postMessage transport between two fake windows on different origins.
+const createWindow = (origin) => {
+  const target = new EventTarget();
+  target.origin = origin;
+  target.postMessage = (data, targetOrigin) => {
+    target.lastTargetOrigin = targetOrigin;
+    setTimeout(() => {
+      const event = new Event("message");
+      Object.assign(event, { data, origin: target.sender.origin, source: target.sender });
+      target.dispatchEvent(event);
+    });
+  };
+  return target;
+};
+const page = createWindow("https://app.test");
+const dock = createWindow("https://dock.test");
+page.sender = dock;
+dock.sender = page;
+
+globalThis.location = { origin: "https://app.test" };
+const windowHost = createRemoteHost({
+  transports: [createWindowTransport({ self: page, allowedOrigins: ["https://dock.test"] })],
+  handlers,
+  getState: () => state,
+});
+const dockClient = createRemoteClient({
+  transport: createWindowTransport({ self: dock, target: page, targetOrigin: "https://app.test" }),
+  timeout: 200,
+});
+assert.equal((await dockClient.getState()).size, 40);
+assert.equal(dock.lastTargetOrigin, "https://dock.test");
+windowHost.destroy();
+
+const lockedHost = createRemoteHost({
+  transports: [createWindowTransport({ self: page })],
+  handlers,
+  getState: () => state,
+});
+await assert.rejects(dockClient.getState(), /did not answer/);
+lockedHost.destroy();
+dockClient.destroy();
+
+assert.deepEqual(createMessage("event", { name: "state" }), {
+  protocol: "cursor-trail-remote",
+  version: 1,
+  type: "event",
+  name: "state",
+});
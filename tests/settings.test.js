@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import {
+  LEGACY_SETTINGS_KEY,
+  loadSettings,
+  migrateSettings,
+  readSettingsOverrides,
+  saveSettings,
+  SETTINGS_DEFAULTS,
+  SETTINGS_SCHEMA,
+  SETTINGS_STORAGE_KEY,
+  SETTINGS_VERSION,
+  validatePartialSettings,
+  validateSettings,
+} from "../src/settings.js";
+
+const createStorage = (entries = {}) => {
+  const store = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => store.get(key) ?? null,
+    setItem: (key, value) => store.set(key, value),
+    store,
+  };
+};
+
+assert.deepEqual(validateSettings({}), { settings: SETTINGS_DEFAULTS, errors: [] });
+assert.equal(validateSettings(null).errors.length, 1);
+
+const { settings, errors } = validateSettings({
+  enabled: "yes",
+  style: "comet",
+  color: "not-a-color",
+  size: 400,
+  lifetime: 250.4,
+  fadeCurve: "ease-out",
+  particles: { mode: "particles", spawnCount: 0 },
+  colors: { palette: ["#f00", 12, "#00f"] },
+  obs: { url: "http://obs.local", sceneBindings: { Intro: "neon", Outro: 4 } },
+  remoteOrigins: "https://dock.example.com",
+  activePresetId: null,
+  unknown: true,
+});
+assert.equal(settings.enabled, true);
+assert.equal(settings.style, "gradient");
+assert.equal(settings.color, SETTINGS_DEFAULTS.color);
+assert.equal(settings.size, 60);
+assert.equal(settings.lifetime, 250);
+assert.equal(settings.fadeCurve, "ease-out");
+assert.deepEqual(settings.particles, { ...SETTINGS_DEFAULTS.particles, mode: "particles", spawnCount: 1 });
+assert.deepEqual(settings.colors.palette, ["#f00", "#00f"]);
+assert.equal(settings.obs.url, SETTINGS_DEFAULTS.obs.url);
+assert.deepEqual(settings.obs.sceneBindings, { Intro: "neon" });
+assert.deepEqual(settings.remoteOrigins, []);
+assert.equal(settings.activePresetId, null);
+assert.equal("unknown" in settings, false);
+for (const field of ["enabled", "style", "color", "size", "particles.spawnCount", "colors.palette[1]", "obs.url"]) {
+  assert.ok(
+    errors.some((error) => error.startsWith(`${field}:`)),
+    `reports ${field}`,
+  );
+}
+assert.ok(errors.some((error) => error.includes("Outro")));
+assert.equal(
+  errors.some((error) => error.startsWith("lifetime")),
+  false,
+  "rounding in range is silent",
+);
+
+const v1 = {
+  isActive: false,
+  trailStyle: "glow",
+  trailColor: "#00C4CC",
+  trailSize: 30,
+  fadeSpeed: 40,
+  fadeCurve: "linear",
+  recording: { source: "canvas" },
+};
+assert.deepEqual(migrateSettings(v1), {
+  enabled: false,
+  style: "glow",
+  color: "#00C4CC",
+  size: 30,
+  lifetime: 417,
+  fadeCurve: "linear",
+  recording: { source: "canvas" },
+});
+assert.equal(migrateSettings({ version: 2, size: 20 }).size, 20);
+assert.throws(() => migrateSettings({ version: SETTINGS_VERSION + 1 }), /newer/);
+
+const legacy = createStorage({ [LEGACY_SETTINGS_KEY]: JSON.stringify(v1) });
+const loaded = loadSettings(legacy);
+assert.deepEqual(loaded.errors, []);
+assert.equal(loaded.settings.style, "glow");
+assert.equal(loaded.settings.recording.source, "canvas");
+assert.equal(loaded.settings.recording.bitrate, SETTINGS_DEFAULTS.recording.bitrate);
+
+saveSettings(legacy, { ...loaded.settings, size: 40 });
+assert.equal(JSON.parse(legacy.store.get(SETTINGS_STORAGE_KEY)).version, SETTINGS_VERSION);
+assert.equal(loadSettings(legacy).settings.size, 40, "the current key wins over the legacy one");
+
+const broken = loadSettings(createStorage({ [SETTINGS_STORAGE_KEY]: "{oops" }));
+assert.deepEqual(broken.settings, SETTINGS_DEFAULTS);
+assert.equal(broken.errors.length, 1);
+
+const overrides = readSettingsOverrides(
+  "?mode=overlay&style=sparkle&size=90&enabled=0&particles.mode=particles&colors.palette=%23fff,%23000&recording.frameRate=30&shortcuts=x",
+);
+assert.deepEqual(overrides, {
+  style: "sparkle",
+  size: 90,
+  enabled: false,
+  particles: { mode: "particles" },
+  colors: { palette: ["#fff", "#000"] },
+  recording: { frameRate: 30 },
+});
+const linked = loadSettings(legacy, overrides);
+assert.equal(linked.settings.style, "sparkle");
+assert.equal(linked.settings.size, 60);
+assert.equal(linked.settings.enabled, false);
+assert.equal(linked.settings.particles.mode, "particles");
+assert.equal(linked.settings.particles.spawnCount, SETTINGS_DEFAULTS.particles.spawnCount);
+assert.equal(linked.settings.recording.source, "canvas");
+assert.deepEqual(linked.errors, ["URL size: 90 is outside 12–60; using 60."]);
+
+const spacedLink = loadSettings(createStorage(), readSettingsOverrides("?maxPoints=120&spacing=0"));
+assert.equal(spacedLink.settings.maxPoints, 120);
+assert.equal(spacedLink.settings.spacing, 0);
+assert.deepEqual(spacedLink.errors, []);
+
+// A shared link cannot point the app at another OBS or trust other senders.
+assert.deepEqual(
+  readSettingsOverrides(
+    "?obs.url=ws://attacker.example:4455&obs.password=x&obs.enabled=1&remoteOrigins=https://attacker.example",
+  ),
+  { obs: { enabled: true } },
+);
+
+// Remote partial updates keep only known fields and report bad values.
+const particlePatch = validatePartialSettings({ spawnCount: 1e6, flood: true }, SETTINGS_SCHEMA.particles.fields);
+assert.deepEqual(particlePatch.settings, { spawnCount: 10 });
+assert.equal(particlePatch.errors.length, 1);
+const palettePatch = validatePartialSettings({ palette: ["#F00", "javascript:"] }, SETTINGS_SCHEMA.colors.fields, "colors.");
+assert.match(palettePatch.errors[0], /colors\.palette\[1\]/);
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import {
+  buildShortcutRegistry,
+  comboFromEvent,
+  DEFAULT_KEYMAP,
+  findShortcutConflicts,
+  formatCombo,
+  matchShortcut,
+  normalizeCombo,
+  normalizeKeymap,
+} from "../src/shortcuts.js";
+import { assignShortcut, createPreset, isReservedShortcut } from "../src/presets.js";
+
+assert.equal(normalizeCombo("T"), "t");
+assert.equal(normalizeCombo("shift+ctrl+K"), "Ctrl+Shift+k");
+assert.equal(normalizeCombo("Alt++"), "Alt++");
+assert.equal(normalizeCombo(" "), "Space");
+assert.equal(normalizeCombo("Hyper+k"), "");
+assert.equal(normalizeCombo("Ctrl+Shift"), "");
+assert.equal(normalizeCombo(42), "");
+
+const keyEvent = (key, code, modifiers = {}) => ({
+  key,
+  code,
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  metaKey: false,
+  ...modifiers,
+});
+assert.equal(comboFromEvent(keyEvent("T", "KeyT", { shiftKey: true })), "Shift+t");
+assert.equal(comboFromEvent(keyEvent("ç", "KeyC", { altKey: true })), "Alt+c");
+assert.equal(comboFromEvent(keyEvent("{", "BracketLeft", { shiftKey: true })), "{");
+assert.equal(comboFromEvent(keyEvent("F2", "F2", { shiftKey: true })), "Shift+F2");
+assert.equal(comboFromEvent(keyEvent("Control", "ControlLeft", { ctrlKey: true })), "");
+
+assert.equal(formatCombo("Ctrl+Shift+k"), "Ctrl+Shift+K");
+assert.equal(formatCombo("["), "[");
+assert.equal(formatCombo(""), "Unassigned");
+
+assert.deepEqual(normalizeKeymap(null), DEFAULT_KEYMAP);
+const keymap = normalizeKeymap({ toggle: "ctrl+T", record: "", "size-up": "Ctrl+", bogus: "x" });
+assert.equal(keymap.toggle, "Ctrl+t");
+assert.equal(keymap.record, "");
+assert.equal(keymap["size-up"], DEFAULT_KEYMAP["size-up"]);
+assert.equal("bogus" in keymap, false);
+
+const config = { style: "gradient", color: "#8B5CF6", size: 22, lifetime: 600 };
+const presets = [createPreset("Neon", config, "1"), createPreset("Calm", config, "Alt+c")];
+assert.equal(isReservedShortcut("C"), true);
+assert.equal(createPreset("Taken", config, "c").shortcut, "");
+
+const registry = buildShortcutRegistry(keymap, presets);
+assert.equal(registry.length, Object.keys(DEFAULT_KEYMAP).length + presets.length);
+assert.equal(matchShortcut(registry, keyEvent("t", "KeyT", { ctrlKey: true })).id, "toggle");
+assert.equal(matchShortcut(registry, keyEvent("t", "KeyT")), null);
+assert.equal(matchShortcut(registry, keyEvent("1", "Digit1")).id, `preset:${presets[0].id}`);
+assert.equal(findShortcutConflicts(registry).size, 0);
+assert.equal(matchShortcut(registry, keyEvent("p", "KeyP")).id, "presentation");
+assert.equal(matchShortcut(registry, keyEvent("P", "KeyP", { shiftKey: true })).id, "presentation-next");
+assert.equal(matchShortcut(registry, keyEvent("z", "KeyZ", { ctrlKey: true })).id, "annotation-undo");
+
+const clashing = buildShortcutRegistry({ ...keymap, "style-next": "Alt+c" }, presets);
+const conflicts = findShortcutConflicts(clashing);
+assert.deepEqual([...conflicts.keys()].sort(), ["preset:" + presets[1].id, "style-next"].sort());
+assert.equal(conflicts.get("style-next")[0].label, "Calm");
+assert.equal(matchShortcut(clashing, keyEvent("c", "KeyC", { altKey: true })).id, "style-next");
+
+const reassigned = assignShortcut(presets, presets[1].id, "1");
+assert.equal(reassigned[0].shortcut, "");
+assert.equal(reassigned[1].shortcut, "1");
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { SETTINGS_DEFAULTS, validateSettings } from "../src/settings.js";
+import {
+  createTimelinePlayer,
+  cueTime,
+  exportTimeline,
+  normalizeCue,
+  normalizeTimeline,
+  parseTimeline,
+  TIMELINE_COMMANDS,
+  TIMELINE_DEFAULTS,
+} from "../src/timeline.js";
+
+assert.ok(TIMELINE_COMMANDS.includes("applyPreset"));
+assert.ok(TIMELINE_COMMANDS.includes("stopRecording"), "a cue may end the take");
+assert.ok(!TIMELINE_COMMANDS.includes("startRecording"));
+assert.ok(!TIMELINE_COMMANDS.includes("pauseRecording"));
+
+assert.equal(cueTime(1.25), 1.3);
+assert.equal(cueTime(-4), 0);
+assert.equal(cueTime("nope"), 0);
+
+const cue = normalizeCue({ at: 2, command: "setStyle", payload: { style: "glow" } });
+assert.match(cue.id, /^cue-/);
+assert.throws(() => normalizeCue({ at: 1, command: "startRecording" }), /cannot be scheduled/);
+assert.throws(() => normalizeCue({ at: 1, command: "setColor", payload: { color: "nope" } }), /setColor/);
+assert.throws(() => normalizeCue({ command: "toggle" }), /time/);
+
+assert.deepEqual(normalizeTimeline(), TIMELINE_DEFAULTS);
+const normalized = normalizeTimeline({ enabled: false, cues: [cue, { at: 3, command: "explode" }] });
+assert.equal(normalized.enabled, false);
+assert.deepEqual(normalized.cues, [cue], "invalid cues are dropped");
+assert.deepEqual(normalizeTimeline({ enabled: true }, normalized).cues, [cue], "cues are kept when none are given");
+assert.deepEqual(SETTINGS_DEFAULTS.timeline, TIMELINE_DEFAULTS);
+assert.deepEqual(validateSettings({ timeline: { cues: "many" } }).settings.timeline, TIMELINE_DEFAULTS);
+
+// Timelines round-trip through their JSON file.
+const cues = [
+  { id: "intro", at: 0, command: "applyPreset", payload: { presetId: "tutorial-pop" } },
+  { id: "focus", at: 4.5, command: "setPresentation", payload: { presentation: { mode: "spotlight" } } },
+];
+assert.deepEqual(parseTimeline(exportTimeline(cues)), cues);
+assert.throws(() => parseTimeline("{"), /not valid JSON/);
+assert.throws(() => parseTimeline(JSON.stringify({ format: "other", cues: [] })), /not a cursor trail timeline/);
+assert.throws(
+  () => parseTimeline(JSON.stringify({ format: "cursor-trail-timeline", version: 99, cues: [] })),
+  /newer/,
+);
+assert.throws(
+  () => parseTimeline(JSON.stringify({ format: "cursor-trail-timeline", version: 1, cues: [cues[0], { at: 1 }] })),
+  /Cue 2/,
+);
+
+// The player runs cues in time order against a clock that stands still
+// while the take is paused.
+let now = 0;
+const ran = [];
+const errors = [];
+const player = createTimelinePlayer({
+  run: (command, payload) => {
+    if (command === "explode") throw new Error("boom");
+    ran.push([command, payload]);
+  },
+  onError: (error, failed) => errors.push([error.message, failed.id]),
+  clock: () => now,
+});
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+player.start([
+  { id: "b", at: 0.03, command: "setEnabled", payload: { enabled: false } },
+  { id: "bad", at: 0, command: "explode", payload: {} },
+  { id: "a", at: 0, command: "toggle", payload: {} },
+]);
+assert.deepEqual(ran, [["toggle", {}]], "cues at 0 run as the take starts");
+assert.deepEqual(errors, [["boom", "bad"]]);
+assert.equal(player.pending(), 1);
+
+now = 10;
+player.pause();
+now = 500;
+await wait(50);
+assert.equal(ran.length, 1, "nothing runs while paused");
+player.resume();
+assert.equal(player.elapsed(), 10);
+now = 530;
+await wait(50);
+assert.deepEqual(ran.at(-1), ["setEnabled", { enabled: false }]);
+assert.equal(player.pending(), 0);
+
+player.start([{ id: "late", at: 60, command: "toggle", payload: {} }]);
+player.stop();
+assert.equal(player.getStatus(), "idle");
+assert.equal(player.pending(), 0);
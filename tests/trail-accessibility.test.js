@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { recordingAnnouncement, trailAnnouncement } from "../src/announcements.js";
+import {
+  ACCESSIBILITY_DEFAULTS,
+  accessibleOptions,
+  createCursorTrail,
+  createFlashLimiter,
+  EFFECT_DEFAULTS,
+  HIGH_CONTRAST_COLOR,
+  IDLE_DEFAULTS,
+  normalizeAccessibility,
+  resolvePreference,
+} from "../src/trail/index.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+assert.equal(resolvePreference("system", true), true);
+assert.equal(resolvePreference("system", false), false);
+assert.equal(resolvePreference("on", false), true);
+assert.equal(resolvePreference("off", true), false);
+
+assert.deepEqual(normalizeAccessibility(), ACCESSIBILITY_DEFAULTS);
+assert.deepEqual(normalizeAccessibility({ reducedMotion: "on", highContrast: "loud", flashLimit: "no" }), {
+  ...ACCESSIBILITY_DEFAULTS,
+  reducedMotion: "on",
+});
+
+// Reduced motion keeps calm styles, and swaps busy ones for a plain trail.
+const busy = {
+  style: "sparkle",
+  mode: "particles",
+  colorMode: "rainbow",
+  color: "#8B5CF6",
+  size: 12,
+  idle: IDLE_DEFAULTS,
+  effects: EFFECT_DEFAULTS,
+};
+assert.equal(accessibleOptions(busy, {}), busy, "nothing changes without a preference");
+const calm = accessibleOptions(busy, { reducedMotion: true });
+assert.equal(calm.style, "gradient");
+assert.equal(calm.mode, "trail");
+assert.equal(calm.colorMode, "solid");
+assert.equal(calm.idle.pulse, false);
+assert.equal(calm.idle.shake, false);
+assert.equal(calm.effects.doubleClick.style, "ring");
+assert.equal(calm.effects.wheel.enabled, false);
+assert.equal(busy.style, "sparkle", "the options passed in are left alone");
+assert.equal(accessibleOptions({ ...busy, style: "ink" }, { reducedMotion: true }).style, "ink");
+
+const contrast = accessibleOptions(busy, { highContrast: true });
+assert.equal(contrast.style, "ribbon");
+assert.equal(contrast.color, HIGH_CONTRAST_COLOR);
+assert.equal(contrast.size, 24);
+assert.equal(contrast.mode, "particles", "high contrast alone leaves motion alone");
+
+// No more than three flashes start in any one second.
+const limiter = createFlashLimiter();
+assert.deepEqual(
+  [0, 100, 200, 300, 999, 1000].map((time) => limiter.allow(time)),
+  [true, true, true, false, false, true],
+);
+
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, {
+  autoStart: false,
+  effects: { ...EFFECT_DEFAULTS, wheel: { ...EFFECT_DEFAULTS.wheel, enabled: true } },
+});
+for (let i = 0; i < 5; i++) trail.addEffect("press", i * 10, 10);
+trail.addEffect("wheel", 10, 10, { direction: 1 });
+assert.equal(trail.getEffects().filter((effect) => effect.kind === "press").length, 3);
+assert.equal(trail.getEffects().filter((effect) => effect.kind === "wheel").length, 1, "scroll arrows do not count");
+trail.setOptions({ flashLimit: false });
+trail.addEffect("press", 60, 10);
+assert.equal(trail.getEffects().filter((effect) => effect.kind === "press").length, 4);
+trail.destroy();
+
+assert.equal(trailAnnouncement(true), "Cursor trail on");
+assert.equal(trailAnnouncement(false), "Cursor trail off");
+assert.equal(recordingAnnouncement("paused"), "Recording paused");
+assert.equal(recordingAnnouncement("unknown"), "");
+assert.equal(recordingAnnouncement("idle"), "", "nothing is announced before a take has recorded");
+assert.equal(recordingAnnouncement("idle", { recorded: true }), "Recording stopped");
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import {
+  ANNOTATION_DEFAULTS,
+  annotationTriggered,
+  createAnnotationLayer,
+  createCursorTrail,
+  normalizeAnnotations,
+} from "../src/trail/index.js";
+import { bindPointerInput } from "../src/trail/input.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+const pen = { tool: "pen", width: 4 };
+
+assert.deepEqual(normalizeAnnotations(), ANNOTATION_DEFAULTS);
+assert.deepEqual(normalizeAnnotations({ tool: "crayon", trigger: "alt", width: 99, fadeAfter: -3 }), {
+  ...ANNOTATION_DEFAULTS,
+  trigger: "alt",
+  width: 24,
+  fadeAfter: 0,
+});
+
+assert.equal(annotationTriggered({ buttons: 1 }, { enabled: false, trigger: "button" }), false);
+assert.equal(annotationTriggered({ buttons: 1 }, { enabled: true, trigger: "button" }), true);
+assert.equal(annotationTriggered({ buttons: 1 }, { enabled: true, trigger: "alt" }), false);
+assert.equal(annotationTriggered({ altKey: true }, { enabled: true, trigger: "alt" }), true);
+
+// Each stroke is one undo step.
+const layer = createAnnotationLayer();
+layer.begin(0, 0, pen, "#FF0000");
+layer.extend(10, 0);
+layer.end();
+layer.begin(0, 50, pen, "#00FF00");
+layer.end();
+assert.equal(layer.strokes.length, 2);
+assert.deepEqual(layer.strokes[0].points, [
+  { x: 0, y: 0 },
+  { x: 10, y: 0 },
+]);
+assert.equal(layer.undo(), true);
+assert.equal(layer.strokes.length, 1);
+assert.equal(layer.redo(), true);
+assert.equal(layer.strokes[1].color, "#00FF00");
+
+// The eraser removes whole strokes, and undo brings them back in order.
+layer.begin(5, 2, { tool: "eraser", width: 4 });
+layer.end();
+assert.deepEqual(
+  layer.strokes.map((stroke) => stroke.color),
+  ["#00FF00"],
+);
+layer.undo();
+assert.deepEqual(
+  layer.strokes.map((stroke) => stroke.color),
+  ["#FF0000", "#00FF00"],
+);
+layer.begin(300, 300, { tool: "eraser", width: 4 });
+layer.end();
+layer.undo();
+assert.equal(layer.strokes.length, 1, "an eraser gesture that hits nothing is not an undo step");
+
+// Clearing is undoable too, and a new stroke drops the redo history.
+layer.redo();
+assert.equal(layer.clear(), true);
+assert.equal(layer.strokes.length, 0);
+layer.undo();
+assert.equal(layer.strokes.length, 2);
+layer.begin(0, 100, pen, "#0000FF");
+layer.end();
+assert.equal(layer.canRedo(), false);
+
+// Faded strokes are gone for good, along with the steps that drew them.
+const fading = createAnnotationLayer();
+fading.begin(0, 0, pen, "#FF0000");
+fading.end();
+assert.equal(fading.age(1000, 0), false, "strokes never fade with fadeAfter 0");
+assert.equal(fading.age(2000, 2), true);
+assert.equal(fading.strokes.length, 0);
+assert.equal(fading.canUndo(), false);
+
+// The highlighter draws wide and translucent.
+const marker = createAnnotationLayer();
+marker.begin(0, 0, { tool: "highlighter", width: 4 }, "#FFFF00");
+marker.extend(20, 0);
+marker.end();
+assert.equal(marker.strokes[0].width, 16);
+const markerCanvas = createMockCanvas();
+const seen = [];
+markerCanvas.ctx.stroke = () => seen.push([markerCanvas.ctx.strokeStyle, markerCanvas.ctx.lineWidth]);
+marker.draw(markerCanvas.ctx, 0);
+assert.deepEqual(seen, [["rgba(255, 255, 0, 0.35)", 16]]);
+
+// A button stroke starts on pointerdown and spawns no trail points while drawing.
+const listeners = new Map();
+const target = {
+  addEventListener: (type, listener) => listeners.set(type, listener),
+  removeEventListener: (type) => listeners.delete(type),
+};
+const phases = [];
+const spawned = [];
+let settings = { enabled: true, trigger: "button", tool: "pen", width: 4 };
+bindPointerInput(target, {
+  toLocal: (x, y) => ({ x, y }),
+  getOptions: () => ({ enabled: true, trackPointer: true, mode: "trail", spacing: 0, annotations: settings }),
+  addPoint: (x, y) => spawned.push([x, y]),
+  addEffect: () => {},
+  annotate: (phase, x, y) => phases.push([phase, x, y]),
+});
+const event = (clientX, extra = {}) => ({ clientX, clientY: 0, pointerId: 1, timeStamp: clientX, ...extra });
+listeners.get("pointerdown")(event(0, { button: 0, buttons: 1, target: { closest: () => null } }));
+listeners.get("pointermove")(event(5, { buttons: 1 }));
+listeners.get("pointerup")(event(6));
+assert.deepEqual(phases, [
+  ["start", 0, 0],
+  ["move", 5, 0],
+  ["end", 6, 0],
+]);
+assert.equal(spawned.length, 0);
+listeners.get("pointerdown")(event(0, { button: 0, buttons: 1, target: { closest: () => ({}) } }));
+assert.equal(phases.length, 3, "presses on the control panel never draw");
+
+// A modifier stroke starts while the modifier is held and ends when it is let go.
+settings = { ...settings, trigger: "alt" };
+phases.length = 0;
+listeners.get("pointermove")(event(10, { altKey: true }));
+listeners.get("pointermove")(event(12, { altKey: true }));
+listeners.get("keyup")({ altKey: false });
+assert.deepEqual(
+  phases.map(([phase]) => phase),
+  ["start", "move", "end"],
+);
+listeners.get("pointermove")(event(14));
+assert.equal(spawned.length, 1, "moves without the modifier go back to the trail");
+
+// The engine draws strokes in the trail color and keeps them across replays.
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, {
+  autoStart: false,
+  color: "#3B82F6",
+  annotations: { ...ANNOTATION_DEFAULTS, enabled: true },
+});
+trail.annotate("start", 10, 10);
+trail.annotate("move", 30, 10);
+trail.annotate("end");
+trail.reset();
+canvas.ctx.reset();
+trail.renderFrame(0);
+assert.deepEqual(canvas.ctx.callsNamed("lineTo")[0].args, [30, 10]);
+assert.equal(trail.getAnnotations()[0].color, "#3B82F6");
+assert.equal(trail.undoAnnotation(), true);
+assert.equal(trail.undoAnnotation(), false);
+assert.equal(trail.redoAnnotation(), true);
+assert.equal(trail.clearAnnotations(), true);
+assert.equal(trail.getAnnotations().length, 0);
+trail.destroy();
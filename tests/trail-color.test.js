@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import {
+  applyTrailGradient,
+  createCursorTrail,
+  isValidColor,
+  mixColors,
+  parseColor,
+  samplePalette,
+  spawnColor,
+  toRgba,
+} from "../src/trail/index.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+assert.deepEqual(parseColor("#0cc"), { r: 0, g: 204, b: 204, a: 1 });
+assert.deepEqual(parseColor("#00C4CC80"), { r: 0, g: 196, b: 204, a: 128 / 255 });
+assert.deepEqual(parseColor("rgba(10, 20, 30, 0.5)"), { r: 10, g: 20, b: 30, a: 0.5 });
+assert.deepEqual(parseColor("rgb(10 20 30 / 50%)"), { r: 10, g: 20, b: 30, a: 0.5 });
+assert.equal(toRgba("hsl(120, 100%, 50%)", 0.5), "rgba(0, 255, 0, 0.5)");
+assert.equal(toRgba("#FF000080", 0.5), `rgba(255, 0, 0, ${(128 / 255) * 0.5})`);
+assert.ok(!isValidColor("not-a-color"));
+assert.ok(!isValidColor("#12345"));
+
+assert.equal(mixColors("#000000", "#FFFFFF", 0.5), "rgba(128, 128, 128, 1)");
+assert.equal(samplePalette(["#000000", "#FF0000", "#FFFFFF"], 0.5), "rgba(255, 0, 0, 1)");
+assert.equal(samplePalette(["#00C4CC"], 0.3), "#00C4CC");
+
+const options = { color: "#8B5CF6", palette: ["#111111", "#222222"], rainbowSpeed: 90 };
+assert.equal(spawnColor({ ...options, colorMode: "solid" }, 0), undefined);
+assert.equal(spawnColor({ ...options, colorMode: "rainbow" }, 2000), "hsl(180, 90%, 60%)");
+assert.equal(spawnColor({ ...options, colorMode: "random" }, 0, () => 0.9), "#222222");
+
+const trailPoints = [{}, {}, {}];
+applyTrailGradient(trailPoints, { ...options, palette: ["#FFFFFF", "#000000"] });
+assert.deepEqual(
+  trailPoints.map((point) => point.color),
+  ["rgba(0, 0, 0, 1)", "rgba(128, 128, 128, 1)", "rgba(255, 255, 255, 1)"],
+);
+
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, {
+  autoStart: false,
+  style: "star",
+  colorMode: "gradient",
+  palette: ["#FF0000", "#0000FF"],
+});
+trail.addPoint(0, 0);
+trail.addPoint(5, 5);
+trail.renderFrame(0);
+assert.deepEqual(
+  trail.getPoints().map((point) => point.color),
+  ["rgba(0, 0, 255, 1)", "rgba(255, 0, 0, 1)"],
+);
+trail.destroy();
+
+const ribbonCanvas = createMockCanvas();
+const ribbon = createCursorTrail(ribbonCanvas, { autoStart: false, style: "ribbon", colorMode: "gradient" });
+ribbon.addPoint(0, 0);
+ribbon.addPoint(10, 0);
+ribbon.renderFrame(0);
+assert.equal(ribbonCanvas.ctx.callsNamed("stroke").length, 1);
+ribbon.destroy();
+
+// Inside the offscreen worker there is no document, so named colors are
+// resolved with an OffscreenCanvas instead of falling back to black.
+assert.equal(typeof document, "undefined");
+const NAMED_COLORS = { red: "#ff0000", blue: "#0000ff" };
+globalThis.OffscreenCanvas = class {
+  getContext() {
+    let fillStyle = "#000000";
+    return {
+      get fillStyle() {
+        return fillStyle;
+      },
+      set fillStyle(next) {
+        if (next.startsWith("#")) fillStyle = next;
+        else if (NAMED_COLORS[next]) fillStyle = NAMED_COLORS[next];
+      },
+    };
+  }
+};
+const workerCanvas = createMockCanvas();
+const workerTrail = createCursorTrail(workerCanvas, { autoStart: false, style: "ribbon", color: "red" });
+workerTrail.addPoint(0, 0);
+workerTrail.addPoint(10, 0);
+workerTrail.renderFrame(0);
+assert.equal(workerCanvas.ctx.strokeStyle, "rgba(255, 0, 0, 1)");
+workerTrail.setOptions({ colorMode: "gradient", palette: ["red", "blue"] });
+workerTrail.renderFrame(0);
+assert.deepEqual(
+  workerTrail.getPoints().map((point) => point.color),
+  ["rgba(0, 0, 255, 1)", "rgba(255, 0, 0, 1)"],
+);
+workerTrail.destroy();
+delete globalThis.OffscreenCanvas;
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import {
+  createCursorTrail,
+  EFFECT_DEFAULTS,
+  EFFECT_DURATION_RANGE,
+  keyLabel,
+  normalizeEffects,
+} from "../src/trail/index.js";
+import { pushEffect, renderEffects } from "../src/trail/effects.js";
+import { createMockCanvas, createMockContext } from "./mockCanvas.js";
+
+const key = (value, modifiers = {}) => ({
+  key: value,
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  metaKey: false,
+  ...modifiers,
+});
+assert.equal(keyLabel(key("c", { ctrlKey: true })), "Ctrl + C");
+assert.equal(keyLabel(key("?", { shiftKey: true })), "?");
+assert.equal(keyLabel(key("Tab", { shiftKey: true })), "Shift + ⇥");
+assert.equal(keyLabel(key("Shift", { shiftKey: true })), "");
+assert.equal(keyLabel(key(" ")), "Space");
+
+const effects = normalizeEffects({
+  press: { style: "burst", size: 500 },
+  wheel: { enabled: true, style: "sparkles" },
+  drag: { color: "" },
+  keys: "loud",
+});
+assert.equal(effects.press.style, "burst");
+assert.equal(effects.press.size, 120);
+assert.equal(effects.wheel.enabled, true);
+assert.equal(effects.wheel.style, EFFECT_DEFAULTS.wheel.style);
+assert.equal(effects.drag.color, EFFECT_DEFAULTS.drag.color);
+assert.deepEqual(effects.keys, EFFECT_DEFAULTS.keys);
+assert.equal(normalizeEffects({ press: { color: "#FFFFFF" } }, effects).press.style, "burst");
+const unchecked = normalizeEffects({
+  press: { color: "javascript:alert(1)", duration: 1e9 },
+  keys: { duration: -5 },
+  drag: { duration: 800 },
+});
+assert.equal(unchecked.press.color, EFFECT_DEFAULTS.press.color, "colors that are not CSS colors keep the base");
+assert.equal(unchecked.press.duration, EFFECT_DURATION_RANGE[1]);
+assert.equal(unchecked.keys.duration, EFFECT_DURATION_RANGE[0]);
+assert.equal(unchecked.drag.duration, undefined, "drag follows the held button and has no duration");
+
+let keys = [];
+for (const label of ["A", "A", "B", "C", "D", "E", "F"]) keys = pushEffect(keys, "keys", EFFECT_DEFAULTS.keys, { label });
+assert.deepEqual(keys.map((entry) => entry.label), ["B", "C", "D", "E", "F"]);
+keys = pushEffect(keys, "keys", EFFECT_DEFAULTS.keys, { label: "F" });
+assert.equal(keys.at(-1).count, 2);
+
+let wheel = pushEffect([], "wheel", EFFECT_DEFAULTS.wheel, { x: 0, y: 0, direction: 1 });
+wheel = pushEffect(wheel, "wheel", EFFECT_DEFAULTS.wheel, { x: 0, y: 4, direction: 1 });
+assert.equal(wheel.length, 1);
+wheel = pushEffect(wheel, "wheel", EFFECT_DEFAULTS.wheel, { x: 0, y: 4, direction: -1 });
+assert.equal(wheel.length, 2);
+
+const ctx = createMockContext();
+const ripple = { ...effects, press: EFFECT_DEFAULTS.press };
+const alive = renderEffects(ctx, [...keys, { kind: "press", x: 5, y: 5, age: 0 }], ripple, 100, { width: 800, height: 600 });
+assert.equal(alive.length, 6);
+assert.equal(alive[0].age, 100);
+assert.ok(ctx.callsNamed("arc").some((call) => call.args[0] === 5 && call.args[1] === 5));
+assert.equal(renderEffects(ctx, alive, effects, 5000, { width: 800, height: 600 }).length, 0);
+
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, { autoStart: false, color: "#8B5CF6", size: 20 });
+trail.addEffect("press", 10, 10);
+trail.addEffect("wheel", 10, 10, { direction: -1 });
+assert.deepEqual(trail.getEffects().map((effect) => effect.kind), ["press"]);
+trail.renderFrame(0);
+trail.renderFrame(EFFECT_DEFAULTS.press.duration);
+assert.equal(trail.getEffects().length, 0);
+
+trail.setOptions({ effects: normalizeEffects({ drag: { enabled: true, size: 2 } }) });
+trail.addPoint(0, 0);
+trail.addPoint(1, 1, { held: true });
+const [free, held] = trail.getPoints();
+assert.equal(free.held, undefined);
+assert.equal(held.held, true);
+assert.equal(held.color, EFFECT_DEFAULTS.drag.color);
+assert.equal(held.scale, 2);
+
+trail.setOptions({ colorMode: "gradient", palette: ["#000000", "#FFFFFF"] });
+trail.addPoint(2, 2);
+trail.renderFrame(16);
+assert.equal(trail.getPoints()[1].color, EFFECT_DEFAULTS.drag.color);
+trail.destroy();
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { createCursorTrail, drawPoint, toRgba } from "../src/trail/index.js";
+import { createMockCanvas, createMockContext } from "./mockCanvas.js";
+
+assert.equal(toRgba("#00C4CC", 0.5), "rgba(0, 196, 204, 0.5)");
+
+const ctx = createMockContext();
+drawPoint(ctx, { x: 10, y: 20, life: 1, seed: 0 }, { style: "gradient", color: "#8B5CF6", size: 20 });
+assert.equal(ctx.callsNamed("createRadialGradient").length, 1);
+assert.deepEqual(ctx.callsNamed("arc")[0].args, [10, 20, 20, 0, Math.PI * 2]);
+
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, { autoStart: false, style: "star", maxPoints: 3, lifetime: 100 });
+for (let i = 0; i < 5; i++) trail.addPoint(i, i);
+assert.equal(trail.getPoints().length, 3);
+assert.equal(trail.getPoints()[0].x, 2);
+
+trail.renderFrame(0);
+assert.equal(canvas.ctx.callsNamed("clearRect").length, 1);
+assert.equal(canvas.ctx.callsNamed("fill").length, 3);
+trail.renderFrame(60);
+assert.equal(trail.getPoints()[0].age, 60);
+trail.renderFrame(100);
+assert.equal(trail.getPoints().length, 0);
+
+trail.setOptions({ size: 40 });
+assert.equal(trail.getOptions().size, 40);
+trail.pause();
+assert.ok(trail.isPaused());
+trail.destroy();
+trail.addPoint(1, 1);
+assert.equal(trail.getPoints().length, 0);
@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { createCursorTrail, fadeSpeedToLifetime, lifeAt } from "../src/trail/index.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+assert.equal(lifeAt(0, 400), 1);
+assert.equal(lifeAt(200, 400), 0.5);
+assert.equal(lifeAt(200, 400, "ease-out"), 0.25);
+assert.ok(lifeAt(200, 400, "exponential") < 0.1);
+assert.equal(lifeAt(400, 400, "exponential"), 0);
+assert.equal(lifeAt(500, 400), 0);
+assert.equal(lifeAt(100, 400, "unknown"), 0.75);
+
+assert.equal(fadeSpeedToLifetime(55), 303);
+assert.equal(fadeSpeedToLifetime(20), 833);
+
+const slow = createCursorTrail(createMockCanvas(), { autoStart: false, lifetime: 200 });
+const fast = createCursorTrail(createMockCanvas(), { autoStart: false, lifetime: 200 });
+slow.addPoint(0, 0);
+fast.addPoint(0, 0);
+for (let frame = 0; frame <= 6; frame++) slow.renderFrame((frame * 1000) / 60);
+for (let frame = 0; frame <= 12; frame++) fast.renderFrame((frame * 1000) / 120);
+assert.ok(Math.abs(slow.getPoints()[0].life - fast.getPoints()[0].life) < 1e-9);
+assert.ok(Math.abs(slow.getPoints()[0].life - 0.5) < 1e-9);
+slow.destroy();
+fast.destroy();
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import {
+  createCursorTrail,
+  createIdleWatcher,
+  createShakeDetector,
+  IDLE_DEFAULTS,
+  idleFade,
+  normalizeIdle,
+  normalizePresentation,
+} from "../src/trail/index.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+assert.deepEqual(normalizeIdle(), IDLE_DEFAULTS);
+assert.deepEqual(normalizeIdle({ enabled: true, timeout: 500, pulse: "yes" }), {
+  ...IDLE_DEFAULTS,
+  enabled: true,
+  timeout: 60,
+});
+
+const settings = { ...IDLE_DEFAULTS, enabled: true, timeout: 2 };
+assert.equal(idleFade(1999, settings), 1);
+assert.equal(idleFade(2300, settings), 0.5);
+assert.equal(idleFade(5000, settings), 0);
+assert.equal(idleFade(5000, { ...settings, fadeTrail: false }), 1);
+assert.equal(idleFade(5000, { ...settings, enabled: false }), 1);
+
+// Four quick reversals make a shake; slow or small wiggles do not.
+const shake = createShakeDetector();
+const wiggle = (detector, xs, step) => xs.map((x, index) => detector.feed(x, index * step));
+assert.deepEqual(wiggle(shake, [0, 60, 0, 60, 0, 60], 50), [false, false, false, false, false, true]);
+assert.equal(shake.feed(0, 300), false, "a shake is not reported twice in a row");
+assert.ok(!wiggle(createShakeDetector(), [0, 60, 0, 60, 0, 60], 400).includes(true));
+assert.ok(!wiggle(createShakeDetector(), [0, 10, 0, 10, 0, 10], 50).includes(true));
+
+// Once idle, the laser fades out and a halo pulses where the pointer rests.
+const canvas = createMockCanvas(400, 300);
+const trail = createCursorTrail(canvas, {
+  autoStart: false,
+  color: "#22C55E",
+  idle: settings,
+  presentation: normalizePresentation({ mode: "laser" }),
+});
+trail.movePointer(100, 100, 0);
+trail.renderFrame(1000);
+const laserFill = canvas.ctx.callsNamed("arc").length;
+assert.ok(laserFill > 0);
+canvas.ctx.reset();
+trail.renderFrame(5000);
+const arcs = canvas.ctx.callsNamed("arc");
+assert.ok(arcs.length > 0 && arcs.every(({ args }) => args[0] === 100 && args[1] === 100));
+assert.equal(canvas.ctx.callsNamed("fill").length, 1, "only the halo is filled; the laser has faded out");
+trail.movePointer(110, 100, 5000);
+canvas.ctx.reset();
+trail.renderFrame(5010);
+assert.equal(canvas.ctx.callsNamed("fill").length, 2, "moving brings the laser back");
+
+// Shaking sets off an enlarged burst that runs its course. The sweep back
+// from x 110 counts, so the fourth reversal lands on x 0.
+trail.setOptions({ presentation: normalizePresentation({ mode: "off" }) });
+[0, 80, 0, 80, 0, 80].forEach((x, index) => trail.movePointer(x, 100, 6000 + index * 40));
+canvas.ctx.reset();
+trail.renderFrame(6300);
+const ring = canvas.ctx.callsNamed("arc")[0];
+assert.equal(ring.args[0], 0);
+assert.equal(canvas.ctx.callsNamed("lineTo").length, 8);
+canvas.ctx.reset();
+trail.renderFrame(7300);
+assert.equal(canvas.ctx.callsNamed("lineTo").length, 0);
+trail.destroy();
+
+// The page watcher reports idle after the timeout and active on the next input.
+const listeners = new Map();
+const target = {
+  addEventListener: (type, listener) => listeners.set(type, listener),
+  removeEventListener: (type) => listeners.delete(type),
+};
+const changes = [];
+const watcher = createIdleWatcher(target, { timeout: 20, onChange: (idle) => changes.push(idle) });
+await new Promise((resolve) => setTimeout(resolve, 40));
+assert.equal(watcher.isIdle(), true);
+listeners.get("pointermove")();
+assert.deepEqual(changes, [true, false]);
+watcher.unbind();
+assert.equal(listeners.size, 0);
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import {
+  createCursorTrail,
+  pointerModulation,
+  readPointerSamples,
+  spacedPoints,
+  velocityBetween,
+} from "../src/trail/index.js";
+import { bindPointerInput } from "../src/trail/input.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+const sensitive = { pressureSensitivity: true };
+assert.deepEqual(pointerModulation({ pointerType: "mouse", pressure: 0.5 }, sensitive), { scale: 1, opacity: 1 });
+assert.deepEqual(pointerModulation({ pointerType: "pen", pressure: 1 }, { pressureSensitivity: false }), {
+  scale: 1,
+  opacity: 1,
+});
+const light = pointerModulation({ pointerType: "pen", pressure: 0.1 }, sensitive);
+const firm = pointerModulation({ pointerType: "pen", pressure: 0.9 }, sensitive);
+assert.ok(light.scale < firm.scale && light.opacity < firm.opacity);
+const tilted = pointerModulation({ pointerType: "pen", pressure: 0.9, tiltX: 60 }, sensitive);
+assert.ok(tilted.scale > firm.scale && tilted.opacity < firm.opacity);
+
+const single = { clientX: 1 };
+assert.deepEqual(readPointerSamples(single), [single]);
+const samples = [{ clientX: 1 }, { clientX: 2 }];
+assert.equal(readPointerSamples({ getCoalescedEvents: () => samples }), samples);
+
+assert.deepEqual(velocityBetween(null, { x: 5, y: 5, time: 0 }), { vx: 0, vy: 0 });
+const velocity = velocityBetween({ x: 0, y: 0, time: 0 }, { x: 10, y: -20, time: 1000 / 60 });
+assert.ok(Math.abs(velocity.vx - 10) < 1e-9 && Math.abs(velocity.vy + 20) < 1e-9);
+
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, { autoStart: false, style: "ribbon", maxPoints: 2 });
+trail.addPoint(0, 0, { pointerId: 1 });
+trail.addPoint(10, 0, { pointerId: 1 });
+trail.addPoint(20, 0, { pointerId: 1 });
+trail.addPoint(100, 100, { pointerId: 2 });
+trail.addPoint(110, 100, { pointerId: 2 });
+assert.equal(trail.getPoints().filter((point) => point.pointerId === 1).length, 2);
+assert.equal(trail.getPoints().filter((point) => point.pointerId === 2).length, 2);
+trail.renderFrame(0);
+assert.deepEqual(
+  canvas.ctx.callsNamed("bezierCurveTo").map(({ args }) => args[4]),
+  [20, 110],
+);
+trail.destroy();
+
+// Slow moves are thinned out and fast moves filled in, one point per `spacing` pixels.
+assert.deepEqual(spacedPoints(null, { x: 3, y: 0, time: 0 }, 4), [{ x: 3, y: 0, time: 0 }]);
+assert.deepEqual(spacedPoints({ x: 0, y: 0, time: 0 }, { x: 3, y: 0, time: 8 }, 4), []);
+const filled = spacedPoints({ x: 0, y: 0, time: 0, pressure: 0 }, { x: 10, y: 0, time: 10, pressure: 1 }, 4);
+assert.deepEqual(filled.map((point) => point.x), [4, 8]);
+assert.deepEqual(filled.map((point) => point.time), [4, 8]);
+assert.deepEqual(filled.map((point) => point.pressure), [0.4, 0.8]);
+assert.equal(spacedPoints({ x: 0, y: 0, time: 0 }, { x: 10, y: 0, time: 10 }, 0).length, 1);
+assert.equal(spacedPoints({ x: 0, y: 0, time: 0 }, { x: 4000, y: 0, time: 10 }, 1).length, 64, "long jumps are capped");
+assert.deepEqual(spacedPoints({ x: 0, y: 0, time: 0 }, { x: 40, y: 0, time: 1000 }, 4), [{ x: 40, y: 0, time: 1000 }]);
+
+// Pointer events go through the same spacing.
+const listeners = new Map();
+const target = {
+  addEventListener: (type, listener) => listeners.set(type, listener),
+  removeEventListener: (type) => listeners.delete(type),
+};
+const spawned = [];
+const input = bindPointerInput(target, {
+  toLocal: (x, y) => ({ x, y }),
+  getOptions: () => ({ enabled: true, trackPointer: true, mode: "trail", spacing: 5 }),
+  addPoint: (x, y, detail) => spawned.push([x, y, detail.held]),
+  addEffect: () => {},
+});
+const move = (clientX, timeStamp, buttons = 0) =>
+  listeners.get("pointermove")?.({ clientX, clientY: 0, pointerId: 1, timeStamp, buttons });
+move(0, 0);
+move(2, 4);
+move(20, 8, 1);
+assert.deepEqual(spawned, [
+  [0, 0, undefined],
+  [5, 0, true],
+  [10, 0, true],
+  [15, 0, true],
+  [20, 0, true],
+]);
+input.unbind();
+move(40, 12);
+assert.equal(spawned.length, 5);
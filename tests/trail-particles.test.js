@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { createCursorTrail, PARTICLE_DEFAULTS, spawnParticles, stepParticle } from "../src/trail/index.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+const still = () => 0.5;
+const options = { ...PARTICLE_DEFAULTS, spawnCount: 3, inheritVelocity: 0.5 };
+const particles = spawnParticles(10, 10, { vx: 4, vy: -2 }, options, still);
+assert.equal(particles.length, 3);
+assert.equal(particles[0].vx, 2);
+assert.equal(particles[0].vy, -1);
+assert.equal(particles[0].decay, 1);
+
+const particle = particles[0];
+stepParticle(particle, { ...options, friction: 0, gravity: 1 });
+assert.equal(particle.x, 12);
+assert.equal(particle.y, 10);
+
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, { autoStart: false, mode: "particles", spawnCount: 5, maxPoints: 2, gravity: 1, drift: 0 });
+for (let i = 0; i < 4; i++) trail.addPoint(0, 0, { vx: 0, vy: 0 });
+assert.equal(trail.getPoints().length, 10);
+trail.renderFrame(0);
+trail.renderFrame(16);
+assert.ok(trail.getPoints().every((point) => point.vy > 0));
+trail.destroy();
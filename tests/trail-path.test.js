@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import {
+  capturePath,
+  createCursorTrail,
+  createRandom,
+  parsePath,
+  serializePath,
+  stepPath,
+} from "../src/trail/index.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+const a = createRandom(42);
+const b = createRandom(42);
+const sequence = [a(), a(), a()];
+assert.deepEqual([b(), b(), b()], sequence);
+assert.ok(sequence.every((value) => value >= 0 && value < 1));
+assert.notDeepEqual([createRandom(7)()], [sequence[0]]);
+
+const live = createCursorTrail(createMockCanvas(), { autoStart: false, style: "sparkle", lifetime: 200 });
+let now = 1000;
+const capture = capturePath(live, { name: "Demo", now: () => now });
+for (let i = 0; i < 10; i++) {
+  now += 16;
+  live.addPoint(i * 10, i * 5, { time: now, pointerId: 1, vx: 10, vy: 5 });
+}
+const take = capture.finish();
+live.addPoint(500, 500, { time: now + 16 });
+assert.equal(take.samples.length, 10);
+assert.equal(take.samples[0].t, 16);
+assert.equal(take.duration, 160);
+assert.equal(take.options.style, "sparkle");
+assert.equal(take.options.autoStart, undefined);
+assert.equal(take.seed, live.getSeed());
+
+const restored = parsePath(serializePath(take));
+assert.deepEqual(restored.samples, take.samples);
+assert.throws(() => parsePath("[]"), /not a cursor trail path/);
+assert.throws(() => parsePath(JSON.stringify({ ...take, samples: [{ t: 0, x: "1", y: 0 }] })), /numeric/);
+
+const renderTake = (overrides) => {
+  const canvas = createMockCanvas();
+  const trail = createCursorTrail(canvas, { autoStart: false });
+  const frames = stepPath(trail, restored, { frameRate: 30, overrides });
+  trail.destroy();
+  return { frames, calls: JSON.stringify(canvas.ctx.calls) };
+};
+
+const first = renderTake();
+const second = renderTake();
+assert.equal(first.frames, Math.floor((160 + 200) / (1000 / 30)) + 1);
+assert.equal(first.calls, second.calls);
+assert.ok(first.calls.includes("lineTo"));
+
+const restyled = renderTake({ style: "star" });
+assert.notEqual(restyled.calls, first.calls);
+live.destroy();
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { createCursorTrail, createOffscreenTrail, createPointPool, createSpriteCache } from "../src/trail/index.js";
+import { createMockCanvas, createMockContext } from "./mockCanvas.js";
+
+// Points round-trip through the pool with only the fields they had.
+const pool = createPointPool(2);
+pool.add({ x: 1, y: 2, age: 0, life: 1, seed: 0.5, pointerId: 3, color: "#fff" });
+pool.add({ x: 5, y: 6, age: 0, life: 1, seed: 0, vx: 1, vy: -1, rotation: 0, spinRate: 0.1, decay: 2, held: true });
+pool.add({ x: 9, y: 9, age: 0, life: 1, seed: 0, custom: "kept" });
+assert.equal(pool.size, 3);
+assert.ok(pool.capacity >= 3, "the pool grows past its initial capacity");
+assert.deepEqual(pool.read(0), {
+  x: 1, y: 2, age: 0, life: 1, seed: 0.5, scale: 1, opacity: 1, pointerId: 3, color: "#fff",
+});
+assert.equal(pool.read(1).vx, 1);
+assert.equal(pool.read(1).decay, 2);
+assert.equal(pool.read(1).held, true);
+assert.equal(pool.read(2).custom, "kept");
+
+// A reused object does not keep fields from the previous point.
+const scratch = pool.read(1, {});
+pool.read(0, scratch);
+assert.equal(scratch.vx, undefined);
+assert.equal(scratch.held, undefined);
+
+pool.remove(0);
+assert.deepEqual(pool.toArray().map((point) => point.x), [5, 9]);
+pool.truncate(1);
+assert.equal(pool.size, 1);
+pool.clear();
+assert.equal(pool.size, 0);
+
+// Sprites are built once per style and color, then scaled to each point.
+const built = [];
+const sprites = createSpriteCache({
+  limit: 2,
+  createCanvas: (width, height) => {
+    const canvas = { width, height, getContext: () => Object.assign(createMockContext(), { scale() {} }) };
+    built.push(canvas);
+    return canvas;
+  },
+});
+const target = Object.assign(createMockContext(), {
+  drawImage: (...args) => target.calls.push({ name: "drawImage", args }),
+});
+const glow = { id: "glow", sprite: { extent: 1 }, draw: (ctx) => ctx.fill() };
+assert.equal(sprites.draw(target, glow, 10, 10, "#fff", 0.5, 8), true);
+assert.equal(sprites.draw(target, glow, 20, 20, "#fff", 0.25, 8.2), true);
+assert.equal(built.length, 1, "radii round to the same sprite");
+assert.equal(target.callsNamed("drawImage").length, 2);
+assert.equal(target.globalAlpha, 0.25);
+assert.deepEqual(target.callsNamed("drawImage")[0].args.slice(1), [1.5, 1.5, 17, 17], "scaled down to the point");
+sprites.draw(target, glow, 0, 0, "#fff", 1, 3);
+assert.equal(built.length, 1, "shrinking points reuse the sprite");
+sprites.draw(target, glow, 0, 0, "#fff", 1, 40);
+assert.equal(built.length, 2, "a larger point rebuilds it");
+assert.equal(sprites.size, 1);
+sprites.draw(target, glow, 0, 0, "#000", 1, 8);
+sprites.draw(target, glow, 0, 0, "#f00", 1, 8);
+assert.equal(sprites.size, 2, "least recently used sprites are dropped past the limit");
+assert.equal(sprites.draw(target, { id: "plain", draw() {} }, 0, 0, "#fff", 1, 8), false);
+
+const noCanvas = createSpriteCache({ createCanvas: () => null });
+assert.equal(noCanvas.draw(target, glow, 0, 0, "#fff", 1, 8), false, "falls back when sprites cannot be made");
+
+// Without an OffscreenCanvas or a document, sprite styles still draw directly.
+const fallback = createMockCanvas();
+const direct = createCursorTrail(fallback, { autoStart: false, style: "glow" });
+direct.addPoint(10, 10);
+direct.renderFrame(0);
+assert.ok(fallback.ctx.callsNamed("arc").length > 0);
+direct.destroy();
+
+// The live loop goes idle once nothing is left to draw and wakes on input.
+const live = createCursorTrail(createMockCanvas(), { lifetime: 40, style: "star" });
+assert.equal(live.getStats().idle, true);
+live.addPoint(5, 5);
+assert.equal(live.getStats().idle, false);
+assert.equal(live.getStats().points, 1);
+await new Promise((resolve) => setTimeout(resolve, 200));
+assert.equal(live.getStats().points, 0);
+assert.equal(live.getStats().idle, true);
+live.pause();
+live.addPoint(5, 5);
+assert.equal(live.getStats().idle, false, "a paused trail does not wake");
+live.destroy();
+
+// The offscreen proxy forwards calls to its worker and keeps listeners local.
+const posted = [];
+let terminated = false;
+const worker = {
+  postMessage: (message, transfer) => posted.push({ message, transfer }),
+  terminate: () => {
+    terminated = true;
+  },
+};
+const placeholder = { style: {}, transferControlToOffscreen: () => ({ offscreen: true }) };
+const proxy = createOffscreenTrail(placeholder, { seed: 7, size: 30 }, { createWorker: () => worker });
+assert.equal(posted[0].message.type, "init");
+assert.equal(posted[0].message.options.seed, 7);
+assert.deepEqual(posted[0].transfer, [posted[0].message.canvas]);
+
+const heard = [];
+proxy.onPoint((x, y, input) => heard.push([x, y, input.pointerId]));
+proxy.addPoint(3, 4, { time: 10 });
+assert.deepEqual(heard, [[3, 4, 0]]);
+assert.deepEqual(posted.at(-1).message, {
+  type: "call",
+  method: "addPoint",
+  args: [3, 4, { vx: 0, vy: 0, pointerId: 0, time: 10 }],
+});
+proxy.setOptions({ size: 40, onSomething: () => {} });
+assert.deepEqual(posted.at(-1).message.args, [{ size: 40 }], "functions are not sent to the worker");
+assert.equal(proxy.getOptions().size, 40);
+assert.equal(proxy.reseed(9), 9);
+assert.deepEqual(posted.at(-1).message, { type: "call", method: "reseed", args: [9] });
+
+worker.onmessage({ data: { type: "stats", stats: { points: 12, effects: 0, quality: 0.5, frameCost: 3, idle: false } } });
+assert.equal(proxy.getStats().points, 12);
+
+proxy.destroy();
+assert.ok(terminated);
+const count = posted.length;
+proxy.addPoint(1, 1);
+assert.equal(posted.length, count);
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import {
+  createCursorTrail,
+  normalizePresentation,
+  PRESENTATION_DEFAULTS,
+  serializableOptions,
+} from "../src/trail/index.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+assert.deepEqual(normalizePresentation(), PRESENTATION_DEFAULTS);
+const normalized = normalizePresentation({
+  mode: "magnifier",
+  spotlight: { size: 9999, opacity: -1 },
+  magnifier: { zoom: 10 },
+  laser: { color: "#00FF00", size: "big" },
+});
+assert.equal(normalized.mode, "magnifier");
+assert.deepEqual(normalized.spotlight, { size: 400, opacity: 0.1 });
+assert.equal(normalized.magnifier.zoom, 4);
+assert.equal(normalized.laser.color, "#00FF00");
+assert.equal(normalized.laser.size, PRESENTATION_DEFAULTS.laser.size);
+assert.equal(normalizePresentation({ mode: "disco" }, normalized).mode, "magnifier", "unknown modes keep the base");
+assert.equal(
+  normalizePresentation({ laser: { color: "url(javascript:alert(1))" } }, normalized).laser.color,
+  "#00FF00",
+  "laser colors that are not CSS colors keep the base",
+);
+
+// The spotlight dims the page before the trail draws on top of it.
+const canvas = createMockCanvas(400, 300);
+const trail = createCursorTrail(canvas, {
+  autoStart: false,
+  style: "star",
+  presentation: normalizePresentation({ mode: "spotlight" }),
+});
+trail.addPoint(50, 50);
+trail.renderFrame(0);
+assert.equal(canvas.ctx.callsNamed("fillRect").length, 0, "nothing is drawn before the pointer is seen");
+trail.movePointer(120, 80);
+canvas.ctx.reset();
+trail.renderFrame(10);
+const names = canvas.ctx.calls.map((call) => call.name);
+assert.deepEqual(canvas.ctx.callsNamed("createRadialGradient")[0].args, [120, 80, 112, 120, 80, 140]);
+assert.ok(names.indexOf("fillRect") < names.indexOf("fill"), "the dim layer goes under the trail");
+
+// The laser keeps a short tail that fades out.
+trail.setOptions({ style: "glow", presentation: normalizePresentation({ mode: "laser" }) });
+trail.movePointer(130, 80);
+trail.movePointer(140, 80);
+canvas.ctx.reset();
+trail.renderFrame(20);
+assert.equal(canvas.ctx.callsNamed("lineTo").length, 1);
+canvas.ctx.reset();
+trail.renderFrame(400);
+assert.equal(canvas.ctx.callsNamed("lineTo").length, 0);
+assert.ok(canvas.ctx.callsNamed("arc").some(({ args }) => args[0] === 140 && args[1] === 80));
+
+// Without a lens source the magnifier enlarges the trail canvas itself.
+trail.setOptions({ presentation: normalizePresentation({ mode: "magnifier", magnifier: { size: 60, zoom: 2 } }) });
+canvas.ctx.reset();
+trail.renderFrame(410);
+const [image, ...rect] = canvas.ctx.callsNamed("drawImage")[0].args;
+assert.equal(image, canvas);
+assert.deepEqual(rect, [110, 50, 60, 60, 80, 20, 120, 120]);
+const video = { videoWidth: 800, videoHeight: 600 };
+trail.setLensSource(video);
+canvas.ctx.reset();
+trail.renderFrame(420);
+assert.deepEqual(canvas.ctx.callsNamed("drawImage")[0].args, [video, 220, 100, 120, 120, 80, 20, 120, 120]);
+trail.destroy();
+
+assert.equal("presentation" in serializableOptions(trail.getOptions()), false, "takes do not record presentation modes");
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { catmullRomSegments, createCursorTrail } from "../src/trail/index.js";
+import { bindPointerInput } from "../src/trail/input.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+const line = [
+  { x: 0, y: 0, life: 1 },
+  { x: 10, y: 0, life: 1 },
+  { x: 20, y: 0, life: 1 },
+];
+const segments = catmullRomSegments(line);
+assert.equal(segments.length, 2);
+assert.equal(segments[0].cp1y, 0);
+assert.equal(segments[1].to.x, 20);
+
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, { autoStart: false, style: "ribbon", size: 20 });
+trail.addPoint(0, 0);
+trail.addPoint(10, 10);
+trail.addPoint(20, 0);
+trail.renderFrame(0);
+assert.equal(canvas.ctx.callsNamed("bezierCurveTo").length, 2);
+assert.equal(canvas.ctx.callsNamed("stroke").length, 2);
+assert.equal(canvas.ctx.lineWidth, 10);
+
+const ink = createMockCanvas();
+const inkTrail = createCursorTrail(ink, { autoStart: false, style: "ink", size: 20 });
+inkTrail.addPoint(0, 0);
+inkTrail.addPoint(100, 0);
+inkTrail.renderFrame(0);
+assert.equal(ink.ctx.lineWidth, 20 * 0.6 * 0.2);
+
+trail.destroy();
+inkTrail.destroy();
+
+// With spacing, points land the same distance apart at any speed, so ink
+// width comes from the pointer's velocity rather than the segment length.
+const inkWidths = (step) => {
+  const spaced = createMockCanvas();
+  const spacedTrail = createCursorTrail(spaced, { autoStart: false, style: "ink", size: 20, spacing: 8 });
+  const listeners = new Map();
+  const input = bindPointerInput(
+    { addEventListener: (type, listener) => listeners.set(type, listener), removeEventListener: () => {} },
+    {
+      toLocal: (x, y) => ({ x, y }),
+      getOptions: () => ({ enabled: true, trackPointer: true, mode: "trail", spacing: 8 }),
+      addPoint: spacedTrail.addPoint,
+      addEffect: () => {},
+    },
+  );
+  for (let i = 0; i <= 4; i++) {
+    listeners.get("pointermove")({ clientX: i * step, clientY: 0, pointerId: 1, timeStamp: (i * 1000) / 60 });
+  }
+  spacedTrail.renderFrame(0);
+  input.unbind();
+  spacedTrail.destroy();
+  return spaced.ctx.lineWidth;
+};
+const slowWidth = inkWidths(8);
+const fastWidth = inkWidths(48);
+assert.ok(slowWidth > fastWidth, `slow ${slowWidth} should be wider than fast ${fastWidth}`);
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { createCursorTrail, getTrailStyle, listTrailStyles, registerTrailStyle } from "../src/trail/index.js";
+import { createMockCanvas } from "./mockCanvas.js";
+
+assert.deepEqual(
+  listTrailStyles().map((style) => style.id),
+  ["gradient", "sparkle", "brush", "star", "glow", "ribbon", "ink"],
+);
+assert.throws(() => registerTrailStyle({ id: "broken" }), TypeError);
+
+const drawn = [];
+const updates = [];
+const unregister = registerTrailStyle({
+  id: "confetti",
+  name: "Confetti",
+  init: (point) => {
+    point.hue = 120;
+  },
+  update: (point) => updates.push(point.life),
+  draw: (ctx, point, paint) => drawn.push({ hue: point.hue, radius: paint.radius }),
+});
+assert.equal(getTrailStyle("confetti").name, "Confetti");
+assert.equal(listTrailStyles().length, 8);
+
+const canvas = createMockCanvas();
+const trail = createCursorTrail(canvas, { autoStart: false, style: "confetti", size: 10, lifetime: 100 });
+trail.addPoint(5, 5);
+trail.renderFrame(0);
+trail.renderFrame(50);
+assert.deepEqual(drawn, [{ hue: 120, radius: 10 }, { hue: 120, radius: 5 }]);
+assert.deepEqual(updates, [1, 0.5]);
+assert.equal(canvas.ctx.callsNamed("save").length, 2);
+
+unregister();
+assert.equal(getTrailStyle("confetti"), null);
+trail.destroy();